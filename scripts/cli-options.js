@@ -0,0 +1,282 @@
+/**
+ * Next Route Guard - Shared CLI helpers
+ *
+ * This module contains the pieces shared by the CLI tools: loading the built library,
+ * parsing the common command line options and resolving them against the Next.js project
+ * (route-guard.config, app/pages directory detection and next.config settings).
+ */
+
+const path = require('path');
+
+/**
+ * Loads the built library from the dist directory
+ *
+ * The CLI tools use both entry points: the build-time tools and the helpers of the main entry.
+ *
+ * @returns The exports of the library
+ */
+function loadLibrary() {
+  // NodeJS 20 compatibility: Use explicit paths to index.js and build.js
+  try {
+    // Try importing from dist with explicit file paths
+    return { ...require('../dist/index.js'), ...require('../dist/build.js') };
+  } catch (error) {
+    console.log('Could not load from dist/index.js, falling back to dist directory...');
+    try {
+      // Try without explicit .js extensions
+      return { ...require('../dist'), ...require('../dist/build') };
+    } catch (distError) {
+      console.error('Failed to load generateRouteMap from dist directory:', distError);
+      process.exit(1);
+    }
+  }
+}
+
+/**
+ * Values of the --symlinks option
+ */
+const SYMLINK_POLICIES = ['follow', 'ignore', 'error'];
+
+/**
+ * Help text for the options shared by all CLI tools
+ */
+const OPTIONS_HELP = `  --app-dir <path>       Path to the app directory (default: ./app or ./src/app)
+  --output <path>        Path to the output file (default: <app-dir>/route-map.json, route-map.ts with
+                         --format ts or route-trie.json with --format trie)
+  --format <json|ts|trie>
+                         Write the route map as JSON, as a typed TypeScript module or as a compiled route
+                         trie for faster middleware cold starts (default: from the --output extension,
+                         otherwise json)
+  --public <patterns>    Comma-separated list of public group names, globs or /regexes/ (default: (public))
+  --protected <patterns> Comma-separated list of protected group names, globs or /regexes/ (default: (protected))
+  --pages-dir <path>     Path to a Pages Router directory to include (default: ./pages or ./src/pages, if present)
+  --public-paths <paths> Comma-separated list of public URL prefixes for Pages Router routes
+  --protected-paths <paths>
+                         Comma-separated list of protected URL prefixes for Pages Router routes
+  --page-extensions <extensions>
+                         Comma-separated list of page file extensions (default: pageExtensions from next.config)
+  --ignore <patterns>    Comma-separated list of gitignore-style patterns of files and directories to skip
+  --symlinks <policy>    What to do with symlinks: follow, ignore or error (default: follow)
+  --map-version <1|2>    Format of the route map, 2 adds the source file and group of every route (default: 1)
+  --no-cache             Scan the whole tree instead of reusing unchanged directories from .next/cache/route-guard
+  --json                 Print the diagnostics as JSON on stdout (other output goes to stderr)
+  --help                 Display this help message`;
+
+/**
+ * Parses the command line options shared by all CLI tools
+ *
+ * Options that aren't recognized are returned in `rest`, so each tool can handle its own flags.
+ *
+ * @param args - Command line arguments (without the node executable and script path)
+ * @returns The parsed options
+ */
+function parseOptions(args) {
+  const options = {
+    appDir: null,
+    outputFile: null,
+    publicPatterns: null,
+    protectedPatterns: null,
+    pagesDir: null,
+    publicPaths: [],
+    protectedPaths: [],
+    pageExtensions: null,
+    ignore: [],
+    symlinks: null,
+    mapVersion: null,
+    format: null,
+    cache: true,
+    json: false,
+    help: false,
+    rest: []
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--app-dir' && i + 1 < args.length) {
+      options.appDir = args[++i];
+    } else if (arg === '--output' && i + 1 < args.length) {
+      options.outputFile = args[++i];
+    } else if (arg === '--public' && i + 1 < args.length) {
+      options.publicPatterns = parseGroupPatterns(args[++i]);
+    } else if (arg === '--protected' && i + 1 < args.length) {
+      options.protectedPatterns = parseGroupPatterns(args[++i]);
+    } else if (arg === '--pages-dir' && i + 1 < args.length) {
+      options.pagesDir = args[++i];
+    } else if (arg === '--public-paths' && i + 1 < args.length) {
+      options.publicPaths = args[++i].split(',');
+    } else if (arg === '--protected-paths' && i + 1 < args.length) {
+      options.protectedPaths = args[++i].split(',');
+    } else if (arg === '--page-extensions' && i + 1 < args.length) {
+      options.pageExtensions = args[++i].split(',').map((ext) => ext.trim().replace(/^\./, ''));
+    } else if (arg === '--ignore' && i + 1 < args.length) {
+      options.ignore = args[++i].split(',').map((pattern) => pattern.trim());
+    } else if (arg === '--symlinks' && i + 1 < args.length) {
+      options.symlinks = args[++i];
+    } else if (arg === '--map-version' && i + 1 < args.length) {
+      options.mapVersion = args[++i];
+    } else if (arg === '--format' && i + 1 < args.length) {
+      options.format = args[++i];
+    } else if (arg === '--no-cache') {
+      options.cache = false;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--help') {
+      options.help = true;
+    } else {
+      options.rest.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parses a comma-separated list of group patterns
+ *
+ * Entries written as `/source/flags` become regular expressions (commas inside them are kept),
+ * everything else is passed on as an exact group name or glob, e.g. `(public),(public-*),/^\(app-.+\)$/`.
+ *
+ * @param value - Value of the --public or --protected option
+ * @returns The group patterns
+ */
+function parseGroupPatterns(value) {
+  const patterns = [];
+  let rest = value;
+
+  while (rest.length > 0) {
+    // Only valid flags are accepted, so URL paths like /api/health stay strings
+    const regExpMatch = /^\/(.+?)\/([dgimsuvy]*)(?:,|$)/.exec(rest);
+    if (regExpMatch) {
+      patterns.push(new RegExp(regExpMatch[1], regExpMatch[2]));
+      rest = rest.slice(regExpMatch[0].length);
+      continue;
+    }
+
+    const end = rest.indexOf(',');
+    patterns.push(end === -1 ? rest : rest.slice(0, end));
+    rest = end === -1 ? '' : rest.slice(end + 1);
+  }
+
+  return patterns;
+}
+
+/**
+ * Reports an unexpected error of a CLI tool on one line and exits the process
+ *
+ * Used as the rejection handler of the async entry points, so errors like a missing file are
+ * printed as a message instead of an unhandled rejection with a stack trace.
+ *
+ * @param error - The error that stopped the tool
+ */
+function exitWithError(error) {
+  const message = error instanceof Error ? error.message : String(error);
+  console.error(
+    message.startsWith('@tradecrush/next-route-guard:') ? message : `@tradecrush/next-route-guard: ${message}`
+  );
+  process.exit(1);
+}
+
+/**
+ * Loads the route-guard.config file of the project, if there is one
+ *
+ * Exits the process with the validation errors if the config can't be loaded or is invalid.
+ *
+ * @param lib - The loaded library
+ * @param cwd - Directory of the Next.js project
+ * @returns The config (empty if there is none) and the path of its file
+ */
+async function loadConfig(lib, cwd = process.cwd()) {
+  try {
+    return await lib.loadRouteGuardConfig(cwd);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Resolves the parsed options against the Next.js project in the current directory
+ *
+ * - Options given on the command line take precedence over route-guard.config
+ * - The app directory defaults to `./app`, or `./src/app` if only that exists
+ * - The pages directory is included automatically if `./pages` or `./src/pages` exists
+ * - The page extensions are read from next.config unless given on the command line
+ * - basePath and trailingSlash are read from next.config and embedded in the route map
+ * - The output format defaults to the extension of the output file, e.g. `ts` for `route-map.ts`
+ * - The scan cache is kept in `.next/cache/route-guard`, next to the Next.js build cache
+ *
+ * - The middleware options of route-guard.config are recorded in the route map
+ *
+ * @param lib - The loaded library
+ * @param options - Options returned by parseOptions
+ * @param cwd - Directory of the Next.js project
+ * @returns Absolute paths, the arguments for generateRouteMap and the path of route-guard.config
+ */
+async function resolveOptions(lib, options, cwd = process.cwd()) {
+  const nextConfig = lib.readNextConfig(cwd);
+  const { config, configFile } = await loadConfig(lib, cwd);
+
+  const appDirOption = options.appDir || config.appDir;
+  const outputOption = options.outputFile || config.output;
+  const appDir = appDirOption ? path.resolve(cwd, appDirOption) : lib.findAppDir(cwd) || path.resolve(cwd, 'app');
+  const format = options.format || (outputOption && /\.[cm]?ts$/.test(outputOption) ? 'ts' : 'json');
+  if (!Object.prototype.hasOwnProperty.call(lib.ROUTE_MAP_FILE_NAMES, format)) {
+    console.error(
+      `@tradecrush/next-route-guard: Unknown output format "${format}", expected one of: ${Object.keys(lib.ROUTE_MAP_FILE_NAMES).join(', ')}`
+    );
+    process.exit(1);
+  }
+
+  if (options.symlinks && !SYMLINK_POLICIES.includes(options.symlinks)) {
+    console.error(
+      `@tradecrush/next-route-guard: Unknown symlink policy "${options.symlinks}", expected one of: ${SYMLINK_POLICIES.join(', ')}`
+    );
+    process.exit(1);
+  }
+
+  const mapVersion = options.mapVersion === null ? 1 : Number(options.mapVersion);
+  if (!lib.SUPPORTED_ROUTE_MAP_VERSIONS.includes(mapVersion)) {
+    console.error(
+      `@tradecrush/next-route-guard: Unknown route map version "${options.mapVersion}", expected one of: ${lib.SUPPORTED_ROUTE_MAP_VERSIONS.join(', ')}`
+    );
+    process.exit(1);
+  }
+
+  const outputFile = outputOption
+    ? path.resolve(cwd, outputOption)
+    : path.join(appDir, lib.ROUTE_MAP_FILE_NAMES[format]);
+  const pagesDir = options.pagesDir ? path.resolve(cwd, options.pagesDir) : lib.findPagesDir(cwd);
+
+  return {
+    appDir,
+    outputFile,
+    format,
+    configFile,
+    publicPatterns: options.publicPatterns || config.publicPatterns || ['(public)'],
+    protectedPatterns: options.protectedPatterns || config.protectedPatterns || ['(protected)'],
+    generateOptions: {
+      pagesDir,
+      publicPaths: options.publicPaths,
+      protectedPaths: options.protectedPaths,
+      pageExtensions: options.pageExtensions || nextConfig.pageExtensions,
+      basePath: nextConfig.basePath,
+      trailingSlash: nextConfig.trailingSlash,
+      middleware: { defaultProtected: config.defaultProtected, excludeUrls: config.excludeUrls },
+      ignore: options.ignore,
+      symlinks: options.symlinks || 'follow',
+      version: mapVersion,
+      rootDir: cwd,
+      cacheDir: options.cache ? path.join(cwd, '.next', 'cache', 'route-guard') : undefined
+    }
+  };
+}
+
+module.exports = {
+  OPTIONS_HELP,
+  exitWithError,
+  loadLibrary,
+  parseGroupPatterns,
+  parseOptions,
+  resolveOptions
+};
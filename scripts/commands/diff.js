@@ -0,0 +1,421 @@
+/**
+ * Next Route Guard - diff command
+ *
+ * Compares two route maps for the security review of pull requests: routes that became public
+ * or protected, route handler methods and required roles that changed, and routes that were added
+ * or removed. Routes and methods that went from protected to public, and protected routes that
+ * lost required roles, are flagged as high risk. Without files, the route map committed at a git
+ * ref (HEAD by default) is compared with the routes of the app in the working tree.
+ */
+
+const fs = require('fs');
+
+const path = require('path');
+
+const { execFileSync } = require('child_process');
+
+const { loadLibrary, parseOptions, resolveOptions } = require('../cli-options');
+
+/**
+ * One-line description for the command list
+ */
+const summary = 'Compare two route maps, or the committed route map with the app';
+
+/**
+ * Runs the diff command
+ *
+ * @param args - Command line arguments after the command name
+ */
+async function run(args) {
+  const options = parseOptions(args);
+  const diffOptions = parseDiffOptions(options.rest);
+
+  if (options.help || (diffOptions.files.length !== 0 && diffOptions.files.length !== 2)) {
+    console.log(`
+@tradecrush/next-route-guard - Compare Route Maps
+
+Usage: next-route-guard diff <old-route-map> <new-route-map> [options]
+       next-route-guard diff [--ref <ref>] [options]
+
+Without files, the route map file committed at the git ref is compared with the routes of the
+app in the working tree. The route map file is found like next-route-guard-generate writes it.
+
+Options:
+  --ref <ref>            Git ref of the committed route map (default: HEAD)
+  --markdown             Print the changes as Markdown, e.g. for a pull request comment
+  --json                 Print the changes as JSON
+  --fail-on-risk         Exit with a non-zero code if a route or method changed from protected to
+                         public, or a protected route lost required roles
+  --help                 Display this help message
+
+The options of next-route-guard-generate that select the routes, like --app-dir, --output,
+--public and --protected, are supported as well.
+`);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const lib = loadLibrary();
+  const { before, after } =
+    diffOptions.files.length === 2
+      ? {
+          before: readRouteMapFile(lib, diffOptions.files[0], readFile(diffOptions.files[0])),
+          after: readRouteMapFile(lib, diffOptions.files[1], readFile(diffOptions.files[1]))
+        }
+      : await compareWithRef(lib, options, diffOptions.ref);
+
+  const report = createReport(lib.diffRouteMaps(before.routeMap, after.routeMap));
+  const labels = { before: before.label, after: after.label };
+
+  if (options.json) {
+    console.log(JSON.stringify({ ...labels, ...report }, null, 2));
+  } else if (diffOptions.markdown) {
+    console.log(formatMarkdown(report, labels));
+  } else {
+    console.log(formatText(lib, report, labels));
+  }
+
+  if (diffOptions.failOnRisk && report.highRisk > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Parses the options of the diff command from the arguments parseOptions didn't recognize
+ *
+ * @param rest - Unrecognized command line arguments
+ * @returns The route map files and the options of the diff command
+ */
+function parseDiffOptions(rest) {
+  const diffOptions = { files: [], ref: 'HEAD', markdown: false, failOnRisk: false };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+
+    if (arg === '--ref' && i + 1 < rest.length) {
+      diffOptions.ref = rest[++i];
+    } else if (arg === '--markdown') {
+      diffOptions.markdown = true;
+    } else if (arg === '--fail-on-risk') {
+      diffOptions.failOnRisk = true;
+    } else if (!arg.startsWith('--')) {
+      diffOptions.files.push(arg);
+    } else {
+      console.error(`@tradecrush/next-route-guard: Unknown argument "${arg}"`);
+      process.exit(1);
+    }
+  }
+
+  return diffOptions;
+}
+
+/**
+ * Reads the route map committed at a git ref and generates the route map of the working tree
+ *
+ * @param lib - The loaded library
+ * @param options - Options returned by parseOptions
+ * @param ref - Git ref of the committed route map
+ * @returns The committed route map and the generated one, with labels for the output
+ */
+async function compareWithRef(lib, options, ref) {
+  // Inspecting the routes writes nothing, not even the scan cache
+  const { appDir, outputFile, format, publicPatterns, protectedPatterns, generateOptions } = await resolveOptions(lib, {
+    ...options,
+    cache: false
+  });
+
+  // Paths starting with ./ are relative to the current directory rather than the repository root
+  const relativeFile = path.relative(process.cwd(), outputFile).split(path.sep).join('/');
+  let contents;
+  try {
+    contents = execFileSync('git', ['show', `${ref}:./${relativeFile}`], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  } catch (error) {
+    const reason = String(error.stderr || error.message)
+      .trim()
+      .split('\n')[0];
+    console.error(`@tradecrush/next-route-guard: Could not read ${relativeFile} at ${ref}: ${reason}`);
+    process.exit(1);
+  }
+
+  const { routeMap, error } = lib.generateRouteMap(appDir, publicPatterns, protectedPatterns, generateOptions);
+  if (error) {
+    console.error('@tradecrush/next-route-guard: Error generating route map:', error);
+    process.exit(1);
+  }
+
+  return {
+    before: readRouteMapFile(lib, `${relativeFile} at ${ref}`, contents, format),
+    after: { label: `the routes of ${path.relative(process.cwd(), appDir) || '.'}`, routeMap }
+  };
+}
+
+/**
+ * Reads a route map file given on the command line
+ *
+ * Exits the process if the file can't be read, e.g. because it doesn't exist.
+ *
+ * @param file - Path of the file
+ * @returns The contents of the file
+ */
+function readFile(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    const reason = error.code === 'ENOENT' ? 'no such file' : error.message;
+    console.error(`@tradecrush/next-route-guard: Could not read ${file}: ${reason}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Reads a route map from the contents of a JSON or TypeScript route map file
+ *
+ * Exits the process if the contents aren't a route map, e.g. for a compiled route trie.
+ *
+ * @param lib - The loaded library
+ * @param label - Name of the file in the output
+ * @param contents - Contents of the file
+ * @param format - Format of the file (default: from the extension of the label)
+ * @returns The route map with its label
+ */
+function readRouteMapFile(lib, label, contents, format = /\.[cm]?ts$/.test(label) ? 'ts' : 'json') {
+  const routeMap = lib.parseRouteMap(contents, format);
+
+  if (!routeMap) {
+    const isTrie = format === 'trie' || /"format":\s*"route-trie"/.test(contents);
+    console.error(
+      isTrie
+        ? `@tradecrush/next-route-guard: ${label} is a compiled route trie, which doesn't keep the route patterns. Compare JSON or TypeScript route maps instead.`
+        : `@tradecrush/next-route-guard: ${label} isn't a route map.`
+    );
+    process.exit(1);
+  }
+
+  return { label, routeMap };
+}
+
+/**
+ * Groups the changes of a route map diff for review
+ *
+ * Routes and route handler methods that changed from protected to public, and protected routes
+ * that lost their required roles or accept new ones, are high risk. Routes and methods that
+ * changed from protected to unclassified get a warning, since they are public with
+ * `defaultProtected: false`.
+ *
+ * @param diff - Diff returned by diffRouteMaps
+ * @returns The number of high-risk changes and warnings, and the changes by kind
+ */
+function createReport(diff) {
+  const newlyPublic = diff.reclassified
+    .filter(({ to }) => to === 'public')
+    .map(({ path: route, from }) => ({ path: route, from, highRisk: from === 'protected' }));
+  const unclassified = diff.reclassified
+    .filter(({ to }) => to === 'unclassified')
+    .map(({ path: route, from }) => ({ path: route, from, warning: from === 'protected' }));
+  const methods = (diff.methods || []).map((change) => ({
+    ...change,
+    highRisk: change.from === 'protected' && change.to === 'public',
+    warning: change.from === 'protected' && change.to === 'unclassified'
+  }));
+  const roles = (diff.roles || []).map((change) => ({
+    ...change,
+    highRisk:
+      change.from.length > 0 && (change.to.length === 0 || change.to.some((role) => !change.from.includes(role)))
+  }));
+
+  return {
+    highRisk: [...newlyPublic, ...methods, ...roles].filter(({ highRisk }) => highRisk).length,
+    warnings: [...unclassified, ...methods].filter(({ warning }) => warning).length,
+    newlyPublic,
+    newlyProtected: diff.reclassified
+      .filter(({ to }) => to === 'protected')
+      .map(({ path: route, from }) => ({ path: route, from })),
+    unclassified,
+    methods,
+    roles,
+    added: diff.added,
+    removed: diff.removed
+  };
+}
+
+/**
+ * Sections of the report, in the order they are printed
+ */
+const SECTIONS = [
+  { key: 'newlyPublic', title: 'Newly public routes', to: 'public' },
+  { key: 'newlyProtected', title: 'Newly protected routes', to: 'protected' },
+  { key: 'unclassified', title: 'Routes now decided by defaultProtected', to: 'unclassified' },
+  { key: 'methods', title: 'Route handler methods with a new status' },
+  { key: 'roles', title: 'Protected routes with new required roles' },
+  { key: 'added', title: 'Added routes' },
+  { key: 'removed', title: 'Removed routes' }
+];
+
+/**
+ * Counts the changes of a report
+ *
+ * @param report - Report returned by createReport
+ * @returns The number of changed routes
+ */
+function countChanges(report) {
+  return SECTIONS.reduce((count, { key }) => count + report[key].length, 0);
+}
+
+/**
+ * Describes the high-risk changes and warnings of a report, one sentence per kind of change
+ *
+ * @param report - Report returned by createReport
+ * @returns The warnings
+ */
+function getRiskWarnings(report) {
+  const count = (changes, key) => changes.filter((change) => change[key]).length;
+  const plural = (n, singular, multiple) => (n === 1 ? singular : multiple);
+  const warnings = [];
+
+  const routes = count(report.newlyPublic, 'highRisk');
+  if (routes > 0) {
+    warnings.push(
+      `${routes} ${plural(routes, 'route', 'routes')} changed from protected to public. Check that ${plural(routes, "it doesn't", "they don't")} need authentication.`
+    );
+  }
+
+  const methods = count(report.methods, 'highRisk');
+  if (methods > 0) {
+    warnings.push(
+      `${methods} route handler ${plural(methods, 'method', 'methods')} changed from protected to public. Check that ${plural(methods, "it doesn't", "they don't")} need authentication.`
+    );
+  }
+
+  const roles = count(report.roles, 'highRisk');
+  if (roles > 0) {
+    warnings.push(
+      `${roles} protected ${plural(roles, 'route', 'routes')} lost required roles or accept new ones. Check that the users they now let in should have access.`
+    );
+  }
+
+  const unclassified = count(report.unclassified, 'warning') + count(report.methods, 'warning');
+  if (unclassified > 0) {
+    warnings.push(
+      `${unclassified} ${plural(unclassified, 'route or method', 'routes or methods')} changed from protected to unclassified, which is public with defaultProtected: false.`
+    );
+  }
+
+  return warnings;
+}
+
+/**
+ * Formats a change of a report like the --check output of next-route-guard-generate
+ *
+ * @param lib - The loaded library
+ * @param key - Section of the change
+ * @param change - The change
+ * @param to - Status the routes of the section changed to, if they were reclassified
+ * @returns The line of the change
+ */
+function formatChange(lib, key, change, to) {
+  const [line] = lib.formatRouteMapDiff({
+    added: key === 'added' ? [change] : [],
+    removed: key === 'removed' ? [change] : [],
+    reclassified: to ? [{ ...change, to }] : [],
+    methods: key === 'methods' ? [change] : [],
+    roles: key === 'roles' ? [change] : []
+  });
+
+  if (change.highRisk) return `${line}  ⚠️ high risk`;
+  if (change.warning) return `${line}  ⚠️ public if defaultProtected is false`;
+  return line;
+}
+
+/**
+ * Formats a report for the terminal
+ *
+ * @param lib - The loaded library
+ * @param report - Report returned by createReport
+ * @param labels - Names of the compared route maps
+ * @returns The text to print
+ */
+function formatText(lib, report, labels) {
+  if (countChanges(report) === 0) {
+    return `No route changes between ${labels.before} and ${labels.after}.`;
+  }
+
+  const lines = [`Route changes between ${labels.before} and ${labels.after}:`];
+  const warnings = getRiskWarnings(report);
+  if (warnings.length > 0) {
+    lines.push('', ...warnings.map((warning) => `⚠️  ${warning}`));
+  }
+
+  for (const { key, title, to } of SECTIONS) {
+    if (report[key].length === 0) continue;
+
+    lines.push('', `${title}:`);
+    for (const change of report[key]) {
+      lines.push(`  ${formatChange(lib, key, change, to)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Formats a report as Markdown, e.g. for a pull request comment
+ *
+ * @param report - Report returned by createReport
+ * @param labels - Names of the compared route maps
+ * @returns The Markdown document
+ */
+function formatMarkdown(report, labels) {
+  const lines = ['## Route protection changes', '', `Comparing ${labels.before} with ${labels.after}.`];
+
+  if (countChanges(report) === 0) {
+    lines.push('', 'No routes were added, removed or reclassified, and no methods or roles changed.');
+    return lines.join('\n');
+  }
+
+  const warnings = getRiskWarnings(report);
+  if (warnings.length > 0) {
+    lines.push(
+      '',
+      '> [!WARNING]',
+      ...warnings.flatMap((warning, index) => [...(index > 0 ? ['>'] : []), `> ${warning}`])
+    );
+  }
+
+  const formatRisk = ({ highRisk, warning }) =>
+    highRisk ? '⚠️ **High**' : warning ? '⚠️ Public if `defaultProtected` is false' : '';
+  const formatRoles = (roles) => (roles.length > 0 ? roles.join(', ') : 'any');
+
+  for (const { key, title, to } of SECTIONS) {
+    if (report[key].length === 0) continue;
+
+    lines.push('', `### ${title}`, '');
+    if (key === 'newlyPublic' || key === 'unclassified') {
+      lines.push('| Route | Before | Risk |', '| --- | --- | --- |');
+      report[key].forEach((change) => lines.push(`| \`${change.path}\` | ${change.from} | ${formatRisk(change)} |`));
+    } else if (key === 'methods') {
+      lines.push('| Route | Method | Before | After | Risk |', '| --- | --- | --- | --- | --- |');
+      report[key].forEach((change) =>
+        lines.push(`| \`${change.path}\` | ${change.method} | ${change.from} | ${change.to} | ${formatRisk(change)} |`)
+      );
+    } else if (key === 'roles') {
+      lines.push('| Route | Before | After | Risk |', '| --- | --- | --- | --- |');
+      report[key].forEach((change) =>
+        lines.push(
+          `| \`${change.path}\` | ${formatRoles(change.from)} | ${formatRoles(change.to)} | ${formatRisk(change)} |`
+        )
+      );
+    } else if (to) {
+      lines.push('| Route | Before |', '| --- | --- |');
+      report[key].forEach(({ path: route, from }) => lines.push(`| \`${route}\` | ${from} |`));
+    } else {
+      lines.push('| Route | Status |', '| --- | --- |');
+      report[key].forEach(({ path: route, status }) => lines.push(`| \`${route}\` | ${status} |`));
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = { summary, run };
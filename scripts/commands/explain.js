@@ -0,0 +1,205 @@
+/**
+ * Next Route Guard - explain command
+ *
+ * Explains why the middleware treats a URL as public or protected: the excludeUrls pattern
+ * that matched, the walk through the route trie, the route that decided and its group and
+ * source file. The route map is generated from the app in memory, nothing is written.
+ */
+
+const { loadLibrary, parseGroupPatterns, parseOptions, resolveOptions } = require('../cli-options');
+
+/**
+ * One-line description for the command list
+ */
+const summary = 'Explain why a URL is public or protected';
+
+/**
+ * Descriptions of the steps of the walk through the route trie
+ */
+const STEP_DESCRIPTIONS = {
+  static: 'static segment',
+  dynamic: 'dynamic segment',
+  'catch-all': 'catch-all segment',
+  'optional-catch-all': 'optional catch-all segment',
+  rest: 'static segment after the catch-all',
+  locale: 'locale segment',
+  unmatched: 'no route matches'
+};
+
+/**
+ * Runs the explain command
+ *
+ * @param args - Command line arguments after the command name
+ */
+async function run(args) {
+  const options = parseOptions(args);
+  const explainOptions = parseExplainOptions(options.rest);
+
+  if (options.help || !explainOptions.url) {
+    console.log(`
+@tradecrush/next-route-guard - Explain a URL
+
+Usage: next-route-guard explain <url> [options]
+
+Options:
+  --method <method>      HTTP method of the request (default: GET)
+  --locales <locales>    Comma-separated list of the locales of the app, as passed to the middleware
+  --exclude-urls <patterns>
+                         Comma-separated list of excludeUrls patterns or /regexes/ (default: from
+                         route-guard.config, otherwise /api/(.*))
+  --default-protected <true|false>
+                         The defaultProtected option of the middleware (default: from route-guard.config,
+                         otherwise true)
+  --json                 Print the explanation as JSON
+  --help                 Display this help message
+
+The options of next-route-guard-generate that select the routes, like --app-dir, --public and
+--protected, are supported as well.
+`);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const lib = loadLibrary();
+  // Inspecting the routes writes nothing, not even the scan cache
+  const { appDir, publicPatterns, protectedPatterns, generateOptions } = await resolveOptions(lib, {
+    ...options,
+    cache: false
+  });
+
+  // Version 2 route maps know the group and source file of every route
+  const { routeMap, error } = lib.generateRouteMap(appDir, publicPatterns, protectedPatterns, {
+    ...generateOptions,
+    version: 2
+  });
+
+  if (error) {
+    console.error('@tradecrush/next-route-guard: Error generating route map:', error);
+    process.exit(1);
+  }
+
+  // Options given on the command line take precedence over route-guard.config
+  const defaultProtected = explainOptions.defaultProtected ?? generateOptions.middleware.defaultProtected ?? true;
+  const excludeUrls = explainOptions.excludeUrls || generateOptions.middleware.excludeUrls || ['/api/(.*)'];
+
+  const explanation = lib.explainPath(getPathname(explainOptions.url), routeMap, {
+    method: explainOptions.method,
+    locales: explainOptions.locales,
+    defaultProtected,
+    excludeUrls
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(explanation, null, 2));
+    return;
+  }
+
+  formatExplanation(explanation, { defaultProtected, excludeUrls }).forEach((line) => console.log(line));
+}
+
+/**
+ * Parses the options of the explain command from the arguments parseOptions didn't recognize
+ *
+ * @param rest - Unrecognized command line arguments
+ * @returns The URL and the middleware options to explain it with
+ */
+function parseExplainOptions(rest) {
+  const explainOptions = {
+    url: null,
+    method: undefined,
+    locales: undefined,
+    excludeUrls: null,
+    defaultProtected: null
+  };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+
+    if (arg === '--method' && i + 1 < rest.length) {
+      explainOptions.method = rest[++i];
+    } else if (arg === '--locales' && i + 1 < rest.length) {
+      explainOptions.locales = rest[++i].split(',').map((locale) => locale.trim());
+    } else if (arg === '--exclude-urls' && i + 1 < rest.length) {
+      explainOptions.excludeUrls = rest[++i] ? parseGroupPatterns(rest[i]) : [];
+    } else if (arg === '--default-protected' && i + 1 < rest.length) {
+      explainOptions.defaultProtected = rest[++i] !== 'false';
+    } else if (!arg.startsWith('--') && !explainOptions.url) {
+      explainOptions.url = arg;
+    } else {
+      console.error(`@tradecrush/next-route-guard: Unknown argument "${arg}"`);
+      process.exit(1);
+    }
+  }
+
+  return explainOptions;
+}
+
+/**
+ * Gets the path of a URL given on the command line
+ *
+ * @param url - A full URL like `https://example.com/docs?page=2` or a path like `/docs`
+ * @returns The path, without the query string and hash
+ */
+function getPathname(url) {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+    return new URL(url).pathname;
+  }
+
+  const pathname = url.split(/[?#]/)[0];
+  return pathname.startsWith('/') ? pathname : `/${pathname}`;
+}
+
+/**
+ * Formats an explanation for the terminal, one line per step
+ *
+ * @param explanation - Explanation returned by explainPath
+ * @param middlewareOptions - The defaultProtected and excludeUrls options it was explained with
+ * @returns The lines to print
+ */
+function formatExplanation(explanation, { defaultProtected, excludeUrls }) {
+  const { method, path: pathname, decidedBy } = explanation;
+  const lines = [`${method} ${pathname} is ${explanation.protected ? 'protected' : 'public'}`, ''];
+
+  if (decidedBy === 'preflight') {
+    lines.push('  OPTIONS requests are CORS preflight requests, which are always let through.');
+    return lines;
+  }
+
+  if (decidedBy === 'excluded') {
+    lines.push(`  Excluded by the excludeUrls pattern ${explanation.excludedBy}, the route map isn't consulted.`);
+    return lines;
+  }
+
+  const patterns = excludeUrls.length > 0 ? excludeUrls.map(String).join(', ') : 'none';
+  lines.push(`  excludeUrls: no pattern matches (${patterns})`);
+
+  for (const { kind, segments } of explanation.steps) {
+    const matched =
+      kind === 'locale' && segments.length === 0
+        ? '(no locale prefix)'
+        : segments.length > 0
+          ? `"${segments.join('/')}"`
+          : '(end of path)';
+    lines.push(`  ${matched} → ${STEP_DESCRIPTIONS[kind]}`);
+  }
+
+  if (explanation.route) {
+    lines.push('', `  Route: ${explanation.route} (${explanation.status})`);
+    if (explanation.group) lines.push(`  Group: ${explanation.group}`);
+    if (explanation.source) lines.push(`  Source: ${explanation.source}`);
+    if (explanation.roles) lines.push(`  Roles: ${explanation.roles.join(', ')}`);
+  }
+
+  lines.push('');
+  if (decidedBy === 'method') {
+    const status = explanation.protected ? 'protected' : 'public';
+    lines.push(`  Decided by the route handler: ${method} is ${status}.`);
+  } else if (decidedBy === 'route') {
+    lines.push(`  Decided by the route: it is ${explanation.status}.`);
+  } else {
+    lines.push(`  No route with a status matched, so defaultProtected (${defaultProtected}) applies.`);
+  }
+
+  return lines;
+}
+
+module.exports = { summary, run };
@@ -0,0 +1,347 @@
+/**
+ * Next Route Guard - report command
+ *
+ * Writes an audit report of every route of the app and whether the middleware requires
+ * authentication for it, with the group and source file that decided, the excludeUrls patterns
+ * and the number of routes by status. The report is a self-contained HTML or Markdown file,
+ * without scripts or external resources, so it can be created and read offline.
+ */
+
+const fs = require('fs');
+
+const path = require('path');
+
+const { loadLibrary, parseGroupPatterns, parseOptions, resolveOptions } = require('../cli-options');
+
+/**
+ * One-line description for the command list
+ */
+const summary = 'Write an HTML or Markdown audit report of all routes';
+
+/**
+ * Sections of the report, in the order they are printed
+ */
+const SECTIONS = [
+  {
+    title: 'Protected routes',
+    description: 'Routes in a protected group. The middleware requires authentication for them.',
+    matches: (route) => route.decidedBy === 'route' && route.status === 'protected'
+  },
+  {
+    title: 'Public routes',
+    description: "Routes in a public group. The middleware doesn't require authentication for them.",
+    matches: (route) => route.decidedBy === 'route' && route.status === 'public'
+  },
+  {
+    title: 'Route handlers with per-method protection',
+    description:
+      'Route handlers with methods tagged @public or @protected against the status of their route. The middleware decides by the method of the request, so they only count as requiring authentication if every method does.',
+    matches: (route) => route.decidedBy === 'method'
+  },
+  {
+    title: 'Unclassified routes',
+    description: (report) =>
+      `Routes outside of any public or protected group. The defaultProtected option (${report.defaultProtected}) makes them ${report.defaultProtected ? 'protected' : 'public'}.`,
+    matches: (route) => route.decidedBy === 'default'
+  },
+  {
+    title: 'Excluded routes',
+    description: "Routes matched by an excludeUrls pattern. The middleware doesn't check authentication for them.",
+    matches: (route) => route.decidedBy === 'excluded'
+  }
+];
+
+/**
+ * Runs the report command
+ *
+ * @param args - Command line arguments after the command name
+ */
+async function run(args) {
+  const options = parseOptions(args);
+  const reportOptions = parseReportOptions(options.rest);
+
+  if (options.help) {
+    console.log(`
+@tradecrush/next-route-guard - Route Audit Report
+
+Usage: next-route-guard report [report-file] [options]
+
+Writes a self-contained report of every route, whether it needs authentication and what
+decided it. Without a file, the report is printed. The format is taken from the extension of
+the file (.html or .md), otherwise Markdown is printed and HTML is written.
+
+Options:
+  --html                 Create an HTML report
+  --markdown             Create a Markdown report
+  --exclude-urls <patterns>
+                         Comma-separated list of excludeUrls patterns or /regexes/, matched against the
+                         route patterns (default: from route-guard.config, otherwise /api/(.*))
+  --default-protected <true|false>
+                         The defaultProtected option of the middleware (default: from route-guard.config,
+                         otherwise true)
+  --json                 Print the report as JSON
+  --help                 Display this help message
+
+The options of next-route-guard-generate that select the routes, like --app-dir, --public and
+--protected, are supported as well.
+`);
+    process.exit(0);
+  }
+
+  const lib = loadLibrary();
+  // Inspecting the routes writes nothing, not even the scan cache
+  const { appDir, publicPatterns, protectedPatterns, generateOptions } = await resolveOptions(lib, {
+    ...options,
+    cache: false
+  });
+
+  // Version 2 route maps know the group and source file of every route
+  const { routeMap, error } = lib.generateRouteMap(appDir, publicPatterns, protectedPatterns, {
+    ...generateOptions,
+    version: 2
+  });
+
+  if (error) {
+    console.error('@tradecrush/next-route-guard: Error generating route map:', error);
+    process.exit(1);
+  }
+
+  // Options given on the command line take precedence over route-guard.config
+  const report = lib.createRouteReport(routeMap, {
+    defaultProtected: reportOptions.defaultProtected ?? generateOptions.middleware.defaultProtected ?? true,
+    excludeRoutes: reportOptions.excludeUrls || generateOptions.middleware.excludeUrls || ['/api/(.*)']
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const details = {
+    appDir: path.relative(process.cwd(), appDir) || '.',
+    generatedAt: routeMap.generatedAt
+  };
+  const format =
+    reportOptions.format || (reportOptions.file && !/\.(md|markdown)$/i.test(reportOptions.file) ? 'html' : 'markdown');
+  const contents = format === 'html' ? formatHtml(report, details) : formatMarkdown(report, details);
+
+  if (!reportOptions.file) {
+    process.stdout.write(contents);
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(reportOptions.file)), { recursive: true });
+  fs.writeFileSync(reportOptions.file, contents);
+  console.log(
+    `@tradecrush/next-route-guard: Route report written to ${reportOptions.file} (${report.summary.total} routes, ${report.summary.authenticationRequired} require authentication)`
+  );
+}
+
+/**
+ * Parses the options of the report command from the arguments parseOptions didn't recognize
+ *
+ * @param rest - Unrecognized command line arguments
+ * @returns The report file, its format and the middleware options to create it with
+ */
+function parseReportOptions(rest) {
+  const reportOptions = { file: null, format: null, excludeUrls: null, defaultProtected: null };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+
+    if (arg === '--html') {
+      reportOptions.format = 'html';
+    } else if (arg === '--markdown') {
+      reportOptions.format = 'markdown';
+    } else if (arg === '--exclude-urls' && i + 1 < rest.length) {
+      reportOptions.excludeUrls = rest[++i] ? parseGroupPatterns(rest[i]) : [];
+    } else if (arg === '--default-protected' && i + 1 < rest.length) {
+      reportOptions.defaultProtected = rest[++i] !== 'false';
+    } else if (!arg.startsWith('--') && !reportOptions.file) {
+      reportOptions.file = arg;
+    } else {
+      console.error(`@tradecrush/next-route-guard: Unknown argument "${arg}"`);
+      process.exit(1);
+    }
+  }
+
+  return reportOptions;
+}
+
+/**
+ * Gets the rows of the summary table of a report
+ *
+ * @param report - Report returned by createRouteReport
+ * @returns The label and number of each row
+ */
+function getSummaryRows(report) {
+  const { summary: counts } = report;
+  return [
+    ['Routes', counts.total],
+    ['Protected', counts.protected],
+    ['Public', counts.public],
+    [`Unclassified (${report.defaultProtected ? 'protected' : 'public'} by default)`, counts.unclassified],
+    ['Route handlers with per-method protection', counts.perMethod],
+    ['Excluded', counts.excluded],
+    ['Requiring authentication', counts.authenticationRequired]
+  ];
+}
+
+/**
+ * Describes what decided the protection of a route
+ *
+ * @param route - Route of a report
+ * @param report - Report returned by createRouteReport
+ * @returns The group, the excludeUrls pattern or the defaultProtected option
+ */
+function getDecision(route, report) {
+  if (route.decidedBy === 'excluded') return `excludeUrls: ${route.excludedBy}`;
+  if (route.decidedBy === 'default') return `defaultProtected: ${report.defaultProtected}`;
+  return route.group || '';
+}
+
+/**
+ * Gets the notes of a route: the roles it requires and the methods of a route handler
+ *
+ * @param route - Route of a report
+ * @returns The notes, empty if the route has none
+ */
+function getNotes(route) {
+  const notes = [];
+  if (route.roles) notes.push(`Roles: ${route.roles.join(', ')}`);
+  if (route.methods?.public.length) notes.push(`Public methods: ${route.methods.public.join(', ')}`);
+  if (route.methods?.protected.length) notes.push(`Protected methods: ${route.methods.protected.join(', ')}`);
+  return notes;
+}
+
+/**
+ * Formats a report as Markdown
+ *
+ * @param report - Report returned by createRouteReport
+ * @param details - Directory of the app and when the routes were read
+ * @returns The Markdown document
+ */
+function formatMarkdown(report, details) {
+  // Pipes would end a table cell
+  const cell = (text) => String(text).replace(/\|/g, '\\|');
+  const lines = [
+    '# Route Protection Report',
+    '',
+    `Routes of \`${details.appDir}\`, generated at ${details.generatedAt}.`,
+    '',
+    '## Summary',
+    '',
+    '| | Routes |',
+    '| --- | --- |',
+    ...getSummaryRows(report).map(([label, count]) => `| ${label} | ${count} |`),
+    '',
+    '## Middleware Options',
+    '',
+    `- defaultProtected: \`${report.defaultProtected}\``,
+    `- excludeUrls (matched against route patterns): ${report.excludeRoutes.length > 0 ? report.excludeRoutes.map((pattern) => `\`${pattern}\``).join(', ') : 'none'}`
+  ];
+
+  for (const { title, description, matches } of SECTIONS) {
+    const routes = report.routes.filter(matches);
+    lines.push(
+      '',
+      `## ${title} (${routes.length})`,
+      '',
+      typeof description === 'function' ? description(report) : description
+    );
+    if (routes.length === 0) continue;
+
+    lines.push('', '| Route | Decided by | Source | Notes |', '| --- | --- | --- | --- |');
+    for (const route of routes) {
+      lines.push(
+        `| \`${cell(route.path)}\` | ${cell(getDecision(route, report))} | ${cell(route.source)} | ${cell(getNotes(route).join('<br>'))} |`
+      );
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats a report as a self-contained HTML page, with inline styles and no scripts
+ *
+ * @param report - Report returned by createRouteReport
+ * @param details - Directory of the app and when the routes were read
+ * @returns The HTML document
+ */
+function formatHtml(report, details) {
+  const escape = (text) => String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+  const excludeUrls =
+    report.excludeRoutes.length > 0
+      ? report.excludeRoutes.map((pattern) => `<code>${escape(pattern)}</code>`).join(', ')
+      : 'none';
+
+  const sections = SECTIONS.map(({ title, description, matches }) => {
+    const routes = report.routes.filter(matches);
+    const rows = routes.map(
+      (route) => `        <tr>
+          <td><code>${escape(route.path)}</code></td>
+          <td>${escape(getDecision(route, report))}</td>
+          <td>${escape(route.source)}</td>
+          <td>${getNotes(route).map(escape).join('<br>')}</td>
+        </tr>`
+    );
+
+    return `  <section>
+    <h2>${escape(title)} (${routes.length})</h2>
+    <p>${escape(typeof description === 'function' ? description(report) : description)}</p>
+${
+  routes.length === 0
+    ? ''
+    : `    <table>
+      <thead>
+        <tr><th>Route</th><th>Decided by</th><th>Source</th><th>Notes</th></tr>
+      </thead>
+      <tbody>
+${rows.join('\n')}
+      </tbody>
+    </table>
+`
+}  </section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Route Protection Report</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 960px; padding: 0 1rem; color: #1f2328; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1rem; }
+    th, td { border: 1px solid #d0d7de; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    th { background: #f6f8fa; }
+    code { font-size: 0.9em; }
+  </style>
+</head>
+<body>
+  <h1>Route Protection Report</h1>
+  <p>Routes of <code>${escape(details.appDir)}</code>, generated at ${escape(details.generatedAt)}.</p>
+  <section>
+    <h2>Summary</h2>
+    <table>
+      <tbody>
+${getSummaryRows(report)
+  .map(([label, count]) => `        <tr><th>${escape(label)}</th><td>${count}</td></tr>`)
+  .join('\n')}
+      </tbody>
+    </table>
+  </section>
+  <section>
+    <h2>Middleware Options</h2>
+    <ul>
+      <li>defaultProtected: <code>${report.defaultProtected}</code></li>
+      <li>excludeUrls (matched against route patterns): ${excludeUrls}</li>
+    </ul>
+  </section>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = { summary, run };
@@ -0,0 +1,128 @@
+/**
+ * Next Route Guard - tree command
+ *
+ * Prints the route trie the middleware matches requests against, as a box-drawing tree, as
+ * JSON, or as a Mermaid or Graphviz diagram to paste into design docs and security reviews.
+ * The route map is generated from the app in memory, nothing is written.
+ */
+
+const { loadLibrary, parseOptions, resolveOptions } = require('../cli-options');
+
+/**
+ * One-line description for the command list
+ */
+const summary = 'Print the route trie as a tree, JSON, Mermaid or DOT diagram';
+
+/**
+ * Values of the --format option
+ */
+const TREE_FORMATS = ['text', 'json', 'mermaid', 'dot'];
+
+/**
+ * Values of the --status option
+ */
+const TREE_STATUSES = ['public', 'protected', 'default'];
+
+/**
+ * Runs the tree command
+ *
+ * @param args - Command line arguments after the command name
+ */
+async function run(args) {
+  // --format selects the output of this command rather than the format of a route map file
+  const { treeOptions, routeArgs } = extractTreeOptions(args);
+  const options = parseOptions(routeArgs);
+
+  if (options.help) {
+    console.log(`
+@tradecrush/next-route-guard - Print the Route Trie
+
+Usage: next-route-guard tree [options]
+
+Options:
+  --format <text|json|mermaid|dot>
+                         Print a box-drawing tree, JSON, a Mermaid flowchart or a Graphviz graph (default: text)
+  --prefix <pattern>     Only print the subtree of a route pattern, e.g. /account or /docs/[version]
+  --status <statuses>    Comma-separated list of statuses to print (public, protected, default), along with
+                         the nodes leading to them
+  --json                 Same as --format json
+  --help                 Display this help message
+
+The options of next-route-guard-generate that select the routes, like --app-dir, --public and
+--protected, are supported as well.
+`);
+    process.exit(0);
+  }
+
+  if (options.rest.length > 0) {
+    console.error(`@tradecrush/next-route-guard: Unknown argument "${options.rest[0]}"`);
+    process.exit(1);
+  }
+
+  const format = options.json ? 'json' : treeOptions.format;
+  if (!TREE_FORMATS.includes(format)) {
+    console.error(
+      `@tradecrush/next-route-guard: Unknown tree format "${format}", expected one of: ${TREE_FORMATS.join(', ')}`
+    );
+    process.exit(1);
+  }
+
+  const unknownStatus = (treeOptions.status || []).find((status) => !TREE_STATUSES.includes(status));
+  if (unknownStatus) {
+    console.error(
+      `@tradecrush/next-route-guard: Unknown status "${unknownStatus}", expected one of: ${TREE_STATUSES.join(', ')}`
+    );
+    process.exit(1);
+  }
+
+  const lib = loadLibrary();
+  // Inspecting the routes writes nothing, not even the scan cache
+  const { appDir, publicPatterns, protectedPatterns, generateOptions } = await resolveOptions(lib, {
+    ...options,
+    cache: false
+  });
+  const { routeMap, error } = lib.generateRouteMap(appDir, publicPatterns, protectedPatterns, generateOptions);
+
+  if (error) {
+    console.error('@tradecrush/next-route-guard: Error generating route map:', error);
+    process.exit(1);
+  }
+
+  try {
+    process.stdout.write(
+      lib.visualizeTrie(routeMap, { format, prefix: treeOptions.prefix, status: treeOptions.status })
+    );
+  } catch (visualizeError) {
+    console.error(visualizeError.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Takes the options of the tree command out of the command line arguments
+ *
+ * @param args - Command line arguments after the command name
+ * @returns The options of the tree command and the remaining arguments for parseOptions
+ */
+function extractTreeOptions(args) {
+  const treeOptions = { format: 'text', prefix: undefined, status: undefined };
+  const routeArgs = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--format' && i + 1 < args.length) {
+      treeOptions.format = args[++i];
+    } else if (arg === '--prefix' && i + 1 < args.length) {
+      treeOptions.prefix = args[++i];
+    } else if (arg === '--status' && i + 1 < args.length) {
+      treeOptions.status = args[++i].split(',').map((status) => status.trim());
+    } else {
+      routeArgs.push(arg);
+    }
+  }
+
+  return { treeOptions, routeArgs };
+}
+
+module.exports = { summary, run };
@@ -13,91 +13,181 @@ const fs = require('fs');
 
 const path = require('path');
 
-// NodeJS 20 compatibility: Use explicit path to index.js
-let generateRouteMap;
-try {
-  // Try importing from dist with explicit file path
-  const lib = require('../dist/index.js');
-  generateRouteMap = lib.generateRouteMap;
-} catch (error) {
-  console.log('Could not load from dist/index.js, falling back to dist directory...');
-  try {
-    // Try without explicit .js extension
-    const lib = require('../dist');
-    generateRouteMap = lib.generateRouteMap;
-  } catch (distError) {
-    console.error('Failed to load generateRouteMap from dist directory:', distError);
-    process.exit(1);
-  }
-}
+const { OPTIONS_HELP, exitWithError, loadLibrary, parseOptions, resolveOptions } = require('./cli-options');
+
+const lib = loadLibrary();
 
 // Parse command line arguments
-const args = process.argv.slice(2);
-let appDir = './app';
-let outputFile = './app/route-map.json';
-let publicPatterns = ['(public)'];
-let protectedPatterns = ['(protected)'];
-
-// Parse arguments
-for (let i = 0; i < args.length; i++) {
-  const arg = args[i];
-
-  if (arg === '--app-dir' && i + 1 < args.length) {
-    appDir = args[++i];
-  } else if (arg === '--output' && i + 1 < args.length) {
-    outputFile = args[++i];
-  } else if (arg === '--public' && i + 1 < args.length) {
-    publicPatterns = args[++i].split(',');
-  } else if (arg === '--protected' && i + 1 < args.length) {
-    protectedPatterns = args[++i].split(',');
-  } else if (arg === '--help') {
-    console.log(`
+const options = parseOptions(process.argv.slice(2));
+
+// In strict mode, route conflicts fail the build instead of only printing a warning
+const strict = options.rest.includes('--strict');
+
+// In check mode, the route map is compared with the output file instead of being written
+const check = options.rest.includes('--check');
+
+if (options.help) {
+  console.log(`
 @tradecrush/next-route-guard - Generate Route Map
 
 Usage: next-route-guard-generate [options]
 
 Options:
-  --app-dir <path>       Path to the app directory (default: ./app)
-  --output <path>        Path to the output JSON file (default: ./app/route-map.json)
-  --public <patterns>    Comma-separated list of public route patterns (default: (public))
-  --protected <patterns> Comma-separated list of protected route patterns (default: (protected))
-  --help                 Display this help message
+${OPTIONS_HELP}
+  --strict               Exit with a non-zero code if any errors are found (e.g. conflicting routes)
+  --check                Exit with a non-zero code if the output file is out of date, without writing it
 `);
-    process.exit(0);
-  }
+  process.exit(0);
 }
 
-// Resolve paths
-const resolvedAppDir = path.resolve(process.cwd(), appDir);
-const resolvedOutputFile = path.resolve(process.cwd(), outputFile);
-
-// Create output directory if it doesn't exist
-const outputDir = path.dirname(resolvedOutputFile);
-if (!fs.existsSync(outputDir)) {
-  fs.mkdirSync(outputDir, { recursive: true });
+// A misspelled flag like --chek would otherwise write the route map and pass the CI check
+const unknownArgument = options.rest.find((arg) => arg !== '--strict' && arg !== '--check');
+if (unknownArgument) {
+  console.error(`@tradecrush/next-route-guard: Unknown argument "${unknownArgument}"`);
+  process.exit(1);
 }
 
-console.log(`@tradecrush/next-route-guard: Scanning app directory: ${resolvedAppDir}`);
-console.log(`Public patterns: ${publicPatterns.join(', ')}`);
-console.log(`Protected patterns: ${protectedPatterns.join(', ')}`);
+// With --json, the diagnostics are the only output on stdout
+const log = options.json ? console.error : console.log;
 
-// Generate the route map
-const { routeMap, error } = generateRouteMap(resolvedAppDir, publicPatterns, protectedPatterns);
+/**
+ * Generates the route map and writes it to the output file
+ */
+async function main() {
+  // Resolve paths and detect the project setup
+  const {
+    appDir: resolvedAppDir,
+    outputFile: resolvedOutputFile,
+    format,
+    configFile,
+    publicPatterns,
+    protectedPatterns,
+    generateOptions
+  } = await resolveOptions(lib, options);
+
+  // Nothing is written in check mode, not even the scan cache
+  if (check) {
+    generateOptions.cacheDir = undefined;
+  }
 
-if (error) {
-  console.error('@tradecrush/next-route-guard: Error generating route map:', error);
-  process.exit(1);
+  if (configFile) {
+    log(`@tradecrush/next-route-guard: Using ${path.relative(process.cwd(), configFile)}`);
+  }
+  log(`@tradecrush/next-route-guard: Scanning app directory: ${resolvedAppDir}`);
+  if (generateOptions.pagesDir) {
+    log(`Pages directory: ${generateOptions.pagesDir}`);
+  }
+  log(`Public patterns: ${publicPatterns.join(', ')}`);
+  log(`Protected patterns: ${protectedPatterns.join(', ')}`);
+
+  // Generate the route map
+  const { routeMap, diagnostics, error } = lib.generateRouteMap(
+    resolvedAppDir,
+    publicPatterns,
+    protectedPatterns,
+    generateOptions
+  );
+
+  if (error) {
+    console.error('@tradecrush/next-route-guard: Error generating route map:', error);
+    process.exit(1);
+  }
+
+  // Compare with the output file first, so the result can be part of the JSON output
+  const checkResult = check ? checkOutputFile(routeMap, resolvedOutputFile, format) : undefined;
+
+  if (options.json) {
+    console.log(JSON.stringify(checkResult ? { diagnostics, check: checkResult } : { diagnostics }, null, 2));
+  } else {
+    lib.printDiagnostics(diagnostics);
+  }
+
+  if (strict && diagnostics.some((diagnostic) => diagnostic.severity === 'error')) {
+    console.error('\n@tradecrush/next-route-guard: Errors found in strict mode, the route map was not written.');
+    process.exit(1);
+  }
+
+  if (checkResult) {
+    printCheckResult(checkResult, path.relative(process.cwd(), resolvedOutputFile));
+    process.exit(checkResult.upToDate ? 0 : 1);
+  }
+
+  // Write the route map as JSON, as a typed TypeScript module or as a compiled trie
+  lib.writeRouteMap(resolvedOutputFile, routeMap, format);
+
+  // Summarize the routes in the same way for both route map versions
+  const routes = lib.normalizeRouteMap(routeMap);
+
+  log(`@tradecrush/next-route-guard: Route map generated successfully at ${resolvedOutputFile}!`);
+  const unclassifiedRoutes = routes.unclassified || [];
+  log(
+    `Found ${routes.public.length} public routes, ${routes.protected.length} protected routes and ${unclassifiedRoutes.length} unclassified routes.`
+  );
+
+  // Print a summary
+  log('\nPublic routes:');
+  routes.public.forEach((route) => log(`  ${route}`));
+
+  log('\nProtected routes:');
+  routes.protected.forEach((route) => {
+    // Show the required roles next to routes inside role groups
+    const roles = routes.roles && routes.roles[route];
+    log(roles ? `  ${route} (roles: ${roles.join(', ')})` : `  ${route}`);
+  });
 }
 
-// Write to a JSON file
-fs.writeFileSync(resolvedOutputFile, JSON.stringify(routeMap, null, 2));
+/**
+ * Compares a generated route map with the output file, without writing it
+ *
+ * @param routeMap - The generated route map
+ * @param outputFile - Path of the route map file
+ * @param format - Format of the route map file
+ * @returns Whether the file exists and is up to date, and the route changes if they can be listed
+ */
+function checkOutputFile(routeMap, outputFile, format) {
+  if (!fs.existsSync(outputFile)) {
+    return { upToDate: false, exists: false };
+  }
 
-console.log(`@tradecrush/next-route-guard: Route map generated successfully at ${resolvedOutputFile}!`);
-console.log(`Found ${routeMap.public.length} public routes and ${routeMap.protected.length} protected routes.`);
+  // Line endings may have been converted by git
+  const contents = fs.readFileSync(outputFile, 'utf8').replace(/\r\n/g, '\n');
 
-// Print a summary
-console.log('\nPublic routes:');
-routeMap.public.forEach((route) => console.log(`  ${route}`));
+  // v2 route maps are timestamped, the one in the file doesn't make it stale
+  const generatedAt = routeMap.generatedAt && /"generatedAt": "([^"]+)"/.exec(contents);
+  const expected = lib.serializeRouteMap(generatedAt ? { ...routeMap, generatedAt: generatedAt[1] } : routeMap, format);
+  if (expected === contents) {
+    return { upToDate: true, exists: true };
+  }
+
+  const previous = lib.parseRouteMap(contents, format);
+  return { upToDate: false, exists: true, diff: previous ? lib.diffRouteMaps(previous, routeMap) : undefined };
+}
+
+/**
+ * Prints the result of checkOutputFile
+ *
+ * @param result - Result of checkOutputFile
+ * @param outputFile - Path of the route map file, as it is printed
+ */
+function printCheckResult(result, outputFile) {
+  if (result.upToDate) {
+    log(`\n@tradecrush/next-route-guard: ${outputFile} is up to date.`);
+    return;
+  }
+
+  if (!result.exists) {
+    console.error(`\n@tradecrush/next-route-guard: ${outputFile} does not exist.`);
+  } else {
+    console.error(`\n@tradecrush/next-route-guard: ${outputFile} is out of date:\n`);
+    if (!result.diff) {
+      console.error('  The file differs from the generated route map.');
+    } else if (lib.hasRouteChanges(result.diff)) {
+      lib.formatRouteMapDiff(result.diff).forEach((line) => console.error(`  ${line}`));
+    } else {
+      console.error('  The routes are unchanged, but their roles, methods or settings differ.');
+    }
+  }
+  console.error('\nRun next-route-guard-generate to update it.');
+}
 
-console.log('\nProtected routes:');
-routeMap.protected.forEach((route) => console.log(`  ${route}`));
+main().catch(exitWithError);
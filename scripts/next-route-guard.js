@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Next Route Guard - Route Inspection Commands
+ *
+ * This CLI tool answers questions about the routes of your Next.js app, like why a URL is
+ * public or protected. Each command lives in its own module in the commands directory.
+ */
+
+const { exitWithError } = require('./cli-options');
+
+/**
+ * Commands by name, loaded when they are run
+ */
+const COMMANDS = {
+  diff: './commands/diff',
+  explain: './commands/explain',
+  report: './commands/report',
+  tree: './commands/tree'
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+if (!command || command === '--help') {
+  const summaries = Object.entries(COMMANDS).map(
+    ([name, modulePath]) => `  ${name.padEnd(22)} ${require(modulePath).summary}`
+  );
+  console.log(`
+@tradecrush/next-route-guard - Route Inspection
+
+Usage: next-route-guard <command> [options]
+
+Commands:
+${summaries.join('\n')}
+
+Run next-route-guard <command> --help for the options of a command.
+`);
+  process.exit(command ? 0 : 1);
+}
+
+if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+  console.error(
+    `@tradecrush/next-route-guard: Unknown command "${command}", expected one of: ${Object.keys(COMMANDS).join(', ')}`
+  );
+  process.exit(1);
+}
+
+// Unexpected errors of the commands are reported on one line, without a stack trace
+Promise.resolve()
+  .then(() => require(COMMANDS[command]).run(args))
+  .catch(exitWithError);
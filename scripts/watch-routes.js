@@ -9,156 +9,67 @@
  * as you add or modify routes in your app.
  */
 
-const fs = require('fs');
-
 const path = require('path');
 
-const chokidar = require('chokidar');
+const { OPTIONS_HELP, exitWithError, loadLibrary, parseOptions, resolveOptions } = require('./cli-options');
 
-// NodeJS 20 compatibility: Use explicit path to index.js
-let generateRouteMap;
-try {
-  // Try importing from dist with explicit file path
-  const lib = require('../dist/index.js');
-  generateRouteMap = lib.generateRouteMap;
-} catch (error) {
-  console.log('Could not load from dist/index.js, falling back to dist directory...');
-  try {
-    // Try without explicit .js extension
-    const lib = require('../dist');
-    generateRouteMap = lib.generateRouteMap;
-  } catch (distError) {
-    console.error('Failed to load generateRouteMap from dist directory:', distError);
-    process.exit(1);
-  }
-}
+const lib = loadLibrary();
 
 // Parse command line arguments
-const args = process.argv.slice(2);
-let appDir = './app';
-let outputFile = './app/route-map.json';
-let publicPatterns = ['(public)'];
-let protectedPatterns = ['(protected)'];
-
-// Parse arguments
-for (let i = 0; i < args.length; i++) {
-  const arg = args[i];
+const options = parseOptions(process.argv.slice(2));
 
-  if (arg === '--app-dir' && i + 1 < args.length) {
-    appDir = args[++i];
-  } else if (arg === '--output' && i + 1 < args.length) {
-    outputFile = args[++i];
-  } else if (arg === '--public' && i + 1 < args.length) {
-    publicPatterns = args[++i].split(',');
-  } else if (arg === '--protected' && i + 1 < args.length) {
-    protectedPatterns = args[++i].split(',');
-  } else if (arg === '--help') {
-    console.log(`
+if (options.help) {
+  console.log(`
 @tradecrush/next-route-guard - Watch Route Changes
 
 Usage: next-route-guard-watch [options]
 
 Options:
-  --app-dir <path>       Path to the app directory (default: ./app)
-  --output <path>        Path to the output JSON file (default: ./app/route-map.json)
-  --public <patterns>    Comma-separated list of public route patterns (default: (public))
-  --protected <patterns> Comma-separated list of protected route patterns (default: (protected))
-  --help                 Display this help message
+${OPTIONS_HELP}
 `);
-    process.exit(0);
-  }
+  process.exit(0);
 }
 
-// Resolve paths
-const resolvedAppDir = path.resolve(process.cwd(), appDir);
-const resolvedOutputFile = path.resolve(process.cwd(), outputFile);
+// With --json, the diagnostics are the only output on stdout
+const log = options.json ? console.error : console.log;
 
 /**
- * Generates and saves the route map based on the current app directory structure
- * This function is called initially and whenever file changes are detected
+ * Generates the route map and keeps it up to date until the process is stopped
  */
-function generateAndSaveRouteMap() {
-  console.log('\n@tradecrush/next-route-guard: Generating route map...');
-
-  // Generate the route map
-  const { routeMap, error } = generateRouteMap(resolvedAppDir, publicPatterns, protectedPatterns);
+async function main() {
+  // Resolve paths and detect the project setup
+  const { appDir, outputFile, format, configFile, publicPatterns, protectedPatterns, generateOptions } =
+    await resolveOptions(lib, options);
 
-  if (error) {
-    console.error('@tradecrush/next-route-guard: Error generating route map:', error);
-    return;
+  if (configFile) {
+    log(`@tradecrush/next-route-guard: Using ${path.relative(process.cwd(), configFile)}`);
   }
-
-  // Create directory if it doesn't exist
-  const outputDir = path.dirname(resolvedOutputFile);
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
-  }
-
-  // Write to a JSON file
-  fs.writeFileSync(resolvedOutputFile, JSON.stringify(routeMap, null, 2));
-
-  console.log(`@tradecrush/next-route-guard: Route map updated at ${new Date().toLocaleTimeString()}`);
-  console.log(`Public routes: ${routeMap.public.length}, Protected routes: ${routeMap.protected.length}`);
-}
-
-// Generate the route map initially
-console.log(`@tradecrush/next-route-guard: Scanning app directory: ${resolvedAppDir}`);
-console.log(`Public patterns: ${publicPatterns.join(', ')}`);
-console.log(`Output file: ${resolvedOutputFile}`);
-generateAndSaveRouteMap();
-
-// Watch for changes in the app directory
-console.log(`\n@tradecrush/next-route-guard: Watching for changes in ${resolvedAppDir}...`);
-const watcher = chokidar.watch(resolvedAppDir, {
-  ignored: /(^|[/\\])\../, // ignore dotfiles
-  persistent: true,
-  ignoreInitial: true
-});
-
-/**
- * Debounce function to prevent multiple rapid updates when many files change at once
- * This ensures we don't regenerate the route map for every single file change
- */
-let timeout;
-function debouncedUpdate() {
-  clearTimeout(timeout);
-  timeout = setTimeout(() => {
-    generateAndSaveRouteMap();
-  }, 300);
+  log(`@tradecrush/next-route-guard: Scanning app directory: ${appDir}`);
+  log(`Public patterns: ${publicPatterns.join(', ')}`);
+  log(`Output file: ${outputFile}`);
+
+  // Generate the route map initially and whenever the routes change
+  lib.watchRouteMap({
+    appDir,
+    outputFile,
+    format,
+    publicPatterns,
+    protectedPatterns,
+    generateOptions,
+    // Stop on Ctrl+C and when a process manager or container runtime terminates the process
+    handleSignals: true,
+    log,
+    onGenerate: ({ diagnostics }) => {
+      // Print one line of JSON per update, so tools can follow the output
+      if (options.json) {
+        console.log(JSON.stringify({ diagnostics }));
+      } else {
+        lib.printDiagnostics(diagnostics);
+      }
+    }
+  });
+
+  log('@tradecrush/next-route-guard: Watching for route changes. Press Ctrl+C to stop.');
 }
 
-// Watch for file and directory changes
-watcher.on('add', (path) => {
-  if (path.includes('/page.') || path.includes('/layout.')) {
-    console.log('@tradecrush/next-route-guard: File added:', path);
-    debouncedUpdate();
-  }
-});
-
-watcher.on('unlink', (path) => {
-  if (path.includes('/page.') || path.includes('/layout.')) {
-    console.log('@tradecrush/next-route-guard: File removed:', path);
-    debouncedUpdate();
-  }
-});
-
-watcher.on('addDir', (path) => {
-  console.log('@tradecrush/next-route-guard: Directory added:', path);
-  debouncedUpdate();
-});
-
-watcher.on('unlinkDir', (path) => {
-  console.log('@tradecrush/next-route-guard: Directory removed:', path);
-  debouncedUpdate();
-});
-
-watcher.on('error', (error) => console.error('@tradecrush/next-route-guard: Watcher error:', error));
-
-console.log('@tradecrush/next-route-guard: Watching for route changes. Press Ctrl+C to stop.');
-
-// Handle process termination
-process.on('SIGINT', () => {
-  watcher.close();
-  console.log('@tradecrush/next-route-guard: Route watcher stopped.');
-  process.exit(0);
-});
+main().catch(exitWithError);
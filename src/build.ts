@@ -0,0 +1,25 @@
+/**
+ * Next Route Guard - Build-time tools
+ *
+ * The route map generator, the watcher, the next.config plugin, the route-guard.config loader
+ * and the helpers for writing route map files. They use Node.js APIs like the file system and
+ * process signals, so they live in their own entry point and never end up in the middleware
+ * bundle, which imports the package's main entry point.
+ *
+ * @packageDocumentation
+ */
+
+export { generateRouteMap, generateRouteMapAsync } from './generate-route-map';
+export { createRouteMapModule } from './route-map-module';
+export { readNextConfig, findAppDir, findPagesDir, DEFAULT_PAGE_EXTENSIONS } from './next-config';
+export type { NextConfigSettings } from './next-config';
+export { serializeRouteMap, parseRouteMap, writeRouteMap, printDiagnostics, ROUTE_MAP_FILE_NAMES } from './output';
+export { watchRouteMap } from './watcher';
+export { withRouteGuard } from './plugin';
+export type { NextConfigInput } from './plugin';
+export {
+  findRouteGuardConfig,
+  loadRouteGuardConfig,
+  validateRouteGuardConfig,
+  ROUTE_GUARD_CONFIG_FILES
+} from './route-guard-config';
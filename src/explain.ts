@@ -0,0 +1,190 @@
+/**
+ * Explanation of the protection status of a URL path.
+ * This module replays the decision of the middleware for a single path with the same matcher,
+ * recording the `excludeUrls` pattern that matched, the walk through the route trie and the
+ * route that decided, for the `explain` command and for debugging in your own tooling.
+ */
+import type {
+  CompiledRouteNode,
+  CompiledRouteTrie,
+  ExplainPathOptions,
+  PathExplanation,
+  PathMatchStep,
+  RouteMapEntry,
+  RouteMapInput,
+  RouteMapV2,
+  RouteStatus
+} from './types';
+import {
+  compileRouteTrie,
+  findExcludedPattern,
+  getCompiledTrieRoot,
+  getMethodProtection,
+  isCompiledRouteTrie,
+  matchPath,
+  splitLocale
+} from './route-guard';
+import { normalizeBasePath, normalizeRouteMap } from './route-map';
+
+/**
+ * Explain why the middleware treats a URL path as public or protected
+ *
+ * The path is checked the way `createRouteGuardMiddleware` checks a request: CORS preflight
+ * requests and `excludeUrls` first, then the route trie, then `defaultProtected`.
+ *
+ * @example
+ * const explanation = explainPath('/docs/v2/admin', routeMap);
+ * // { protected: true, decidedBy: 'route', route: '/docs/[version]/[...slug]', ... }
+ *
+ * @param pathname - URL path to explain, with or without the basePath
+ * @param routeMap - Route map or compiled route trie, as passed to the middleware
+ * @param options - The middleware options that affect matching
+ * @returns The decision and the steps that led to it
+ */
+export function explainPath(
+  pathname: string,
+  routeMap: RouteMapInput | CompiledRouteTrie,
+  options: ExplainPathOptions = {}
+): PathExplanation {
+  const { defaultProtected = true, excludeUrls = ['/api/(.*)'], locales } = options;
+  const trie = isCompiledRouteTrie(routeMap) ? routeMap : compileRouteTrie(routeMap);
+
+  const path = removeBasePath(pathname, normalizeBasePath(options.basePath ?? trie.basePath));
+  const method = (options.method || 'GET').toUpperCase();
+  const { locale, path: unprefixedPath } = splitLocale(path, locales);
+  const explanation: PathExplanation = { path, method, protected: false, decidedBy: 'preflight', steps: [] };
+  if (locale) {
+    explanation.locale = locale;
+  }
+
+  if (method === 'OPTIONS') {
+    return explanation;
+  }
+
+  const excludedBy = findExcludedPattern(path, locale ? unprefixedPath : undefined, excludeUrls);
+  if (excludedBy) {
+    return { ...explanation, decidedBy: 'excluded', excludedBy: String(excludedBy) };
+  }
+
+  const matchedNode = matchPath(path, getCompiledTrieRoot(trie), locales, explanation.steps);
+  const methodProtection = getMethodProtection(matchedNode, method);
+  const status = matchedNode?.s;
+
+  explanation.protected = methodProtection ?? (status === undefined ? defaultProtected : status === 1);
+  explanation.decidedBy = methodProtection !== undefined ? 'method' : status !== undefined ? 'route' : 'default';
+
+  if (matchedNode) {
+    Object.assign(explanation, describeRoute(matchedNode, explanation.steps, routeMap));
+  }
+
+  return explanation;
+}
+
+/**
+ * Describe the route of a matched node
+ *
+ * The trie doesn't keep the route patterns, so the pattern is rebuilt from the walk and looked
+ * up in the route map to get the names of its dynamic segments, its group and its source file.
+ *
+ * @param node - The matched node
+ * @param steps - The walk that led to it
+ * @param routeMap - The route map passed to explainPath
+ * @returns The route, its status and, where the route map has them, its group, source and roles.
+ * Empty if the node isn't a route, like a directory without a page.
+ */
+function describeRoute(
+  node: CompiledRouteNode,
+  steps: PathMatchStep[],
+  routeMap: RouteMapInput | CompiledRouteTrie
+): Pick<PathExplanation, 'route' | 'status' | 'group' | 'source' | 'roles'> {
+  if (steps[steps.length - 1]?.kind === 'unmatched') {
+    return {};
+  }
+
+  const pattern = '/' + steps.map(getStepPattern).join('/');
+  const status: RouteStatus = node.s === 1 ? 'protected' : node.s === 0 ? 'public' : 'unclassified';
+  const roles = node.r && node.r.length > 0 ? { roles: [...node.r] } : {};
+
+  // A compiled trie doesn't tell unclassified routes from directories without a page
+  if (isCompiledRouteTrie(routeMap)) {
+    return node.s === undefined ? {} : { route: pattern, status, ...roles };
+  }
+
+  // Routes whose dynamic segments only differ in name share a node, which has the status of
+  // the most restrictive one, so the route with that status is the one that decided
+  const shape = getRouteShape(pattern);
+  const route = (normalizeRouteMap(routeMap)[status] ?? []).find((candidate) => getRouteShape(candidate) === shape);
+  if (!route) {
+    return {};
+  }
+
+  const entry =
+    (routeMap as { version?: unknown }).version === 2
+      ? (routeMap as RouteMapV2).routes.find((candidate: RouteMapEntry) => candidate.path === route)
+      : undefined;
+
+  return {
+    route,
+    status,
+    ...(entry?.group ? { group: entry.group } : {}),
+    ...(entry?.source ? { source: entry.source } : {}),
+    ...roles
+  };
+}
+
+/**
+ * Get the part of a route pattern a step of the walk matched
+ *
+ * @param step - Step of the walk through the trie
+ * @returns The segment of the pattern, with placeholder names for dynamic segments
+ */
+function getStepPattern(step: PathMatchStep): string {
+  switch (step.kind) {
+    case 'static':
+    case 'rest':
+      return step.segments[0]!;
+    case 'dynamic':
+      return '[param]';
+    case 'locale':
+      return '[locale]';
+    case 'catch-all':
+      return '[...slug]';
+    case 'optional-catch-all':
+      return '[[...slug]]';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Get the shape of a route pattern, with the placeholder names getStepPattern uses
+ *
+ * Both kinds of catch-all share a node in the trie, so they have the same shape.
+ *
+ * @param route - Route pattern, e.g. `/docs/[version]/[...slug]`
+ * @returns The shape, e.g. `/docs/[param]/[...slug]`
+ */
+function getRouteShape(route: string): string {
+  return route
+    .split('/')
+    .map((segment) => {
+      if (segment.startsWith('[...') || segment.startsWith('[[...')) return '[...slug]';
+      if (segment.startsWith('[') && segment.endsWith(']')) return '[param]';
+      return segment;
+    })
+    .join('/');
+}
+
+/**
+ * Remove the basePath from a URL path, as the middleware does for request URLs
+ *
+ * @param pathname - URL path
+ * @param basePath - The basePath of the app
+ * @returns The path relative to the basePath
+ */
+function removeBasePath(pathname: string, basePath: string): string {
+  if (basePath && (pathname === basePath || pathname.startsWith(`${basePath}/`))) {
+    return pathname.slice(basePath.length) || '/';
+  }
+  return pathname;
+}
@@ -0,0 +1,438 @@
+/**
+ * File system access for the route map generator.
+ * The generator reads the app and pages directories through the ScanFileSystem interface,
+ * so the same scanning logic runs on top of synchronous `fs` calls (generateRouteMap) and on
+ * top of a snapshot of the tree read concurrently with `fs.promises` (generateRouteMapAsync).
+ * This guarantees that both produce the same route map. Like the generator, this module is
+ * only used at build time, never in the middleware.
+ */
+
+import type { CacheStat, ScanCache } from './scan-cache';
+
+/**
+ * An entry of a scanned directory
+ */
+export interface ScanEntry {
+  /**
+   * Name of the entry
+   */
+  item: string;
+
+  /**
+   * Path of the entry
+   */
+  itemPath: string;
+
+  /**
+   * Whether the entry itself is a symlink
+   */
+  isSymbolicLink: boolean;
+
+  /**
+   * Whether the entry is (or links to) a directory
+   */
+  isDirectory: boolean;
+
+  /**
+   * Whether the entry is (or links to) a file
+   */
+  isFile: boolean;
+
+  /**
+   * Error thrown while reading the entry, e.g. ELOOP for a symlink that points to itself
+   */
+  error?: unknown;
+}
+
+/**
+ * The contents of a scanned directory, or the error thrown while reading it
+ */
+export type DirectoryListing = { realPath: string; entries: ScanEntry[] } | { error: unknown };
+
+/**
+ * File system operations used by the route map generator
+ */
+export interface ScanFileSystem {
+  /**
+   * List the entries of a directory
+   *
+   * @param dirPath - Path of the directory
+   * @returns The real path and entries of the directory, the error thrown while reading it,
+   * or undefined if the directory doesn't exist
+   */
+  listDirectory(dirPath: string): DirectoryListing | undefined;
+
+  /**
+   * Read the source of a file
+   *
+   * @param file - Path of the file
+   * @returns The contents of the file
+   * @throws If the file can't be read
+   */
+  readFile(file: string): string;
+}
+
+/**
+ * Decides which parts of the tree the snapshot reads, mirroring what the generator scans
+ */
+export interface ScanFilter {
+  /**
+   * Whether the generator scans a directory
+   */
+  shouldDescend(entry: ScanEntry, root: string): boolean;
+
+  /**
+   * Whether the generator reads the source of a file
+   */
+  shouldRead(entry: ScanEntry, root: string): boolean;
+}
+
+/**
+ * Maximum number of file system operations the snapshot runs at the same time,
+ * which keeps large trees from running out of file descriptors
+ */
+const MAX_CONCURRENT_OPERATIONS = 32;
+
+/**
+ * Create a file system that reads the tree with synchronous `fs` calls
+ *
+ * @param cache - Cache of a previous scan, directories and files that haven't changed are
+ * taken from it instead of being read again
+ * @returns The file system used by generateRouteMap
+ */
+export function createSyncFileSystem(cache?: ScanCache): ScanFileSystem {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const fs = require('fs');
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const path = require('path');
+
+  /**
+   * Reads the type of a directory entry
+   */
+  function readEntry(dirPath: string, item: string): ScanEntry {
+    const itemPath: string = path.join(dirPath, item);
+
+    let isSymbolicLink = false;
+    try {
+      // Symlinks are resolved to the type of their target
+      isSymbolicLink = fs.lstatSync(itemPath).isSymbolicLink();
+      const stat = fs.statSync(itemPath);
+      return { item, itemPath, isSymbolicLink, isDirectory: stat.isDirectory(), isFile: stat.isFile() };
+    } catch (error) {
+      return { item, itemPath, isSymbolicLink, isDirectory: false, isFile: false, error };
+    }
+  }
+
+  return {
+    listDirectory(dirPath) {
+      if (!fs.existsSync(dirPath)) return undefined;
+
+      let stat: CacheStat | undefined;
+      let realPath: string;
+      let items: string[];
+      try {
+        if (cache) {
+          const dirStat: CacheStat = fs.statSync(dirPath);
+          const cached = cache.getDirectory(dirPath, dirStat);
+          if (cached) {
+            const entries = cached.entries.map((entry) => (isVolatile(entry) ? readEntry(dirPath, entry.item) : entry));
+            return { realPath: cached.realPath, entries };
+          }
+          stat = dirStat;
+        }
+
+        realPath = fs.realpathSync(dirPath);
+        items = fs.readdirSync(dirPath);
+      } catch (error) {
+        return { error };
+      }
+
+      const entries = items.map((item) => readEntry(dirPath, item));
+      if (stat) cache?.setDirectory(dirPath, stat, { realPath, entries });
+
+      return { realPath, entries };
+    },
+
+    readFile(file) {
+      if (!cache) return fs.readFileSync(file, 'utf8');
+
+      const stat = fs.statSync(file);
+      const cached = cache.getFile(file, stat);
+      if (cached !== undefined) return cached;
+
+      const source: string = fs.readFileSync(file, 'utf8');
+      cache.setFile(file, stat, source);
+      return source;
+    }
+  };
+}
+
+/**
+ * Read a snapshot of the scanned tree concurrently with `fs.promises`
+ *
+ * Directories are listed and sources are read in parallel, as far as the filter says the
+ * generator will need them. Symlink loops are not followed: a directory whose real path is
+ * already on the way down from the root is listed but not descended into, so the generator
+ * can report the loop just like it does with the synchronous file system.
+ *
+ * @param roots - Directories to scan (the app directory and optionally the pages directory)
+ * @param filter - Decides which directories are scanned and which sources are read
+ * @param cache - Cache of a previous scan, directories and files that haven't changed are
+ * taken from it instead of being read again
+ * @returns A file system that answers from the snapshot
+ */
+export async function createSnapshotFileSystem(
+  roots: string[],
+  filter: ScanFilter,
+  cache?: ScanCache
+): Promise<ScanFileSystem> {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const fs = require('fs');
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const path = require('path');
+
+  const limit = createLimiter(MAX_CONCURRENT_OPERATIONS);
+  const listings = new Map<string, DirectoryListing | undefined>();
+  const sources = new Map<string, { source: string } | { error: unknown }>();
+
+  /**
+   * Reads the type of a directory entry
+   */
+  async function readEntry(dirPath: string, item: string): Promise<ScanEntry> {
+    const itemPath: string = path.join(dirPath, item);
+
+    let isSymbolicLink = false;
+    try {
+      // Symlinks are resolved to the type of their target
+      isSymbolicLink = await limit<boolean>(async () => (await fs.promises.lstat(itemPath)).isSymbolicLink());
+      const stat = await limit<{ isDirectory(): boolean; isFile(): boolean }>(() => fs.promises.stat(itemPath));
+      return { item, itemPath, isSymbolicLink, isDirectory: stat.isDirectory(), isFile: stat.isFile() };
+    } catch (error) {
+      return { item, itemPath, isSymbolicLink, isDirectory: false, isFile: false, error };
+    }
+  }
+
+  /**
+   * Lists a directory, resolving the type of every entry
+   */
+  async function listDirectory(dirPath: string): Promise<DirectoryListing | undefined> {
+    try {
+      await limit(() => fs.promises.access(dirPath));
+    } catch {
+      return undefined;
+    }
+
+    let stat: CacheStat | undefined;
+    let realPath: string;
+    let items: string[];
+    try {
+      if (cache) {
+        stat = await limit<CacheStat>(() => fs.promises.stat(dirPath));
+        const cached = cache.getDirectory(dirPath, stat);
+        if (cached) {
+          const entries = await Promise.all(
+            cached.entries.map((entry) => (isVolatile(entry) ? readEntry(dirPath, entry.item) : entry))
+          );
+          return { realPath: cached.realPath, entries };
+        }
+      }
+
+      realPath = await limit<string>(() => fs.promises.realpath(dirPath));
+      items = await limit<string[]>(() => fs.promises.readdir(dirPath));
+    } catch (error) {
+      return { error };
+    }
+
+    const entries = await Promise.all(items.map((item) => readEntry(dirPath, item)));
+    if (stat) cache?.setDirectory(dirPath, stat, { realPath, entries });
+
+    return { realPath, entries };
+  }
+
+  /**
+   * Reads the source of a file, or takes it from the cache if the file hasn't changed
+   */
+  async function readSource(file: string): Promise<string> {
+    if (!cache) return limit<string>(() => fs.promises.readFile(file, 'utf8'));
+
+    const stat = await limit<CacheStat>(() => fs.promises.stat(file));
+    const cached = cache.getFile(file, stat);
+    if (cached !== undefined) return cached;
+
+    const source = await limit<string>(() => fs.promises.readFile(file, 'utf8'));
+    cache.setFile(file, stat, source);
+    return source;
+  }
+
+  /**
+   * Recursively reads a directory and everything the generator will scan inside it
+   */
+  async function walk(dirPath: string, root: string, ancestors: ReadonlySet<string>): Promise<void> {
+    const listing = await listDirectory(dirPath);
+    listings.set(dirPath, listing);
+
+    if (!listing || 'error' in listing || ancestors.has(listing.realPath)) return;
+    const nextAncestors = new Set(ancestors).add(listing.realPath);
+
+    await Promise.all(
+      listing.entries.map(async (entry) => {
+        if (entry.error) return;
+
+        if (entry.isDirectory && filter.shouldDescend(entry, root)) {
+          await walk(entry.itemPath, root, nextAncestors);
+        } else if (entry.isFile && filter.shouldRead(entry, root)) {
+          try {
+            sources.set(entry.itemPath, { source: await readSource(entry.itemPath) });
+          } catch (error) {
+            sources.set(entry.itemPath, { error });
+          }
+        }
+      })
+    );
+  }
+
+  await Promise.all(roots.map((root) => walk(root, root, new Set())));
+
+  return {
+    listDirectory(dirPath) {
+      if (!listings.has(dirPath)) {
+        throw new Error(`Directory ${dirPath} is not part of the scanned snapshot`);
+      }
+      return listings.get(dirPath);
+    },
+
+    readFile(file) {
+      const result = sources.get(file);
+      if (!result) {
+        throw new Error(`File ${file} is not part of the scanned snapshot`);
+      }
+      if ('error' in result) {
+        throw result.error;
+      }
+      return result.source;
+    }
+  };
+}
+
+/**
+ * Check whether the type of a cached directory entry has to be read again
+ *
+ * Adding, removing or replacing an entry changes the modification time of its directory, but
+ * the target of a symlink can change without touching it, so symlinks and entries that couldn't
+ * be read are never taken from the cache.
+ *
+ * @param entry - The cached entry
+ * @returns Whether the entry has to be read again
+ */
+function isVolatile(entry: ScanEntry): boolean {
+  return entry.isSymbolicLink || (!entry.isDirectory && !entry.isFile);
+}
+
+/**
+ * Compile gitignore-style patterns into a function that checks paths against them
+ *
+ * Supported syntax:
+ * - `*` matches anything except `/`, `?` matches a single character other than `/`
+ * - `**` as a whole segment matches any number of directories, e.g. `docs/**` or `(drafts)/**`
+ * - Patterns without a `/` (other than a trailing one) match at any depth, others are
+ *   relative to the scanned directory, e.g. `/(internal)` only matches at the top level
+ * - A trailing `/` only matches directories
+ * - A leading `!` re-includes paths excluded by an earlier pattern
+ * - Empty lines and lines starting with `#` are ignored
+ *
+ * Square brackets match literally, since they are part of dynamic segment names like `[id]`.
+ *
+ * @param patterns - The ignore patterns
+ * @returns Function that checks whether a path (relative to the scanned directory, with `/`
+ * separators) is ignored
+ */
+export function compileIgnorePatterns(patterns: string[]): (relativePath: string, isDirectory: boolean) => boolean {
+  const rules = patterns
+    .map((pattern) => pattern.trim())
+    .filter((pattern) => pattern !== '' && !pattern.startsWith('#'))
+    .map(compileIgnoreRule);
+
+  return (relativePath, isDirectory) => {
+    // As with .gitignore, the last matching pattern decides
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.negated === ignored && (!rule.directoryOnly || isDirectory) && rule.regExp.test(relativePath)) {
+        ignored = !rule.negated;
+      }
+    }
+    return ignored;
+  };
+}
+
+/**
+ * Compile a single gitignore-style pattern
+ *
+ * @param pattern - The ignore pattern
+ * @returns The regular expression of the pattern and its modifiers
+ */
+function compileIgnoreRule(pattern: string): { regExp: RegExp; negated: boolean; directoryOnly: boolean } {
+  const negated = pattern.startsWith('!');
+  let glob = negated ? pattern.slice(1) : pattern;
+
+  const directoryOnly = glob.endsWith('/');
+  if (directoryOnly) glob = glob.slice(0, -1);
+
+  // Patterns with a slash are anchored to the scanned directory
+  const anchored = glob.includes('/');
+  if (glob.startsWith('/')) glob = glob.slice(1);
+
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]!;
+
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" matches any number of directories, any other "**" matches everything
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return { regExp: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`), negated, directoryOnly };
+}
+
+/**
+ * Create a function that limits how many asynchronous operations run at the same time
+ *
+ * @param maxConcurrent - Maximum number of operations running at once
+ * @returns Function that runs an operation once a slot is free
+ */
+function createLimiter(maxConcurrent: number): <T>(operation: () => Promise<T>) => Promise<T> {
+  let active = 0;
+  const queue: Array<() => void> = [];
+
+  return async (operation) => {
+    if (active < maxConcurrent) {
+      active++;
+    } else {
+      // Wait for a running operation to hand over its slot
+      await new Promise<void>((resolve) => queue.push(resolve));
+    }
+
+    try {
+      return await operation();
+    } finally {
+      const next = queue.shift();
+      if (next) {
+        next();
+      } else {
+        active--;
+      }
+    }
+  };
+}
@@ -0,0 +1,1236 @@
+/**
+ * Generator of the route map. It scans the app and pages directories of a Next.js project
+ * and classifies every route by the route groups it lives in. It runs at build time in
+ * Node.js, through the CLI tools, the watcher or the next.config plugin, never in the middleware.
+ */
+
+import type {
+  DiagnosticCode,
+  DiagnosticSeverity,
+  GenerateRouteMapOptions,
+  GenerateRouteMapResult,
+  GroupPattern,
+  RouteConflict,
+  RouteMap,
+  RouteMapDiagnostic,
+  RouteMapEntry,
+  RouteMapV2,
+  RouteStatus
+} from './types';
+import { getRouteKind, normalizeBasePath, recordMiddlewareOptions } from './route-map';
+import { DEFAULT_PAGE_EXTENSIONS } from './next-config';
+import {
+  compileIgnorePatterns,
+  createSnapshotFileSystem,
+  createSyncFileSystem,
+  type ScanEntry,
+  type ScanFileSystem,
+  type ScanFilter
+} from './file-system';
+import { loadScanCache } from './scan-cache';
+
+/**
+ * Generate a route map based on the Next.js app directory structure.
+ *
+ * This function analyzes the directory structure to identify routes and their protection status.
+ * It's used by the CLI tools to generate the route map at build time or during development.
+ *
+ * Routes are classified as protected or public based on their directory context:
+ * - Routes inside a "(public)" directory group are marked as public
+ * - Routes inside a "(protected)" directory group are marked as protected
+ * - Routes inside a role group such as "(role-admin)" or "(roles:admin,billing)" are marked
+ *   as protected and additionally require one of the listed roles
+ * - Routes inherit protection status from their parent directories
+ * - Patterns can be exact group names, globs like "(public-*)" or regular expressions
+ * - Routes outside of any of these groups are listed as "unclassified", so the
+ *   `defaultProtected` option of the middleware decides their protection at runtime
+ *
+ * App Router conventions that don't map one-to-one to URL segments are resolved as well:
+ * - Parallel route slots like "@modal" are removed from the URL
+ * - Intercepting routes like "(.)photo", "(..)settings" or "(...)login" resolve to the URL they intercept
+ * - "default" files are treated like pages, since they render for their parent URL
+ *
+ * Route handlers ("route.ts" files) are included too. The HTTP methods they export are detected
+ * statically and listed in the `methods` field. A method can override the protection status of its
+ * route with an `@public` or `@protected` tag in the comment right before its export.
+ *
+ * Only files with one of `options.pageExtensions` are considered (the Next.js defaults unless
+ * configured), so that e.g. "page.mdx" is picked up when MDX pages are enabled in next.config.
+ *
+ * When `options.pagesDir` is set, routes from the Pages Router are merged into the same map.
+ * Since the pages directory has no route groups, their protection is decided by:
+ * - An `@public` or `@protected` tag in the comment at the top of the page file
+ * - Otherwise the longest matching prefix in `options.publicPaths` / `options.protectedPaths`
+ * - Otherwise the route is unclassified
+ *
+ * When several files claim the same URL with different statuses (the same route in a public
+ * and a protected group, or dynamic segments with different param names at the same level),
+ * the most restrictive status wins and the collision is reported in `conflicts`.
+ *
+ * Problems found along the way (unreadable directories, symlink loops, routes without a
+ * protection status, misspelled or empty groups, duplicate routes and conflicts) are reported
+ * in `diagnostics` rather than aborting the scan.
+ *
+ * Symlinks are followed unless `options.symlinks` says otherwise, and files and directories
+ * matching the gitignore-style `options.ignore` patterns are skipped.
+ *
+ * With `options.cacheDir` set, directories and files that haven't changed since the previous
+ * scan with the same options are taken from a persistent cache instead of being read again.
+ *
+ * With `options.version` set to 2, the route map is generated in the versioned format, which
+ * records the source file, deciding group and kind of every route, along with the options used,
+ * a timestamp and a content hash.
+ *
+ * @param appDir - Path to the Next.js app directory
+ * @param publicPatterns - Array of group names, globs or regular expressions that indicate public routes
+ * @param protectedPatterns - Array of group names, globs or regular expressions that indicate protected routes
+ * @param options - Additional options, such as the Pages Router directory
+ * @returns Object containing either the generated route map with its conflicts and diagnostics, or an error message
+ */
+export function generateRouteMap(
+  appDir: string,
+  publicPatterns?: GroupPattern[],
+  protectedPatterns?: GroupPattern[],
+  options?: GenerateRouteMapOptions & { version?: 1 }
+): GenerateRouteMapResult<RouteMap>;
+export function generateRouteMap(
+  appDir: string,
+  publicPatterns: GroupPattern[] | undefined,
+  protectedPatterns: GroupPattern[] | undefined,
+  options: GenerateRouteMapOptions & { version: 2 }
+): GenerateRouteMapResult<RouteMapV2>;
+export function generateRouteMap(
+  appDir: string,
+  publicPatterns?: GroupPattern[],
+  protectedPatterns?: GroupPattern[],
+  options?: GenerateRouteMapOptions
+): GenerateRouteMapResult<RouteMap | RouteMapV2>;
+export function generateRouteMap(
+  appDir: string,
+  publicPatterns: GroupPattern[] = ['(public)'],
+  protectedPatterns: GroupPattern[] = ['(protected)'],
+  options: GenerateRouteMapOptions = {}
+): GenerateRouteMapResult<RouteMap | RouteMapV2> {
+  // Make sure we're running in a Node.js environment
+  if (typeof process === 'undefined' || !process.env) {
+    return { error: 'This function can only be used in a Node.js environment' };
+  }
+
+  try {
+    const cache = options.cacheDir
+      ? loadScanCache(options.cacheDir, getScanCacheKey(appDir, publicPatterns, protectedPatterns, options))
+      : undefined;
+    const result = buildRouteMap(appDir, publicPatterns, protectedPatterns, options, createSyncFileSystem(cache));
+    cache?.save();
+    return result;
+  } catch (error) {
+    return { error: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+/**
+ * Generate a route map without blocking the event loop.
+ *
+ * This works like {@link generateRouteMap} and produces the same route map, conflicts and
+ * diagnostics, but reads the app and pages directories concurrently with `fs.promises`
+ * first. Use it in long-running processes like dev servers and watchers, or for large trees.
+ *
+ * @param appDir - Path to the Next.js app directory
+ * @param publicPatterns - Array of group names, globs or regular expressions that indicate public routes
+ * @param protectedPatterns - Array of group names, globs or regular expressions that indicate protected routes
+ * @param options - Additional options, such as the Pages Router directory
+ * @returns Promise of the generated route map with its conflicts and diagnostics, or an error message
+ */
+export function generateRouteMapAsync(
+  appDir: string,
+  publicPatterns?: GroupPattern[],
+  protectedPatterns?: GroupPattern[],
+  options?: GenerateRouteMapOptions & { version?: 1 }
+): Promise<GenerateRouteMapResult<RouteMap>>;
+export function generateRouteMapAsync(
+  appDir: string,
+  publicPatterns: GroupPattern[] | undefined,
+  protectedPatterns: GroupPattern[] | undefined,
+  options: GenerateRouteMapOptions & { version: 2 }
+): Promise<GenerateRouteMapResult<RouteMapV2>>;
+export function generateRouteMapAsync(
+  appDir: string,
+  publicPatterns?: GroupPattern[],
+  protectedPatterns?: GroupPattern[],
+  options?: GenerateRouteMapOptions
+): Promise<GenerateRouteMapResult<RouteMap | RouteMapV2>>;
+export async function generateRouteMapAsync(
+  appDir: string,
+  publicPatterns: GroupPattern[] = ['(public)'],
+  protectedPatterns: GroupPattern[] = ['(protected)'],
+  options: GenerateRouteMapOptions = {}
+): Promise<GenerateRouteMapResult<RouteMap | RouteMapV2>> {
+  // Make sure we're running in a Node.js environment
+  if (typeof process === 'undefined' || !process.env) {
+    return { error: 'This function can only be used in a Node.js environment' };
+  }
+
+  try {
+    const roots = options.pagesDir ? [appDir, options.pagesDir] : [appDir];
+    const cache = options.cacheDir
+      ? loadScanCache(options.cacheDir, getScanCacheKey(appDir, publicPatterns, protectedPatterns, options))
+      : undefined;
+    const fileSystem = await createSnapshotFileSystem(roots, createScanFilter(appDir, options), cache);
+    const result = buildRouteMap(appDir, publicPatterns, protectedPatterns, options, fileSystem);
+    cache?.save();
+    return result;
+  } catch (error) {
+    return { error: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+/**
+ * Scan the app (and pages) directory through a file system and build the route map
+ *
+ * This is the implementation shared by generateRouteMap and generateRouteMapAsync, see
+ * {@link generateRouteMap} for how routes are classified.
+ *
+ * @param appDir - Path to the Next.js app directory
+ * @param publicPatterns - Group patterns that indicate public routes
+ * @param protectedPatterns - Group patterns that indicate protected routes
+ * @param options - Additional options, such as the Pages Router directory
+ * @param fileSystem - File system the directories are read from
+ * @returns The generated route map with its conflicts and diagnostics
+ * @throws If the file system fails in an unexpected way
+ */
+function buildRouteMap(
+  appDir: string,
+  publicPatterns: GroupPattern[],
+  protectedPatterns: GroupPattern[],
+  options: GenerateRouteMapOptions,
+  fileSystem: ScanFileSystem
+): GenerateRouteMapResult<RouteMap | RouteMapV2> {
+  // We need to dynamically import path since it's not available in Edge runtime
+  // This function is only intended to be used during build time or development
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const path = require('path');
+
+  // Initialize the route map
+  const routeMap: RouteMap = {
+    public: [],
+    protected: []
+  };
+
+  // Required roles for routes inside role groups
+  const roles: Record<string, string[]> = {};
+
+  // HTTP methods exported by route handlers, grouped by protection status
+  const methods: Record<string, { public: string[]; protected: string[] }> = {};
+
+  // File extensions of pages and route handlers, as configured in next.config
+  const pageExtensions = options.pageExtensions ?? DEFAULT_PAGE_EXTENSIONS;
+
+  // Routes that are not inside any public or protected group
+  let unclassified: string[] = [];
+
+  // Every file that produced a route, used to detect conflicting claims on the same URL
+  const claims: RouteConflict['claims'] = [];
+
+  // Problems found while scanning, returned alongside the route map
+  const diagnostics: RouteMapDiagnostic[] = [];
+
+  // Real paths of the directories currently being scanned, used to detect symlink loops
+  const activeDirectories = new Set<string>();
+
+  // Group patterns that decide the protection status of their routes
+  const publicMatchers = publicPatterns.map(compileGroupPattern);
+  const protectedMatchers = protectedPatterns.map(compileGroupPattern);
+
+  // Exact group names, which are the only patterns a misspelled group can be compared with
+  const groupNames = [...publicPatterns, ...protectedPatterns].filter(
+    (pattern): pattern is string => typeof pattern === 'string' && !isGlobPattern(pattern)
+  );
+
+  /**
+   * Adds a route to the appropriate category in the route map
+   *
+   * The same URL can be produced several times (by a page, parallel slots and their
+   * default files, or intercepting routes), so each route is only added once.
+   *
+   * @param routePath - URL pattern of the route
+   * @param file - Path of the file that produces the route
+   * @param isProtected - Whether the route is protected, or undefined if no group decided it
+   * @param group - Group (or Pages Router tag or path prefix) that decided the status
+   * @param requiredRoles - Roles required to access the route, if it is inside a role group
+   */
+  function addRoute(
+    routePath: string,
+    file: string,
+    isProtected: boolean | undefined,
+    group?: string,
+    requiredRoles: string[] | null = null
+  ) {
+    const status = isProtected === undefined ? 'unclassified' : isProtected ? 'protected' : 'public';
+    claims.push(group ? { file, route: routePath, status, group } : { file, route: routePath, status });
+
+    if (isProtected === undefined) {
+      if (!unclassified.includes(routePath)) {
+        unclassified.push(routePath);
+      }
+    } else if (isProtected) {
+      if (!routeMap.protected.includes(routePath)) {
+        routeMap.protected.push(routePath);
+      }
+      if (requiredRoles) {
+        roles[routePath] = requiredRoles;
+      }
+    } else if (!routeMap.public.includes(routePath)) {
+      routeMap.public.push(routePath);
+    }
+  }
+
+  /**
+   * Records a diagnostic about the scanned files
+   *
+   * @param severity - How serious the problem is
+   * @param code - Identifier of the kind of problem
+   * @param file - File or directory the problem was found in
+   * @param message - Description of the problem
+   * @param relatedFiles - Other files involved in the problem
+   */
+  function report(
+    severity: DiagnosticSeverity,
+    code: DiagnosticCode,
+    file: string,
+    message: string,
+    relatedFiles?: string[]
+  ) {
+    diagnostics.push(
+      relatedFiles ? { severity, code, file, message, relatedFiles } : { severity, code, file, message }
+    );
+  }
+
+  // Decides which entries are skipped by the ignore patterns and the symlink policy
+  const scanFilter = createScanFilter(appDir, options);
+
+  /**
+   * Lists the entries of a directory for scanning
+   *
+   * Directories and entries that can't be read, and symlinks that lead back to a directory
+   * that is already being scanned, are reported as diagnostics and skipped instead of
+   * aborting the whole scan. Directories that don't exist are skipped silently, as are
+   * ignored entries and symlinks the symlink policy doesn't follow.
+   * The caller must remove the returned real path from `activeDirectories` when done.
+   *
+   * @param dirPath - Path of the directory
+   * @param root - The app or pages directory the scan started from
+   * @returns The real path of the directory and its entries, or undefined to skip the directory
+   */
+  function openDirectory(dirPath: string, root: string): { realPath: string; entries: ScanEntry[] } | undefined {
+    const listing = fileSystem.listDirectory(dirPath);
+    if (!listing) return undefined;
+
+    if ('error' in listing) {
+      report('error', 'unreadable-directory', dirPath, `Could not read directory: ${getErrorMessage(listing.error)}`);
+      return undefined;
+    }
+
+    const { realPath } = listing;
+    if (activeDirectories.has(realPath)) {
+      report('warning', 'symlink-loop', dirPath, `Skipped symlink that loops back to ${realPath}`);
+      return undefined;
+    }
+    activeDirectories.add(realPath);
+
+    const entries: ScanEntry[] = [];
+    for (const entry of listing.entries) {
+      if (scanFilter.isIgnored(entry, root)) continue;
+
+      if (entry.isSymbolicLink && options.symlinks === 'error') {
+        report(
+          'error',
+          'disallowed-symlink',
+          entry.itemPath,
+          'Skipped symlink, symlinks are not allowed by the symlinks option'
+        );
+        continue;
+      }
+      if (entry.isSymbolicLink && options.symlinks === 'ignore') continue;
+
+      if (entry.error) {
+        if ((entry.error as { code?: string }).code === 'ELOOP') {
+          report('warning', 'symlink-loop', entry.itemPath, 'Skipped symlink that loops back to itself');
+        } else {
+          report('error', 'unreadable-file', entry.itemPath, `Could not read file: ${getErrorMessage(entry.error)}`);
+        }
+        continue;
+      }
+
+      entries.push(entry);
+    }
+
+    return { realPath, entries };
+  }
+
+  /**
+   * Reads the source of a page or route handler, reporting files that can't be read
+   *
+   * @param file - Path of the file
+   * @returns The source of the file, or undefined if it couldn't be read
+   */
+  function readSource(file: string): string | undefined {
+    try {
+      return fileSystem.readFile(file);
+    } catch (error) {
+      report('error', 'unreadable-file', file, `Could not read file: ${getErrorMessage(error)}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Checks whether a route group is one of the configured patterns or a role group
+   *
+   * @param group - Name of the route group directory
+   * @returns Whether the group decides the protection status of its routes
+   */
+  function isConfiguredGroup(group: string): boolean {
+    return (
+      matchesGroupPattern(group, publicMatchers) ||
+      matchesGroupPattern(group, protectedMatchers) ||
+      parseRoleGroup(group) !== null
+    );
+  }
+
+  /**
+   * Recursively scans the directory structure to identify routes
+   *
+   * @param dirPath - Current directory path being scanned
+   * @param segments - URL segments collected so far (for constructing the route path)
+   * @param groups - Route groups encountered in the current path
+   * @returns Number of route files found, or undefined if the directory couldn't be scanned
+   */
+  function scanDirectory(dirPath: string, segments: string[] = [], groups: string[] = []): number | undefined {
+    // Read directory contents, skipping directories that can't be read
+    const directory = openDirectory(dirPath, appDir);
+    if (!directory) return undefined;
+
+    let routeCount = 0;
+
+    // Process each item in the directory
+    for (const { item, itemPath, isDirectory, isFile } of directory.entries) {
+      if (isDirectory) {
+        // Skip special directories like node_modules
+        if (isSkippedDirectory(item)) continue;
+
+        // Check if this is a route group (enclosed in parentheses)
+        const isRouteGroup = item.startsWith('(') && item.endsWith(')');
+        const interception = parseInterceptionMarker(item);
+        const newGroups = [...groups];
+        let newSegments = [...segments];
+
+        if (isRouteGroup) {
+          // Route groups are organizational only and don't affect the URL path
+          newGroups.push(item);
+
+          // Warn about groups that are probably a misspelled public or protected pattern,
+          // since their routes would silently fall back to the runtime default
+          const similarPattern = isConfiguredGroup(item) ? undefined : findSimilarPattern(item, groupNames);
+          if (similarPattern) {
+            report(
+              'warning',
+              'possible-group-typo',
+              itemPath,
+              `Route group ${item} is not a configured pattern. Did you mean ${similarPattern}?`
+            );
+          }
+        } else if (item.startsWith('@')) {
+          // Parallel route slots (@modal, @sidebar) render alongside their parent
+          // and don't affect the URL path either
+        } else if (interception) {
+          // Intercepting routes resolve to the URL of the route they intercept,
+          // relative to the current route segments
+          newSegments =
+            interception.levelsUp === Infinity
+              ? []
+              : newSegments.slice(0, Math.max(0, newSegments.length - interception.levelsUp));
+          newSegments.push(interception.segment);
+        } else {
+          // Regular directories become part of the URL path
+          newSegments.push(item);
+        }
+
+        // Continue scanning subdirectories
+        const subdirectoryRouteCount = scanDirectory(itemPath, newSegments, newGroups);
+        routeCount += subdirectoryRouteCount ?? 0;
+
+        if (isRouteGroup && subdirectoryRouteCount === 0) {
+          report('warning', 'empty-route-group', itemPath, `Route group ${item} contains no pages or route handlers`);
+        }
+      } else if (isFile && APP_ROUTE_FILES.includes(stripPageExtension(item, pageExtensions) ?? '')) {
+        // Found a page (or parallel route default, or route handler) file, which represents a route endpoint
+        routeCount++;
+        const route = '/' + segments.join('/');
+        const routePath = route === '//' ? '/' : route;
+
+        // Determine if the route is protected based on its group context
+        // Routes outside of any group are left to the runtime default
+        let isProtected: boolean | undefined = undefined;
+        let requiredRoles: string[] | null = null;
+        let decidingGroup: string | undefined;
+
+        // Check route groups to determine protection status
+        // Process groups in reverse order to prioritize the innermost (most specific) group
+        // This behavior was enhanced in v0.2.2 to allow nested groups to override parent groups
+        // For example, (public)/docs/(protected)/admin would make /docs/admin protected
+        // despite being in a public parent group
+        // Role groups follow the same rule: the innermost role group decides the required roles
+        for (let i = groups.length - 1; i >= 0; i--) {
+          const group = groups[i];
+          if (group && matchesGroupPattern(group, publicMatchers)) {
+            isProtected = false;
+            decidingGroup = group;
+            break;
+          } else if (group && matchesGroupPattern(group, protectedMatchers)) {
+            isProtected = true;
+            decidingGroup = group;
+            break;
+          } else if (group) {
+            requiredRoles = parseRoleGroup(group);
+            if (requiredRoles) {
+              isProtected = true;
+              decidingGroup = group;
+              break;
+            }
+          }
+        }
+
+        // Add to the appropriate category in the route map
+        addRoute(routePath, itemPath, isProtected, decidingGroup, requiredRoles);
+
+        // For route handlers, record the exported methods. Methods without an explicit
+        // tag use the protection status of the route (and are left out for unclassified routes)
+        if (item.startsWith('route.')) {
+          const routeMethods = { public: [] as string[], protected: [] as string[] };
+
+          for (const { method, status } of detectRouteHandlerMethods(readSource(itemPath) ?? '')) {
+            const methodIsProtected = status ? status === 'protected' : isProtected;
+            if (methodIsProtected !== undefined) {
+              routeMethods[methodIsProtected ? 'protected' : 'public'].push(method);
+            }
+          }
+
+          methods[routePath] = routeMethods;
+        }
+      }
+    }
+
+    activeDirectories.delete(directory.realPath);
+    return routeCount;
+  }
+
+  /**
+   * Recursively scans a Pages Router directory to identify routes
+   *
+   * Every file is a route (`about.tsx` → `/about`, `blog/index.tsx` → `/blog`), except for the
+   * special `_app`, `_document` and `_error` files. API routes under `pages/api` are included.
+   *
+   * @param dirPath - Current directory path being scanned
+   * @param segments - URL segments collected so far (for constructing the route path)
+   */
+  function scanPagesDirectory(dirPath: string, segments: string[] = []) {
+    // Read directory contents, skipping directories that can't be read
+    const directory = openDirectory(dirPath, options.pagesDir!);
+    if (!directory) return;
+
+    for (const { item, itemPath, isDirectory, isFile } of directory.entries) {
+      if (isDirectory) {
+        // Skip special directories like node_modules
+        if (isSkippedDirectory(item)) continue;
+
+        // Every directory in the pages directory is part of the URL path
+        scanPagesDirectory(itemPath, [...segments, item]);
+        continue;
+      }
+
+      const name = stripPageExtension(item, pageExtensions);
+      if (!isFile || !name) continue;
+
+      // Skip the special files that customize the app rather than define routes
+      if (PAGES_SPECIAL_FILES.includes(name)) continue;
+
+      // Index files represent the route of their directory
+      const routeSegments = name === 'index' ? segments : [...segments, name];
+      const routePath = '/' + routeSegments.join('/');
+
+      // A tag in the file takes precedence over the configured path prefixes
+      const tag = detectFileProtectionTag(readSource(itemPath) ?? '');
+      const prefixMatch = tag ? undefined : getPathPrefixProtection(routePath);
+
+      if (tag) {
+        addRoute(routePath, itemPath, tag === 'protected', `@${tag}`);
+      } else {
+        addRoute(routePath, itemPath, prefixMatch?.isProtected, prefixMatch?.prefix);
+      }
+    }
+
+    activeDirectories.delete(directory.realPath);
+  }
+
+  /**
+   * Determines the protection status of a Pages Router route from the configured path prefixes
+   * The longest (most specific) matching prefix wins, similar to the innermost route group
+   *
+   * @param routePath - URL pattern of the route
+   * @returns Whether the route is protected and the matching prefix, or undefined if no prefix matches
+   */
+  function getPathPrefixProtection(routePath: string): { isProtected: boolean; prefix: string } | undefined {
+    let match: { isProtected: boolean; prefix: string } | undefined;
+    let longestMatch = -1;
+
+    const prefixes = [
+      ...(options.publicPaths ?? []).map((prefix) => ({ prefix, isProtected: false })),
+      ...(options.protectedPaths ?? []).map((prefix) => ({ prefix, isProtected: true }))
+    ];
+
+    for (const { prefix, isProtected: prefixIsProtected } of prefixes) {
+      const normalizedPrefix = prefix.length > 1 ? prefix.replace(/\/+$/, '') : prefix;
+      const matches =
+        normalizedPrefix === '/' || routePath === normalizedPrefix || routePath.startsWith(normalizedPrefix + '/');
+
+      // On a tie between a public and a protected prefix, the protected one wins
+      if (
+        matches &&
+        (normalizedPrefix.length > longestMatch || (normalizedPrefix.length === longestMatch && prefixIsProtected))
+      ) {
+        match = { isProtected: prefixIsProtected, prefix };
+        longestMatch = normalizedPrefix.length;
+      }
+    }
+
+    return match;
+  }
+
+  // Start the directory scan from the app root
+  scanDirectory(appDir);
+
+  // Merge in the routes from the Pages Router, if configured
+  if (options.pagesDir) {
+    scanPagesDirectory(options.pagesDir);
+  }
+
+  /**
+   * Checks whether a file defines the route at its URL, as opposed to parallel route
+   * defaults, slots and intercepting routes, which render alongside the route's own page
+   *
+   * @param file - Path of the page or route handler
+   * @returns Whether the file is the page or route handler of its URL
+   */
+  function isPrimaryRouteFile(file: string): boolean {
+    const relativeSegments: string[] = path.relative(appDir, file).split(path.sep);
+
+    // Every file in the pages directory defines its own route
+    if (relativeSegments[0] === '..') return true;
+
+    const name = stripPageExtension(relativeSegments.pop()!, pageExtensions);
+    return (
+      name !== 'default' &&
+      !relativeSegments.some((segment) => segment.startsWith('@') || parseInterceptionMarker(segment))
+    );
+  }
+
+  /**
+   * Finds URLs claimed with different statuses and moves all of their routes to the most
+   * restrictive status, so a collision can never make a route less protected than intended.
+   * URLs defined by several pages or route handlers with the same status are reported as
+   * duplicates, since Next.js refuses to build them.
+   *
+   * Only the pages and route handlers of a URL decide its status. Slots, parallel route
+   * defaults and intercepting routes render inside that page, so they take its status, and
+   * only decide it themselves for URLs that no page or route handler defines.
+   *
+   * @returns The conflicts that were found
+   */
+  function resolveConflicts(): RouteConflict[] {
+    const conflicts: RouteConflict[] = [];
+
+    // Group the claims by the URLs they match, ignoring the names of dynamic segments
+    const claimsByUrl = new Map<string, typeof claims>();
+    for (const claim of claims) {
+      const key = normalizeDynamicSegments(claim.route);
+      claimsByUrl.set(key, [...(claimsByUrl.get(key) ?? []), claim]);
+    }
+
+    for (const urlClaims of claimsByUrl.values()) {
+      const primaryClaims = urlClaims.filter((claim) => isPrimaryRouteFile(claim.file));
+      const decidingClaims = primaryClaims.length > 0 ? primaryClaims : urlClaims;
+      const statuses = STATUS_PRECEDENCE.filter((status) => decidingClaims.some((claim) => claim.status === status));
+      const resolvedStatus = statuses[0]!;
+      const routes = [...new Set(urlClaims.map((claim) => claim.route))];
+
+      // Move every route of the URL to the resolved status, including the ones only
+      // produced by secondary files with a different status
+      if (urlClaims.some((claim) => claim.status !== resolvedStatus)) {
+        for (const route of routes) {
+          routeMap.public = routeMap.public.filter((item) => item !== route);
+          routeMap.protected = routeMap.protected.filter((item) => item !== route);
+          unclassified = unclassified.filter((item) => item !== route);
+
+          const bucket = resolvedStatus === 'unclassified' ? unclassified : routeMap[resolvedStatus];
+          bucket.push(route);
+
+          if (resolvedStatus !== 'protected') {
+            delete roles[route];
+          }
+
+          // The methods of the losing route handlers no longer apply, so the resolved
+          // status is used for the whole route
+          if (statuses.length > 1) {
+            delete methods[route];
+          }
+        }
+      }
+
+      // Secondary files placed in a group with another status render on a URL that doesn't
+      // get the protection of that group
+      for (const claim of urlClaims) {
+        if (decidingClaims.includes(claim) || claim.status === 'unclassified' || claim.status === resolvedStatus) {
+          continue;
+        }
+        report(
+          'warning',
+          'secondary-route-status',
+          claim.file,
+          `${claim.route} is ${resolvedStatus} as decided by its page or route handler, ` +
+            `so the ${claim.status} status of this file doesn't apply`,
+          [...new Set(primaryClaims.map((primaryClaim) => primaryClaim.file))]
+        );
+      }
+
+      if (statuses.length < 2) {
+        const primaryFiles = [...new Set(primaryClaims.map((claim) => claim.file))];
+        if (primaryFiles.length > 1) {
+          report(
+            'error',
+            'duplicate-route',
+            primaryFiles[0]!,
+            `Route ${urlClaims[0]!.route} is defined by more than one page or route handler`,
+            primaryFiles.slice(1)
+          );
+        }
+        continue;
+      }
+
+      const conflictingRoutes = [...new Set(decidingClaims.map((claim) => claim.route))];
+      const claimed = statuses.join(' and ');
+      const conflict: RouteConflict = {
+        route: conflictingRoutes[0]!,
+        claims: decidingClaims.filter(
+          (claim, index) => decidingClaims.findIndex((other) => other.file === claim.file) === index
+        ),
+        resolvedStatus,
+        reason:
+          conflictingRoutes.length > 1
+            ? `Dynamic routes ${conflictingRoutes.join(', ')} match the same URLs but are claimed as ${claimed}; ` +
+              `${resolvedStatus} takes precedence`
+            : `Route is claimed as ${claimed} by different files; ${resolvedStatus} takes precedence`
+      };
+      conflicts.push(conflict);
+
+      const [firstClaim, ...otherClaims] = conflict.claims;
+      report(
+        'error',
+        'route-conflict',
+        firstClaim!.file,
+        `${conflict.route}: ${conflict.reason}`,
+        otherClaims.map((claim) => claim.file)
+      );
+    }
+
+    return conflicts;
+  }
+
+  const conflicts = resolveConflicts();
+
+  // Point out the routes whose protection is left to the runtime default
+  for (const route of unclassified) {
+    const claim = claims.find((item) => item.route === route);
+    report(
+      'info',
+      'unclassified-route',
+      claim!.file,
+      `Route ${route} has no explicit protection status, so defaultProtected decides at runtime`
+    );
+  }
+
+  // Sort the routes for better readability and consistency
+  routeMap.protected.sort();
+  routeMap.public.sort();
+
+  // Only include the unclassified field when there are such routes, keeping the
+  // two-bucket map of previous versions for apps that put every route in a group
+  if (unclassified.length > 0) {
+    routeMap.unclassified = unclassified.sort();
+  }
+
+  // Only include the roles field when role groups are in use, keeping the map
+  // identical to previous versions otherwise
+  if (Object.keys(roles).length > 0) {
+    routeMap.roles = Object.fromEntries(
+      Object.keys(roles)
+        .sort()
+        .map((route) => [route, roles[route]!])
+    );
+  }
+
+  // Likewise, only include the methods field when the app has route handlers
+  if (Object.keys(methods).length > 0) {
+    routeMap.methods = Object.fromEntries(
+      Object.keys(methods)
+        .sort()
+        .map((route) => [route, methods[route]!])
+    );
+  }
+
+  // The URL settings of next.config, for the middleware to match and redirect with
+  const basePath = normalizeBasePath(options.basePath);
+  if (basePath) {
+    routeMap.basePath = basePath;
+  }
+  if (options.trailingSlash !== undefined) {
+    routeMap.trailingSlash = options.trailingSlash;
+  }
+
+  // The middleware options of route-guard.config, for the middleware to check its own against
+  const middleware = recordMiddlewareOptions(options.middleware);
+  if (middleware) {
+    routeMap.middleware = middleware;
+  }
+
+  /**
+   * Creates the versioned route map, with the provenance of every route
+   *
+   * @returns The route map in the v2 format
+   */
+  function createRouteMapV2(): RouteMapV2 {
+    // eslint-disable-next-line @typescript-eslint/no-require-imports
+    const crypto = require('crypto');
+
+    const rootDir = options.rootDir ?? process.cwd();
+    const relativePath = (file: string): string => path.relative(rootDir, file).split(path.sep).join('/');
+
+    const statuses: Array<[string, RouteStatus]> = [
+      ...routeMap.public.map((route): [string, RouteStatus] => [route, 'public']),
+      ...routeMap.protected.map((route): [string, RouteStatus] => [route, 'protected']),
+      ...(routeMap.unclassified ?? []).map((route): [string, RouteStatus] => [route, 'unclassified'])
+    ];
+
+    const routes = statuses
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([route, status]) => {
+        // Prefer the page or route handler that gave the route its status over
+        // parallel route slots and defaults, which render at the same URL
+        const routeClaims = claims.filter((claim) => claim.route === route);
+        const claim =
+          routeClaims.find((item) => item.status === status && isPrimaryRouteFile(item.file)) ??
+          routeClaims.find((item) => item.status === status) ??
+          routeClaims[0]!;
+
+        const entry: RouteMapEntry = {
+          path: route,
+          status,
+          kind: getRouteKind(route),
+          source: relativePath(claim.file)
+        };
+        if (claim.status === status && claim.group) entry.group = claim.group;
+        if (routeMap.roles?.[route]) entry.roles = routeMap.roles[route];
+        if (routeMap.methods?.[route]) entry.methods = routeMap.methods[route];
+        return entry;
+      });
+
+    // Record the options that affect the routes. Regular expressions are stored in their /source/flags form
+    const generatorOptions: RouteMapV2['options'] = {
+      appDir: relativePath(appDir),
+      publicPatterns: publicPatterns.map(String),
+      protectedPatterns: protectedPatterns.map(String),
+      pageExtensions
+    };
+    if (options.pagesDir) generatorOptions.pagesDir = relativePath(options.pagesDir);
+    if (options.publicPaths?.length) generatorOptions.publicPaths = options.publicPaths;
+    if (options.protectedPaths?.length) generatorOptions.protectedPaths = options.protectedPaths;
+    if (options.symlinks && options.symlinks !== 'follow') generatorOptions.symlinks = options.symlinks;
+    if (options.ignore?.length) generatorOptions.ignore = options.ignore;
+    if (basePath) generatorOptions.basePath = basePath;
+    if (options.trailingSlash !== undefined) generatorOptions.trailingSlash = options.trailingSlash;
+    if (middleware) generatorOptions.middleware = middleware;
+
+    // The hash leaves out the timestamp, so it only changes when the routes or options do
+    const hash: string = crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ options: generatorOptions, routes }))
+      .digest('hex');
+
+    return { version: 2, generatedAt: new Date().toISOString(), hash, options: generatorOptions, routes };
+  }
+
+  if (options.version === 2) {
+    return { routeMap: createRouteMapV2(), conflicts, diagnostics };
+  }
+
+  return { routeMap, conflicts, diagnostics };
+}
+
+/**
+ * Get the key of the scan cache, which changes whenever anything that affects the scan does
+ *
+ * @param appDir - Path to the Next.js app directory
+ * @param publicPatterns - Group patterns that indicate public routes
+ * @param protectedPatterns - Group patterns that indicate protected routes
+ * @param options - Options of the generator
+ * @returns Hash of the scanned directories, patterns and options
+ */
+function getScanCacheKey(
+  appDir: string,
+  publicPatterns: GroupPattern[],
+  protectedPatterns: GroupPattern[],
+  options: GenerateRouteMapOptions
+): string {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const crypto = require('crypto');
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const path = require('path');
+
+  // Regular expressions don't survive JSON.stringify, and the cache directory doesn't affect the scan
+  const key = JSON.stringify({
+    appDir: path.resolve(appDir),
+    publicPatterns: publicPatterns.map(String),
+    protectedPatterns: protectedPatterns.map(String),
+    ...options,
+    pagesDir: options.pagesDir && path.resolve(options.pagesDir),
+    rootDir: options.rootDir && path.resolve(options.rootDir),
+    cacheDir: undefined
+  });
+
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Check whether a directory is never scanned for routes, like node_modules and hidden directories
+ *
+ * @param item - Name of the directory
+ * @returns Whether the directory is skipped
+ */
+function isSkippedDirectory(item: string): boolean {
+  return item === 'node_modules' || item.startsWith('.');
+}
+
+/**
+ * Create the filter that decides which entries of the app and pages directories are scanned
+ *
+ * The generator uses it to skip entries, and generateRouteMapAsync to read exactly the
+ * directories and sources the generator will look at.
+ *
+ * @param appDir - Path to the Next.js app directory
+ * @param options - Options of the generator, with the ignore patterns and symlink policy
+ * @returns The scan filter
+ */
+function createScanFilter(
+  appDir: string,
+  options: GenerateRouteMapOptions
+): ScanFilter & { isIgnored(entry: ScanEntry, root: string): boolean } {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const path = require('path');
+
+  const pageExtensions = options.pageExtensions ?? DEFAULT_PAGE_EXTENSIONS;
+  const isIgnoredPath = compileIgnorePatterns(options.ignore ?? []);
+
+  const isIgnored = (entry: ScanEntry, root: string): boolean =>
+    isIgnoredPath(path.relative(root, entry.itemPath).split(path.sep).join('/'), entry.isDirectory);
+
+  // Entries that openDirectory skips before they are scanned
+  const isSkipped = (entry: ScanEntry, root: string): boolean =>
+    isIgnored(entry, root) || (entry.isSymbolicLink && (options.symlinks ?? 'follow') !== 'follow');
+
+  return {
+    isIgnored,
+
+    shouldDescend: (entry, root) => !isSkipped(entry, root) && !isSkippedDirectory(entry.item),
+
+    // Route handlers in the app directory and every page in the pages directory can carry tags
+    shouldRead: (entry, root) => {
+      if (isSkipped(entry, root)) return false;
+      const name = stripPageExtension(entry.item, pageExtensions);
+      return root === appDir ? name === 'route' : name !== null;
+    }
+  };
+}
+
+/**
+ * Get the message of an error thrown by the file system
+ *
+ * @param error - The thrown value
+ * @returns The error message
+ */
+function getErrorMessage(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Check whether a string pattern is a glob rather than an exact group name
+ *
+ * @param pattern - Group pattern
+ * @returns Whether the pattern contains glob wildcards
+ */
+function isGlobPattern(pattern: string): boolean {
+  return pattern.includes('*') || pattern.includes('?');
+}
+
+/**
+ * Compile a group pattern into a function that tests group names against it
+ *
+ * Globs support `*` (any number of characters) and `?` (a single character). All other
+ * characters, including the parentheses of the group name, match literally.
+ *
+ * @param pattern - Exact group name, glob or regular expression
+ * @returns Function that checks whether a group name matches the pattern
+ */
+function compileGroupPattern(pattern: GroupPattern): (group: string) => boolean {
+  if (pattern instanceof RegExp) {
+    // search() ignores the lastIndex of global regular expressions, unlike test()
+    return (group) => group.search(pattern) !== -1;
+  }
+
+  if (!isGlobPattern(pattern)) {
+    return (group) => group === pattern;
+  }
+
+  const source = pattern
+    .split('')
+    .map((char) => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  const regExp = new RegExp(`^${source}$`);
+  return (group) => regExp.test(group);
+}
+
+/**
+ * Check whether a group name matches any of the compiled group patterns
+ *
+ * @param group - Name of the route group directory
+ * @param matchers - Compiled group patterns
+ * @returns Whether any pattern matches
+ */
+function matchesGroupPattern(group: string, matchers: Array<(group: string) => boolean>): boolean {
+  return matchers.some((matches) => matches(group));
+}
+
+/**
+ * Find a configured group pattern that a route group name is likely a misspelling of,
+ * like `(pubic)` for `(public)`
+ *
+ * @param group - Name of the route group directory
+ * @param patterns - Configured group patterns
+ * @returns The most similar pattern, or undefined if none is close enough
+ */
+function findSimilarPattern(group: string, patterns: string[]): string | undefined {
+  let bestPattern: string | undefined;
+  let bestDistance = Infinity;
+
+  for (const pattern of patterns) {
+    const distance = getEditDistance(group.toLowerCase(), pattern.toLowerCase());
+
+    // Allow about one edit per three characters, so short names don't match everything
+    const maxDistance = Math.max(1, Math.floor(pattern.replace(/[()]/g, '').length / 3));
+    if (distance <= maxDistance && distance < bestDistance) {
+      bestPattern = pattern;
+      bestDistance = distance;
+    }
+  }
+
+  return bestPattern;
+}
+
+/**
+ * Compute the Levenshtein distance between two strings
+ *
+ * @param a - First string
+ * @param b - Second string
+ * @returns Number of single-character edits needed to turn one string into the other
+ */
+function getEditDistance(a: string, b: string): number {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1]! + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j]! + 1, current[j - 1]! + 1, substitution));
+    }
+    previous = current;
+  }
+
+  return previous[b.length]!;
+}
+
+/**
+ * Route statuses from the most to the least restrictive. Unclassified routes are protected
+ * unless `defaultProtected` is turned off, so they rank above public routes.
+ */
+const STATUS_PRECEDENCE: RouteStatus[] = ['protected', 'unclassified', 'public'];
+
+/**
+ * Replace the param names of dynamic segments in a route pattern, so patterns that match
+ * the same URLs (like `/blog/[slug]` and `/blog/[id]`) compare equal
+ *
+ * @param route - URL pattern of the route
+ * @returns The pattern with anonymous dynamic segments
+ */
+function normalizeDynamicSegments(route: string): string {
+  return route
+    .split('/')
+    .map((segment) => {
+      if (segment.startsWith('[[...')) return '[[...]]';
+      if (segment.startsWith('[...')) return '[...]';
+      if (segment.startsWith('[') && segment.endsWith(']')) return '[]';
+      return segment;
+    })
+    .join('/');
+}
+
+/**
+ * Parse the required roles from a role group directory name.
+ *
+ * Two forms are supported:
+ * - `(role-admin)` requires the single role "admin"
+ * - `(roles:admin,billing)` requires one of the roles "admin" or "billing"
+ *
+ * @param group - Route group directory name, including the parentheses
+ * @returns The list of roles, or null if the group is not a role group
+ */
+function parseRoleGroup(group: string): string[] | null {
+  const match = /^\((?:role-([^,()]+)|roles:([^()]+))\)$/.exec(group);
+  if (!match) return null;
+
+  const roles = (match[1] ?? match[2] ?? '')
+    .split(',')
+    .map((role) => role.trim())
+    .filter(Boolean);
+
+  return roles.length > 0 ? roles : null;
+}
+
+/**
+ * Parse an intercepting route marker from a directory name.
+ *
+ * Markers are relative to route segments, not to the file system:
+ * - `(.)photo` intercepts `photo` on the same level
+ * - `(..)photo` intercepts `photo` one level up (`(..)(..)photo` two levels up)
+ * - `(...)photo` intercepts `photo` from the root of the app directory
+ *
+ * @param item - Directory name
+ * @returns The number of levels to go up and the intercepted segment, or null if the
+ * directory is not an intercepting route
+ */
+function parseInterceptionMarker(item: string): { levelsUp: number; segment: string } | null {
+  const match = /^(\(\.\.\.\)|\(\.\)|(?:\(\.\.\))+)(.+)$/.exec(item);
+  if (!match) return null;
+
+  const marker = match[1]!;
+  const segment = match[2]!;
+
+  if (marker === '(...)') {
+    return { levelsUp: Infinity, segment };
+  }
+  if (marker === '(.)') {
+    return { levelsUp: 0, segment };
+  }
+  return { levelsUp: marker.length / '(..)'.length, segment };
+}
+
+/**
+ * HTTP methods that can be exported by an App Router route handler
+ */
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'];
+
+/**
+ * Statically detect the HTTP methods exported by a route handler.
+ *
+ * Supports the common export forms:
+ * - `export async function GET() {}` and `export const POST = ...`
+ * - `export { GET, handler as POST }`
+ * - `export const { GET, POST } = handlers`
+ *
+ * A method exported through a function or variable declaration can be tagged with `@public`
+ * or `@protected` in the comment directly before it to override the route's protection status.
+ *
+ * @param source - Source code of the route handler file
+ * @returns The exported methods in declaration order, with their explicit status if tagged
+ */
+function detectRouteHandlerMethods(source: string): { method: string; status?: 'public' | 'protected' }[] {
+  const found = new Map<string, 'public' | 'protected' | undefined>();
+
+  // Declarations, optionally preceded by a block comment or line comments
+  const declarationPattern =
+    /(\/\*(?:(?!\*\/)[\s\S])*\*\/\s*|(?:\/\/[^\n]*\n\s*)+)?export\s+(?:async\s+)?(?:function\s*\*?\s*|const\s+|let\s+|var\s+)([A-Z]+)\b/g;
+  for (const match of source.matchAll(declarationPattern)) {
+    const comment = match[1] ?? '';
+    const method = match[2]!;
+    if (!HTTP_METHODS.includes(method)) continue;
+
+    const tag = /@(public|protected)\b/.exec(comment);
+    found.set(method, tag ? (tag[1] as 'public' | 'protected') : undefined);
+  }
+
+  // Export lists and destructured exports
+  const listPattern = /export\s+(?:const\s+|let\s+|var\s+)?\{([^}]*)\}/g;
+  for (const match of source.matchAll(listPattern)) {
+    for (const specifier of match[1]!.split(',')) {
+      // The exported name comes last in both `local as GET` and `{ key: GET = fallback }`
+      const name = specifier
+        .split(/\s+as\s+|:/)
+        .pop()!
+        .split('=')[0]!
+        .trim();
+      if (HTTP_METHODS.includes(name) && !found.has(name)) {
+        found.set(name, undefined);
+      }
+    }
+  }
+
+  return Array.from(found, ([method, status]) => ({ method, status }));
+}
+
+/**
+ * Special files in the app directory that define a route
+ */
+const APP_ROUTE_FILES = ['page', 'default', 'route'];
+
+/**
+ * Files in the Pages Router directory that don't define routes
+ */
+const PAGES_SPECIAL_FILES = ['_app', '_document', '_error'];
+
+/**
+ * Detect an `@public` or `@protected` tag in the comments at the top of a file.
+ *
+ * @param source - Source code of the file
+ * @returns The tagged protection status, or null if the file isn't tagged
+ */
+function detectFileProtectionTag(source: string): 'public' | 'protected' | null {
+  // Only look at the leading comments, before any code
+  const leadingComments = /^(?:\s*(?:\/\*(?:(?!\*\/)[\s\S])*\*\/|\/\/[^\n]*))*/.exec(source)?.[0] ?? '';
+  const tag = /@(public|protected)\b/.exec(leadingComments);
+
+  return tag ? (tag[1] as 'public' | 'protected') : null;
+}
+
+/**
+ * Strip a page extension from a file name.
+ *
+ * Extensions are matched as suffixes, so custom extensions containing dots
+ * (e.g. `pageExtensions: ['page.tsx']`) work as well. The longest match wins.
+ *
+ * @param fileName - Name of the file
+ * @param pageExtensions - File extensions that Next.js treats as pages
+ * @returns The file name without its extension, or null if it has none of the page extensions
+ */
+function stripPageExtension(fileName: string, pageExtensions: string[]): string | null {
+  const extension = pageExtensions
+    .filter((ext) => fileName.endsWith('.' + ext) && fileName.length > ext.length + 1)
+    .sort((a, b) => b.length - a.length)[0];
+
+  return extension ? fileName.slice(0, -(extension.length + 1)) : null;
+}
@@ -6,11 +6,66 @@
  * perform authentication checks at runtime based on a route map generated
  * during build time.
  *
+ * This entry point is safe to import from the middleware, which runs in the Edge Runtime.
+ * The generator, watcher, next.config plugin and other build-time tools use Node.js APIs and
+ * are exported from `@tradecrush/next-route-guard/build` instead.
+ *
  * @packageDocumentation
  */
 
-export { createRouteGuardMiddleware } from './route-guard';
-export type { RouteGuardOptions, NextMiddleware, RouteMap } from './types';
+export { createRouteGuardMiddleware, compileRouteTrie, isCompiledRouteTrie } from './route-guard';
+export type {
+  RouteGuardOptions,
+  NextMiddleware,
+  RouteMap,
+  GenerateRouteMapOptions,
+  GroupPattern,
+  RouteConflict,
+  RouteStatus,
+  RouteMapDiagnostic,
+  DiagnosticSeverity,
+  DiagnosticCode,
+  GenerateRouteMapResult,
+  RouteKind,
+  RouteMapEntry,
+  RouteMapV2,
+  ReadonlyRouteMap,
+  RouteMapInput,
+  RoutePattern,
+  DeepReadonly,
+  CompiledRouteTrie,
+  CompiledRouteNode,
+  SymlinkPolicy,
+  RouteMapFormat,
+  WatchRouteMapOptions,
+  RouteMapWatcher,
+  RouteMapUpdate,
+  RouteGuardPluginOptions,
+  RouteGuardConfig,
+  RouteMapMiddlewareOptions,
+  RouteMapDiff,
+  RouteChange,
+  RouteReclassification,
+  RouteMethodChange,
+  RouteRolesChange,
+  PathExplanation,
+  PathMatchStep,
+  PathMatchStepKind,
+  PathDecision,
+  ExplainPathOptions,
+  TrieVisualizationFormat,
+  TrieNodeStatus,
+  VisualizeTrieOptions,
+  RouteTreeNode,
+  RouteReport,
+  RouteReportEntry,
+  RouteReportOptions
+} from './types';
+export { normalizeRouteMap, getRouteKind, SUPPORTED_ROUTE_MAP_VERSIONS } from './route-map';
+export { diffRouteMaps, hasRouteChanges, formatRouteMapDiff } from './route-map-diff';
+export { explainPath } from './explain';
+export { visualizeTrie } from './visualize-trie';
+export { createRouteReport } from './route-report';
 
 import type { NextFetchEvent } from 'next/server';
 
@@ -79,133 +134,3 @@ export function chain(functions: MiddlewareFactory[], index = 0): Middleware {
   // Return a middleware that just returns undefined (letting Next.js continue to the actual route)
   return () => undefined;
 }
-
-/**
- * Generate a route map based on the Next.js app directory structure.
- *
- * This function analyzes the directory structure to identify routes and their protection status.
- * It's used by the CLI tools to generate the route map at build time or during development.
- *
- * Routes are classified as protected or public based on their directory context:
- * - Routes inside a "(public)" directory group are marked as public
- * - Routes inside a "(protected)" directory group are marked as protected
- * - Routes inherit protection status from their parent directories
- * - Routes are protected by default if not explicitly marked
- *
- * @param appDir - Path to the Next.js app directory
- * @param publicPatterns - Array of directory name patterns that indicate public routes
- * @param protectedPatterns - Array of directory name patterns that indicate protected routes
- * @returns Object containing either the generated route map or an error message
- */
-export function generateRouteMap(
-  appDir: string,
-  publicPatterns: string[] = ['(public)'],
-  protectedPatterns: string[] = ['(protected)']
-): { error?: string; routeMap?: { public: string[]; protected: string[] } } {
-  // Make sure we're running in a Node.js environment
-  if (typeof process === 'undefined' || !process.env) {
-    return { error: 'This function can only be used in a Node.js environment' };
-  }
-
-  try {
-    // We need to dynamically import these modules since they're not available in Edge runtime
-    // This function is only intended to be used during build time or development
-    // eslint-disable-next-line @typescript-eslint/no-require-imports
-    const fs = require('fs');
-    // eslint-disable-next-line @typescript-eslint/no-require-imports
-    const path = require('path');
-
-    // Initialize the route map
-    const routeMap: { public: string[]; protected: string[] } = {
-      public: [],
-      protected: []
-    };
-
-    /**
-     * Recursively scans the directory structure to identify routes
-     *
-     * @param dirPath - Current directory path being scanned
-     * @param segments - URL segments collected so far (for constructing the route path)
-     * @param groups - Route groups encountered in the current path
-     */
-    function scanDirectory(dirPath: string, segments: string[] = [], groups: string[] = []) {
-      // Skip if directory doesn't exist
-      if (!fs.existsSync(dirPath)) return;
-
-      // Read directory contents
-      const items = fs.readdirSync(dirPath);
-
-      // Process each item in the directory
-      for (const item of items) {
-        const itemPath = path.join(dirPath, item);
-        const stat = fs.statSync(itemPath);
-
-        if (stat.isDirectory()) {
-          // Skip special directories like node_modules
-          if (item === 'node_modules' || item.startsWith('.')) continue;
-
-          // Check if this is a route group (enclosed in parentheses)
-          const isRouteGroup = item.startsWith('(') && item.endsWith(')');
-          const newGroups = [...groups];
-          const newSegments = [...segments];
-
-          if (isRouteGroup) {
-            // Route groups are organizational only and don't affect the URL path
-            newGroups.push(item);
-          } else {
-            // Regular directories become part of the URL path
-            newSegments.push(item);
-          }
-
-          // Continue scanning subdirectories
-          scanDirectory(itemPath, newSegments, newGroups);
-        } else if (
-          stat.isFile() &&
-          (item === 'page.js' || item === 'page.tsx' || item === 'page.jsx' || item === 'page.ts')
-        ) {
-          // Found a page file, which represents a route endpoint
-          const route = '/' + segments.join('/');
-          const routePath = route === '//' ? '/' : route;
-
-          // Determine if the route is protected based on its group context
-          // Default to protected unless explicitly marked as public
-          let isProtected = true;
-
-          // Check route groups to determine protection status
-          // Process groups in reverse order to prioritize the innermost (most specific) group
-          // This behavior was enhanced in v0.2.2 to allow nested groups to override parent groups
-          // For example, (public)/docs/(protected)/admin would make /docs/admin protected
-          // despite being in a public parent group
-          for (let i = groups.length - 1; i >= 0; i--) {
-            const group = groups[i];
-            if (group && publicPatterns.includes(group)) {
-              isProtected = false;
-              break;
-            } else if (group && protectedPatterns.includes(group)) {
-              isProtected = true;
-              break;
-            }
-          }
-
-          // Add to the appropriate category in the route map
-          if (isProtected) {
-            routeMap.protected.push(routePath);
-          } else {
-            routeMap.public.push(routePath);
-          }
-        }
-      }
-    }
-
-    // Start the directory scan from the app root
-    scanDirectory(appDir);
-
-    // Sort the routes for better readability and consistency
-    routeMap.protected.sort();
-    routeMap.public.sort();
-
-    return { routeMap };
-  } catch (error) {
-    return { error: error instanceof Error ? error.message : String(error) };
-  }
-}
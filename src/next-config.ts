@@ -0,0 +1,169 @@
+/**
+ * Helpers for reading the Next.js project setup at build time.
+ * This module locates the app and pages directories and reads the settings from
+ * next.config that affect which files are routes. It is only used by the route map
+ * generator and the CLI tools, never at runtime in the middleware.
+ */
+
+/**
+ * Page extensions used by Next.js when next.config doesn't set `pageExtensions`
+ */
+export const DEFAULT_PAGE_EXTENSIONS = ['tsx', 'ts', 'jsx', 'js'];
+
+/**
+ * File names of next.config, in the order Next.js looks them up
+ */
+const NEXT_CONFIG_FILES = ['next.config.js', 'next.config.mjs', 'next.config.ts'];
+
+/**
+ * Settings read from next.config that are relevant to route guarding
+ */
+export interface NextConfigSettings {
+  /**
+   * Path of the next.config file the settings were read from
+   */
+  configFile?: string;
+
+  /**
+   * File extensions that Next.js treats as pages and route handlers
+   */
+  pageExtensions?: string[];
+
+  /**
+   * Path prefix the app is mounted at, e.g. `/portal`
+   */
+  basePath?: string;
+
+  /**
+   * Whether the URLs of the app end with a slash
+   */
+  trailingSlash?: boolean;
+}
+
+/**
+ * Read the route-related settings from the next.config file of a project.
+ *
+ * The config is parsed statically instead of being executed, so that next.config.js,
+ * next.config.mjs and next.config.ts can all be read synchronously without a TypeScript
+ * loader. Only literal values are picked up, e.g. `pageExtensions: ['tsx', 'mdx']`,
+ * `basePath: '/portal'` or `trailingSlash: true`.
+ *
+ * @param projectDir - Root directory of the Next.js project
+ * @returns The settings found in next.config (empty if there is no config file)
+ */
+export function readNextConfig(projectDir: string): NextConfigSettings {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const fs = require('fs');
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const path = require('path');
+
+  for (const fileName of NEXT_CONFIG_FILES) {
+    const configFile = path.join(projectDir, fileName);
+    if (!fs.existsSync(configFile)) continue;
+
+    const source: string = fs.readFileSync(configFile, 'utf8');
+    const settings: NextConfigSettings = { configFile };
+
+    const pageExtensions = readStringArray(source, 'pageExtensions');
+    if (pageExtensions) {
+      settings.pageExtensions = pageExtensions;
+    }
+
+    const basePath = readString(source, 'basePath');
+    if (basePath) {
+      settings.basePath = basePath;
+    }
+
+    const trailingSlash = readBoolean(source, 'trailingSlash');
+    if (trailingSlash !== undefined) {
+      settings.trailingSlash = trailingSlash;
+    }
+
+    return settings;
+  }
+
+  return {};
+}
+
+/**
+ * Locate the app directory of a Next.js project
+ *
+ * Next.js supports both `app/` and `src/app/`, with `app/` taking precedence.
+ *
+ * @param projectDir - Root directory of the Next.js project
+ * @returns Path to the app directory, or undefined if the project has none
+ */
+export function findAppDir(projectDir: string): string | undefined {
+  return findProjectDir(projectDir, 'app');
+}
+
+/**
+ * Locate the Pages Router directory of a Next.js project
+ *
+ * Next.js supports both `pages/` and `src/pages/`, with `pages/` taking precedence.
+ *
+ * @param projectDir - Root directory of the Next.js project
+ * @returns Path to the pages directory, or undefined if the project has none
+ */
+export function findPagesDir(projectDir: string): string | undefined {
+  return findProjectDir(projectDir, 'pages');
+}
+
+/**
+ * Look up a directory in the project root or in `src/`
+ *
+ * @param projectDir - Root directory of the Next.js project
+ * @param name - Name of the directory
+ * @returns Path to the directory, or undefined if it doesn't exist in either place
+ */
+function findProjectDir(projectDir: string, name: string): string | undefined {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const fs = require('fs');
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const path = require('path');
+
+  for (const candidate of [path.join(projectDir, name), path.join(projectDir, 'src', name)]) {
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isDirectory()) {
+      return candidate;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Read a literal array of strings assigned to a key in a config source
+ *
+ * @param source - Source code of the config file
+ * @param key - Name of the config key
+ * @returns The strings in the array, or undefined if the key isn't set to a literal array
+ */
+function readStringArray(source: string, key: string): string[] | undefined {
+  const match = new RegExp(`\\b${key}\\s*:\\s*\\[([^\\]]*)\\]`).exec(source);
+  if (!match) return undefined;
+
+  return Array.from(match[1]!.matchAll(/(['"`])((?:(?!\1).)*)\1/g), (item) => item[2]!);
+}
+
+/**
+ * Read a literal string assigned to a key in a config source
+ *
+ * @param source - Source code of the config file
+ * @param key - Name of the config key
+ * @returns The string, or undefined if the key isn't set to a literal string
+ */
+function readString(source: string, key: string): string | undefined {
+  return new RegExp(`\\b${key}\\s*:\\s*(['"\`])((?:(?!\\1).)*)\\1`).exec(source)?.[2];
+}
+
+/**
+ * Read a literal boolean assigned to a key in a config source
+ *
+ * @param source - Source code of the config file
+ * @param key - Name of the config key
+ * @returns The boolean, or undefined if the key isn't set to a literal boolean
+ */
+function readBoolean(source: string, key: string): boolean | undefined {
+  const value = new RegExp(`\\b${key}\\s*:\\s*(true|false)\\b`).exec(source)?.[1];
+  return value === undefined ? undefined : value === 'true';
+}
@@ -0,0 +1,127 @@
+/**
+ * Helpers for writing route map files and printing diagnostics.
+ * They are shared by the CLI tools, the watcher and the next.config plugin, and like the
+ * generator they are only used at build time, never in the middleware.
+ */
+
+import type { RouteMapDiagnostic, RouteMapFormat, RouteMapInput } from './types';
+import { compileRouteTrie } from './route-guard';
+import { createRouteMapModule } from './route-map-module';
+import { normalizeRouteMap } from './route-map';
+
+/**
+ * Default file name of the route map in each output format
+ */
+export const ROUTE_MAP_FILE_NAMES: Record<RouteMapFormat, string> = {
+  json: 'route-map.json',
+  ts: 'route-map.ts',
+  trie: 'route-trie.json'
+};
+
+/**
+ * Serialize a route map in an output format
+ *
+ * @param routeMap - Route map returned by generateRouteMap
+ * @param format - `json` for a JSON file, `ts` for a typed TypeScript module, `trie` for a compiled route trie
+ * @returns Contents of the output file
+ */
+export function serializeRouteMap(routeMap: RouteMapInput, format: RouteMapFormat = 'json'): string {
+  if (format === 'ts') {
+    return createRouteMapModule(routeMap);
+  }
+  if (format === 'trie') {
+    // The compiled trie is only read by the middleware, so it isn't indented to keep the bundle small
+    return JSON.stringify(compileRouteTrie(routeMap));
+  }
+  return JSON.stringify(routeMap, null, 2);
+}
+
+/**
+ * Read a route map back from the contents of a route map file
+ *
+ * Compiled tries can't be read back, since they don't keep the names of dynamic segments.
+ *
+ * @param contents - Contents of a file written by writeRouteMap
+ * @param format - Format the file was written in
+ * @returns The route map, or undefined if the contents aren't a route map in that format
+ */
+export function parseRouteMap(contents: string, format: RouteMapFormat = 'json'): RouteMapInput | undefined {
+  if (format === 'trie') return undefined;
+
+  // The typed module exports the route map as a JSON literal
+  const json = format === 'ts' ? /^export const routeMap = ([\s\S]*?) as const;$/m.exec(contents)?.[1] : contents;
+  if (json === undefined) return undefined;
+
+  try {
+    const routeMap: RouteMapInput = JSON.parse(json);
+    const { public: publicRoutes, protected: protectedRoutes } = normalizeRouteMap(routeMap);
+    return Array.isArray(publicRoutes) && Array.isArray(protectedRoutes) ? routeMap : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Write a route map file, creating its directory if needed
+ *
+ * The file is written to a temporary file next to it and renamed, so a bundler watching it
+ * never reads a half-written route map.
+ *
+ * @param outputFile - Path of the route map file
+ * @param routeMap - Route map returned by generateRouteMap
+ * @param format - Output format, see {@link serializeRouteMap}
+ */
+export function writeRouteMap(outputFile: string, routeMap: RouteMapInput, format: RouteMapFormat = 'json'): void {
+  writeFileAtomically(outputFile, serializeRouteMap(routeMap, format));
+}
+
+/**
+ * Write a file through a temporary file next to it, which is then renamed, creating its directory if needed
+ *
+ * @param file - Path of the file
+ * @param contents - Contents of the file
+ */
+export function writeFileAtomically(file: string, contents: string): void {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const fs = require('fs');
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const path = require('path');
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const tempFile = `${file}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempFile, contents);
+    fs.renameSync(tempFile, file);
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Print the diagnostics reported by generateRouteMap to stderr, grouped by file
+ *
+ * @param diagnostics - Diagnostics returned by generateRouteMap
+ * @param cwd - Directory the file paths are printed relative to
+ */
+export function printDiagnostics(diagnostics: RouteMapDiagnostic[] | undefined, cwd: string = process.cwd()): void {
+  if (!diagnostics || diagnostics.length === 0) return;
+
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const path = require('path');
+
+  const counts = (['error', 'warning', 'info'] as const)
+    .map((severity) => [severity, diagnostics.filter((diagnostic) => diagnostic.severity === severity).length] as const)
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${count} ${severity}${count === 1 || severity === 'info' ? '' : 's'}`);
+
+  console.warn(`\n@tradecrush/next-route-guard: Found ${counts.join(', ')}:`);
+  for (const diagnostic of diagnostics) {
+    console.warn(`\n  ${diagnostic.severity.padEnd(7)} ${path.relative(cwd, diagnostic.file)} [${diagnostic.code}]`);
+    console.warn(`          ${diagnostic.message}`);
+    for (const file of diagnostic.relatedFiles || []) {
+      console.warn(`          see also ${path.relative(cwd, file)}`);
+    }
+  }
+}
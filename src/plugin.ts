@@ -0,0 +1,151 @@
+/**
+ * next.config plugin that generates the route map during `next build` and keeps it up to date
+ * during `next dev`, so the CLI tools don't need to be chained into the package scripts.
+ * It runs in the Node.js process that loads next.config, never in the middleware.
+ */
+
+import type { NextConfig } from 'next';
+import type { GenerateRouteMapOptions, RouteGuardPluginOptions } from './types';
+import { generateRouteMap } from './generate-route-map';
+import { findAppDir, findPagesDir } from './next-config';
+import { ROUTE_MAP_FILE_NAMES, printDiagnostics, writeRouteMap } from './output';
+import { loadRouteGuardConfig } from './route-guard-config';
+import { watchRouteMap } from './watcher';
+
+/**
+ * Phases Next.js loads the config in, from `next/constants`
+ */
+const PHASE_PRODUCTION_BUILD = 'phase-production-build';
+const PHASE_DEVELOPMENT_SERVER = 'phase-development-server';
+
+/**
+ * Environment variable set once the plugin ran, so the worker processes Next.js starts with the
+ * same environment don't generate the route map or start the watcher again
+ */
+const PLUGIN_PHASE_ENV = '__NEXT_ROUTE_GUARD_PLUGIN_PHASE';
+
+/**
+ * A Next.js config, either as an object or as a function of the phase
+ */
+export type NextConfigInput =
+  NextConfig | ((phase: string, context: { defaultConfig: NextConfig }) => NextConfig | Promise<NextConfig>);
+
+/**
+ * Wrap a Next.js config to generate the route map automatically
+ *
+ * - `next build` generates the route map before the app (and the middleware) is compiled
+ * - `next dev` generates it and watches the app and pages directories for changes, in the
+ *   dev server process itself, so no separate watcher process is left behind
+ *
+ * `pageExtensions`, `basePath` and `trailingSlash` are read from the wrapped config. Like the CLI
+ * tools, the plugin takes its defaults from route-guard.config, which its own options override,
+ * and looks up the app directory (`./app` or `./src/app`) if neither sets it.
+ *
+ * @example
+ * ```js
+ * // next.config.js
+ * const { withRouteGuard } = require('@tradecrush/next-route-guard/build');
+ *
+ * module.exports = withRouteGuard({ basePath: '/portal' }, { protectedPatterns: ['(protected)', '(admin)'] });
+ * ```
+ *
+ * @param nextConfig - The Next.js config to wrap
+ * @param guardOptions - Where to write the route map and how to generate it
+ * @returns A config function that Next.js calls with the current phase
+ * @throws During `next build`, if the route map can't be generated or has errors in strict mode
+ */
+export function withRouteGuard(
+  nextConfig: NextConfigInput = {},
+  guardOptions: RouteGuardPluginOptions = {}
+): (phase: string, context: { defaultConfig: NextConfig }) => Promise<NextConfig> {
+  return async (phase, context) => {
+    const config = typeof nextConfig === 'function' ? await nextConfig(phase, context) : nextConfig;
+
+    if ((phase === PHASE_PRODUCTION_BUILD || phase === PHASE_DEVELOPMENT_SERVER) && !process.env[PLUGIN_PHASE_ENV]) {
+      process.env[PLUGIN_PHASE_ENV] = phase;
+      await runPlugin(phase, config, guardOptions);
+    }
+
+    return config;
+  };
+}
+
+/**
+ * Generate the route map once for `next build`, or start the watcher for `next dev`
+ *
+ * @param phase - Phase Next.js loaded the config in
+ * @param config - The resolved Next.js config
+ * @param guardOptions - Options of the plugin
+ * @throws If route-guard.config is invalid, or the route map can't be generated for `next build`
+ * or has errors in strict mode
+ */
+async function runPlugin(phase: string, config: NextConfig, guardOptions: RouteGuardPluginOptions): Promise<void> {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const path = require('path');
+
+  const projectDir: string = path.resolve(guardOptions.rootDir ?? process.cwd());
+  const { config: guardConfig } = await loadRouteGuardConfig(projectDir);
+
+  // The options of the plugin take precedence over route-guard.config
+  const {
+    appDir: appDirOption = guardConfig.appDir,
+    output = guardConfig.output,
+    format = output && /\.[cm]?ts$/.test(output) ? 'ts' : 'json',
+    publicPatterns = guardConfig.publicPatterns,
+    protectedPatterns = guardConfig.protectedPatterns,
+    middleware = { defaultProtected: guardConfig.defaultProtected, excludeUrls: guardConfig.excludeUrls },
+    strict = false,
+    cache = true,
+    ...options
+  } = guardOptions;
+
+  const appDir: string = appDirOption
+    ? path.resolve(projectDir, appDirOption)
+    : findAppDir(projectDir) || path.resolve(projectDir, 'app');
+  const outputFile: string = output
+    ? path.resolve(projectDir, output)
+    : path.join(appDir, ROUTE_MAP_FILE_NAMES[format]);
+
+  const generateOptions: GenerateRouteMapOptions = {
+    ...options,
+    middleware,
+    pagesDir: options.pagesDir ? path.resolve(projectDir, options.pagesDir) : findPagesDir(projectDir),
+    pageExtensions: config.pageExtensions,
+    basePath: config.basePath,
+    trailingSlash: config.trailingSlash,
+    rootDir: projectDir,
+    cacheDir: cache ? path.join(projectDir, config.distDir || '.next', 'cache', 'route-guard') : undefined
+  };
+
+  if (phase === PHASE_DEVELOPMENT_SERVER) {
+    // The dev server keeps the process running, the watcher doesn't have to
+    watchRouteMap({
+      appDir,
+      outputFile,
+      format,
+      publicPatterns,
+      protectedPatterns,
+      generateOptions,
+      persistent: false,
+      onGenerate: ({ diagnostics }) => printDiagnostics(diagnostics, projectDir)
+    });
+    return;
+  }
+
+  const {
+    routeMap,
+    diagnostics = [],
+    error
+  } = generateRouteMap(appDir, publicPatterns, protectedPatterns, generateOptions);
+  if (error || !routeMap) {
+    throw new Error(`@tradecrush/next-route-guard: Error generating route map: ${error}`);
+  }
+
+  printDiagnostics(diagnostics, projectDir);
+  if (strict && diagnostics.some((diagnostic) => diagnostic.severity === 'error')) {
+    throw new Error('@tradecrush/next-route-guard: Errors found in strict mode, the route map was not written.');
+  }
+
+  writeRouteMap(outputFile, routeMap, format);
+  console.log(`@tradecrush/next-route-guard: Route map generated at ${path.relative(projectDir, outputFile)}`);
+}
@@ -0,0 +1,169 @@
+/**
+ * Helpers for the route-guard.config file shared by the CLI tools and the next.config plugin.
+ * This module locates, loads and validates the config file of a project. Like the generator,
+ * it is only used at build time and exported from the build entry point, since bundlers can't
+ * resolve the dynamic import of a JavaScript config and warn about it in the middleware.
+ */
+
+import type { RouteGuardConfig } from './types';
+
+/**
+ * File names of route-guard.config, in the order they are looked up
+ */
+export const ROUTE_GUARD_CONFIG_FILES = ['route-guard.config.js', 'route-guard.config.mjs', 'route-guard.config.json'];
+
+/**
+ * Checks the value of a config option
+ *
+ * @param value - Value of the option
+ * @param key - Name of the option, used in the error message
+ * @returns An error message, or undefined if the value is valid
+ */
+type OptionValidator = (value: unknown, key: string) => string | undefined;
+
+/**
+ * Validator of a non-empty string, like a path
+ */
+const validatePath: OptionValidator = (value, key) =>
+  typeof value === 'string' && value.length > 0
+    ? undefined
+    : `"${key}" must be a non-empty string, got ${describeValue(value)}`;
+
+/**
+ * Validator of a boolean
+ */
+const validateBoolean: OptionValidator = (value, key) =>
+  typeof value === 'boolean' ? undefined : `"${key}" must be true or false, got ${describeValue(value)}`;
+
+/**
+ * Validator of a list of group or URL patterns
+ */
+const validatePatterns: OptionValidator = (value, key) => {
+  if (!Array.isArray(value)) {
+    return `"${key}" must be an array of strings and regular expressions, got ${describeValue(value)}`;
+  }
+
+  const index = value.findIndex((item) => typeof item !== 'string' && !(item instanceof RegExp));
+  return index === -1
+    ? undefined
+    : `"${key}[${index}]" must be a string or a regular expression, got ${describeValue(value[index])}`;
+};
+
+/**
+ * Validators of the options a config can set
+ */
+const CONFIG_VALIDATORS: Record<keyof RouteGuardConfig, OptionValidator> = {
+  appDir: validatePath,
+  output: validatePath,
+  publicPatterns: validatePatterns,
+  protectedPatterns: validatePatterns,
+  defaultProtected: validateBoolean,
+  excludeUrls: validatePatterns
+};
+
+/**
+ * Locate the route-guard.config file of a project
+ *
+ * @param projectDir - Directory the config is looked up in, usually the current directory
+ * @returns Path to the config file, or undefined if the project has none
+ */
+export function findRouteGuardConfig(projectDir: string): string | undefined {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const fs = require('fs');
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const path = require('path');
+
+  return ROUTE_GUARD_CONFIG_FILES.map((fileName) => path.join(projectDir, fileName)).find((configFile: string) =>
+    fs.existsSync(configFile)
+  );
+}
+
+/**
+ * Load and validate the route-guard.config file of a project
+ *
+ * JSON configs are parsed, JavaScript configs are imported, so `.mjs` configs and ES module
+ * syntax in `.js` configs work as well.
+ *
+ * @param projectDir - Directory the config is looked up in, usually the current directory
+ * @returns The config (empty if the project has none) and the path of its file
+ * @throws If the config can't be loaded or is invalid, with one line per invalid option
+ */
+export async function loadRouteGuardConfig(
+  projectDir: string
+): Promise<{ config: RouteGuardConfig; configFile?: string }> {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const fs = require('fs');
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const path = require('path');
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const { pathToFileURL } = require('url');
+
+  const configFile = findRouteGuardConfig(projectDir);
+  if (!configFile) {
+    return { config: {} };
+  }
+
+  const relativeFile: string = path.relative(projectDir, configFile);
+  let config: unknown;
+  try {
+    config = configFile.endsWith('.json')
+      ? JSON.parse(fs.readFileSync(configFile, 'utf8'))
+      : (await import(pathToFileURL(configFile).href)).default;
+  } catch (error) {
+    throw new Error(
+      `@tradecrush/next-route-guard: Could not load ${relativeFile}: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+
+  const errors = validateRouteGuardConfig(config);
+  if (errors.length > 0) {
+    throw new Error(
+      `@tradecrush/next-route-guard: Invalid ${relativeFile}:\n${errors.map((error) => `  - ${error}`).join('\n')}`
+    );
+  }
+
+  return { config: config as RouteGuardConfig, configFile };
+}
+
+/**
+ * Validate the contents of a route-guard.config file
+ *
+ * Unknown options are reported as well, so typos like `protected` instead of
+ * `protectedPatterns` don't go unnoticed.
+ *
+ * @param config - The value exported by the config file
+ * @returns Error messages, one per invalid option (empty if the config is valid)
+ */
+export function validateRouteGuardConfig(config: unknown): string[] {
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    return [`The config must be an object, got ${describeValue(config)}`];
+  }
+
+  const errors: string[] = [];
+  for (const [key, value] of Object.entries(config)) {
+    if (!Object.prototype.hasOwnProperty.call(CONFIG_VALIDATORS, key)) {
+      errors.push(`Unknown option "${key}", expected one of: ${Object.keys(CONFIG_VALIDATORS).join(', ')}`);
+      continue;
+    }
+
+    const error = value === undefined ? undefined : CONFIG_VALIDATORS[key as keyof RouteGuardConfig](value, key);
+    if (error) {
+      errors.push(error);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Describe a value for an error message
+ *
+ * @param value - Any value
+ * @returns The value as JSON for primitives, otherwise its type
+ */
+function describeValue(value: unknown): string {
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'function') return 'a function';
+  if (typeof value === 'object' && value !== null) return 'an object';
+  return String(JSON.stringify(value));
+}
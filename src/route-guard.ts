@@ -3,8 +3,18 @@
  * This module contains the runtime logic for checking if a route should be protected
  * and enforcing authentication based on the route map generated at build time.
  */
-import { type NextRequest, NextResponse } from "next/server";
-import type { RouteGuardOptions, RouteMap } from "./types";
+import { type NextRequest, NextResponse } from 'next/server';
+import type {
+  CompiledRouteNode,
+  CompiledRouteTrie,
+  DeepReadonly,
+  PathMatchStep,
+  ReadonlyRouteMap,
+  RouteGuardOptions,
+  RouteMapInput,
+  RouteMapMiddlewareOptions
+} from './types';
+import { normalizeBasePath, normalizeRouteMap, recordMiddlewareOptions } from './route-map';
 
 /**
  * Default route to redirect to when authentication fails
@@ -12,25 +22,9 @@ import type { RouteGuardOptions, RouteMap } from "./types";
 const DEFAULT_LOGIN_ROUTE = '/login';
 
 /**
- * Node in the route trie representing a route segment
- * Used for efficient route matching and protection status lookup
+ * Names of the dynamic segment at the root of localized apps, like `app/[locale]`
  */
-interface RouteNode {
-  // Whether this route is protected
-  isProtected?: boolean;
-
-  // Regular children by segment name
-  children: Map<string, RouteNode>;
-
-  // Dynamic child node (for [param] segments)
-  dynamicChild?: RouteNode;
-
-  // Catch-all child (for [...slug] or [[...slug]])
-  catchAllChild?: {
-    node: RouteNode;
-    isOptional: boolean;
-  };
-}
+const LOCALE_SEGMENTS = ['[locale]', '[lang]'];
 
 /**
  * Creates a Next.js middleware function that enforces route authentication
@@ -42,43 +36,68 @@ interface RouteNode {
  * @param options - Configuration options for the middleware
  * @returns A Next.js middleware function
  */
-export function createRouteGuardMiddleware(options: RouteGuardOptions) {
+export function createRouteGuardMiddleware<TRoute extends string = string>(options: RouteGuardOptions<TRoute>) {
+  // Both route map versions are converted to the lists the trie is built from,
+  // while a trie compiled at build time is used as is
+  const routeMap = isCompiledRouteTrie(options.routeMap) ? options.routeMap : normalizeRouteMap(options.routeMap);
+
+  // The URL settings of next.config embedded in the route map apply unless the options override them
+  const basePath = normalizeBasePath(options.basePath ?? routeMap.basePath);
+  const trailingSlash = options.trailingSlash ?? routeMap.trailingSlash;
+
   // Set up default options
   const {
     isAuthenticated,
     onUnauthenticated = (request) => {
-      // Default behavior: redirect to login with return URL
+      // Default behavior: redirect to login with return URL, under the basePath and in the locale of the request
+      const appPath = getAppPath(request, basePath);
+      const { locale } = splitLocale(appPath, options.locales);
+      const loginPath = locale ? `/${locale}${DEFAULT_LOGIN_ROUTE}` : DEFAULT_LOGIN_ROUTE;
+
       const url = request.nextUrl.clone();
-      url.pathname = DEFAULT_LOGIN_ROUTE;
-      url.searchParams.set('from', request.nextUrl.pathname);
+      url.pathname =
+        (hasNextBasePath(request, basePath) ? '' : basePath) + formatTrailingSlash(loginPath, trailingSlash);
+      url.searchParams.set('from', formatTrailingSlash(appPath, trailingSlash));
       return NextResponse.redirect(url);
     },
-    routeMap,
+    getUserRoles,
+    onForbidden = () => {
+      // Default behavior: respond with 403 Forbidden
+      return new NextResponse('Forbidden', { status: 403 });
+    },
     defaultProtected = true,
-    excludeUrls = ['/api/(.*)']
+    excludeUrls = ['/api/(.*)'],
+    locales
   } = options;
 
+  // Point out options that drifted from the ones route-guard.config recorded in the route map
+  warnOnOptionMismatch(routeMap.middleware, defaultProtected, excludeUrls);
+
   // Build the route trie at initialization time for efficient matching
-  const routeTrie = buildRouteTrie(routeMap);
+  const routeTrie = isCompiledRouteTrie(routeMap) ? getCompiledTrieRoot(routeMap) : buildRouteTrie(routeMap);
 
   // Return the middleware function that will be executed for each request
   return async function routeGuardMiddleware(request: NextRequest) {
-    const pathname = request.nextUrl.pathname;
+    const pathname = getAppPath(request, basePath);
+    const method = (request.method || 'GET').toUpperCase();
+    const { locale, path: unprefixedPath } = splitLocale(pathname, locales);
+
+    // Always let CORS preflight requests through, they never carry credentials
+    if (method === 'OPTIONS') {
+      return NextResponse.next();
+    }
 
     // Skip authentication check for excluded URL patterns (e.g., API routes)
-    for (const pattern of excludeUrls) {
-      const isRegex = pattern instanceof RegExp;
-      // Convert string patterns to regex if needed
-      const regex = isRegex ? pattern : new RegExp(`^${pattern.replace(/\*/g, '.*')}$`);
-
-      if (regex.test(pathname)) {
-        // Excluded path - allow access without auth check
-        return NextResponse.next();
-      }
+    if (findExcludedPattern(pathname, locale ? unprefixedPath : undefined, excludeUrls)) {
+      // Excluded path - allow access without auth check
+      return NextResponse.next();
     }
 
     // Determine if the current route should be protected using the trie
-    const isProtected = matchPath(pathname, routeTrie, defaultProtected);
+    const matchedNode = matchPath(pathname, routeTrie, locales);
+    const status = matchedNode?.s;
+    const isProtected =
+      getMethodProtection(matchedNode, method) ?? (status === undefined ? defaultProtected : status === 1);
 
     // If route is public, allow access without auth check
     if (!isProtected) {
@@ -88,13 +107,24 @@ export function createRouteGuardMiddleware(options: RouteGuardOptions) {
     // For protected routes, check if the user is authenticated
     const isAuthed = await isAuthenticated(request);
 
-    // If authenticated, allow access to the protected route
-    if (isAuthed) {
-      return NextResponse.next();
+    // User is not authenticated for a protected route, handle according to options
+    if (!isAuthed) {
+      return onUnauthenticated(request);
     }
 
-    // User is not authenticated for a protected route, handle according to options
-    return onUnauthenticated(request);
+    // For routes inside role groups, check that the user holds at least one required role
+    const requiredRoles = matchedNode?.r;
+    if (requiredRoles && requiredRoles.length > 0) {
+      // Without a way to look up roles, role-restricted routes are never accessible
+      const userRoles = getUserRoles ? await getUserRoles(request) : [];
+
+      if (!requiredRoles.some((role) => userRoles.includes(role))) {
+        return onForbidden(request);
+      }
+    }
+
+    // Authenticated (and authorized), allow access to the protected route
+    return NextResponse.next();
   };
 }
 
@@ -103,228 +133,440 @@ export function createRouteGuardMiddleware(options: RouteGuardOptions) {
  * This converts the flat route lists into a tree structure for O(k) lookups
  * where k is the depth of the path (number of segments).
  *
- * @param routeMap - Map of protected and public routes
+ * The trie uses the compiled node format, so the same structure can be generated at
+ * build time by compileRouteTrie and used by the middleware without rebuilding it.
+ *
+ * @param routeMap - Map of protected and public routes (and their required roles)
  * @returns Root node of the route trie
  */
-function buildRouteTrie(routeMap: RouteMap): RouteNode {
+function buildRouteTrie(routeMap: ReadonlyRouteMap): CompiledRouteNode {
   // Create the root node
-  const root: RouteNode = {
-    children: new Map()
-  };
+  const root: CompiledRouteNode = {};
 
-  // Add protected routes first
-  for (const route of routeMap.protected) {
-    addRouteToTrie(root, route, true);
-  }
+  // Routes are added from the least to the most restrictive status, so if a path is
+  // listed more than once (or dynamic segments with different names collide), the most
+  // restrictive status wins rather than silently making the path public
 
-  // Add public routes (these will override protection status for the same paths)
+  // Add public routes first
   for (const route of routeMap.public) {
     addRouteToTrie(root, route, false);
   }
 
+  // Then add unclassified routes, without a protection status, so the
+  // runtime default decides for them
+  for (const route of routeMap.unclassified ?? []) {
+    addRouteToTrie(root, route, undefined);
+  }
+
+  // Add protected routes last
+  for (const route of routeMap.protected) {
+    const node = addRouteToTrie(root, route, true);
+
+    // Attach the required roles for routes inside role groups
+    const roles = routeMap.roles?.[route];
+    if (roles && roles.length > 0) {
+      node.r = roles;
+    }
+  }
+
+  // Attach per-method protection for route handlers
+  for (const [route, routeMethods] of Object.entries(routeMap.methods ?? {})) {
+    const node = findRouteNode(root, route);
+    if (!node || !routeMethods) continue;
+
+    const { public: publicMethods, protected: protectedMethods } = routeMethods;
+
+    const methods: Record<string, boolean> = {};
+    for (const method of protectedMethods) {
+      methods[method.toUpperCase()] = true;
+    }
+    for (const method of publicMethods) {
+      methods[method.toUpperCase()] = false;
+    }
+    node.m = methods;
+  }
+
   return root;
 }
 
+/**
+ * Compile a route map into a route trie that can be serialized
+ *
+ * The compiled trie is generated at build time (e.g. with `--format trie`) and passed to
+ * `createRouteGuardMiddleware` as the route map. The middleware matches requests against it
+ * directly, instead of splitting and inserting every route pattern at cold start.
+ *
+ * @param routeMap - A route map in either format
+ * @returns The compiled trie, which can be written as JSON
+ */
+export function compileRouteTrie(routeMap: RouteMapInput): CompiledRouteTrie {
+  const normalized = normalizeRouteMap(routeMap);
+  const trie: CompiledRouteTrie = { format: 'route-trie', version: 1, root: buildRouteTrie(normalized) };
+
+  // The URL settings are carried over, so the middleware doesn't need them as options,
+  // along with the middleware options of route-guard.config it checks its own against
+  if (normalized.basePath) trie.basePath = normalized.basePath;
+  if (normalized.trailingSlash !== undefined) trie.trailingSlash = normalized.trailingSlash;
+  if (normalized.middleware) trie.middleware = recordMiddlewareOptions(normalized.middleware);
+
+  return trie;
+}
+
+/**
+ * Check whether a route map option is a compiled route trie
+ *
+ * @param routeMap - Route map passed to the middleware
+ * @returns True if it is a compiled trie rather than a route map
+ */
+export function isCompiledRouteTrie(routeMap: RouteMapInput | CompiledRouteTrie): routeMap is CompiledRouteTrie {
+  return (routeMap as { format?: unknown }).format === 'route-trie';
+}
+
+/**
+ * Get the root node of a compiled route trie, checking that its format is supported
+ *
+ * @param trie - Compiled route trie generated at build time
+ * @returns Root node of the route trie
+ * @throws If the compiled trie has an unsupported version or no root node
+ */
+export function getCompiledTrieRoot(trie: CompiledRouteTrie): CompiledRouteNode {
+  // The trie usually comes from a JSON import, so its shape is checked at runtime
+  if (trie.version !== 1 || typeof trie.root !== 'object' || trie.root === null) {
+    throw new Error(
+      `@tradecrush/next-route-guard: Unsupported compiled route trie (version ${JSON.stringify(trie.version)}), ` +
+        'regenerate it with the installed version of the package.'
+    );
+  }
+
+  return trie.root;
+}
+
+/**
+ * Get the static child of a node for a segment
+ *
+ * Only own keys are looked up, so that segments like "constructor" don't match
+ * properties inherited by the children object.
+ *
+ * @param node - Node in the trie
+ * @param segment - Path segment
+ * @returns The child node, or undefined if the node has no child for the segment
+ */
+export function getChild(node: CompiledRouteNode, segment: string): CompiledRouteNode | undefined {
+  return node.c && Object.prototype.hasOwnProperty.call(node.c, segment) ? node.c[segment] : undefined;
+}
+
+/**
+ * Finds the node for a route pattern that was already added to the trie
+ *
+ * @param root - Root node of the trie
+ * @param route - Route pattern to look up
+ * @returns The node for the route, or undefined if it isn't in the trie
+ */
+export function findRouteNode(root: CompiledRouteNode, route: string): CompiledRouteNode | undefined {
+  let current: CompiledRouteNode | undefined = root;
+
+  for (const segment of route.split('/').filter((segment) => segment !== '')) {
+    if (!current) break;
+
+    if (segment.startsWith('[...') || segment.startsWith('[[...')) {
+      current = current.a;
+    } else if (segment.startsWith('[') && segment.endsWith(']')) {
+      current = current.d;
+    } else {
+      current = getChild(current, segment);
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Get the protection status of an HTTP method on a matched route handler
+ *
+ * HEAD requests use the status of GET when the handler doesn't export HEAD,
+ * since Next.js answers them with the GET handler.
+ *
+ * @param node - Matched node in the trie
+ * @param method - HTTP method of the request
+ * @returns The method's protection status, or undefined if the route has no rule for it
+ */
+export function getMethodProtection(node: CompiledRouteNode | undefined, method: string): boolean | undefined {
+  const methods = node?.m;
+  if (!methods) return undefined;
+
+  const hasMethod = (name: string) => Object.prototype.hasOwnProperty.call(methods, name);
+
+  if (method === 'HEAD' && !hasMethod('HEAD')) {
+    return hasMethod('GET') ? methods.GET : undefined;
+  }
+
+  return hasMethod(method) ? methods[method] : undefined;
+}
+
 /**
  * Adds a single route to the trie
  *
  * @param root - Root node of the trie
  * @param route - Route path to add
- * @param isProtected - Whether this route is protected
+ * @param isProtected - Whether this route is protected, or undefined to leave it to the default
+ * @returns The node representing the end of the route
  */
-function addRouteToTrie(root: RouteNode, route: string, isProtected: boolean): void {
+function addRouteToTrie(root: CompiledRouteNode, route: string, isProtected: boolean | undefined): CompiledRouteNode {
   // Split the path into segments and remove empty segments
   const segments = route.split('/').filter((segment) => segment !== '');
 
   let current = root;
 
   // Process each segment of the path
-  for (let i = 0; i < segments.length; i++) {
-    const segment = segments[i]!;
-
+  for (const segment of segments) {
     // Handle catch-all routes: [...slug] or [[...slug]]
     if (segment.startsWith('[...') || segment.startsWith('[[...')) {
-      const isOptional = segment.startsWith('[[...');
-
       // Create a catch-all node if it doesn't exist
-      if (!current.catchAllChild) {
-        current.catchAllChild = {
-          node: { children: new Map() },
-          isOptional
-        };
-      }
-
-      // If this is the last segment, mark protection status
-      if (i === segments.length - 1) {
-        current.catchAllChild.node.isProtected = isProtected;
+      if (!current.a) {
+        current.a = {};
+        if (segment.startsWith('[[...')) {
+          current.o = 1;
+        }
       }
 
       // Continue adding remaining segments even after a catch-all
-      current = current.catchAllChild.node;
+      current = current.a;
     }
     // Handle dynamic segments: [param]
     else if (segment.startsWith('[') && segment.endsWith(']')) {
       // Create a dynamic node if it doesn't exist
-      if (!current.dynamicChild) {
-        current.dynamicChild = { children: new Map() };
-      }
+      current.d ??= {};
 
-      // If this is the last segment, mark protection status
-      if (i === segments.length - 1) {
-        current.dynamicChild.isProtected = isProtected;
+      // Mark the locale segment of localized apps, so other paths are never matched against it
+      if (current === root && LOCALE_SEGMENTS.includes(segment)) {
+        current.d.l = 1;
       }
 
       // Move to the dynamic child for next iteration
-      current = current.dynamicChild;
+      current = current.d;
     }
     // Handle regular segments
     else {
-      // Create a regular child if it doesn't exist
-      if (!current.children.has(segment)) {
-        current.children.set(segment, { children: new Map() });
-      }
+      // Without a prototype, segments like "__proto__" are stored as regular keys
+      current.c ??= Object.create(null) as Record<string, CompiledRouteNode>;
 
-      // If this is the last segment, mark protection status
-      if (i === segments.length - 1) {
-        const child = current.children.get(segment)!;
-        child.isProtected = isProtected;
+      // Create a regular child if it doesn't exist
+      let child = getChild(current, segment);
+      if (!child) {
+        child = {};
+        current.c[segment] = child;
       }
 
       // Move to the child for next iteration
-      current = current.children.get(segment)!;
+      current = child;
     }
   }
 
-  // For root routes like '/' that don't have segments
-  if (segments.length === 0) {
-    root.isProtected = isProtected;
+  // Mark the protection status of the last segment (or of the root for '/')
+  if (isProtected === undefined) {
+    delete current.s;
+  } else {
+    current.s = isProtected ? 1 : 0;
   }
+
+  return current;
+}
+
+/**
+ * Check whether the URL of a request handles the basePath itself
+ *
+ * In Next.js middleware, `nextUrl` removes the basePath of next.config from the pathname
+ * and adds it back when it is formatted, so it must not be removed or added again.
+ *
+ * @param request - The incoming request
+ * @param basePath - The basePath of the app
+ * @returns True if `nextUrl` handles the basePath
+ */
+function hasNextBasePath(request: NextRequest, basePath: string): boolean {
+  return request.nextUrl.basePath === basePath;
 }
 
 /**
- * Improved visualization function for route tries with correct indentation
+ * Get the path of a request relative to the basePath of the app
  *
- * @param trie - The route trie to visualize
- * @param options - Visualization options
- * @returns A string representation of the trie
+ * @param request - The incoming request
+ * @param basePath - The basePath of the app
+ * @returns The path the route map is matched against
  */
-function visualizeTrie(
-  trie: RouteNode,
-  options: {
-    indent?: string;
-    path?: string;
-  } = {}
-): string {
-  const { indent = '', path = '' } = options;
-
-  let output = '';
-  const protectionStatus =
-    trie.isProtected !== undefined ? (trie.isProtected ? '🔒 Protected' : '🔓 Public') : '❓ Default';
-
-  // Root node special case
-  if (indent === '') {
-    output += `Root (${protectionStatus})\n`;
+function getAppPath(request: NextRequest, basePath: string): string {
+  const pathname = request.nextUrl.pathname;
+  if (!basePath || hasNextBasePath(request, basePath)) {
+    return pathname;
   }
 
-  // Convert Map entries to array for easier handling
-  const children = Array.from(trie.children.entries());
+  if (pathname === basePath || pathname.startsWith(`${basePath}/`)) {
+    return pathname.slice(basePath.length) || '/';
+  }
 
-  // Process regular children
-  children.forEach(([segment, childNode], index) => {
-    const isLastChild = !trie.dynamicChild && !trie.catchAllChild && index === children.length - 1;
-    const childPath = path + '/' + segment;
-    const childStatus =
-      childNode.isProtected !== undefined ? (childNode.isProtected ? '🔒 Protected' : '🔓 Public') : '❓ Default';
+  return pathname;
+}
 
-    // Use different connectors based on position
-    const connector = isLastChild ? '└── ' : '├── ';
-    output += `${indent}${connector}${segment} (${childStatus})\n`;
+/**
+ * Add or remove the trailing slash of a path, following the trailingSlash setting
+ *
+ * @param pathname - URL path
+ * @param trailingSlash - Whether URLs end with a slash, or undefined to leave the path as is
+ * @returns The formatted path
+ */
+function formatTrailingSlash(pathname: string, trailingSlash: boolean | undefined): string {
+  if (trailingSlash === undefined || pathname === '/') return pathname;
 
-    // Child indentation changes based on whether this is the last child
-    const childIndent = indent + (isLastChild ? '    ' : '│   ');
+  if (trailingSlash) {
+    return pathname.endsWith('/') ? pathname : `${pathname}/`;
+  }
+  return pathname.endsWith('/') ? pathname.slice(0, -1) : pathname;
+}
 
-    // Recurse into child
-    output += visualizeTrie(childNode, {
-      indent: childIndent,
-      path: childPath
-    });
-  });
+/**
+ * Warn when the middleware is created with other options than the ones recorded in the route map
+ *
+ * The route map only records the options set in route-guard.config, so nothing is checked
+ * for route maps generated without one.
+ *
+ * @param recorded - Middleware options recorded in the route map
+ * @param defaultProtected - The defaultProtected option of the middleware
+ * @param excludeUrls - The excludeUrls option of the middleware
+ */
+function warnOnOptionMismatch(
+  recorded: DeepReadonly<RouteMapMiddlewareOptions> | undefined,
+  defaultProtected: boolean,
+  excludeUrls: readonly (string | RegExp)[]
+): void {
+  if (recorded?.defaultProtected !== undefined && recorded.defaultProtected !== defaultProtected) {
+    console.warn(
+      `@tradecrush/next-route-guard: The middleware uses defaultProtected: ${defaultProtected}, but route-guard.config sets ${recorded.defaultProtected}.`
+    );
+  }
 
-  // Process dynamic parameter child
-  if (trie.dynamicChild) {
-    const isLastChild = !trie.catchAllChild;
-    const childStatus =
-      trie.dynamicChild.isProtected !== undefined
-        ? trie.dynamicChild.isProtected
-          ? '🔒 Protected'
-          : '🔓 Public'
-        : '❓ Default';
-
-    // Use different connectors based on position
-    const connector = isLastChild ? '└── ' : '├── ';
-    output += `${indent}${connector}[param] (${childStatus})\n`;
-
-    // Child indentation changes based on whether this is the last child
-    const childIndent = indent + (isLastChild ? '    ' : '│   ');
-
-    // Recurse into dynamic child
-    output += visualizeTrie(trie.dynamicChild, {
-      indent: childIndent,
-      path: path + '/[param]'
-    });
+  if (recorded?.excludeUrls) {
+    // The order of the patterns doesn't change which URLs are excluded
+    const expected = [...recorded.excludeUrls].sort();
+    const actual = excludeUrls.map(String).sort();
+    if (expected.length !== actual.length || expected.some((pattern, index) => pattern !== actual[index])) {
+      console.warn(
+        `@tradecrush/next-route-guard: The middleware uses excludeUrls: [${actual.join(', ')}], but route-guard.config sets [${expected.join(', ')}].`
+      );
+    }
   }
+}
+
+/**
+ * Find the excludeUrls pattern that matches a URL path
+ *
+ * String patterns match the whole path, with `*` matching any characters.
+ *
+ * @param pathname - URL path of the request
+ * @param unprefixedPath - The path without its locale prefix, if it has one
+ * @param excludeUrls - URL patterns to exclude from the authentication check
+ * @returns The first matching pattern, or undefined if the path isn't excluded
+ */
+export function findExcludedPattern(
+  pathname: string,
+  unprefixedPath: string | undefined,
+  excludeUrls: readonly (string | RegExp)[]
+): string | RegExp | undefined {
+  return excludeUrls.find((pattern) => {
+    // Convert string patterns to regex if needed
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(`^${pattern.replace(/\*/g, '.*')}$`);
+
+    // Patterns match with or without the locale prefix
+    return regex.test(pathname) || (unprefixedPath !== undefined && regex.test(unprefixedPath));
+  });
+}
 
-  // Process catch-all child (always the last child if it exists)
-  if (trie.catchAllChild) {
-    const catchAllType = trie.catchAllChild.isOptional ? '[[...slug]]' : '[...slug]';
-    const optionalText = trie.catchAllChild.isOptional ? ' (optional)' : '';
-    const childStatus =
-      trie.catchAllChild.node.isProtected !== undefined
-        ? trie.catchAllChild.node.isProtected
-          ? '🔒 Protected'
-          : '🔓 Public'
-        : '❓ Default';
-
-    output += `${indent}└── ${catchAllType}${optionalText} (${childStatus})\n`;
-
-    // Catch-all is always the last child, so no need for vertical lines in indentation
-    const childIndent = indent + '    ';
-
-    // Recurse into catch-all child
-    output += visualizeTrie(trie.catchAllChild.node, {
-      indent: childIndent,
-      path: path + '/' + catchAllType
-    });
+/**
+ * Split the locale prefix off a URL path
+ *
+ * @param pathname - URL path of the request
+ * @param locales - Locales of the app, if it is localized
+ * @returns The locale in the first segment of the path (if any) and the path without it
+ */
+export function splitLocale(
+  pathname: string,
+  locales: readonly string[] | undefined
+): { locale?: string; path: string } {
+  const locale = pathname.split('/')[1];
+  if (!locales || locale === undefined || !locales.includes(locale)) {
+    return { path: pathname };
   }
 
-  return output;
+  return { locale, path: pathname.slice(locale.length + 1) || '/' };
 }
 
 /**
- * Match a path against the route trie to determine if it's protected
+ * Match a path against the route trie to find the node that decides its protection
+ *
+ * With locales, the locale prefix of the path is optional, since i18n middleware like next-intl
+ * serves the default locale without it. The dynamic segment at the root of the trie (like
+ * `app/[locale]`) takes the locale, so `/dashboard` and `/de/dashboard` both match
+ * `/[locale]/dashboard`. Static routes at the root still take precedence over it, and the other
+ * dynamic and catch-all routes at the root only match when nothing inside the locale segment
+ * does, so a root catch-all never wins over a localized route. The root dynamic segment is
+ * only matched as a route of its own (like `/[slug]`) if it isn't named `[locale]` or `[lang]`,
+ * so `/pricing` is never mistaken for the `/[locale]` home page.
  *
  * @param path - URL path to check
  * @param routeTrie - Route trie for efficient matching
- * @param defaultProtected - Default protection status
- * @returns true if the path should be protected, false if it's public
+ * @param locales - Locales of the app, if it is localized
+ * @param trace - If given, the steps of the walk through the trie are added to it (used by explainPath)
+ * @returns The matched node, or undefined if nothing matched. The caller falls back to
+ * the default protection status when the node is missing or has no explicit status.
  */
-function matchPath(path: string, routeTrie: RouteNode, defaultProtected: boolean): boolean {
+export function matchPath(
+  path: string,
+  routeTrie: CompiledRouteNode,
+  locales?: readonly string[],
+  trace?: PathMatchStep[]
+): CompiledRouteNode | undefined {
   // Clean and normalize the path
   let cleanPath = (path.split('?')[0] || '').split('#')[0] || '';
   if (cleanPath.endsWith('/') && cleanPath.length > 1) {
     cleanPath = cleanPath.slice(0, -1);
   }
 
+  if (locales && locales.length > 0) {
+    const { locale, path: unprefixedPath } = splitLocale(cleanPath, locales);
+    const segments = unprefixedPath.split('/').filter(Boolean);
+    const { d: localeNode, ...unlocalizedRoot } = routeTrie;
+
+    // Without a locale prefix, static routes at the root are matched before the localized ones
+    const isStaticAtRoot =
+      segments.length === 0 ? routeTrie.s !== undefined : getChild(routeTrie, segments[0]!) !== undefined;
+
+    // Each attempt is traced separately, so only the walk that decided is reported
+    if (localeNode && (locale || !isStaticAtRoot)) {
+      const localeTrace: PathMatchStep[] | undefined = trace && [];
+      const localeMatch = findMatch(localeNode, segments, 0, localeTrace);
+      if (localeMatch) {
+        trace?.push({ kind: 'locale', segments: locale ? [locale] : [] }, ...localeTrace!);
+        return localeMatch;
+      }
+    }
+
+    // Otherwise the routes outside of the locale segment decide, including a root dynamic
+    // segment that isn't named as the locale segment
+    const root = localeNode?.l ? unlocalizedRoot : routeTrie;
+    return findMatch(root, segments, 0, trace);
+  }
+
   // Special case for root path
   if (cleanPath === '/') {
-    return routeTrie.isProtected ?? defaultProtected;
+    if (routeTrie.s === undefined) {
+      trace?.push({ kind: 'unmatched', segments: [] });
+    }
+    return routeTrie;
   }
 
   // Split path into segments
   const segments = cleanPath.split('/').filter(Boolean);
 
   // Use recursive matching with backtracking
-  return findMatch(routeTrie, segments, 0, defaultProtected);
+  return findMatch(routeTrie, segments, 0, trace);
 }
 
 /**
@@ -333,23 +575,30 @@ function matchPath(path: string, routeTrie: RouteNode, defaultProtected: boolean
  * @param node - Current node in the trie
  * @param segments - Path segments
  * @param index - Current segment index
- * @param defaultProtected - Default protection status
- * @returns The protection status for the best matched path
+ * @param trace - If given, the steps of the walk are added to it
+ * @returns The best matched node, or undefined if the default protection applies
  */
-function findMatch(node: RouteNode, segments: string[], index: number, defaultProtected: boolean): boolean {
-  // If we reached the end of the path, return the protection status of this node
+function findMatch(
+  node: CompiledRouteNode,
+  segments: string[],
+  index: number,
+  trace?: PathMatchStep[]
+): CompiledRouteNode | undefined {
+  // If we reached the end of the path, return this node
   if (index >= segments.length) {
     // If this node has an explicit protection status, use it
-    if (node.isProtected !== undefined) {
-      return node.isProtected;
+    if (node.s !== undefined) {
+      return node;
     }
     // If this node has an optional catch-all child, use its protection status
-    else if (node.catchAllChild && node.catchAllChild.isOptional) {
-      return node.catchAllChild.node.isProtected ?? defaultProtected;
+    else if (node.a && node.o) {
+      trace?.push({ kind: 'optional-catch-all', segments: [] });
+      return node.a;
     }
     // Otherwise, use the default
     else {
-      return defaultProtected;
+      trace?.push({ kind: 'unmatched', segments: [] });
+      return undefined;
     }
   }
 
@@ -357,55 +606,43 @@ function findMatch(node: RouteNode, segments: string[], index: number, defaultPr
   const segment = segments[index]!;
 
   // Check for exact match in children
-  if (node.children.has(segment)) {
+  const childNode = getChild(node, segment);
+  if (childNode) {
+    trace?.push({ kind: 'static', segments: [segment] });
     // Continue matching with the next segment
-    const childNode = node.children.get(segment)!;
-    return findMatch(childNode, segments, index + 1, defaultProtected);
+    return findMatch(childNode, segments, index + 1, trace);
   }
   // Check for dynamic parameter match
-  else if (node.dynamicChild) {
-    return findMatch(node.dynamicChild, segments, index + 1, defaultProtected);
+  else if (node.d) {
+    trace?.push({ kind: 'dynamic', segments: [segment] });
+    return findMatch(node.d, segments, index + 1, trace);
   }
   // Check for catch-all match
-  else if (node.catchAllChild) {
-    // Handle rest segments after catch-all (if any)
-    if (node.catchAllChild.node && node.catchAllChild.node.children.size > 0) {
-      // Try to find a matching rest segment for the remaining path
-      // We need to check all possible places where the catch-all might end
-
-      // First, let's try the most specific match: check if any segments after the catch-all
-      // match the remainder of our path
-      const tryRestSegmentMatch = (startIndex: number): boolean | null => {
-        // Make sure we have segments remaining
-        if (startIndex >= segments.length) {
-          return null;
-        }
-
-        const remainingSegment = segments[startIndex]!;
+  else if (node.a) {
+    const catchAllNode = node.a;
+    const catchAllKind = node.o ? 'optional-catch-all' : 'catch-all';
 
-        // If we have a match in the rest segments, follow that path
-        if (node.catchAllChild?.node.children?.has(remainingSegment)) {
-          const restNode = node.catchAllChild.node.children.get(remainingSegment)!;
-          return findMatch(restNode, segments, startIndex + 1, defaultProtected);
-        }
-
-        return null;
-      };
-
-      // Try each possible ending position for the catch-all
+    // Handle rest segments after catch-all (if any)
+    if (catchAllNode.c) {
+      // Try each possible ending position for the catch-all: if a segment after it
+      // matches one of the rest segments, follow that path for the remainder
       for (let i = index; i < segments.length; i++) {
-        const result = tryRestSegmentMatch(i);
-        if (result !== null) {
-          return result;
+        const restNode = getChild(catchAllNode, segments[i]!);
+        if (restNode) {
+          trace?.push({ kind: catchAllKind, segments: segments.slice(index, i) });
+          trace?.push({ kind: 'rest', segments: [segments[i]!] });
+          return findMatch(restNode, segments, i + 1, trace);
         }
       }
     }
 
     // If no rest segments matched or if there are no rest segments,
     // use the catch-all node's protection status
-    return node.catchAllChild.node.isProtected ?? defaultProtected;
+    trace?.push({ kind: catchAllKind, segments: segments.slice(index) });
+    return catchAllNode;
   }
 
   // No match found, use default protection status
-  return defaultProtected;
+  trace?.push({ kind: 'unmatched', segments: segments.slice(index) });
+  return undefined;
 }
@@ -0,0 +1,189 @@
+/**
+ * Comparison of route maps.
+ * This module lists the routes that were added, removed or reclassified between two route
+ * maps, along with the route handler methods and required roles that changed, e.g. to check
+ * that a committed route map is up to date. It has no Node.js dependencies, so it can be used
+ * anywhere.
+ */
+
+import type {
+  ReadonlyRouteMap,
+  RouteMapDiff,
+  RouteMapInput,
+  RouteMethodChange,
+  RouteRolesChange,
+  RouteStatus
+} from './types';
+import { normalizeRouteMap } from './route-map';
+
+/**
+ * Compare the routes of two route maps
+ *
+ * Both route map versions are accepted, and maps of different versions can be compared.
+ * Besides the statuses of the routes, the statuses of route handler methods and the required
+ * roles of routes that stay protected are compared. Other settings are not.
+ *
+ * @param before - The old route map
+ * @param after - The new route map
+ * @returns The added, removed and reclassified routes, and the changed methods and roles
+ */
+export function diffRouteMaps(before: RouteMapInput, after: RouteMapInput): RouteMapDiff {
+  const oldMap = normalizeRouteMap(before);
+  const newMap = normalizeRouteMap(after);
+  const oldStatuses = getRouteStatuses(oldMap);
+  const newStatuses = getRouteStatuses(newMap);
+  const diff: RouteMapDiff = { added: [], removed: [], reclassified: [] };
+  const methods: RouteMethodChange[] = [];
+  const roles: RouteRolesChange[] = [];
+
+  for (const [path, status] of newStatuses) {
+    const oldStatus = oldStatuses.get(path);
+    if (oldStatus === undefined) {
+      diff.added.push({ path, status });
+    } else if (oldStatus !== status) {
+      diff.reclassified.push({ path, from: oldStatus, to: status });
+    }
+
+    if (oldStatus !== undefined) {
+      methods.push(...diffMethods(path, oldMap, oldStatus, newMap, status));
+    }
+
+    // Roles only apply to protected routes, a route that became public is already reclassified
+    if (oldStatus === 'protected' && status === 'protected') {
+      const oldRoles = [...(oldMap.roles?.[path] ?? [])].sort();
+      const newRoles = [...(newMap.roles?.[path] ?? [])].sort();
+      if (oldRoles.join(',') !== newRoles.join(',')) {
+        roles.push({ path, from: oldRoles, to: newRoles });
+      }
+    }
+  }
+
+  for (const [path, status] of oldStatuses) {
+    if (!newStatuses.has(path)) {
+      diff.removed.push({ path, status });
+    }
+  }
+
+  const byPath = (a: { path: string }, b: { path: string }) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+  diff.added.sort(byPath);
+  diff.removed.sort(byPath);
+  diff.reclassified.sort(byPath);
+
+  // Like the methods and roles of route maps, the lists are only included when there are changes
+  if (methods.length > 0) {
+    diff.methods = methods.sort((a, b) => byPath(a, b) || (a.method < b.method ? -1 : a.method > b.method ? 1 : 0));
+  }
+  if (roles.length > 0) {
+    diff.roles = roles.sort(byPath);
+  }
+
+  return diff;
+}
+
+/**
+ * Check whether a diff has any changes
+ *
+ * @param diff - Diff returned by diffRouteMaps
+ * @returns True if routes were added, removed or reclassified, or methods or roles changed
+ */
+export function hasRouteChanges(diff: RouteMapDiff): boolean {
+  return (
+    diff.added.length > 0 ||
+    diff.removed.length > 0 ||
+    diff.reclassified.length > 0 ||
+    (diff.methods ?? []).length > 0 ||
+    (diff.roles ?? []).length > 0
+  );
+}
+
+/**
+ * Format the changes of a diff, one line per route
+ *
+ * @example
+ * formatRouteMapDiff(diffRouteMaps(before, after));
+ * // ['+ /settings (protected)', '- /legacy (public)', '~ /billing (protected → public)',
+ * //  '~ DELETE /api/items (protected → public)', '~ /admin (roles admin → any)']
+ *
+ * @param diff - Diff returned by diffRouteMaps
+ * @returns The added, removed and reclassified routes, then the changed methods and roles
+ */
+export function formatRouteMapDiff(diff: RouteMapDiff): string[] {
+  const formatRoles = (roles: string[]) => (roles.length > 0 ? roles.join(', ') : 'any');
+
+  return [
+    ...diff.added.map(({ path, status }) => `+ ${path} (${status})`),
+    ...diff.removed.map(({ path, status }) => `- ${path} (${status})`),
+    ...diff.reclassified.map(({ path, from, to }) => `~ ${path} (${from} → ${to})`),
+    ...(diff.methods ?? []).map(({ path, method, from, to }) => `~ ${method} ${path} (${from} → ${to})`),
+    ...(diff.roles ?? []).map(({ path, from, to }) => `~ ${path} (roles ${formatRoles(from)} → ${formatRoles(to)})`)
+  ];
+}
+
+/**
+ * Compare the statuses of the route handler methods of a route
+ *
+ * A method without its own status in one of the route maps has the status of the route there.
+ * Methods whose status changed along with their route's aren't listed, since the route is.
+ *
+ * @param path - The route pattern
+ * @param oldMap - The old route map
+ * @param oldStatus - Status of the route in the old route map
+ * @param newMap - The new route map
+ * @param newStatus - Status of the route in the new route map
+ * @returns The methods whose status changed
+ */
+function diffMethods(
+  path: string,
+  oldMap: ReadonlyRouteMap,
+  oldStatus: RouteStatus,
+  newMap: ReadonlyRouteMap,
+  newStatus: RouteStatus
+): RouteMethodChange[] {
+  const oldMethods = getMethodStatuses(oldMap, path);
+  const newMethods = getMethodStatuses(newMap, path);
+  const changes: RouteMethodChange[] = [];
+
+  for (const method of new Set([...oldMethods.keys(), ...newMethods.keys()])) {
+    const from = oldMethods.get(method) ?? oldStatus;
+    const to = newMethods.get(method) ?? newStatus;
+
+    // Methods that only follow the status of their route are covered by its reclassification
+    if (from !== to && (from !== oldStatus || to !== newStatus)) {
+      changes.push({ path, method, from, to });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Get the statuses of the route handler methods of a route
+ *
+ * @param routeMap - A route map in the original format
+ * @param path - The route pattern
+ * @returns The status of each method with its own status, by upper-case method name
+ */
+function getMethodStatuses(routeMap: ReadonlyRouteMap, path: string): Map<string, RouteStatus> {
+  const methods = routeMap.methods?.[path];
+
+  return new Map<string, RouteStatus>([
+    ...(methods?.public ?? []).map((method): [string, RouteStatus] => [method.toUpperCase(), 'public']),
+    ...(methods?.protected ?? []).map((method): [string, RouteStatus] => [method.toUpperCase(), 'protected'])
+  ]);
+}
+
+/**
+ * Get the status of every route in a route map
+ *
+ * @param routeMap - A route map in the original format
+ * @returns The status of each route pattern
+ */
+function getRouteStatuses(routeMap: ReadonlyRouteMap): Map<string, RouteStatus> {
+  const { public: publicRoutes, protected: protectedRoutes, unclassified = [] } = routeMap;
+
+  return new Map<string, RouteStatus>([
+    ...publicRoutes.map((route): [string, RouteStatus] => [route, 'public']),
+    ...protectedRoutes.map((route): [string, RouteStatus] => [route, 'protected']),
+    ...unclassified.map((route): [string, RouteStatus] => [route, 'unclassified'])
+  ]);
+}
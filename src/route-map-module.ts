@@ -0,0 +1,97 @@
+/**
+ * Generator for typed route map modules.
+ * This module turns a route map into the source of a `route-map.ts` file, which exports
+ * the map `as const` along with union types of its routes and a typed `href()` builder,
+ * so route strings in application code are checked by the TypeScript compiler.
+ */
+import type { RouteMapInput } from './types';
+import { normalizeRouteMap } from './route-map';
+
+/**
+ * Create the source of a typed `route-map.ts` module for a route map
+ *
+ * The module exports:
+ * - `routeMap`: the route map `as const`, to pass to `createRouteGuardMiddleware`
+ * - `PublicRoute`, `ProtectedRoute`, `UnclassifiedRoute` and `AppRoute`: unions of the route patterns
+ * - `RouteParams<TRoute>`: the params needed to build a URL for a route
+ * - `href(route, params)`: builds a URL by filling the `[param]`, `[...slug]` and `[[...slug]]` segments
+ *
+ * The module has no imports, so it can be used in both server and client components.
+ *
+ * @param routeMap - A route map in either format
+ * @returns Source code of the TypeScript module
+ */
+export function createRouteMapModule(routeMap: RouteMapInput): string {
+  const { public: publicRoutes, protected: protectedRoutes, unclassified = [] } = normalizeRouteMap(routeMap);
+
+  return `/* eslint-disable */
+// This file is generated by @tradecrush/next-route-guard. Do not edit it by hand,
+// it is overwritten whenever the route map is regenerated.
+
+export const routeMap = ${JSON.stringify(routeMap, null, 2)} as const;
+
+export type PublicRoute = ${toUnion(publicRoutes)};
+
+export type ProtectedRoute = ${toUnion(protectedRoutes)};
+
+export type UnclassifiedRoute = ${toUnion(unclassified)};
+
+export type AppRoute = PublicRoute | ProtectedRoute | UnclassifiedRoute;
+
+type SegmentParams<TSegment extends string> = TSegment extends \`[[...\${infer Name}]]\`
+  ? { [K in Name]?: string[] }
+  : TSegment extends \`[...\${infer Name}]\`
+    ? { [K in Name]: string[] }
+    : TSegment extends \`[\${infer Name}]\`
+      ? { [K in Name]: string }
+      : Record<never, never>;
+
+/**
+ * Params needed to build a URL for a route, e.g. \`{ slug: string }\` for \`/blog/[slug]\`
+ */
+export type RouteParams<TRoute extends string> = TRoute extends \`\${infer Segment}/\${infer Rest}\`
+  ? SegmentParams<Segment> & RouteParams<Rest>
+  : SegmentParams<TRoute>;
+
+/**
+ * Build the URL of a route, filling in its dynamic segments
+ *
+ * @example
+ * href('/blog/[slug]', { slug: 'hello-world' }); // '/blog/hello-world'
+ * href('/docs/[...path]', { path: ['guides', 'setup'] }); // '/docs/guides/setup'
+ */
+export function href<TRoute extends AppRoute>(
+  route: TRoute,
+  ...[params]: Record<never, never> extends RouteParams<TRoute> ? [params?: RouteParams<TRoute>] : [params: RouteParams<TRoute>]
+): string {
+  const values = (params ?? {}) as Record<string, string | string[] | undefined>;
+
+  const segments = route.split('/').map((segment) => {
+    const match = /^\\[(\\[)?(\\.\\.\\.)?([^\\]]+)\\]?\\]$/.exec(segment);
+    if (!match) return segment;
+
+    const [, optional, catchAll, name] = match;
+    const value = values[name!];
+
+    if (value === undefined || (Array.isArray(value) && value.length === 0)) {
+      if (optional) return '';
+      throw new Error(\`Missing param "\${name}" for route \${route}\`);
+    }
+
+    return catchAll ? ([] as string[]).concat(value).map(encodeURIComponent).join('/') : encodeURIComponent(String(value));
+  });
+
+  return '/' + segments.filter((segment) => segment !== '').join('/');
+}
+`;
+}
+
+/**
+ * Format route patterns as a union of string literal types
+ *
+ * @param routes - Route patterns
+ * @returns The union type, or `never` if there are no routes
+ */
+function toUnion(routes: readonly string[]): string {
+  return routes.length > 0 ? routes.map((route) => JSON.stringify(route)).join(' | ') : 'never';
+}
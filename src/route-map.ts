@@ -0,0 +1,145 @@
+/**
+ * Helpers for the route map formats.
+ * This module converts versioned route maps into the lists used by the matcher and
+ * classifies route patterns. It has no Node.js dependencies, so the middleware can use it
+ * in the Edge runtime.
+ */
+import type {
+  DeepReadonly,
+  ReadonlyRouteMap,
+  RouteGuardConfig,
+  RouteKind,
+  RouteMap,
+  RouteMapInput,
+  RouteMapMiddlewareOptions,
+  RouteMapV2
+} from './types';
+
+/**
+ * Route map format versions supported by this package
+ */
+export const SUPPORTED_ROUTE_MAP_VERSIONS = [1, 2];
+
+/**
+ * Convert a route map of any supported version into the original `public` / `protected` format
+ *
+ * Maps without a `version` field are the original format (version 1) and are returned as is.
+ *
+ * @param routeMap - A route map as generated by generateRouteMap
+ * @returns The route map in the original format
+ * @throws If the route map has an unsupported version or isn't a route map at all
+ */
+export function normalizeRouteMap<TRoute extends string = string>(
+  routeMap: RouteMapInput<TRoute>
+): ReadonlyRouteMap<TRoute> {
+  // The map usually comes from a JSON import, so its shape is checked at runtime
+  const version = (routeMap as { version?: unknown }).version ?? 1;
+
+  if (typeof version !== 'number' || !SUPPORTED_ROUTE_MAP_VERSIONS.includes(version)) {
+    throw new Error(
+      `@tradecrush/next-route-guard: Unsupported route map version ${JSON.stringify(version)}. ` +
+        `Supported versions are ${SUPPORTED_ROUTE_MAP_VERSIONS.join(' and ')}, regenerate the route map or upgrade the package.`
+    );
+  }
+
+  if (version === 1) {
+    const v1 = routeMap as ReadonlyRouteMap<TRoute>;
+    if (!Array.isArray(v1.public) || !Array.isArray(v1.protected)) {
+      throw new Error('@tradecrush/next-route-guard: Invalid route map, expected "public" and "protected" arrays.');
+    }
+    return v1;
+  }
+
+  // The routes are only read, so the mutable type with the same shape can be used
+  const { routes } = routeMap as unknown as RouteMapV2<TRoute>;
+  if (!Array.isArray(routes)) {
+    throw new Error('@tradecrush/next-route-guard: Invalid version 2 route map, expected a "routes" array.');
+  }
+
+  const normalized: RouteMap<TRoute> = {
+    public: routes.filter((route) => route.status === 'public').map((route) => route.path),
+    protected: routes.filter((route) => route.status === 'protected').map((route) => route.path)
+  };
+
+  const { basePath, trailingSlash, middleware } = (routeMap as unknown as RouteMapV2<TRoute>).options ?? {};
+  if (basePath) {
+    normalized.basePath = basePath;
+  }
+  if (trailingSlash !== undefined) {
+    normalized.trailingSlash = trailingSlash;
+  }
+  if (middleware) {
+    normalized.middleware = middleware;
+  }
+
+  const unclassified = routes.filter((route) => route.status === 'unclassified').map((route) => route.path);
+  if (unclassified.length > 0) {
+    normalized.unclassified = unclassified;
+  }
+
+  const withRoles = routes.filter((route) => route.roles && route.roles.length > 0);
+  if (withRoles.length > 0) {
+    normalized.roles = Object.fromEntries(
+      withRoles.map((route) => [route.path, [...route.roles!]])
+    ) as RouteMap<TRoute>['roles'];
+  }
+
+  const withMethods = routes.filter((route) => route.methods);
+  if (withMethods.length > 0) {
+    normalized.methods = Object.fromEntries(
+      withMethods.map(({ path, methods }) => [
+        path,
+        { public: [...methods!.public], protected: [...methods!.protected] }
+      ])
+    ) as RouteMap<TRoute>['methods'];
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalize the basePath of next.config, which is either empty or starts without ending with a slash
+ *
+ * @param basePath - The configured basePath, e.g. `/portal` or `portal/`
+ * @returns The basePath in its canonical form (`/portal`), or an empty string if there is none
+ */
+export function normalizeBasePath(basePath: string | undefined): string {
+  const trimmed = (basePath ?? '').replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}` : '';
+}
+
+/**
+ * Convert the middleware options of route-guard.config to the form recorded in a route map
+ *
+ * @param options - The `defaultProtected` and `excludeUrls` options, if set
+ * @returns The options with regular expressions in their /source/flags form, or undefined if none are set
+ */
+export function recordMiddlewareOptions(
+  options: DeepReadonly<Pick<RouteGuardConfig, 'defaultProtected' | 'excludeUrls'>> | undefined
+): RouteMapMiddlewareOptions | undefined {
+  const recorded: RouteMapMiddlewareOptions = {};
+  if (options?.defaultProtected !== undefined) {
+    recorded.defaultProtected = options.defaultProtected;
+  }
+  if (options?.excludeUrls) {
+    recorded.excludeUrls = options.excludeUrls.map(String);
+  }
+  return Object.keys(recorded).length > 0 ? recorded : undefined;
+}
+
+/**
+ * Determine the kind of a route pattern from its dynamic segments
+ *
+ * The most general segment decides, so `/blog/[slug]/[...rest]` is a catch-all route.
+ *
+ * @param route - URL pattern of the route
+ * @returns The kind of the route
+ */
+export function getRouteKind(route: string): RouteKind {
+  const segments = route.split('/');
+
+  if (segments.some((segment) => segment.startsWith('[[...'))) return 'optional-catch-all';
+  if (segments.some((segment) => segment.startsWith('[...'))) return 'catch-all';
+  if (segments.some((segment) => segment.startsWith('[') && segment.endsWith(']'))) return 'dynamic';
+  return 'static';
+}
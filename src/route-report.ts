@@ -0,0 +1,85 @@
+/**
+ * Route report for security and compliance audits.
+ * This module lists every route of a version 2 route map with whether the middleware requires
+ * authentication for it, given its `defaultProtected` and `excludeUrls` options, along with the
+ * group and source file that decided, for the `report` command and for your own tooling.
+ * Route handlers whose methods are protected differently from their route are reported apart,
+ * so they aren't counted as requiring authentication when some of their methods are public.
+ */
+import type { DeepReadonly, RouteMapV2, RouteReport, RouteReportEntry, RouteReportOptions } from './types';
+import { findExcludedPattern } from './route-guard';
+
+/**
+ * Create a report of every route of an app and whether it needs authentication
+ *
+ * Each route pattern is checked the way the middleware checks a request for it: `excludeRoutes`
+ * first, then the methods of a route handler, then the status of the route, then
+ * `defaultProtected` for unclassified routes. The `excludeRoutes` patterns are matched against
+ * the route patterns, since the report has no URLs to match.
+ *
+ * @example
+ * const { routeMap } = generateRouteMap('./app', undefined, undefined, { version: 2 });
+ * const report = createRouteReport(routeMap, { defaultProtected: true, excludeRoutes: ['/api/(.*)'] });
+ * // report.summary → { total: 12, protected: 6, public: 3, unclassified: 0, perMethod: 1, excluded: 2, authenticationRequired: 6 }
+ *
+ * @param routeMap - Version 2 route map, which knows the group and source file of every route
+ * @param options - The middleware options that decide which routes need authentication
+ * @returns The routes with their protection and the number of routes by status
+ */
+export function createRouteReport(
+  routeMap: RouteMapV2 | DeepReadonly<RouteMapV2>,
+  options: RouteReportOptions = {}
+): RouteReport {
+  const { defaultProtected = true, excludeRoutes = ['/api/(.*)'] } = options;
+
+  // The routes of a version 2 route map are already sorted by path
+  const routes = routeMap.routes.map((route): RouteReportEntry => {
+    const excludedBy = findExcludedPattern(route.path, undefined, excludeRoutes);
+    let decidedBy: RouteReportEntry['decidedBy'] = route.status === 'unclassified' ? 'default' : 'route';
+    let isProtected = route.status === 'unclassified' ? defaultProtected : route.status === 'protected';
+
+    if (excludedBy) {
+      decidedBy = 'excluded';
+      isProtected = false;
+    } else if (route.methods?.[isProtected ? 'public' : 'protected'].length) {
+      // Some methods are tagged against the route, so it only counts as protected if every method
+      // is. Untagged methods of unclassified routes aren't listed and follow defaultProtected.
+      decidedBy = 'method';
+      isProtected = route.methods.public.length === 0 && (route.status !== 'unclassified' || defaultProtected);
+    }
+
+    const entry: RouteReportEntry = {
+      path: route.path,
+      status: route.status,
+      protected: isProtected,
+      decidedBy,
+      source: route.source
+    };
+
+    if (excludedBy) entry.excludedBy = String(excludedBy);
+    if (route.group) entry.group = route.group;
+    if (route.roles) entry.roles = [...route.roles];
+    if (route.methods) entry.methods = { public: [...route.methods.public], protected: [...route.methods.protected] };
+
+    return entry;
+  });
+
+  const countRoutes = (status: string) =>
+    routes.filter((route) => route.decidedBy !== 'excluded' && route.decidedBy !== 'method' && route.status === status)
+      .length;
+
+  return {
+    defaultProtected,
+    excludeRoutes: excludeRoutes.map(String),
+    summary: {
+      total: routes.length,
+      protected: countRoutes('protected'),
+      public: countRoutes('public'),
+      unclassified: countRoutes('unclassified'),
+      perMethod: routes.filter((route) => route.decidedBy === 'method').length,
+      excluded: routes.filter((route) => route.decidedBy === 'excluded').length,
+      authenticationRequired: routes.filter((route) => route.protected).length
+    },
+    routes
+  };
+}
@@ -0,0 +1,212 @@
+/**
+ * Persistent cache of the directories and sources read by the route map generator.
+ * Directory listings are stored with the inode and modification time of the directory, and
+ * sources with the inode, modification time and size of the file, so the next scan only lists
+ * the directories and reads the files that changed since. Like the generator, this module is
+ * only used at build time, never in the middleware.
+ */
+
+import type { ScanEntry } from './file-system';
+
+/**
+ * The parts of `fs.Stats` that decide whether a cached entry is still valid
+ */
+export interface CacheStat {
+  ino: number;
+  mtimeMs: number;
+  size: number;
+}
+
+/**
+ * A directory listing as stored in the cache
+ */
+interface CachedDirectory {
+  ino: number;
+  mtimeMs: number;
+  realPath: string;
+  entries: Array<Pick<ScanEntry, 'item' | 'isSymbolicLink' | 'isDirectory' | 'isFile'>>;
+}
+
+/**
+ * A file source as stored in the cache
+ */
+interface CachedFile {
+  ino: number;
+  mtimeMs: number;
+  size: number;
+  source: string;
+}
+
+/**
+ * Contents of the cache file
+ */
+interface ScanCacheData {
+  version: typeof SCAN_CACHE_VERSION;
+  key: string;
+  createdAt: number;
+  directories: Record<string, CachedDirectory>;
+  files: Record<string, CachedFile>;
+}
+
+/**
+ * Cache of directory listings and sources, shared between consecutive scans
+ */
+export interface ScanCache {
+  /**
+   * Get the listing of a directory, if it hasn't changed since it was cached
+   *
+   * @param dirPath - Path of the directory
+   * @param stat - Current stat of the directory
+   * @returns The cached real path and entries, or undefined if the directory has to be listed again
+   */
+  getDirectory(dirPath: string, stat: CacheStat): { realPath: string; entries: ScanEntry[] } | undefined;
+
+  /**
+   * Store the listing of a directory
+   *
+   * @param dirPath - Path of the directory
+   * @param stat - Stat of the directory, taken before it was listed
+   * @param listing - The real path and entries of the directory
+   */
+  setDirectory(dirPath: string, stat: CacheStat, listing: { realPath: string; entries: ScanEntry[] }): void;
+
+  /**
+   * Get the source of a file, if it hasn't changed since it was cached
+   *
+   * @param file - Path of the file
+   * @param stat - Current stat of the file
+   * @returns The cached source, or undefined if the file has to be read again
+   */
+  getFile(file: string, stat: CacheStat): string | undefined;
+
+  /**
+   * Store the source of a file
+   *
+   * @param file - Path of the file
+   * @param stat - Stat of the file, taken before it was read
+   * @param source - Contents of the file
+   */
+  setFile(file: string, stat: CacheStat, source: string): void;
+
+  /**
+   * Write the directories and files used by this scan to the cache file, dropping everything
+   * that wasn't seen. Failing to write the cache doesn't fail the scan.
+   */
+  save(): void;
+}
+
+/**
+ * Version of the cache file format, caches written in another format are discarded
+ */
+const SCAN_CACHE_VERSION = 1;
+
+/**
+ * Name of the cache file inside the cache directory
+ */
+const SCAN_CACHE_FILE = 'scan-cache.json';
+
+/**
+ * Load the scan cache from a directory
+ *
+ * The cache is discarded when it was written with a different key, so the caller can tie it to
+ * everything that affects the scan, like the scanned directories and the generator options.
+ *
+ * Entries modified at or after the start of the scan that cached them are never reused, since
+ * a change made during that scan may not have changed the modification time on file systems
+ * with a coarse timestamp resolution.
+ *
+ * @param cacheDir - Directory the cache file is kept in, e.g. `.next/cache/route-guard`
+ * @param key - Identifies the scan the cache belongs to
+ * @returns The cache, empty if there was no valid cache file
+ */
+export function loadScanCache(cacheDir: string, key: string): ScanCache {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const fs = require('fs');
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const path = require('path');
+
+  const cacheFile: string = path.join(cacheDir, SCAN_CACHE_FILE);
+  const previous = readCacheFile(cacheFile, key);
+  const next: ScanCacheData = { version: SCAN_CACHE_VERSION, key, createdAt: Date.now(), directories: {}, files: {} };
+
+  // Whether a cached entry still describes the entry on disk
+  const isValid = (cached: { ino: number; mtimeMs: number }, stat: CacheStat): boolean =>
+    cached.ino === stat.ino && cached.mtimeMs === stat.mtimeMs && cached.mtimeMs < previous.createdAt;
+
+  return {
+    getDirectory(dirPath, stat) {
+      const cached = Object.prototype.hasOwnProperty.call(previous.directories, dirPath)
+        ? previous.directories[dirPath]
+        : undefined;
+      if (!cached || !isValid(cached, stat)) return undefined;
+
+      next.directories[dirPath] = cached;
+      return {
+        realPath: cached.realPath,
+        entries: cached.entries.map((entry) => ({ ...entry, itemPath: path.join(dirPath, entry.item) }))
+      };
+    },
+
+    setDirectory(dirPath, stat, { realPath, entries }) {
+      next.directories[dirPath] = {
+        ino: stat.ino,
+        mtimeMs: stat.mtimeMs,
+        realPath,
+        entries: entries.map(({ item, isSymbolicLink, isDirectory, isFile }) => ({
+          item,
+          isSymbolicLink,
+          isDirectory,
+          isFile
+        }))
+      };
+    },
+
+    getFile(file, stat) {
+      const cached = Object.prototype.hasOwnProperty.call(previous.files, file) ? previous.files[file] : undefined;
+      if (!cached || !isValid(cached, stat) || cached.size !== stat.size) return undefined;
+
+      next.files[file] = cached;
+      return cached.source;
+    },
+
+    setFile(file, stat, source) {
+      next.files[file] = { ino: stat.ino, mtimeMs: stat.mtimeMs, size: stat.size, source };
+    },
+
+    save() {
+      try {
+        fs.mkdirSync(cacheDir, { recursive: true });
+
+        // Write to a temporary file first, so a concurrent scan never reads a partial cache
+        const tempFile = `${cacheFile}.${process.pid}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(next));
+        fs.renameSync(tempFile, cacheFile);
+      } catch {
+        // The cache only speeds up the next scan
+      }
+    }
+  };
+}
+
+/**
+ * Read a cache file
+ *
+ * @param cacheFile - Path of the cache file
+ * @param key - Key the cache must have been written with
+ * @returns The cached data, or an empty cache if the file is missing, invalid or has another key
+ */
+function readCacheFile(cacheFile: string, key: string): ScanCacheData {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const fs = require('fs');
+
+  const empty: ScanCacheData = { version: SCAN_CACHE_VERSION, key, createdAt: 0, directories: {}, files: {} };
+
+  try {
+    const data = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    if (data?.version !== SCAN_CACHE_VERSION || data.key !== key) return empty;
+    if (typeof data.createdAt !== 'number' || !data.directories || !data.files) return empty;
+    return data;
+  } catch {
+    return empty;
+  }
+}
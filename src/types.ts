@@ -4,6 +4,7 @@
  * This module defines the TypeScript interfaces and types used throughout the package.
  */
 import type { NextRequest, NextResponse } from 'next/server';
+import type { EventEmitter } from 'events';
 
 /**
  * Type alias for a Next.js middleware function
@@ -16,19 +17,93 @@ export type NextMiddleware = (request: NextRequest) => Promise<NextResponse | un
  *
  * This interface represents the structure of the JSON file generated during build time
  * that contains the lists of protected and public routes based on directory conventions.
+ *
+ * @typeParam TRoute - Union of the route patterns in the map, e.g. when it is imported
+ * from a generated `route-map.ts` module
  */
-export interface RouteMap {
+export interface RouteMap<TRoute extends string = string> {
   /**
    * Array of paths that are protected and require authentication
    * These paths will trigger authentication checks when accessed
    */
-  protected: string[];
+  protected: TRoute[];
 
   /**
    * Array of paths that are public and don't require authentication
    * These paths are freely accessible without authentication
    */
-  public: string[];
+  public: TRoute[];
+
+  /**
+   * Array of paths that are not inside any public or protected group
+   *
+   * The protection status of these paths is decided at runtime by the `defaultProtected`
+   * option of the middleware. Route maps without this field (generated by older
+   * versions) are still supported.
+   */
+  unclassified?: TRoute[];
+
+  /**
+   * Roles required to access protected paths, keyed by route
+   *
+   * Routes placed inside a role group such as `(role-admin)` or `(roles:admin,billing)`
+   * are listed here in addition to the `protected` array. A user must hold at least
+   * one of the listed roles to access the route.
+   *
+   * @example
+   * { "/admin": ["admin"], "/billing/[id]": ["admin", "billing"] }
+   */
+  roles?: Partial<Record<TRoute, string[]>>;
+
+  /**
+   * HTTP methods exported by route handlers (`route.ts` files), keyed by route
+   *
+   * Each method is listed under the protection status that applies to it. Methods
+   * default to the status of their route, but can be tagged with `@public` or
+   * `@protected` in the comment before their export. Requests using a method that
+   * isn't listed fall back to the route's status.
+   *
+   * @example
+   * { "/api/posts": { "public": ["GET"], "protected": ["POST", "DELETE"] } }
+   */
+  methods?: Partial<Record<TRoute, { public: string[]; protected: string[] }>>;
+
+  /**
+   * Path prefix the app is mounted at (the `basePath` of next.config), e.g. `/portal`
+   *
+   * The middleware removes it from request paths before matching them and adds it to the
+   * URLs it redirects to.
+   */
+  basePath?: string;
+
+  /**
+   * Whether the URLs of the app end with a slash (the `trailingSlash` of next.config)
+   *
+   * The middleware uses it to format the URLs it redirects to and their `from` parameter.
+   */
+  trailingSlash?: boolean;
+
+  /**
+   * Middleware options set in route-guard.config
+   *
+   * The middleware doesn't apply them, but warns when it is created with different ones.
+   */
+  middleware?: RouteMapMiddlewareOptions;
+}
+
+/**
+ * Middleware options recorded in a route map, with regular expressions in their /source/flags form
+ */
+export interface RouteMapMiddlewareOptions {
+  /**
+   * The `defaultProtected` option the middleware is expected to use
+   */
+  defaultProtected?: boolean;
+
+  /**
+   * The `excludeUrls` option the middleware is expected to use
+   */
+  excludeUrls?: string[];
 }
 
 /**
@@ -37,8 +112,12 @@ export interface RouteMap {
  * These options control how the middleware behaves, including how to check
  * authentication, how to handle unauthenticated requests, and which routes
  * to protect or exclude.
+ *
+ * @typeParam TRoute - Union of the route patterns in the route map. It is inferred from
+ * a route map imported from a generated `route-map.ts` module, so route strings in the
+ * options are checked against the app's routes.
  */
-export interface RouteGuardOptions {
+export interface RouteGuardOptions<TRoute extends string = string> {
   /**
    * Function to determine if a user is authenticated
    *
@@ -79,6 +158,37 @@ export interface RouteGuardOptions {
    */
   onUnauthenticated?: (request: NextRequest) => Promise<NextResponse> | NextResponse;
 
+  /**
+   * Function to get the roles of the current user
+   *
+   * This function is called for authenticated requests to routes that require roles
+   * (routes inside `(role-*)` or `(roles:*)` groups). If it is not provided, such routes
+   * are always treated as forbidden.
+   *
+   * @example
+   * getUserRoles: (request) => {
+   *   return request.cookies.get('roles')?.value.split(',') ?? [];
+   * }
+   */
+  getUserRoles?: (request: NextRequest) => Promise<string[]> | string[];
+
+  /**
+   * Function to handle authenticated requests that lack a required role
+   *
+   * This function is called when a logged in user tries to access a route whose
+   * required roles they don't hold.
+   *
+   * @default Responds with a 403 Forbidden status
+   *
+   * @example
+   * onForbidden: (request) => {
+   *   const url = request.nextUrl.clone();
+   *   url.pathname = '/403';
+   *   return NextResponse.rewrite(url);
+   * }
+   */
+  onForbidden?: (request: NextRequest) => Promise<NextResponse> | NextResponse;
+
   /**
    * Map of protected and public routes
    *
@@ -88,11 +198,18 @@ export interface RouteGuardOptions {
    * This must be generated at build time to work with Edge runtime since it can't
    * scan the filesystem during execution.
    *
+   * Both the original format and the versioned v2 format are accepted. Maps with an
+   * unknown version are rejected when the middleware is created.
+   *
+   * A compiled route trie (generated with `--format trie`) is accepted too. It is
+   * hydrated without parsing the route patterns again, which reduces the cold start
+   * time of the middleware for apps with many routes.
+   *
    * @example
    * // Import the generated route map
    * import routeMap from './app/route-map.json';
    */
-  routeMap: RouteMap;
+  routeMap: RouteMapInput<TRoute> | CompiledRouteTrie;
 
   /**
    * Default behavior for routes not explicitly marked in the route map
@@ -100,6 +217,9 @@ export interface RouteGuardOptions {
    * When set to true (default), routes are protected unless explicitly marked as public.
    * When set to false, routes are public unless explicitly marked as protected.
    *
+   * This applies both to URLs that are missing from the route map and to the routes
+   * listed as `unclassified` (routes outside of any public or protected group).
+   *
    * @default true - Routes are protected by default
    */
   defaultProtected?: boolean;
@@ -114,6 +234,8 @@ export interface RouteGuardOptions {
    *
    * @default ['/api/(.*)'] - Excludes all API routes
    *
+   * Set this to `[]` (or narrower patterns) to let the route map decide for route handlers under `/api`.
+   *
    * @example
    * excludeUrls: [
    *   '/api/(.*)',        // All API routes
@@ -121,5 +243,1171 @@ export interface RouteGuardOptions {
    *   '/public/(.*)'      // Anything under /public/
    * ]
    */
-  excludeUrls?: (string | RegExp)[];
+  excludeUrls?: (TRoute | RoutePattern | RegExp)[];
+
+  /**
+   * Path prefix the app is mounted at, e.g. `/portal`
+   *
+   * Request paths are matched without it, and the default `onUnauthenticated` redirects to
+   * the login page under it (`/portal/login`). When the request URL already handles the
+   * basePath of next.config, as it does in Next.js middleware, it isn't added twice.
+   *
+   * @default The `basePath` embedded in the route map, otherwise none
+   */
+  basePath?: string;
+
+  /**
+   * Whether the URLs of the app end with a slash
+   *
+   * The default `onUnauthenticated` formats the login URL and its `from` parameter
+   * accordingly (`/login/?from=/dashboard/`). When it isn't set, paths are left as they are.
+   *
+   * @default The `trailingSlash` embedded in the route map
+   */
+  trailingSlash?: boolean;
+
+  /**
+   * Locales of the app, for apps localized with a locale prefix in the URL
+   *
+   * With locales set, the locale prefix of a URL is optional when it is matched against the
+   * route map: `/dashboard` and `/de/dashboard` both match `app/[locale]/(protected)/dashboard`,
+   * since i18n middleware like next-intl usually serves the default locale without a prefix.
+   * A dynamic segment at the root of the app directory is treated as the locale segment.
+   * `excludeUrls` patterns match with or without the prefix, and the default
+   * `onUnauthenticated` redirects to the login page in the locale of the request (`/de/login`).
+   *
+   * This isn't needed for the `i18n` setting of next.config (Pages Router), where Next.js
+   * removes the locale from the path before the middleware runs.
+   *
+   * @example
+   * locales: ['en', 'de', 'fr']
+   */
+  locales?: readonly string[];
+}
+
+/**
+ * Additional options for generating a route map
+ *
+ * These options extend the route group conventions of the app directory with
+ * settings for other parts of a Next.js project.
+ */
+export interface GenerateRouteMapOptions {
+  /**
+   * Path to the Pages Router directory
+   *
+   * When set, routes from the pages directory are merged into the route map.
+   * `_app`, `_document` and `_error` are skipped, and `index` files map to their directory.
+   *
+   * @example
+   * pagesDir: './pages'
+   */
+  pagesDir?: string;
+
+  /**
+   * URL prefixes of Pages Router routes that are public
+   *
+   * Since the pages directory has no route groups, prefixes decide the protection status
+   * of its routes. The longest matching prefix wins. A page can override this with an
+   * `@public` or `@protected` tag in the comment at the top of the file.
+   *
+   * @example
+   * publicPaths: ['/blog', '/docs', '/api/webhooks']
+   */
+  publicPaths?: string[];
+
+  /**
+   * URL prefixes of Pages Router routes that are protected
+   *
+   * Pages Router routes outside of any prefix are left to the `defaultProtected` option
+   * of the middleware, so this is needed to protect routes regardless of that default.
+   *
+   * @example
+   * protectedPaths: ['/docs/internal']
+   */
+  protectedPaths?: string[];
+
+  /**
+   * File extensions that Next.js treats as pages and route handlers
+   *
+   * This should match `pageExtensions` in next.config. The CLI tools read it from
+   * next.config automatically.
+   *
+   * @default ['tsx', 'ts', 'jsx', 'js']
+   *
+   * @example
+   * pageExtensions: ['tsx', 'ts', 'mdx']
+   */
+  pageExtensions?: string[];
+
+  /**
+   * Format of the generated route map
+   *
+   * - `1`: the `public` / `protected` lists (see {@link RouteMap})
+   * - `2`: a versioned map with provenance for every route (see {@link RouteMapV2})
+   *
+   * @default 1
+   */
+  version?: 1 | 2;
+
+  /**
+   * Directory the file paths in a v2 route map are relative to
+   *
+   * @default process.cwd()
+   */
+  rootDir?: string;
+
+  /**
+   * Path prefix the app is mounted at (the `basePath` of next.config)
+   *
+   * It is embedded in the route map, so the middleware matches and redirects under it
+   * without being configured separately. The CLI tools read it from next.config.
+   */
+  basePath?: string;
+
+  /**
+   * Whether the URLs of the app end with a slash (the `trailingSlash` of next.config)
+   *
+   * It is embedded in the route map for the middleware. The CLI tools read it from next.config.
+   */
+  trailingSlash?: boolean;
+
+  /**
+   * Middleware options to record in the route map, so the middleware can warn when it is
+   * created with different ones. The CLI tools read them from route-guard.config.
+   */
+  middleware?: Pick<RouteGuardConfig, 'defaultProtected' | 'excludeUrls'>;
+
+  /**
+   * What to do with symlinks in the app and pages directories
+   *
+   * - `follow`: scan the files and directories they link to. Links that loop back to a
+   *   directory being scanned are skipped with a `symlink-loop` warning
+   * - `ignore`: skip them silently
+   * - `error`: skip them and report a `disallowed-symlink` error
+   *
+   * @default 'follow'
+   */
+  symlinks?: SymlinkPolicy;
+
+  /**
+   * Gitignore-style patterns of files and directories to skip, relative to the app
+   * directory (or the pages directory for its routes)
+   *
+   * @example
+   * ignore: ['__tests__/', '/(internal)', 'legacy-*', '!legacy-api']
+   */
+  ignore?: string[];
+
+  /**
+   * Directory to keep a persistent scan cache in, e.g. `.next/cache/route-guard`
+   *
+   * Directories and files that haven't changed since the previous scan are taken from the
+   * cache instead of being read again. The cache is discarded when the scanned directories,
+   * group patterns or any other option change. Disabled by default, the CLI tools enable it
+   * unless `--no-cache` is passed.
+   */
+  cacheDir?: string;
+}
+
+/**
+ * How the route map generator handles symlinks, see {@link GenerateRouteMapOptions.symlinks}
+ */
+export type SymlinkPolicy = 'follow' | 'ignore' | 'error';
+
+/**
+ * Protection status of a route in the route map
+ */
+export type RouteStatus = 'public' | 'protected' | 'unclassified';
+
+/**
+ * A URL that is claimed with different protection statuses by several files
+ *
+ * This happens when the same route exists in both a public and a protected group
+ * (e.g. `(public)/settings/page.tsx` and `(protected)/settings/page.tsx`), or when
+ * dynamic segments with different param names (e.g. `[slug]` and `[id]`) at the same
+ * level resolve to the same URLs. The most restrictive status wins.
+ */
+export interface RouteConflict {
+  /**
+   * URL pattern the conflicting files resolve to (the first one, for dynamic segments)
+   */
+  route: string;
+
+  /**
+   * Files claiming the URL, with the route pattern and status each of them produces
+   * (and the group, tag or path prefix that decided the status)
+   */
+  claims: Array<{ file: string; route: string; status: RouteStatus; group?: string }>;
+
+  /**
+   * Status the URL ends up with in the generated route map
+   */
+  resolvedStatus: RouteStatus;
+
+  /**
+   * Explanation of why the files conflict and how the conflict was resolved
+   */
+  reason: string;
+}
+
+/**
+ * Severity of a diagnostic reported by generateRouteMap
+ *
+ * - `error`: routes may be missing or resolved differently than intended
+ * - `warning`: likely a mistake in the app structure
+ * - `info`: worth knowing, but not necessarily a problem
+ */
+export type DiagnosticSeverity = 'error' | 'warning' | 'info';
+
+/**
+ * Kinds of problems reported by generateRouteMap
+ */
+export type DiagnosticCode =
+  | 'unreadable-directory'
+  | 'unreadable-file'
+  | 'symlink-loop'
+  | 'disallowed-symlink'
+  | 'unclassified-route'
+  | 'possible-group-typo'
+  | 'empty-route-group'
+  | 'duplicate-route'
+  | 'route-conflict'
+  | 'secondary-route-status';
+
+/**
+ * A problem found while generating the route map
+ */
+export interface RouteMapDiagnostic {
+  /**
+   * How serious the problem is
+   */
+  severity: DiagnosticSeverity;
+
+  /**
+   * Identifier of the kind of problem, for filtering in tools
+   */
+  code: DiagnosticCode;
+
+  /**
+   * Path of the file or directory the problem was found in
+   */
+  file: string;
+
+  /**
+   * Human-readable description of the problem
+   */
+  message: string;
+
+  /**
+   * Other files involved in the problem, e.g. the other definitions of a duplicate route
+   */
+  relatedFiles?: string[];
+}
+
+/**
+ * Pattern for route group directory names passed to generateRouteMap
+ *
+ * - A plain string matches the group name exactly, e.g. `'(public)'`
+ * - A string with `*` or `?` is a glob, e.g. `'(public-*)'` matches `(public-marketing)`
+ * - A RegExp is tested against the group name, e.g. `/^\(app-.+\)$/`
+ */
+export type GroupPattern = string | RegExp;
+
+/**
+ * Kind of URL pattern a route has, based on its dynamic segments
+ *
+ * - `static`: no dynamic segments, e.g. `/about`
+ * - `dynamic`: at least one `[param]` segment, e.g. `/blog/[slug]`
+ * - `catch-all`: a `[...param]` segment, e.g. `/docs/[...slug]`
+ * - `optional-catch-all`: a `[[...param]]` segment, e.g. `/shop/[[...filters]]`
+ */
+export type RouteKind = 'static' | 'dynamic' | 'catch-all' | 'optional-catch-all';
+
+/**
+ * A route in a v2 route map, with where its protection status comes from
+ */
+export interface RouteMapEntry<TRoute extends string = string> {
+  /**
+   * URL pattern of the route, e.g. `/blog/[slug]`
+   */
+  path: TRoute;
+
+  /**
+   * Protection status of the route
+   */
+  status: RouteStatus;
+
+  /**
+   * Kind of URL pattern
+   */
+  kind: RouteKind;
+
+  /**
+   * Page or route handler file that defines the route, relative to the root directory
+   */
+  source: string;
+
+  /**
+   * What decided the status: the route group (e.g. `(public)` or `(role-admin)`), or for
+   * Pages Router routes the `@public` / `@protected` tag or the matching path prefix.
+   * Not set for unclassified routes.
+   */
+  group?: string;
+
+  /**
+   * Roles required to access the route, if it is inside a role group
+   */
+  roles?: string[];
+
+  /**
+   * HTTP methods of a route handler, grouped by protection status
+   */
+  methods?: { public: string[]; protected: string[] };
+}
+
+/**
+ * Versioned route map with provenance metadata
+ *
+ * Generated with `version: 2` (or `--map-version 2` in the CLI tools). The middleware
+ * accepts both this format and the original {@link RouteMap}.
+ */
+export interface RouteMapV2<TRoute extends string = string> {
+  /**
+   * Version of the route map format
+   */
+  version: 2;
+
+  /**
+   * When the route map was generated, as an ISO 8601 timestamp
+   */
+  generatedAt: string;
+
+  /**
+   * SHA-256 hash of the routes and options, which only changes when the routes do
+   */
+  hash: string;
+
+  /**
+   * Options the route map was generated with (paths relative to the root directory)
+   */
+  options: {
+    appDir: string;
+    publicPatterns: string[];
+    protectedPatterns: string[];
+    pageExtensions: string[];
+    pagesDir?: string;
+    publicPaths?: string[];
+    protectedPaths?: string[];
+    symlinks?: SymlinkPolicy;
+    ignore?: string[];
+    basePath?: string;
+    trailingSlash?: boolean;
+    middleware?: RouteMapMiddlewareOptions;
+  };
+
+  /**
+   * All routes, sorted by path
+   */
+  routes: RouteMapEntry<TRoute>[];
+}
+
+/**
+ * Result of generateRouteMap: either the route map with the problems found while
+ * generating it, or an error message if the route map couldn't be generated at all
+ */
+export interface GenerateRouteMapResult<T extends RouteMap | RouteMapV2 = RouteMap> {
+  /**
+   * Error message if the route map couldn't be generated
+   */
+  error?: string;
+
+  /**
+   * The generated route map
+   */
+  routeMap?: T;
+
+  /**
+   * URLs claimed with different protection statuses by several files
+   */
+  conflicts?: RouteConflict[];
+
+  /**
+   * Problems found while scanning the app and pages directories
+   */
+  diagnostics?: RouteMapDiagnostic[];
+}
+
+/**
+ * A read-only view of a value, including nested arrays and objects
+ *
+ * Route maps exported `as const` from a generated `route-map.ts` module are deeply read-only.
+ */
+export type DeepReadonly<T> = T extends (infer U)[]
+  ? readonly DeepReadonly<U>[]
+  : T extends object
+    ? { readonly [K in keyof T]: DeepReadonly<T[K]> }
+    : T;
+
+/**
+ * A read-only view of a {@link RouteMap}, which is how a route map exported `as const`
+ * from a generated `route-map.ts` module is typed
+ */
+export interface ReadonlyRouteMap<TRoute extends string = string> {
+  readonly protected: readonly TRoute[];
+  readonly public: readonly TRoute[];
+  readonly unclassified?: readonly TRoute[];
+  readonly roles?: { readonly [K in TRoute]?: readonly string[] };
+  readonly methods?: {
+    readonly [K in TRoute]?: { readonly public: readonly string[]; readonly protected: readonly string[] };
+  };
+  readonly basePath?: string;
+  readonly trailingSlash?: boolean;
+  readonly middleware?: DeepReadonly<RouteMapMiddlewareOptions>;
+}
+
+/**
+ * Any route map accepted by the middleware: either format, as imported from JSON or
+ * from a generated `route-map.ts` module
+ */
+export type RouteMapInput<TRoute extends string = string> = ReadonlyRouteMap<TRoute> | DeepReadonly<RouteMapV2<TRoute>>;
+
+/**
+ * A URL pattern that isn't one of the known routes, e.g. `/api/(.*)`
+ *
+ * Intersecting with an empty object type keeps editors suggesting the known routes of a
+ * union like `TRoute | RoutePattern` instead of collapsing it into `string`.
+ */
+export type RoutePattern = string & Record<never, never>;
+
+/**
+ * A node of a compiled route trie
+ *
+ * The middleware matches requests against these nodes directly, so a trie compiled at
+ * build time is used as is. The keys are kept short because the trie is bundled into
+ * the middleware.
+ */
+export interface CompiledRouteNode {
+  /**
+   * Protection status: 1 = protected, 0 = public, missing = the runtime default applies
+   */
+  s?: 0 | 1;
+
+  /**
+   * Static children by segment name
+   */
+  c?: Record<string, CompiledRouteNode>;
+
+  /**
+   * Dynamic child (for [param] segments)
+   */
+  d?: CompiledRouteNode;
+
+  /**
+   * Catch-all child (for [...slug] or [[...slug]] segments)
+   */
+  a?: CompiledRouteNode;
+
+  /**
+   * Set to 1 if the catch-all child is optional ([[...slug]])
+   */
+  o?: 1;
+
+  /**
+   * Set to 1 on the dynamic child of the root if it is the locale segment of the app
+   * (`[locale]` or `[lang]`), which never matches anything but a locale
+   */
+  l?: 1;
+
+  /**
+   * Roles required to access the route (any one of them grants access)
+   */
+  r?: readonly string[];
+
+  /**
+   * Protection status per HTTP method for route handlers (true = protected)
+   */
+  m?: Record<string, boolean>;
+}
+
+/**
+ * A route trie compiled at build time by `compileRouteTrie`
+ */
+export interface CompiledRouteTrie {
+  /**
+   * Marks the object as a compiled trie rather than a route map
+   */
+  format: 'route-trie';
+
+  /**
+   * Version of the compiled trie format
+   */
+  version: 1;
+
+  /**
+   * Root node of the trie, for the `/` route
+   */
+  root: CompiledRouteNode;
+
+  /**
+   * Path prefix the app is mounted at, copied from the route map
+   */
+  basePath?: string;
+
+  /**
+   * Whether the URLs of the app end with a slash, copied from the route map
+   */
+  trailingSlash?: boolean;
+
+  /**
+   * Middleware options from route-guard.config, copied from the route map
+   */
+  middleware?: RouteMapMiddlewareOptions;
+}
+
+/**
+ * Formats a route map can be written in: JSON, a typed TypeScript module or a compiled route trie
+ */
+export type RouteMapFormat = 'json' | 'ts' | 'trie';
+
+/**
+ * Options for watching the app directory and keeping a route map file up to date
+ */
+export interface WatchRouteMapOptions {
+  /**
+   * Path to the Next.js app directory
+   */
+  appDir: string;
+
+  /**
+   * Path of the route map file to write
+   */
+  outputFile: string;
+
+  /**
+   * Format of the route map file
+   *
+   * @default 'json'
+   */
+  format?: RouteMapFormat;
+
+  /**
+   * Group names, globs or regular expressions that indicate public routes
+   *
+   * @default ['(public)']
+   */
+  publicPatterns?: GroupPattern[];
+
+  /**
+   * Group names, globs or regular expressions that indicate protected routes
+   *
+   * @default ['(protected)']
+   */
+  protectedPatterns?: GroupPattern[];
+
+  /**
+   * Options passed to the generator, the pages directory is watched as well if it is set
+   */
+  generateOptions?: GenerateRouteMapOptions;
+
+  /**
+   * Whether the watcher keeps the process running
+   *
+   * @default true
+   */
+  persistent?: boolean;
+
+  /**
+   * Whether to close the watcher on `SIGINT` and `SIGTERM`. After closing, the signal ends the
+   * process as usual, unless other listeners of the signal handle it. The listeners are removed
+   * when the watcher is closed.
+   *
+   * @default false
+   */
+  handleSignals?: boolean;
+
+  /**
+   * Receives the progress messages of the watcher
+   *
+   * @default console.log
+   */
+  log?: (message: string) => void;
+
+  /**
+   * Called after the initial generation and after each update of the route map file, e.g. to
+   * print the diagnostics. Generations that leave the file unchanged aren't reported.
+   */
+  onGenerate?: (result: GenerateRouteMapResult<RouteMap | RouteMapV2>) => void;
+}
+
+/**
+ * An update of the route map file by the watcher, passed to its `change` listeners
+ */
+export interface RouteMapUpdate {
+  /**
+   * The new route map
+   */
+  routeMap: RouteMap | RouteMapV2;
+
+  /**
+   * Problems found while generating the route map
+   */
+  diagnostics: RouteMapDiagnostic[];
+
+  /**
+   * Routes that were added, removed or reclassified and the methods and roles that changed, if
+   * the previous route map could be read (compiled tries can't). Empty if only settings changed.
+   */
+  diff?: RouteMapDiff;
+}
+
+/**
+ * A running route map watcher
+ *
+ * It is an EventEmitter with these events:
+ * - `ready`: the app is watched for changes, with the current route map
+ * - `change`: the route map file was updated, with a {@link RouteMapUpdate}
+ * - `error`: the route map couldn't be generated or the app couldn't be watched. Without
+ *   `error` listeners, errors are printed to stderr instead.
+ */
+export interface RouteMapWatcher extends EventEmitter {
+  /**
+   * The current route map, undefined if it couldn't be generated yet
+   */
+  readonly routeMap: RouteMap | RouteMapV2 | undefined;
+
+  /**
+   * Stop watching and cancel any pending update
+   */
+  close(): Promise<void>;
+
+  on(event: 'ready', listener: (routeMap: RouteMap | RouteMapV2 | undefined) => void): this;
+  on(event: 'change', listener: (update: RouteMapUpdate) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+  once(event: 'ready', listener: (routeMap: RouteMap | RouteMapV2 | undefined) => void): this;
+  once(event: 'change', listener: (update: RouteMapUpdate) => void): this;
+  once(event: 'error', listener: (error: Error) => void): this;
+}
+
+/**
+ * Options of the `withRouteGuard` next.config plugin
+ *
+ * `pageExtensions`, `basePath` and `trailingSlash` are taken from the wrapped Next.js config, and
+ * `rootDir` is the project directory the app and pages directories are looked up in.
+ */
+export interface RouteGuardPluginOptions extends Omit<
+  GenerateRouteMapOptions,
+  'pageExtensions' | 'basePath' | 'trailingSlash' | 'cacheDir'
+> {
+  /**
+   * Path to the app directory, relative to the project directory
+   *
+   * @default ./app or ./src/app
+   */
+  appDir?: string;
+
+  /**
+   * Path of the route map file, relative to the project directory
+   *
+   * @default route-map.json (route-map.ts or route-trie.json for the other formats) in the app directory
+   */
+  output?: string;
+
+  /**
+   * Format of the route map file
+   *
+   * @default 'json'
+   */
+  format?: RouteMapFormat;
+
+  /**
+   * Group names, globs or regular expressions that indicate public routes
+   *
+   * @default ['(public)']
+   */
+  publicPatterns?: GroupPattern[];
+
+  /**
+   * Group names, globs or regular expressions that indicate protected routes
+   *
+   * @default ['(protected)']
+   */
+  protectedPatterns?: GroupPattern[];
+
+  /**
+   * Fail `next build` instead of writing the route map if errors are found, e.g. conflicting routes
+   *
+   * @default false
+   */
+  strict?: boolean;
+
+  /**
+   * Reuse unchanged directories from the scan cache in the `cache/route-guard` folder of `distDir`
+   *
+   * @default true
+   */
+  cache?: boolean;
+}
+
+/**
+ * Contents of a `route-guard.config.{js,mjs,json}` file
+ *
+ * The config is shared by the CLI tools, which take their defaults from it, and the middleware,
+ * which warns when its options differ from the ones recorded in the route map. Paths are
+ * relative to the directory of the config file.
+ */
+export interface RouteGuardConfig {
+  /**
+   * Path to the app directory
+   *
+   * @default ./app or ./src/app
+   */
+  appDir?: string;
+
+  /**
+   * Path of the route map file
+   *
+   * @default route-map.json in the app directory
+   */
+  output?: string;
+
+  /**
+   * Group names, globs or regular expressions that indicate public routes
+   *
+   * @default ['(public)']
+   */
+  publicPatterns?: GroupPattern[];
+
+  /**
+   * Group names, globs or regular expressions that indicate protected routes
+   *
+   * @default ['(protected)']
+   */
+  protectedPatterns?: GroupPattern[];
+
+  /**
+   * The `defaultProtected` option of the middleware
+   *
+   * @default true
+   */
+  defaultProtected?: boolean;
+
+  /**
+   * The `excludeUrls` option of the middleware
+   *
+   * @default ['/api/(.*)']
+   */
+  excludeUrls?: (string | RegExp)[];
+}
+
+/**
+ * A route that was added to or removed from a route map
+ */
+export interface RouteChange {
+  /**
+   * The route pattern, e.g. `/blog/[slug]`
+   */
+  path: string;
+
+  /**
+   * Status of the route in the route map it appears in
+   */
+  status: RouteStatus;
+}
+
+/**
+ * A route whose protection status changed between two route maps
+ */
+export interface RouteReclassification {
+  /**
+   * The route pattern, e.g. `/blog/[slug]`
+   */
+  path: string;
+
+  /**
+   * Status of the route in the old route map
+   */
+  from: RouteStatus;
+
+  /**
+   * Status of the route in the new route map
+   */
+  to: RouteStatus;
+}
+
+/**
+ * A route handler method whose protection status changed between two route maps
+ *
+ * Only methods with their own status in either route map are compared. A method without one
+ * has the status of its route.
+ */
+export interface RouteMethodChange {
+  /**
+   * The route pattern, e.g. `/api/items/[id]`
+   */
+  path: string;
+
+  /**
+   * The HTTP method, e.g. `DELETE`
+   */
+  method: string;
+
+  /**
+   * Status of the method in the old route map
+   */
+  from: RouteStatus;
+
+  /**
+   * Status of the method in the new route map
+   */
+  to: RouteStatus;
+}
+
+/**
+ * A protected route whose required roles changed between two route maps
+ */
+export interface RouteRolesChange {
+  /**
+   * The route pattern, e.g. `/admin`
+   */
+  path: string;
+
+  /**
+   * Roles required in the old route map, empty if any signed-in user had access
+   */
+  from: string[];
+
+  /**
+   * Roles required in the new route map, empty if any signed-in user has access
+   */
+  to: string[];
+}
+
+/**
+ * Differences between the routes of two route maps, each list sorted by path
+ */
+export interface RouteMapDiff {
+  /**
+   * Routes only in the new route map
+   */
+  added: RouteChange[];
+
+  /**
+   * Routes only in the old route map
+   */
+  removed: RouteChange[];
+
+  /**
+   * Routes in both route maps with a different status
+   */
+  reclassified: RouteReclassification[];
+
+  /**
+   * Route handler methods in both route maps with a different status (only set if there are any)
+   */
+  methods?: RouteMethodChange[];
+
+  /**
+   * Routes that are protected in both route maps with different required roles (only set if
+   * there are any)
+   */
+  roles?: RouteRolesChange[];
+}
+
+/**
+ * Kind of a step of the walk through the route trie
+ *
+ * - `static`: a segment matched a static segment, e.g. `docs`
+ * - `dynamic`: a segment matched a dynamic segment, e.g. `[slug]`
+ * - `catch-all` / `optional-catch-all`: the segments were taken by `[...slug]` / `[[...slug]]`
+ * - `rest`: a segment matched a static segment after a catch-all, e.g. `edit` in `/[...slug]/edit`
+ * - `locale`: the path was matched inside the locale segment, e.g. `[locale]`
+ * - `unmatched`: no route matched the segments, so the default applies
+ */
+export type PathMatchStepKind =
+  'static' | 'dynamic' | 'catch-all' | 'optional-catch-all' | 'rest' | 'locale' | 'unmatched';
+
+/**
+ * A step of the walk through the route trie
+ */
+export interface PathMatchStep {
+  /**
+   * How the segments were matched
+   */
+  kind: PathMatchStepKind;
+
+  /**
+   * The URL segments matched in this step, empty for an optional catch-all or a locale
+   * prefix that matched nothing
+   */
+  segments: string[];
+}
+
+/**
+ * What decided whether a path is protected
+ *
+ * - `preflight`: CORS preflight (OPTIONS) requests are always let through
+ * - `excluded`: the path matched one of the `excludeUrls` patterns
+ * - `method`: the route handler has a status for the HTTP method
+ * - `route`: the matched route has an explicit status
+ * - `default`: no route with a status matched, so `defaultProtected` applies
+ */
+export type PathDecision = 'preflight' | 'excluded' | 'method' | 'route' | 'default';
+
+/**
+ * Options for explainPath, the ones of the middleware that affect matching
+ */
+export interface ExplainPathOptions extends Pick<
+  RouteGuardOptions,
+  'defaultProtected' | 'excludeUrls' | 'basePath' | 'locales'
+> {
+  /**
+   * HTTP method of the request
+   *
+   * @default 'GET'
+   */
+  method?: string;
+}
+
+/**
+ * Why the middleware treats a path as public or protected, as returned by explainPath
+ */
+export interface PathExplanation {
+  /**
+   * The path that was matched, without the basePath
+   */
+  path: string;
+
+  /**
+   * HTTP method of the request, in upper case
+   */
+  method: string;
+
+  /**
+   * Whether the middleware requires authentication for the path
+   */
+  protected: boolean;
+
+  /**
+   * What decided whether the path is protected
+   */
+  decidedBy: PathDecision;
+
+  /**
+   * The `excludeUrls` pattern that matched the path, as a string (regular expressions in
+   * their /source/flags form)
+   */
+  excludedBy?: string;
+
+  /**
+   * The locale prefix of the path, if `locales` is set and the path has one
+   */
+  locale?: string;
+
+  /**
+   * The walk through the route trie, empty if the trie wasn't consulted
+   */
+  steps: PathMatchStep[];
+
+  /**
+   * Pattern of the matched route, e.g. `/docs/[version]/[...slug]`. For a compiled route trie,
+   * which doesn't keep the names of dynamic segments, they are shown as `[param]` and `[...slug]`.
+   */
+  route?: string;
+
+  /**
+   * Status of the matched route
+   */
+  status?: RouteStatus;
+
+  /**
+   * Route group or other setting that decided the status of the route (version 2 route maps only)
+   */
+  group?: string;
+
+  /**
+   * Page or route handler file of the route (version 2 route maps only)
+   */
+  source?: string;
+
+  /**
+   * Roles required to access the route, if it is inside a role group
+   */
+  roles?: string[];
+}
+
+/**
+ * Output formats of visualizeTrie: a box-drawing tree, JSON, a Mermaid flowchart or a Graphviz graph
+ */
+export type TrieVisualizationFormat = 'text' | 'json' | 'mermaid' | 'dot';
+
+/**
+ * Protection status of a node in the route trie, `default` if the middleware's
+ * `defaultProtected` option decides for it
+ */
+export type TrieNodeStatus = 'public' | 'protected' | 'default';
+
+/**
+ * Options for visualizeTrie
+ */
+export interface VisualizeTrieOptions {
+  /**
+   * Output format
+   *
+   * @default 'text'
+   */
+  format?: TrieVisualizationFormat;
+
+  /**
+   * Route pattern of the subtree to show, e.g. `/account` or `/docs/[version]`
+   *
+   * @default The whole trie
+   */
+  prefix?: string;
+
+  /**
+   * Only show the nodes with these statuses, along with the nodes leading to them
+   *
+   * @default All nodes
+   */
+  status?: TrieNodeStatus | TrieNodeStatus[];
+}
+
+/**
+ * A node of the route tree, as visualizeTrie prints it in the JSON format
+ */
+export interface RouteTreeNode {
+  /**
+   * Segment of the node, with `[param]`, `[...slug]` or `[[...slug]]` for dynamic segments
+   * (empty for the root of the trie)
+   */
+  segment: string;
+
+  /**
+   * Route pattern of the node, e.g. `/docs/[param]/[...slug]`
+   */
+  path: string;
+
+  /**
+   * Protection status of the node
+   */
+  status: TrieNodeStatus;
+
+  /**
+   * Roles required to access the route, if it is inside a role group
+   */
+  roles?: string[];
+
+  /**
+   * Protection status per HTTP method for route handlers (true = protected)
+   */
+  methods?: Record<string, boolean>;
+
+  /**
+   * Child nodes: static segments first, then the dynamic and catch-all segments
+   */
+  children: RouteTreeNode[];
+}
+
+/**
+ * Options for createRouteReport, the ones of the middleware that decide which routes need authentication
+ */
+export interface RouteReportOptions extends Pick<RouteGuardOptions, 'defaultProtected'> {
+  /**
+   * Patterns of the routes the middleware lets through, usually its `excludeUrls` option. Unlike
+   * `excludeUrls`, they are matched against route patterns rather than URLs, so `/api/(.*)`
+   * excludes the route `/api/[id]`, but `/api/42` doesn't.
+   *
+   * @default ['/api/(.*)']
+   */
+  excludeRoutes?: RouteGuardOptions['excludeUrls'];
+}
+
+/**
+ * A route in a route report, with whether the middleware requires authentication for it
+ */
+export interface RouteReportEntry {
+  /**
+   * URL pattern of the route, e.g. `/blog/[slug]`
+   */
+  path: string;
+
+  /**
+   * Protection status of the route in the route map
+   */
+  status: RouteStatus;
+
+  /**
+   * Whether the middleware requires authentication for the route. For a route handler whose
+   * methods are protected differently, it is only true if every method requires authentication.
+   */
+  protected: boolean;
+
+  /**
+   * What decided whether the route is protected: an `excludeRoutes` pattern, the status of the
+   * route, the `@public` or `@protected` tags of the methods of a route handler when they differ
+   * from the route, or `defaultProtected` for unclassified routes
+   */
+  decidedBy: Extract<PathDecision, 'excluded' | 'method' | 'route' | 'default'>;
+
+  /**
+   * The `excludeRoutes` pattern that matches the route pattern, as a string (regular expressions
+   * in their /source/flags form)
+   */
+  excludedBy?: string;
+
+  /**
+   * Page or route handler file that defines the route, relative to the root directory
+   */
+  source: string;
+
+  /**
+   * Route group or other setting that decided the status of the route
+   */
+  group?: string;
+
+  /**
+   * Roles required to access the route, if it is inside a role group
+   */
+  roles?: string[];
+
+  /**
+   * HTTP methods of a route handler, grouped by protection status
+   */
+  methods?: { public: string[]; protected: string[] };
+}
+
+/**
+ * Every route of an app with whether it needs authentication, as returned by createRouteReport
+ */
+export interface RouteReport {
+  /**
+   * The `defaultProtected` option the report was created with
+   */
+  defaultProtected: boolean;
+
+  /**
+   * The `excludeRoutes` patterns the report was created with, as strings (regular expressions in
+   * their /source/flags form)
+   */
+  excludeRoutes: string[];
+
+  /**
+   * Number of routes: in total, by status (routes matched by `excludeRoutes` are only counted as
+   * excluded, and route handlers whose methods decide only as `perMethod`), and the ones the
+   * middleware requires authentication for, for every method
+   */
+  summary: {
+    total: number;
+    protected: number;
+    public: number;
+    unclassified: number;
+    perMethod: number;
+    excluded: number;
+    authenticationRequired: number;
+  };
+
+  /**
+   * All routes, sorted by path
+   */
+  routes: RouteReportEntry[];
 }
@@ -0,0 +1,250 @@
+/**
+ * Visualization of the route trie the middleware matches requests against.
+ * This module renders the trie as a box-drawing tree for the terminal, as JSON, or as a
+ * Mermaid or Graphviz diagram for design docs and security reviews, optionally limited to a
+ * subtree and to nodes with a given protection status.
+ */
+import type {
+  CompiledRouteNode,
+  CompiledRouteTrie,
+  RouteMapInput,
+  RouteTreeNode,
+  TrieNodeStatus,
+  VisualizeTrieOptions
+} from './types';
+import { compileRouteTrie, findRouteNode, getCompiledTrieRoot, isCompiledRouteTrie } from './route-guard';
+
+/**
+ * Fill colors of the nodes in diagrams, by status
+ */
+const STATUS_COLORS: Record<TrieNodeStatus, string> = {
+  protected: '#fde2e1',
+  public: '#e3f6e5',
+  default: '#eeeeee'
+};
+
+/**
+ * Visualize the route trie of a route map
+ *
+ * @example
+ * console.log(visualizeTrie(routeMap));
+ * // Root (🔓 Public)
+ * // ├── account (❓ Default)
+ * // │   └── settings (🔒 Protected)
+ * // └── [param] (🔓 Public)
+ *
+ * @example
+ * // Only the public routes under /account, as a Mermaid flowchart
+ * visualizeTrie(routeMap, { format: 'mermaid', prefix: '/account', status: 'public' });
+ *
+ * The trie doesn't keep the names of dynamic segments, so they are shown as `[param]`,
+ * `[...slug]` and `[[...slug]]`.
+ *
+ * @param routeMap - Route map or compiled route trie, as passed to the middleware
+ * @param options - Output format and filters
+ * @returns The visualization in the requested format
+ * @throws If the trie has no node for the prefix
+ */
+export function visualizeTrie(routeMap: RouteMapInput | CompiledRouteTrie, options: VisualizeTrieOptions = {}): string {
+  const { format = 'text', prefix = '/' } = options;
+  const root = getCompiledTrieRoot(isCompiledRouteTrie(routeMap) ? routeMap : compileRouteTrie(routeMap));
+
+  const prefixNode = findRouteNode(root, prefix);
+  if (!prefixNode) {
+    throw new Error(`@tradecrush/next-route-guard: The route trie has no routes under ${prefix}.`);
+  }
+
+  const labels = prefix.split('/').filter(Boolean).map(getSegmentLabel);
+  let tree = buildTreeNode(prefixNode, labels[labels.length - 1] ?? '', `/${labels.join('/')}`);
+
+  if (options.status) {
+    const statuses = Array.isArray(options.status) ? options.status : [options.status];
+    tree = { ...tree, children: filterTree(tree.children, statuses) };
+  }
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(tree, null, 2) + '\n';
+    case 'mermaid':
+      return renderMermaid(tree);
+    case 'dot':
+      return renderDot(tree);
+    default:
+      return renderText(tree);
+  }
+}
+
+/**
+ * Convert a node of the trie and its descendants into route tree nodes
+ *
+ * @param node - Node in the trie
+ * @param segment - Label of the node's segment
+ * @param path - Route pattern of the node
+ * @returns The route tree node
+ */
+function buildTreeNode(node: CompiledRouteNode, segment: string, path: string): RouteTreeNode {
+  const treeNode: RouteTreeNode = { segment, path, status: getNodeStatus(node), children: [] };
+  if (node.r && node.r.length > 0) treeNode.roles = [...node.r];
+  if (node.m) treeNode.methods = { ...node.m };
+
+  const addChild = (child: CompiledRouteNode, childSegment: string) =>
+    treeNode.children.push(buildTreeNode(child, childSegment, `${path === '/' ? '' : path}/${childSegment}`));
+
+  // Static children first, then the dynamic child, and the catch-all child last
+  for (const [childSegment, child] of Object.entries(node.c ?? {})) {
+    addChild(child, childSegment);
+  }
+  if (node.d) {
+    addChild(node.d, node.d.l ? '[locale]' : '[param]');
+  }
+  if (node.a) {
+    addChild(node.a, node.o ? '[[...slug]]' : '[...slug]');
+  }
+
+  return treeNode;
+}
+
+/**
+ * Keep the nodes with one of the statuses, along with the nodes leading to them
+ *
+ * @param nodes - Route tree nodes
+ * @param statuses - Statuses to keep
+ * @returns The filtered nodes
+ */
+function filterTree(nodes: RouteTreeNode[], statuses: TrieNodeStatus[]): RouteTreeNode[] {
+  return nodes.flatMap((node) => {
+    const children = filterTree(node.children, statuses);
+    return statuses.includes(node.status) || children.length > 0 ? [{ ...node, children }] : [];
+  });
+}
+
+/**
+ * Get the protection status of a node in the trie
+ *
+ * @param node - Node in the trie
+ * @returns The status, `default` if the node has none
+ */
+function getNodeStatus(node: CompiledRouteNode): TrieNodeStatus {
+  return node.s === undefined ? 'default' : node.s === 1 ? 'protected' : 'public';
+}
+
+/**
+ * Get the label of a segment of a route pattern, as the trie names it
+ *
+ * @param segment - Segment of a route pattern, e.g. `[version]`
+ * @returns The label, e.g. `[param]`
+ */
+function getSegmentLabel(segment: string): string {
+  if (segment.startsWith('[[...')) return '[[...slug]]';
+  if (segment.startsWith('[...')) return '[...slug]';
+  if (segment.startsWith('[') && segment.endsWith(']')) return '[param]';
+  return segment;
+}
+
+/**
+ * Describe the protection status of a node for the text and diagram formats
+ *
+ * @param node - Route tree node
+ * @param isRoot - Whether the node is the root of the visualization, which is named by its path
+ * @returns The node label, e.g. `settings (🔒 Protected)`
+ */
+function getNodeLabel(node: RouteTreeNode, isRoot: boolean): string {
+  const name = isRoot ? (node.path === '/' ? 'Root' : node.path) : node.segment;
+  const optionalText = node.segment.startsWith('[[...') ? ' (optional)' : '';
+  const statusLabel =
+    node.status === 'protected' ? '🔒 Protected' : node.status === 'public' ? '🔓 Public' : '❓ Default';
+  return `${name}${optionalText} (${statusLabel})`;
+}
+
+/**
+ * Render a route tree with box-drawing characters
+ *
+ * @param tree - Root of the route tree
+ * @returns One line per node
+ */
+function renderText(tree: RouteTreeNode): string {
+  let output = `${getNodeLabel(tree, true)}\n`;
+
+  const renderChildren = (node: RouteTreeNode, indent: string) => {
+    node.children.forEach((child, index) => {
+      // Use different connectors based on position
+      const isLastChild = index === node.children.length - 1;
+      output += `${indent}${isLastChild ? '└── ' : '├── '}${getNodeLabel(child, false)}\n`;
+
+      // Child indentation changes based on whether this is the last child
+      renderChildren(child, indent + (isLastChild ? '    ' : '│   '));
+    });
+  };
+  renderChildren(tree, '');
+
+  return output;
+}
+
+/**
+ * Render a route tree as a Mermaid flowchart
+ *
+ * @param tree - Root of the route tree
+ * @returns The flowchart definition
+ */
+function renderMermaid(tree: RouteTreeNode): string {
+  const lines = ['flowchart TD'];
+  const classes: Record<TrieNodeStatus, string[]> = { protected: [], public: [], default: [] };
+
+  forEachNode(tree, (node, id, parentId) => {
+    lines.push(`  ${id}["${getNodeLabel(node, parentId === undefined).replace(/"/g, '#quot;')}"]`);
+    if (parentId !== undefined) {
+      lines.push(`  ${parentId} --> ${id}`);
+    }
+    classes[node.status].push(id);
+  });
+
+  // "default" is reserved for the style of all nodes in Mermaid, so the classes get a suffix
+  for (const [status, ids] of Object.entries(classes)) {
+    lines.push(`  classDef ${status}Route fill:${STATUS_COLORS[status as TrieNodeStatus]}`);
+    if (ids.length > 0) {
+      lines.push(`  class ${ids.join(',')} ${status}Route`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a route tree as a Graphviz graph
+ *
+ * @param tree - Root of the route tree
+ * @returns The graph in the DOT language
+ */
+function renderDot(tree: RouteTreeNode): string {
+  const lines = ['digraph routes {', '  node [shape=box, style="rounded,filled"];'];
+
+  forEachNode(tree, (node, id, parentId) => {
+    const label = getNodeLabel(node, parentId === undefined).replace(/["\\]/g, '\\$&');
+    lines.push(`  ${id} [label="${label}", fillcolor="${STATUS_COLORS[node.status]}"];`);
+    if (parentId !== undefined) {
+      lines.push(`  ${parentId} -> ${id};`);
+    }
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Visit the nodes of a route tree depth-first, numbering them for diagram node IDs
+ *
+ * @param tree - Root of the route tree
+ * @param visit - Called with each node, its ID and the ID of its parent (undefined for the root)
+ */
+function forEachNode(
+  tree: RouteTreeNode,
+  visit: (node: RouteTreeNode, id: string, parentId: string | undefined) => void
+): void {
+  let count = 0;
+  const walk = (node: RouteTreeNode, parentId: string | undefined) => {
+    const id = `n${count++}`;
+    visit(node, id, parentId);
+    node.children.forEach((child) => walk(child, id));
+  };
+  walk(tree, undefined);
+}
@@ -0,0 +1,352 @@
+/**
+ * Watcher that keeps a route map file up to date during development.
+ * It regenerates the route map whenever route files are added, changed or removed in the app
+ * and pages directories, and only rewrites the file when the route map changed, since every
+ * rewrite makes Next.js recompile the middleware that imports it. It is used by the
+ * next-route-guard-watch CLI and the next.config plugin, never at runtime in the middleware.
+ */
+
+import type {
+  RouteMap,
+  RouteMapDiff,
+  RouteMapFormat,
+  RouteMapInput,
+  RouteMapV2,
+  RouteMapWatcher,
+  WatchRouteMapOptions
+} from './types';
+import { generateRouteMap } from './generate-route-map';
+import { DEFAULT_PAGE_EXTENSIONS } from './next-config';
+import { normalizeRouteMap } from './route-map';
+import { parseRouteMap, serializeRouteMap, writeFileAtomically } from './output';
+import { diffRouteMaps, formatRouteMapDiff, hasRouteChanges } from './route-map-diff';
+
+/**
+ * Delay in milliseconds before regenerating, so that many files changing at once cause a single update
+ */
+const DEBOUNCE_DELAY = 300;
+
+/**
+ * File names (without extension) in the app directory that affect the route map. Layouts don't,
+ * so adding or removing one doesn't regenerate it.
+ */
+const APP_ROUTE_FILES = ['page', 'default', 'route'];
+
+/**
+ * Signals the watcher closes on with `handleSignals`
+ */
+const CLOSE_SIGNALS: NodeJS.Signals[] = ['SIGINT', 'SIGTERM'];
+
+/**
+ * Generate the route map, write it, and regenerate it whenever the routes change
+ *
+ * The route map is generated once before this function returns, so it exists by the time
+ * the middleware is compiled.
+ *
+ * @example
+ * const watcher = watchRouteMap({ appDir: './app', outputFile: './app/route-map.json' });
+ * watcher.on('change', ({ diff }) => console.log(diff && formatRouteMapDiff(diff)));
+ * watcher.on('error', (error) => console.error(error));
+ * // Later, e.g. when the dev server stops, or on SIGINT and SIGTERM with `handleSignals: true`
+ * await watcher.close();
+ *
+ * @param options - Directories to watch, output file and generator options
+ * @returns The running watcher, an EventEmitter with `ready`, `change` and `error` events
+ */
+export function watchRouteMap(options: WatchRouteMapOptions): RouteMapWatcher {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const chokidar = require('chokidar');
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const { EventEmitter } = require('events');
+
+  const {
+    appDir,
+    outputFile,
+    format = 'json',
+    publicPatterns,
+    protectedPatterns,
+    generateOptions = {},
+    persistent = true,
+    handleSignals = false,
+    log = console.log,
+    onGenerate
+  } = options;
+  const pagesDir = generateOptions.pagesDir;
+  const pageExtensions = generateOptions.pageExtensions || DEFAULT_PAGE_EXTENSIONS;
+
+  const emitter: RouteMapWatcher = new EventEmitter();
+  let routeMap: RouteMap | RouteMapV2 | undefined;
+
+  // The route map file as it was last written (or found on startup), to skip identical writes
+  let previous = readRouteMapFile(outputFile, format);
+
+  /**
+   * Passes an error to the error listeners, or prints it if there are none, since an
+   * EventEmitter throws errors nobody listens to
+   *
+   * @param message - Description of what failed
+   * @param cause - The error or error message
+   */
+  function reportError(message: string, cause: unknown): void {
+    if (emitter.listenerCount('error') === 0) {
+      console.error(message, cause);
+      return;
+    }
+    emitter.emit('error', cause instanceof Error ? cause : new Error(`${message} ${cause}`));
+  }
+
+  /**
+   * Generates the route map based on the current app directory structure and saves it if it changed
+   * This function is called initially and whenever file changes are detected
+   *
+   * @param initial - Whether this is the initial generation, which is reported even if the file is up to date
+   */
+  function generateAndSaveRouteMap(initial = false): void {
+    log('\n@tradecrush/next-route-guard: Generating route map...');
+
+    const result = generateRouteMap(appDir, publicPatterns, protectedPatterns, generateOptions);
+    if (result.error || !result.routeMap) {
+      reportError('@tradecrush/next-route-guard: Error generating route map:', result.error);
+      return;
+    }
+
+    routeMap = result.routeMap;
+    const contents = serializeRouteMap(routeMap, format);
+    if (previous && removeTimestamp(contents) === removeTimestamp(previous.contents)) {
+      log('@tradecrush/next-route-guard: Routes unchanged, the route map file was not rewritten.');
+      if (initial) onGenerate?.(result);
+      return;
+    }
+
+    try {
+      writeFileAtomically(outputFile, contents);
+    } catch (error) {
+      reportError('@tradecrush/next-route-guard: Error writing route map:', error);
+      return;
+    }
+
+    const diff = previous?.routeMap ? diffRouteMaps(previous.routeMap, routeMap) : undefined;
+    log(`@tradecrush/next-route-guard: Route map updated at ${new Date().toLocaleTimeString()}`);
+    summarizeChanges(routeMap, diff).forEach((line) => log(line));
+    previous = { contents, routeMap };
+
+    onGenerate?.(result);
+
+    // Nobody can listen to the initial generation yet, the route map is available as watcher.routeMap
+    if (!initial) {
+      emitter.emit('change', { routeMap, diagnostics: result.diagnostics ?? [], diff });
+    }
+  }
+
+  generateAndSaveRouteMap(true);
+
+  // Watch for changes in the app directory (and the pages directory, if configured)
+  log(`\n@tradecrush/next-route-guard: Watching for changes in ${appDir}...`);
+  const watcher = chokidar.watch(pagesDir ? [appDir, pagesDir] : appDir, {
+    ignored: /(^|[/\\])\../, // ignore dotfiles
+    persistent,
+    ignoreInitial: true
+  });
+
+  // Debounce updates so we don't regenerate the route map for every single file change
+  let timeout: ReturnType<typeof setTimeout> | undefined;
+  function debouncedUpdate(): void {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => generateAndSaveRouteMap(), DEBOUNCE_DELAY);
+    if (!persistent) {
+      timeout.unref();
+    }
+  }
+
+  const isRoute = (filePath: string) => isRouteFile(filePath, pageExtensions, pagesDir);
+
+  watcher.on('add', (filePath: string) => {
+    if (isRoute(filePath)) {
+      log(`@tradecrush/next-route-guard: File added: ${filePath}`);
+      debouncedUpdate();
+    }
+  });
+
+  watcher.on('change', (filePath: string) => {
+    if (isRoute(filePath) && hasProtectionTags(filePath, pageExtensions, pagesDir)) {
+      log(`@tradecrush/next-route-guard: File changed: ${filePath}`);
+      debouncedUpdate();
+    }
+  });
+
+  watcher.on('unlink', (filePath: string) => {
+    if (isRoute(filePath)) {
+      log(`@tradecrush/next-route-guard: File removed: ${filePath}`);
+      debouncedUpdate();
+    }
+  });
+
+  // New directories are ignored, the route files inside them are reported as added files.
+  // A removed directory can take route files with it, identical route maps aren't written.
+  watcher.on('unlinkDir', (dirPath: string) => {
+    log(`@tradecrush/next-route-guard: Directory removed: ${dirPath}`);
+    debouncedUpdate();
+  });
+
+  watcher.on('error', (error: unknown) => reportError('@tradecrush/next-route-guard: Watcher error:', error));
+  watcher.on('ready', () => emitter.emit('ready', routeMap));
+
+  Object.defineProperty(emitter, 'routeMap', { get: () => routeMap, enumerable: true });
+  /**
+   * Closes the watcher on a signal, then lets the signal end the process like it would without
+   * a listener, unless other listeners of the signal decide what happens
+   *
+   * @param signal - The received signal
+   */
+  function closeOnSignal(signal: NodeJS.Signals): void {
+    emitter.close().then(() => {
+      if (process.listenerCount(signal) === 0) {
+        process.kill(process.pid, signal);
+      }
+    });
+  }
+
+  emitter.close = () => {
+    clearTimeout(timeout);
+    CLOSE_SIGNALS.forEach((signal) => process.removeListener(signal, closeOnSignal));
+    return watcher.close();
+  };
+
+  if (handleSignals) {
+    CLOSE_SIGNALS.forEach((signal) => process.on(signal, closeOnSignal));
+  }
+
+  return emitter;
+}
+
+/**
+ * Read the route map file the watcher is about to keep up to date
+ *
+ * @param outputFile - Path of the route map file
+ * @param format - Format of the route map file
+ * @returns The contents of the file and the route map in it (unless it is a compiled trie),
+ * or undefined if there is no file yet
+ */
+function readRouteMapFile(
+  outputFile: string,
+  format: RouteMapFormat
+): { contents: string; routeMap?: RouteMapInput } | undefined {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const fs = require('fs');
+
+  if (!fs.existsSync(outputFile)) {
+    return undefined;
+  }
+
+  // Line endings may have been converted by git
+  const contents: string = fs.readFileSync(outputFile, 'utf8').replace(/\r\n/g, '\n');
+  return { contents, routeMap: parseRouteMap(contents, format) };
+}
+
+/**
+ * Remove the `generatedAt` timestamp of a v2 route map from the contents of a route map file,
+ * which alone doesn't make the route map different
+ *
+ * @param contents - Contents of a route map file
+ * @returns The contents without the timestamp
+ */
+function removeTimestamp(contents: string): string {
+  return contents.replace(/"generatedAt": ?"[^"]*"/, '');
+}
+
+/**
+ * Summarize the changes of an update of the route map file
+ *
+ * @param routeMap - The new route map
+ * @param diff - Its changes from the route map that was in the file, if that could be read
+ * @returns Lines with the number of added, removed and reclassified routes (and changed methods
+ * and roles) followed by the changes, or with the number of routes by status if there is no
+ * route map to compare with
+ */
+function summarizeChanges(routeMap: RouteMapInput, diff: RouteMapDiff | undefined): string[] {
+  if (!diff) {
+    // Summarize the routes in the same way for both route map versions
+    const routes = normalizeRouteMap(routeMap);
+    return [
+      `Public routes: ${routes.public.length}, Protected routes: ${routes.protected.length}, Unclassified routes: ${(routes.unclassified || []).length}`
+    ];
+  }
+
+  if (!hasRouteChanges(diff)) {
+    return ['The routes are unchanged, but their roles, methods or settings changed.'];
+  }
+
+  const counts = [
+    `${diff.added.length} added`,
+    `${diff.removed.length} removed`,
+    `${diff.reclassified.length} reclassified`
+  ];
+  if (diff.methods) {
+    counts.push(`${diff.methods.length} ${diff.methods.length === 1 ? 'method' : 'methods'} changed`);
+  }
+  if (diff.roles) {
+    counts.push(`${diff.roles.length} with changed roles`);
+  }
+
+  return [`${counts.join(', ')}:`, ...formatRouteMapDiff(diff).map((line) => `  ${line}`)];
+}
+
+/**
+ * Get the name of a file without its page extension
+ *
+ * @param filePath - Path of the file
+ * @param pageExtensions - Page extensions from next.config
+ * @returns The name, or null if the file doesn't have one of the page extensions
+ */
+function stripPageExtension(filePath: string, pageExtensions: string[]): string | null {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const path = require('path');
+
+  const fileName: string = path.basename(filePath);
+  const extension = pageExtensions.filter((ext) => fileName.endsWith('.' + ext)).sort((a, b) => b.length - a.length)[0];
+  return extension ? fileName.slice(0, -(extension.length + 1)) : null;
+}
+
+/**
+ * Check whether a file is in the pages directory
+ *
+ * @param filePath - Path of the file
+ * @param pagesDir - Path of the pages directory, if any
+ * @returns True if the file is inside the pages directory
+ */
+function isInPagesDir(filePath: string, pagesDir: string | undefined): boolean {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const path = require('path');
+
+  return Boolean(pagesDir && filePath.startsWith(pagesDir + path.sep));
+}
+
+/**
+ * Check whether a file affects the route map
+ * In the pages directory every page file is a route, in the app directory only special files are
+ *
+ * @param filePath - Path of the file
+ * @param pageExtensions - Page extensions from next.config
+ * @param pagesDir - Path of the pages directory, if any
+ * @returns True if adding or removing the file can change the route map
+ */
+function isRouteFile(filePath: string, pageExtensions: string[], pagesDir: string | undefined): boolean {
+  const name = stripPageExtension(filePath, pageExtensions);
+  if (name === null) {
+    return false;
+  }
+  return isInPagesDir(filePath, pagesDir) || APP_ROUTE_FILES.includes(name);
+}
+
+/**
+ * Check whether the content of a route file affects the route map
+ * Route handlers and Pages Router files can carry @public / @protected tags
+ *
+ * @param filePath - Path of the route file
+ * @param pageExtensions - Page extensions from next.config
+ * @param pagesDir - Path of the pages directory, if any
+ * @returns True if changing the file can change the route map
+ */
+function hasProtectionTags(filePath: string, pageExtensions: string[], pagesDir: string | undefined): boolean {
+  return isInPagesDir(filePath, pagesDir) || stripPageExtension(filePath, pageExtensions) === 'route';
+}
@@ -17,7 +17,7 @@ buildPackageBeforeTests();
 /**
  * Advanced test file for the next-route-guard generate-routes.js script
  * Tests complex Next.js route patterns including:
- * - Parallel routes
+ * - Parallel routes (slots and default files)
  * - Intercepted routes
  * - Multiple dynamic segments
  * - Route groups with different protection levels
@@ -40,11 +40,15 @@ function createAdvancedTestAppStructure() {
   fs.mkdirSync(path.join(TEST_APP_DIR, '(protected)', 'dashboard'), { recursive: true });
   fs.mkdirSync(path.join(TEST_APP_DIR, '(protected)', 'dashboard', '@stats'), { recursive: true });
   fs.mkdirSync(path.join(TEST_APP_DIR, '(protected)', 'dashboard', '@activity'), { recursive: true });
+  fs.mkdirSync(path.join(TEST_APP_DIR, '(protected)', 'dashboard', '@modal', 'invite'), { recursive: true });
 
-  // 2. Test intercepted routes ((.))
+  // 2. Test intercepted routes ((.), (..) and (...))
   fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'products'), { recursive: true });
   fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'products', '[id]'), { recursive: true });
   fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'products', '(.)preview', '[id]'), { recursive: true });
+  fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'products', '@modal', '(..)cart'), { recursive: true });
+  fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'products', '[id]', '(..)(..)checkout'), { recursive: true });
+  fs.mkdirSync(path.join(TEST_APP_DIR, '(protected)', 'shop', '@auth', '(...)login'), { recursive: true });
 
   // 3. Deep dynamic routes
   fs.mkdirSync(path.join(TEST_APP_DIR, '(protected)', 'shop', '[category]', '[subcategory]', '[productId]'), {
@@ -82,9 +86,17 @@ function createAdvancedTestAppStructure() {
   createPageFile(path.join(TEST_APP_DIR, '(protected)', 'dashboard'));
   createPageFile(path.join(TEST_APP_DIR, '(protected)', 'dashboard', '@stats'));
   createPageFile(path.join(TEST_APP_DIR, '(protected)', 'dashboard', '@activity'));
+  createPageFile(path.join(TEST_APP_DIR, '(protected)', 'dashboard', '@modal', 'invite'));
+  fs.writeFileSync(
+    path.join(TEST_APP_DIR, '(protected)', 'dashboard', '@modal', 'default.js'),
+    `export default function Default() { return null }`
+  );
   createPageFile(path.join(TEST_APP_DIR, '(public)', 'products'));
   createPageFile(path.join(TEST_APP_DIR, '(public)', 'products', '[id]'));
   createPageFile(path.join(TEST_APP_DIR, '(public)', 'products', '(.)preview', '[id]'));
+  createPageFile(path.join(TEST_APP_DIR, '(public)', 'products', '@modal', '(..)cart'));
+  createPageFile(path.join(TEST_APP_DIR, '(public)', 'products', '[id]', '(..)(..)checkout'));
+  createPageFile(path.join(TEST_APP_DIR, '(protected)', 'shop', '@auth', '(...)login'));
   createPageFile(path.join(TEST_APP_DIR, '(protected)', 'shop', '[category]', '[subcategory]', '[productId]'));
   createPageFile(path.join(TEST_APP_DIR, 'account', '(public)', 'login'));
   createPageFile(path.join(TEST_APP_DIR, 'account', '(public)', 'register'));
@@ -100,8 +112,6 @@ function createAdvancedTestAppStructure() {
   createPageFile(path.join(TEST_APP_DIR, '(protected)', 'react-routes', 'tsx-route'), 'tsx');
 }
 
-
-
 // Set up Next.js response mocks
 setupNextResponseMocks();
 
@@ -121,7 +131,7 @@ describe('Advanced route testing', () => {
     const expectedPublicRoutes = [
       '/products',
       '/products/[id]',
-      '/products/(.)preview/[id]',
+      '/products/preview/[id]',
       '/account/login',
       '/account/register',
       '/help'
@@ -129,10 +139,7 @@ describe('Advanced route testing', () => {
     ];
 
     const expectedProtectedRoutes = [
-      '/',
       '/dashboard',
-      '/dashboard/@stats', // Parallel routes are included
-      '/dashboard/@activity', // Parallel routes are included
       '/shop/[category]/[subcategory]/[productId]',
       '/account/settings',
       '/account/settings/[section]',
@@ -152,12 +159,49 @@ describe('Advanced route testing', () => {
     for (const route of expectedProtectedRoutes) {
       expect(routeMap.protected).toContain(route);
     }
+
+    // The root page is outside any group
+    expect(routeMap.unclassified).toEqual(['/']);
+  });
+
+  test('should strip parallel route slots with @ prefix from the URL', () => {
+    const routeMap = runGenerateRoutes(TEST_APP_DIR, TEST_OUTPUT_FILE);
+    const allRoutes = [...routeMap.public, ...routeMap.protected];
+
+    // Slot pages render for their parent URL
+    expect(routeMap.protected).toContain('/dashboard');
+    expect(routeMap.protected).toContain('/dashboard/invite');
+    expect(allRoutes.some((route) => route.includes('@'))).toBe(false);
+
+    // Each URL is only listed once even when several slots produce it
+    expect(routeMap.protected.filter((route) => route === '/dashboard').length).toBe(1);
+  });
+
+  test('should resolve intercepting routes to the URL they intercept', () => {
+    const routeMap = runGenerateRoutes(TEST_APP_DIR, TEST_OUTPUT_FILE);
+    const allRoutes = [...routeMap.public, ...routeMap.protected];
+
+    // (.) intercepts on the same level
+    expect(routeMap.public).toContain('/products/preview/[id]');
+    // (..) intercepts one route segment up (the @modal slot doesn't count as a segment)
+    expect(routeMap.public).toContain('/cart');
+    // (..)(..) intercepts two route segments up
+    expect(routeMap.public).toContain('/checkout');
+    // (...) intercepts from the root, keeping the protection of its own groups
+    expect(routeMap.protected).toContain('/login');
+
+    expect(allRoutes.some((route) => route.includes('(.'))).toBe(false);
   });
 
-  test('should correctly identify parallel routes with @ prefix as protected or public based on their group', () => {
+  test('should pick up default files of parallel route slots', () => {
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'gallery', '@photos'), { recursive: true });
+    fs.writeFileSync(
+      path.join(TEST_APP_DIR, '(public)', 'gallery', '@photos', 'default.tsx'),
+      `export default function Default() { return null }`
+    );
+
     const routeMap = runGenerateRoutes(TEST_APP_DIR, TEST_OUTPUT_FILE);
-    expect(routeMap.protected).toContain('/dashboard/@stats');
-    expect(routeMap.protected).toContain('/dashboard/@activity');
+    expect(routeMap.public).toContain('/gallery');
   });
 
   test('should prioritize innermost route group protection level over outer groups', () => {
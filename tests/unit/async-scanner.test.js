@@ -0,0 +1,210 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { buildPackageBeforeTests, setupTestEnvironment, createPages } from './test-helpers';
+
+/**
+ * Test file for the asynchronous scanner and the scan options in next-route-guard
+ * Tests that generateRouteMapAsync produces the same output as generateRouteMap,
+ * and the symlink policies and ignore patterns of both
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/build.js';
+
+const TEST_DIR = path.resolve(__dirname, 'test-app-async-scanner');
+const TEST_APP_DIR = path.join(TEST_DIR, 'app');
+const TEST_PAGES_DIR = path.join(TEST_DIR, 'pages');
+const SHARED_DIR = path.join(TEST_DIR, 'shared');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/generate-routes.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_DIR);
+
+// Generate the route map with both scanners and check that they agree
+async function generateBoth(options = {}, publicPatterns, protectedPatterns) {
+  const sync = routeGuard.generateRouteMap(TEST_APP_DIR, publicPatterns, protectedPatterns, options);
+  const async = await routeGuard.generateRouteMapAsync(TEST_APP_DIR, publicPatterns, protectedPatterns, options);
+
+  // The timestamp of v2 maps is the only thing allowed to differ
+  if (sync.routeMap?.generatedAt) {
+    async.routeMap.generatedAt = sync.routeMap.generatedAt;
+  }
+  expect(async).toEqual(sync);
+
+  return sync;
+}
+
+// Get the diagnostics with a code, with paths relative to the test app
+function getDiagnostics(diagnostics, code) {
+  return diagnostics
+    .filter((diagnostic) => diagnostic.code === code)
+    .map((diagnostic) => ({ ...diagnostic, file: path.relative(TEST_APP_DIR, diagnostic.file) }));
+}
+
+describe('generateRouteMapAsync', () => {
+  test('should produce the same route map, conflicts and diagnostics as generateRouteMap', async () => {
+    createPages(TEST_APP_DIR, [
+      [],
+      ['(public)', 'about'],
+      ['(public)', 'blog', '[slug]'],
+      ['(protected)', 'dashboard'],
+      ['(protected)', 'dashboard', '@stats'],
+      ['(protected)', 'docs', '[[...path]]'],
+      ['(protected)', 'settings'],
+      ['(public)', 'settings'],
+      ['(role-admin)', 'admin'],
+      ['(pubilc)', 'pricing'],
+      ['(marketing)']
+    ]);
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'api', 'webhooks'), { recursive: true });
+    fs.writeFileSync(
+      path.join(TEST_APP_DIR, '(public)', 'api', 'webhooks', 'route.ts'),
+      'export async function GET() {}\n/** @protected */\nexport async function POST() {}'
+    );
+    fs.mkdirSync(path.join(TEST_PAGES_DIR, 'legacy'), { recursive: true });
+    fs.writeFileSync(path.join(TEST_PAGES_DIR, 'legacy', 'index.tsx'), '// @public\nexport default function Page() {}');
+    fs.writeFileSync(path.join(TEST_PAGES_DIR, 'account.tsx'), 'export default function Page() {}');
+
+    const options = { pagesDir: TEST_PAGES_DIR, protectedPaths: ['/account'] };
+    const { routeMap, conflicts, diagnostics } = await generateBoth(options);
+
+    expect(routeMap.public).toContain('/legacy');
+    expect(routeMap.protected).toContain('/account');
+    expect(routeMap.methods['/api/webhooks']).toEqual({ public: ['GET'], protected: ['POST'] });
+    expect(conflicts).toHaveLength(1);
+    expect(diagnostics.length).toBeGreaterThan(0);
+
+    await generateBoth({ ...options, version: 2, rootDir: TEST_DIR });
+  });
+
+  test('should return an error result for the same inputs as generateRouteMap', async () => {
+    const result = await routeGuard.generateRouteMapAsync(TEST_APP_DIR, ['(public)'], ['(protected)']);
+
+    expect(result).toEqual(routeGuard.generateRouteMap(TEST_APP_DIR, ['(public)'], ['(protected)']));
+  });
+
+  test('should break symlink cycles', async () => {
+    createPages(TEST_APP_DIR, [['(public)', 'docs']]);
+    fs.symlinkSync(path.join(TEST_APP_DIR, '(public)'), path.join(TEST_APP_DIR, '(public)', 'docs', 'loop'), 'dir');
+    fs.symlinkSync('self', path.join(TEST_APP_DIR, 'self'));
+
+    const { routeMap, diagnostics } = await generateBoth();
+
+    expect(routeMap.public).toEqual(['/docs']);
+    const loops = getDiagnostics(diagnostics, 'symlink-loop').map((diagnostic) => diagnostic.file);
+    expect(loops.sort()).toEqual([path.join('(public)', 'docs', 'loop'), 'self']);
+  });
+});
+
+describe('Symlink policy', () => {
+  // Shared route folders linked into the app, like in a pnpm workspace
+  function linkSharedRoutes() {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    createPages(SHARED_DIR, [['help'], ['help', '[topic]']]);
+    fs.symlinkSync(SHARED_DIR, path.join(TEST_APP_DIR, '(public)', 'shared'), 'dir');
+  }
+
+  test('should follow symlinks by default', async () => {
+    linkSharedRoutes();
+
+    const { routeMap } = await generateBoth();
+
+    expect(routeMap.public).toEqual(['/about', '/shared/help', '/shared/help/[topic]']);
+  });
+
+  test('should skip symlinks with the ignore policy', async () => {
+    linkSharedRoutes();
+
+    const { routeMap, diagnostics } = await generateBoth({ symlinks: 'ignore' });
+
+    expect(routeMap.public).toEqual(['/about']);
+    expect(diagnostics.filter((diagnostic) => diagnostic.severity !== 'info')).toEqual([]);
+  });
+
+  test('should report symlinks as errors with the error policy', async () => {
+    linkSharedRoutes();
+
+    const { routeMap, diagnostics } = await generateBoth({ symlinks: 'error' });
+
+    expect(routeMap.public).toEqual(['/about']);
+    expect(getDiagnostics(diagnostics, 'disallowed-symlink')).toEqual([
+      expect.objectContaining({ severity: 'error', file: path.join('(public)', 'shared') })
+    ]);
+  });
+});
+
+describe('Ignore patterns', () => {
+  test('should skip files and directories matching gitignore-style patterns', async () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'about'],
+      ['(public)', 'about', '__tests__'],
+      ['(public)', 'drafts', 'post'],
+      ['(protected)', 'drafts'],
+      ['(protected)', 'legacy-billing'],
+      ['(protected)', 'legacy-api'],
+      ['(protected)', 'docs', '[id]']
+    ]);
+
+    const { routeMap } = await generateBoth({
+      ignore: ['# test fixtures', '__tests__/', '/(public)/drafts', 'legacy-*', '!legacy-api', '**/[id]/page.js']
+    });
+
+    expect(routeMap.public).toEqual(['/about']);
+    expect(routeMap.protected).toEqual(['/drafts', '/legacy-api']);
+  });
+
+  test('should match ignore patterns relative to the pages directory for its routes', async () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    fs.mkdirSync(path.join(TEST_PAGES_DIR, 'internal'), { recursive: true });
+    fs.writeFileSync(path.join(TEST_PAGES_DIR, 'internal', 'index.tsx'), 'export default function Page() {}');
+    fs.writeFileSync(path.join(TEST_PAGES_DIR, 'pricing.tsx'), 'export default function Page() {}');
+
+    const { routeMap } = await generateBoth({ pagesDir: TEST_PAGES_DIR, publicPaths: ['/'], ignore: ['/internal/'] });
+
+    expect(routeMap.public).toEqual(['/about', '/pricing']);
+  });
+
+  test('should record the scan options in v2 route maps', async () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+
+    const { routeMap } = await generateBoth({
+      version: 2,
+      rootDir: TEST_DIR,
+      symlinks: 'ignore',
+      ignore: ['__tests__/']
+    });
+
+    expect(routeMap.options).toMatchObject({ symlinks: 'ignore', ignore: ['__tests__/'] });
+  });
+
+  test('should pass --ignore and --symlinks from the CLI', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'about'],
+      ['(public)', 'drafts'],
+      ['(protected)', 'legacy-billing']
+    ]);
+    fs.symlinkSync(path.join(TEST_APP_DIR, '(public)', 'about'), path.join(TEST_APP_DIR, '(public)', 'team'), 'dir');
+
+    execSync(`node ${SCRIPT_PATH} --app-dir ${TEST_APP_DIR} --ignore "drafts/, legacy-*" --symlinks ignore`, {
+      cwd: TEST_DIR,
+      stdio: 'pipe'
+    });
+
+    const routeMap = JSON.parse(fs.readFileSync(path.join(TEST_APP_DIR, 'route-map.json'), 'utf8'));
+    expect(routeMap.public).toEqual(['/about']);
+    expect(routeMap.protected).toEqual([]);
+  });
+
+  test('should reject an unknown symlink policy in the CLI', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+
+    expect(() =>
+      execSync(`node ${SCRIPT_PATH} --app-dir ${TEST_APP_DIR} --symlinks skip`, { cwd: TEST_DIR, stdio: 'pipe' })
+    ).toThrow(/Unknown symlink policy "skip"/);
+  });
+});
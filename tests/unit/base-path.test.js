@@ -0,0 +1,125 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import {
+  buildPackageBeforeTests,
+  setupTestEnvironment,
+  setupNextResponseMocks,
+  createPageFile,
+  MockNextRequest
+} from './test-helpers';
+import { NextRequest, NextResponse } from 'next/server';
+
+/**
+ * Test file for basePath and trailingSlash support in next-route-guard
+ * Tests that the settings are read from next.config and embedded in the route map, and that
+ * the middleware matches request paths and builds redirect URLs with them
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/index.js';
+import * as routeGuardBuild from '../../dist/build.js';
+
+const TEST_DIR = path.resolve(__dirname, 'test-app-base-path');
+const TEST_APP_DIR = path.join(TEST_DIR, 'app');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/generate-routes.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_DIR);
+
+// Set up Next.js response mocks
+setupNextResponseMocks();
+
+const routeMap = { public: ['/', '/about'], protected: ['/dashboard'], basePath: '/portal', trailingSlash: true };
+
+// Create a middleware for unauthenticated users with the default redirect
+function createMiddleware(map = routeMap, options = {}) {
+  return routeGuard.createRouteGuardMiddleware({ isAuthenticated: () => false, routeMap: map, ...options });
+}
+
+// Get the pathname and "from" parameter of the last redirect
+function getLastRedirect() {
+  const [url] = NextResponse.redirect.mock.calls.at(-1);
+  return { pathname: url.pathname, from: url.searchParams.get('from') };
+}
+
+describe('basePath and trailingSlash', () => {
+  test('should read basePath and trailingSlash from next.config', () => {
+    fs.writeFileSync(
+      path.join(TEST_DIR, 'next.config.mjs'),
+      "export default {\n  basePath: '/portal',\n  trailingSlash: true,\n  pageExtensions: ['tsx']\n};\n"
+    );
+
+    expect(routeGuardBuild.readNextConfig(TEST_DIR)).toMatchObject({ basePath: '/portal', trailingSlash: true });
+  });
+
+  test('should embed the settings of next.config in the generated route maps', () => {
+    fs.writeFileSync(
+      path.join(TEST_DIR, 'next.config.js'),
+      "module.exports = { basePath: '/portal/', trailingSlash: false };"
+    );
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(protected)', 'dashboard'), { recursive: true });
+    createPageFile(path.join(TEST_APP_DIR, '(protected)', 'dashboard'));
+
+    const generate = (args) => {
+      execSync(`node ${SCRIPT_PATH} --app-dir app --output route-map.json --no-cache ${args}`, {
+        cwd: TEST_DIR,
+        stdio: 'pipe'
+      });
+      return JSON.parse(fs.readFileSync(path.join(TEST_DIR, 'route-map.json'), 'utf8'));
+    };
+
+    expect(generate('')).toMatchObject({ protected: ['/dashboard'], basePath: '/portal', trailingSlash: false });
+
+    const v2 = generate('--map-version 2');
+    expect(v2.options).toMatchObject({ basePath: '/portal', trailingSlash: false });
+    expect(routeGuard.normalizeRouteMap(v2)).toMatchObject({ basePath: '/portal', trailingSlash: false });
+    expect(routeGuard.compileRouteTrie(v2)).toMatchObject({ basePath: '/portal', trailingSlash: false });
+  });
+
+  test('should match request paths without the basePath', async () => {
+    const middleware = createMiddleware();
+
+    expect((await middleware(new MockNextRequest('/portal/about/'))).status).toBe(200);
+    expect((await middleware(new MockNextRequest('/portal'))).status).toBe(200);
+    expect((await middleware(new MockNextRequest('/portal/dashboard/'))).status).toBe(307);
+    expect(getLastRedirect()).toEqual({ pathname: '/portal/login/', from: '/dashboard/' });
+  });
+
+  test('should format redirects with the trailingSlash setting', async () => {
+    await createMiddleware({ ...routeMap, trailingSlash: false })(new MockNextRequest('/portal/dashboard/'));
+    expect(getLastRedirect()).toEqual({ pathname: '/portal/login', from: '/dashboard' });
+
+    await createMiddleware({ ...routeMap, trailingSlash: undefined })(new MockNextRequest('/portal/dashboard/'));
+    expect(getLastRedirect()).toEqual({ pathname: '/portal/login', from: '/dashboard/' });
+  });
+
+  test('should let the options override the settings of the route map', async () => {
+    const middleware = createMiddleware(routeMap, { basePath: '/app/', trailingSlash: false, locales: ['de'] });
+
+    await middleware(new MockNextRequest('/app/de/dashboard'));
+    expect(getLastRedirect()).toEqual({ pathname: '/app/de/login', from: '/de/dashboard' });
+  });
+
+  test('should use the settings carried by a compiled route trie', async () => {
+    const compiled = JSON.parse(JSON.stringify(routeGuard.compileRouteTrie(routeMap)));
+
+    await createMiddleware(compiled)(new MockNextRequest('/portal/dashboard/'));
+    expect(getLastRedirect()).toEqual({ pathname: '/portal/login/', from: '/dashboard/' });
+  });
+
+  test('should not add the basePath twice when nextUrl handles it', async () => {
+    const request = new NextRequest('https://example.com/portal/dashboard/', {
+      nextConfig: { basePath: '/portal', trailingSlash: true }
+    });
+    expect(request.nextUrl.pathname).toBe('/dashboard/');
+
+    const response = await createMiddleware()(request);
+
+    expect(response.headers.get('location')).toBe('https://example.com/portal/login/?from=%2Fdashboard%2F');
+  });
+});
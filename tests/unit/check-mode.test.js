@@ -0,0 +1,204 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { buildPackageBeforeTests, setupTestEnvironment, createPages } from './test-helpers';
+
+/**
+ * Test file for the --check mode of the route map generator in next-route-guard
+ * Tests diffRouteMaps and that --check compares the generated route map with the output file,
+ * prints the route changes and exits with a non-zero code without writing anything
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/index.js';
+import * as routeGuardBuild from '../../dist/build.js';
+
+const TEST_DIR = path.resolve(__dirname, 'test-app-check-mode');
+const TEST_APP_DIR = path.join(TEST_DIR, 'app');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/generate-routes.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_DIR);
+
+// Run the generator CLI in the test project and return its exit code and output
+function generate(args = '') {
+  const result = spawnSync('node', [SCRIPT_PATH, ...args.split(' ').filter(Boolean)], {
+    cwd: TEST_DIR,
+    encoding: 'utf8'
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+describe('diffRouteMaps', () => {
+  test('should list added, removed and reclassified routes', () => {
+    const before = { public: ['/', '/billing'], protected: ['/dashboard', '/legacy'], unclassified: ['/beta'] };
+    const after = { public: ['/', '/pricing'], protected: ['/billing', '/dashboard'], unclassified: ['/beta'] };
+
+    const diff = routeGuard.diffRouteMaps(before, after);
+
+    expect(diff).toEqual({
+      added: [{ path: '/pricing', status: 'public' }],
+      removed: [{ path: '/legacy', status: 'protected' }],
+      reclassified: [{ path: '/billing', from: 'public', to: 'protected' }]
+    });
+    expect(routeGuard.hasRouteChanges(diff)).toBe(true);
+    expect(routeGuard.hasRouteChanges(routeGuard.diffRouteMaps(after, after))).toBe(false);
+  });
+
+  test('should list route handler methods and required roles that changed', () => {
+    const before = {
+      public: ['/'],
+      protected: ['/admin', '/api/items', '/billing'],
+      roles: { '/admin': ['admin'], '/billing': ['owner'] },
+      methods: {
+        '/api/items': { public: [], protected: ['DELETE', 'GET'] },
+        '/billing': { public: [], protected: ['GET'] }
+      }
+    };
+    const after = {
+      public: ['/', '/billing'],
+      protected: ['/admin', '/api/items'],
+      roles: { '/admin': ['admin', 'support'] },
+      methods: {
+        '/api/items': { public: ['DELETE'], protected: ['GET'] },
+        '/billing': { public: ['GET'], protected: [] }
+      }
+    };
+
+    const diff = routeGuard.diffRouteMaps(before, after);
+
+    // /billing is reclassified, so its method and roles aren't listed separately
+    expect(diff).toEqual({
+      added: [],
+      removed: [],
+      reclassified: [{ path: '/billing', from: 'protected', to: 'public' }],
+      methods: [{ path: '/api/items', method: 'DELETE', from: 'protected', to: 'public' }],
+      roles: [{ path: '/admin', from: ['admin'], to: ['admin', 'support'] }]
+    });
+    expect(routeGuard.formatRouteMapDiff(diff)).toEqual([
+      '~ /billing (protected → public)',
+      '~ DELETE /api/items (protected → public)',
+      '~ /admin (roles admin → admin, support)'
+    ]);
+
+    const { reclassified, ...unchangedRoutes } = diff;
+    expect(routeGuard.hasRouteChanges({ ...unchangedRoutes, reclassified: [] })).toBe(true);
+  });
+
+  test('should compare route maps of different versions', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'about'],
+      ['(protected)', 'dashboard']
+    ]);
+    const v1 = routeGuardBuild.generateRouteMap(TEST_APP_DIR).routeMap;
+    const v2 = routeGuardBuild.generateRouteMap(TEST_APP_DIR, undefined, undefined, { version: 2 }).routeMap;
+
+    expect(routeGuard.hasRouteChanges(routeGuard.diffRouteMaps(v1, v2))).toBe(false);
+  });
+});
+
+describe('--check', () => {
+  test('should fail without writing when the output file does not exist', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+
+    const { status, stderr } = generate('--check');
+
+    expect(status).toBe(1);
+    expect(stderr).toContain('app/route-map.json does not exist');
+    expect(fs.existsSync(path.join(TEST_APP_DIR, 'route-map.json'))).toBe(false);
+    expect(fs.existsSync(path.join(TEST_DIR, '.next'))).toBe(false);
+  });
+
+  test('should reject unknown arguments instead of writing the route map', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+
+    for (const args of ['--chek', '--stric', '--check extra']) {
+      const { status, stderr } = generate(args);
+
+      expect(status, args).toBe(1);
+      expect(stderr, args).toContain(`Unknown argument "${args.split(' ').pop()}"`);
+    }
+    expect(fs.existsSync(path.join(TEST_APP_DIR, 'route-map.json'))).toBe(false);
+  });
+
+  test('should pass when the output file is up to date, in every format and version', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'about'],
+      ['(protected)', 'dashboard']
+    ]);
+
+    for (const args of ['', '--map-version 2', '--format ts --map-version 2', '--format trie']) {
+      expect(generate(args).status).toBe(0);
+      const { status, stdout } = generate(`${args} --check`);
+      expect(status, args).toBe(0);
+      expect(stdout).toMatch(/route-(map|trie)\.(json|ts) is up to date/);
+    }
+  });
+
+  test('should accept output files with Windows line endings', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    generate();
+    const file = path.join(TEST_APP_DIR, 'route-map.json');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace(/\n/g, '\r\n'));
+
+    expect(generate('--check').status).toBe(0);
+  });
+
+  test('should print the added, removed and reclassified routes of a stale route map', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'about'],
+      ['(public)', 'billing'],
+      ['(protected)', 'legacy']
+    ]);
+    generate('--format ts');
+    const file = path.join(TEST_APP_DIR, 'route-map.ts');
+    const contents = fs.readFileSync(file, 'utf8');
+
+    fs.rmSync(path.join(TEST_APP_DIR, '(protected)', 'legacy'), { recursive: true });
+    fs.renameSync(path.join(TEST_APP_DIR, '(public)', 'billing'), path.join(TEST_APP_DIR, '(protected)', 'billing'));
+    createPages(TEST_APP_DIR, [['(protected)', 'settings']]);
+
+    const { status, stderr } = generate('--format ts --check');
+
+    expect(status).toBe(1);
+    expect(stderr).toContain('app/route-map.ts is out of date');
+    expect(stderr).toContain('+ /settings (protected)');
+    expect(stderr).toContain('- /legacy (protected)');
+    expect(stderr).toContain('~ /billing (public → protected)');
+    expect(fs.readFileSync(file, 'utf8')).toBe(contents);
+  });
+
+  test('should report changes that keep the routes', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    generate();
+    fs.writeFileSync(path.join(TEST_APP_DIR, '(public)', 'about', 'route.ts'), 'export async function POST() {}');
+    fs.rmSync(path.join(TEST_APP_DIR, '(public)', 'about', 'page.js'));
+
+    const { status, stderr } = generate('--check');
+
+    expect(status).toBe(1);
+    expect(stderr).toContain('The routes are unchanged, but their roles, methods or settings differ.');
+  });
+
+  test('should include the result in the JSON output', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    generate();
+    createPages(TEST_APP_DIR, [['(public)', 'team']]);
+
+    const { status, stdout } = generate('--check --json');
+
+    expect(status).toBe(1);
+    expect(JSON.parse(stdout)).toEqual({
+      diagnostics: [],
+      check: {
+        upToDate: false,
+        exists: true,
+        diff: { added: [{ path: '/team', status: 'public' }], removed: [], reclassified: [] }
+      }
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { test, describe, expect } from 'vitest';
+import path from 'path';
+import { buildPackageBeforeTests, setupTestEnvironment, MockNextRequest, setupNextResponseMocks } from './test-helpers';
+import { NextResponse } from 'next/server';
+
+/**
+ * Performance tests for the compiled route trie
+ * Compares the cost of creating the middleware (the work done at Edge cold start) and of
+ * matching requests between a route map and the trie compiled from it
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/index.js';
+
+// Define the test directory for this specific test file
+const TEST_APP_DIR = path.resolve(__dirname, 'test-app-compiled-trie-performance');
+
+// Setup test environment with the specific test directory
+setupTestEnvironment(TEST_APP_DIR);
+
+// Setup Next.js response mocks
+setupNextResponseMocks();
+
+// Measure the average time of a function in milliseconds
+async function measure(fn, runs) {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < runs; i++) {
+    await fn();
+  }
+  const end = process.hrtime.bigint();
+  return Number(end - start) / 1_000_000 / runs;
+}
+
+describe('Compiled Trie Performance Tests', () => {
+  test('should compare middleware initialization and matching with a compiled trie', async () => {
+    console.log('\n=== Running compiled trie comparison test...');
+
+    // Create a route map of about 4000 routes, similar to a large app
+    const largeRouteMap = { public: [], protected: [] };
+    for (let i = 0; i < 1000; i++) {
+      largeRouteMap.public.push(`/marketing/section-${i % 50}/page-${i}`);
+      largeRouteMap.protected.push(`/app/team-${i % 100}/page-${i}`);
+      largeRouteMap.protected.push(`/app/team-${i % 100}/project-${i}/[projectId]/settings`);
+      largeRouteMap.public.push(`/docs/version-${i % 20}/[...slug]/page-${i}`);
+    }
+
+    const totalRoutes = largeRouteMap.public.length + largeRouteMap.protected.length;
+    console.log(`Created test route map with ${totalRoutes} routes`);
+
+    // Both are imported from JSON files in an app, so parsing is part of the initialization
+    const routeMapJson = JSON.stringify(largeRouteMap);
+    const compiledTrieJson = JSON.stringify(routeGuard.compileRouteTrie(largeRouteMap));
+    console.log(`Route map: ${routeMapJson.length} bytes, compiled trie: ${compiledTrieJson.length} bytes`);
+
+    const createMiddleware = (routeMap) =>
+      routeGuard.createRouteGuardMiddleware({
+        isAuthenticated: () => false,
+        routeMap,
+        onUnauthenticated: () => NextResponse.redirect(new URL('/login', 'https://example.com')),
+        excludeUrls: []
+      });
+
+    // Compare the initialization cost
+    const initRuns = 50;
+    const routeMapInitMs = await measure(() => createMiddleware(JSON.parse(routeMapJson)), initRuns);
+    const compiledInitMs = await measure(() => createMiddleware(JSON.parse(compiledTrieJson)), initRuns);
+
+    console.log('\n--- Initialization ---');
+    console.log(`  - Route map: ${routeMapInitMs.toFixed(3)}ms per middleware over ${initRuns} runs`);
+    console.log(`  - Compiled trie: ${compiledInitMs.toFixed(3)}ms per middleware over ${initRuns} runs`);
+
+    // Compare the matching cost, which should be the same since both use the same trie
+    const testUrls = [
+      '/marketing/section-25/page-525', // Static route
+      '/app/team-99/project-999/abc/settings', // Dynamic segment
+      '/docs/version-5/a/b/c/page-505', // Catch-all with rest segment
+      '/unknown/path/not/found' // Non-existent path
+    ];
+
+    const routeMapMiddleware = createMiddleware(JSON.parse(routeMapJson));
+    const compiledMiddleware = createMiddleware(JSON.parse(compiledTrieJson));
+    const matchRuns = 1000;
+
+    console.log('\n--- Matching ---');
+    for (const url of testUrls) {
+      const request = new MockNextRequest(url);
+
+      // Both middlewares must reach the same decision
+      expect((await compiledMiddleware(request)).status).toBe((await routeMapMiddleware(request)).status);
+
+      const routeMapMatchMs = await measure(() => routeMapMiddleware(request), matchRuns);
+      const compiledMatchMs = await measure(() => compiledMiddleware(request), matchRuns);
+      console.log(`Testing match for: ${url}`);
+      console.log(`  - Route map: ${routeMapMatchMs.toFixed(4)}ms, compiled trie: ${compiledMatchMs.toFixed(4)}ms`);
+    }
+
+    // Verify the test performed measurements
+    expect(routeMapInitMs).toBeGreaterThan(0);
+    expect(compiledInitMs).toBeGreaterThan(0);
+  });
+});
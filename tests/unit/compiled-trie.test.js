@@ -0,0 +1,169 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import {
+  buildPackageBeforeTests,
+  setupTestEnvironment,
+  setupNextResponseMocks,
+  createPageFile,
+  MockNextRequest
+} from './test-helpers';
+import { NextResponse } from 'next/server';
+
+/**
+ * Test file for the compiled route trie in next-route-guard
+ * Tests that a trie compiled at build time protects exactly the same routes as the
+ * route map it was compiled from, and the --format trie option of the CLI
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/index.js';
+import * as routeGuardBuild from '../../dist/build.js';
+
+const TEST_DIR = path.resolve(__dirname, 'test-app-compiled-trie');
+const TEST_APP_DIR = path.join(TEST_DIR, 'app');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/generate-routes.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_DIR);
+
+// Set up Next.js response mocks
+setupNextResponseMocks();
+
+// A route map using every feature the trie has to preserve
+const routeMap = {
+  public: ['/', '/about', '/blog/[slug]', '/docs/[...path]', '/docs/[...path]/print', '/__proto__/page'],
+  protected: [
+    '/dashboard',
+    '/docs/[...path]/edit',
+    '/shop/[[...filters]]',
+    '/admin/[section]',
+    '/api/items/[id]',
+    '/users/[id]/settings'
+  ],
+  unclassified: ['/changelog'],
+  roles: { '/admin/[section]': ['admin', 'owner'] },
+  methods: { '/api/items/[id]': { public: ['GET'], protected: ['DELETE'] } }
+};
+
+// Requests to compare, with the method to send
+const requests = [
+  ['/', 'GET'],
+  ['/about', 'GET'],
+  ['/about/', 'GET'],
+  ['/blog/hello', 'GET'],
+  ['/docs', 'GET'],
+  ['/docs/a/b/c', 'GET'],
+  ['/docs/a/b/print', 'GET'],
+  ['/docs/a/b/edit', 'GET'],
+  ['/dashboard', 'GET'],
+  ['/shop', 'GET'],
+  ['/shop/shoes/42', 'GET'],
+  ['/admin/users', 'GET'],
+  ['/api/items/1', 'GET'],
+  ['/api/items/1', 'HEAD'],
+  ['/api/items/1', 'DELETE'],
+  ['/users/1/settings', 'GET'],
+  ['/changelog', 'GET'],
+  ['/__proto__/page', 'GET'],
+  ['/constructor', 'GET'],
+  ['/unknown/path', 'GET']
+];
+
+// Run a request through the middleware and describe the outcome
+async function getOutcome(map, pathname, method, options = {}) {
+  const middleware = routeGuard.createRouteGuardMiddleware({
+    isAuthenticated: () => options.authenticated ?? false,
+    getUserRoles: () => ['member'],
+    onUnauthenticated: (req) => NextResponse.redirect(new URL('/login', req.url)),
+    onForbidden: () => ({ status: 403 }),
+    routeMap: map,
+    excludeUrls: [],
+    ...options
+  });
+
+  const response = await middleware(new MockNextRequest(pathname, {}, {}, method));
+  if (response.status === 307) return 'login';
+  if (response.status === 403) return 'forbidden';
+  return 'next';
+}
+
+describe('Compiled route trie', () => {
+  test('should protect the same routes as the route map it was compiled from', async () => {
+    // Round trip through JSON, as the trie is written to a file and imported
+    const compiled = JSON.parse(JSON.stringify(routeGuard.compileRouteTrie(routeMap)));
+
+    for (const authenticated of [false, true]) {
+      for (const defaultProtected of [true, false]) {
+        for (const [pathname, method] of requests) {
+          const options = { authenticated, defaultProtected };
+          expect(
+            await getOutcome(compiled, pathname, method, options),
+            `${method} ${pathname} ${JSON.stringify(options)}`
+          ).toBe(await getOutcome(routeMap, pathname, method, options));
+        }
+      }
+    }
+  });
+
+  test('should compile the route map into the compact node format', () => {
+    const compiled = routeGuard.compileRouteTrie({
+      public: ['/blog/[slug]'],
+      protected: ['/shop/[[...filters]]', '/api/items'],
+      roles: { '/shop/[[...filters]]': ['customer'] },
+      methods: { '/api/items': { public: ['GET'], protected: ['POST'] } }
+    });
+
+    expect(routeGuard.isCompiledRouteTrie(compiled)).toBe(true);
+    expect(routeGuard.isCompiledRouteTrie(routeMap)).toBe(false);
+    expect(JSON.parse(JSON.stringify(compiled))).toEqual({
+      format: 'route-trie',
+      version: 1,
+      root: {
+        c: {
+          blog: { d: { s: 0 } },
+          shop: { a: { s: 1, r: ['customer'] }, o: 1 },
+          api: { c: { items: { s: 1, m: { POST: true, GET: false } } } }
+        }
+      }
+    });
+  });
+
+  test('should compile a v2 route map to the same trie as its v1 equivalent', () => {
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'about'), { recursive: true });
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(protected)', 'dashboard'), { recursive: true });
+    createPageFile(path.join(TEST_APP_DIR, '(public)', 'about'));
+    createPageFile(path.join(TEST_APP_DIR, '(protected)', 'dashboard'));
+
+    const generate = (version) =>
+      routeGuardBuild.generateRouteMap(TEST_APP_DIR, ['(public)'], ['(protected)'], { version, rootDir: TEST_DIR })
+        .routeMap;
+
+    expect(routeGuard.compileRouteTrie(generate(2))).toEqual(routeGuard.compileRouteTrie(generate(1)));
+  });
+
+  test('should reject unsupported compiled tries', () => {
+    const createMiddleware = (map) =>
+      routeGuard.createRouteGuardMiddleware({ isAuthenticated: () => true, routeMap: map });
+
+    expect(() => createMiddleware({ format: 'route-trie', version: 2, root: {} })).toThrow(
+      /Unsupported compiled route trie \(version 2\)/
+    );
+    expect(() => createMiddleware({ format: 'route-trie', version: 1 })).toThrow(/Unsupported compiled route trie/);
+  });
+
+  test('should write a compiled trie with --format trie', () => {
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'about'), { recursive: true });
+    createPageFile(path.join(TEST_APP_DIR, '(public)', 'about'));
+
+    execSync(`node ${SCRIPT_PATH} --app-dir ${TEST_APP_DIR} --format trie`, { cwd: TEST_DIR, stdio: 'pipe' });
+
+    const source = fs.readFileSync(path.join(TEST_APP_DIR, 'route-trie.json'), 'utf8');
+    expect(source).not.toContain('\n');
+    expect(JSON.parse(source)).toEqual(routeGuard.compileRouteTrie({ public: ['/about'], protected: [] }));
+  });
+});
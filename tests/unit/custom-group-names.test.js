@@ -167,4 +167,61 @@ describe('Custom Group Names', () => {
     expect(protectedResponse).toBeDefined();
     expect(protectedResponse.headers.get('location')).toContain('/login');
   });
+
+  test('should match groups against glob patterns', () => {
+    for (const group of ['(public-marketing)', '(public-docs)', '(app-billing)', '(app-settings)', '(apps)']) {
+      fs.mkdirSync(path.join(TEST_APP_DIR, group, group.slice(1, -1)), { recursive: true });
+      createPageFile(path.join(TEST_APP_DIR, group, group.slice(1, -1)));
+    }
+
+    const routeMap = runGenerateRoutesWithCustomPatterns(TEST_APP_DIR, TEST_OUTPUT_FILE, '(public-*)', '(app-*)');
+
+    expect(routeMap.public).toEqual(['/public-docs', '/public-marketing']);
+    expect(routeMap.protected).toEqual(['/app-billing', '/app-settings']);
+    // (apps) doesn't match (app-*), so it's left to the runtime default
+    expect(routeMap.unclassified).toEqual(['/apps']);
+  });
+
+  test('should match groups against regular expressions from the CLI', () => {
+    for (const group of ['(open)', '(guest)', '(team-1)', '(team-22)']) {
+      fs.mkdirSync(path.join(TEST_APP_DIR, group, group.slice(1, -1)), { recursive: true });
+      createPageFile(path.join(TEST_APP_DIR, group, group.slice(1, -1)));
+    }
+
+    const routeMap = runGenerateRoutesWithCustomPatterns(
+      TEST_APP_DIR,
+      TEST_OUTPUT_FILE,
+      '/^\\((open|guest)\\)$/',
+      '/^\\(team-\\d{1,2}\\)$/'
+    );
+
+    expect(routeMap.public).toEqual(['/guest', '/open']);
+    expect(routeMap.protected).toEqual(['/team-1', '/team-22']);
+  });
+
+  test('should accept RegExp objects and keep the innermost group precedence', () => {
+    const { generateRouteMap } = require('../../dist/build');
+
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(public-site)', 'docs', '(app-internal)', 'roadmap'), { recursive: true });
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(app-main)', 'status', '(public-status)'), { recursive: true });
+    createPageFile(path.join(TEST_APP_DIR, '(public-site)', 'docs'));
+    createPageFile(path.join(TEST_APP_DIR, '(public-site)', 'docs', '(app-internal)', 'roadmap'));
+    createPageFile(path.join(TEST_APP_DIR, '(app-main)', 'status', '(public-status)'));
+
+    const { routeMap } = generateRouteMap(TEST_APP_DIR, [/^\(public-/g], [/^\(app-/]);
+
+    expect(routeMap.public).toEqual(['/docs', '/status']);
+    expect(routeMap.protected).toEqual(['/docs/roadmap']);
+  });
+
+  test('should check public patterns first when a group matches both', () => {
+    const { generateRouteMap } = require('../../dist/build');
+
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(shared-area)', 'page'), { recursive: true });
+    createPageFile(path.join(TEST_APP_DIR, '(shared-area)', 'page'));
+
+    const { routeMap } = generateRouteMap(TEST_APP_DIR, ['(shared-*)'], [/area/]);
+
+    expect(routeMap.public).toEqual(['/page']);
+  });
 });
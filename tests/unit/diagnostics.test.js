@@ -0,0 +1,210 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { buildPackageBeforeTests, setupTestEnvironment, createPages } from './test-helpers';
+
+/**
+ * Test file for the diagnostics reported by generateRouteMap
+ * Tests that problems in the app structure are reported with a severity, code and file
+ * instead of aborting the scan, and that the CLI prints them or dumps them as JSON
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/build.js';
+
+const TEST_APP_DIR = path.resolve(__dirname, 'test-app-diagnostics');
+const TEST_OUTPUT_FILE = path.resolve(TEST_APP_DIR, 'route-map.json');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/generate-routes.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_APP_DIR);
+
+// Get the diagnostics with the given code, with paths relative to the test app
+function getDiagnostics(diagnostics, code) {
+  return diagnostics
+    .filter((diagnostic) => diagnostic.code === code)
+    .map((diagnostic) => ({ ...diagnostic, file: path.relative(TEST_APP_DIR, diagnostic.file) }));
+}
+
+// Run the generate-routes script and return its exit code and output
+function runGenerateRoutesScript(extraArgs = []) {
+  return spawnSync('node', [SCRIPT_PATH, '--app-dir', TEST_APP_DIR, '--output', TEST_OUTPUT_FILE, ...extraArgs], {
+    encoding: 'utf8'
+  });
+}
+
+describe('Route map diagnostics', () => {
+  test('should return no diagnostics for a well-formed app', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'about'],
+      ['(protected)', 'dashboard']
+    ]);
+
+    const { diagnostics } = routeGuard.generateRouteMap(TEST_APP_DIR);
+
+    expect(diagnostics).toEqual([]);
+  });
+
+  test('should report routes outside any group', () => {
+    createPages(TEST_APP_DIR, [[], ['(public)', 'about']]);
+
+    const { diagnostics } = routeGuard.generateRouteMap(TEST_APP_DIR);
+
+    expect(getDiagnostics(diagnostics, 'unclassified-route')).toEqual([
+      expect.objectContaining({ severity: 'info', file: 'page.js', message: expect.stringContaining('Route /') })
+    ]);
+  });
+
+  test('should report groups that look like typos of configured patterns', () => {
+    createPages(TEST_APP_DIR, [
+      ['(pubic)', 'about'],
+      ['(Protected)', 'dashboard'],
+      ['(marketing)', 'pricing']
+    ]);
+
+    const { diagnostics } = routeGuard.generateRouteMap(TEST_APP_DIR);
+    const typos = getDiagnostics(diagnostics, 'possible-group-typo');
+
+    expect(typos.map((diagnostic) => diagnostic.file).sort()).toEqual(['(Protected)', '(pubic)']);
+    expect(typos.find((diagnostic) => diagnostic.file === '(pubic)').message).toContain('Did you mean (public)?');
+    expect(typos.every((diagnostic) => diagnostic.severity === 'warning')).toBe(true);
+  });
+
+  test('should not mistake role groups or custom patterns for typos', () => {
+    createPages(TEST_APP_DIR, [
+      ['(role-admin)', 'admin'],
+      ['(guest)', 'login']
+    ]);
+
+    const { diagnostics } = routeGuard.generateRouteMap(TEST_APP_DIR, ['(guest)'], ['(protected)']);
+
+    expect(getDiagnostics(diagnostics, 'possible-group-typo')).toEqual([]);
+  });
+
+  test('should report empty route groups', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(protected)', 'components'), { recursive: true });
+    fs.writeFileSync(path.join(TEST_APP_DIR, '(protected)', 'components', 'button.tsx'), 'export {}');
+
+    const { diagnostics } = routeGuard.generateRouteMap(TEST_APP_DIR);
+
+    expect(getDiagnostics(diagnostics, 'empty-route-group')).toEqual([
+      expect.objectContaining({ severity: 'warning', file: '(protected)' })
+    ]);
+  });
+
+  test('should report routes defined by more than one page', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'about'],
+      ['(public)', '(site)', 'about'],
+      ['(protected)', 'dashboard'],
+      ['(protected)', 'dashboard', '@stats']
+    ]);
+
+    const { diagnostics } = routeGuard.generateRouteMap(TEST_APP_DIR);
+    const duplicates = getDiagnostics(diagnostics, 'duplicate-route');
+
+    // Parallel route slots render alongside the page, so /dashboard isn't a duplicate
+    expect(duplicates).toHaveLength(1);
+    expect(duplicates[0].severity).toBe('error');
+    expect(duplicates[0].message).toContain('/about');
+    expect(duplicates[0].relatedFiles).toHaveLength(1);
+  });
+
+  test('should report route conflicts as diagnostics', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'settings'],
+      ['(protected)', 'settings']
+    ]);
+
+    const { diagnostics } = routeGuard.generateRouteMap(TEST_APP_DIR);
+
+    expect(getDiagnostics(diagnostics, 'route-conflict')).toEqual([
+      expect.objectContaining({ severity: 'error', relatedFiles: [expect.any(String)] })
+    ]);
+    expect(getDiagnostics(diagnostics, 'duplicate-route')).toEqual([]);
+  });
+
+  test('should skip symlink loops and keep scanning', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'docs']]);
+    fs.symlinkSync(path.join(TEST_APP_DIR, '(public)'), path.join(TEST_APP_DIR, '(public)', 'docs', 'loop'), 'dir');
+
+    const { routeMap, diagnostics } = routeGuard.generateRouteMap(TEST_APP_DIR);
+
+    expect(routeMap.public).toEqual(['/docs']);
+    expect(getDiagnostics(diagnostics, 'symlink-loop')).toEqual([
+      expect.objectContaining({ severity: 'warning', file: path.join('(public)', 'docs', 'loop') })
+    ]);
+  });
+
+  test('should report unreadable entries instead of aborting the scan', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    fs.symlinkSync(path.join(TEST_APP_DIR, 'missing'), path.join(TEST_APP_DIR, 'broken'));
+
+    const { routeMap, diagnostics, error } = routeGuard.generateRouteMap(TEST_APP_DIR);
+
+    expect(error).toBeUndefined();
+    expect(routeMap.public).toEqual(['/about']);
+    expect(getDiagnostics(diagnostics, 'unreadable-file')).toEqual([
+      expect.objectContaining({ severity: 'error', file: 'broken' })
+    ]);
+  });
+
+  // Permissions don't apply to root, so this can only be tested as a regular user
+  test.skipIf(process.getuid && process.getuid() === 0)('should report unreadable directories', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'about'],
+      ['(protected)', 'secret']
+    ]);
+    fs.chmodSync(path.join(TEST_APP_DIR, '(protected)'), 0o000);
+
+    try {
+      const { routeMap, diagnostics } = routeGuard.generateRouteMap(TEST_APP_DIR);
+
+      expect(routeMap.public).toEqual(['/about']);
+      expect(getDiagnostics(diagnostics, 'unreadable-directory')).toEqual([
+        expect.objectContaining({ severity: 'error', file: '(protected)' })
+      ]);
+    } finally {
+      fs.chmodSync(path.join(TEST_APP_DIR, '(protected)'), 0o755);
+    }
+  });
+});
+
+describe('Diagnostics in the CLI', () => {
+  test('should pretty-print diagnostics', () => {
+    createPages(TEST_APP_DIR, [['(pubic)', 'about']]);
+
+    const result = runGenerateRoutesScript();
+
+    expect(result.status).toBe(0);
+    expect(result.stderr).toContain('Found 1 warning, 1 info');
+    expect(result.stderr).toContain(`${path.join('(pubic)')} [possible-group-typo]`);
+  });
+
+  test('should print the diagnostics as JSON on stdout with --json', () => {
+    createPages(TEST_APP_DIR, [['(pubic)', 'about']]);
+
+    const result = runGenerateRoutesScript(['--json']);
+    const { diagnostics } = JSON.parse(result.stdout);
+
+    expect(result.status).toBe(0);
+    expect(diagnostics.map((diagnostic) => diagnostic.code)).toEqual(['possible-group-typo', 'unclassified-route']);
+    expect(result.stderr).toContain('Route map generated successfully');
+  });
+
+  test('should fail in strict mode on errors but not on warnings', () => {
+    createPages(TEST_APP_DIR, [['(pubic)', 'about']]);
+    expect(runGenerateRoutesScript(['--strict']).status).toBe(0);
+
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'about'],
+      ['(public)', '(site)', 'about']
+    ]);
+    expect(runGenerateRoutesScript(['--strict']).status).toBe(1);
+  });
+});
@@ -0,0 +1,226 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync, spawnSync } from 'child_process';
+import { buildPackageBeforeTests, setupTestEnvironment, createPages } from './test-helpers';
+
+/**
+ * Test file for the diff command of next-route-guard
+ * Tests the comparison of two route map files and of the route map committed at a git ref with
+ * the app, in the text, Markdown and JSON formats, and the high-risk protected → public changes
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+const TEST_DIR = path.resolve(__dirname, 'test-app-diff-command');
+const TEST_APP_DIR = path.join(TEST_DIR, 'app');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/next-route-guard.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_DIR);
+
+// Run the route inspection CLI in the test project and return its exit code and output
+function run(args) {
+  const result = spawnSync('node', [SCRIPT_PATH, ...args], { cwd: TEST_DIR, encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+// Write the old and new route maps of a pull request
+function writeRouteMaps() {
+  const before = {
+    public: ['/', '/pricing'],
+    protected: ['/billing', '/legacy', '/reports'],
+    unclassified: ['/beta', '/status']
+  };
+  const after = {
+    public: ['/', '/billing', '/beta', '/team'],
+    protected: ['/pricing', '/reports'],
+    unclassified: ['/status']
+  };
+  fs.writeFileSync(path.join(TEST_DIR, 'old.json'), JSON.stringify(before));
+  fs.writeFileSync(path.join(TEST_DIR, 'new.json'), JSON.stringify(after));
+}
+
+// Run git in the test project
+function git(...args) {
+  execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: TEST_DIR,
+    stdio: 'pipe'
+  });
+}
+
+describe('next-route-guard diff', () => {
+  test('should list the changes of two route maps and flag protected → public as high risk', () => {
+    writeRouteMaps();
+
+    const { status, stdout } = run(['diff', 'old.json', 'new.json']);
+
+    expect(status).toBe(0);
+    expect(stdout).toBe(
+      [
+        'Route changes between old.json and new.json:',
+        '',
+        "⚠️  1 route changed from protected to public. Check that it doesn't need authentication.",
+        '',
+        'Newly public routes:',
+        '  ~ /beta (unclassified → public)',
+        '  ~ /billing (protected → public)  ⚠️ high risk',
+        '',
+        'Newly protected routes:',
+        '  ~ /pricing (public → protected)',
+        '',
+        'Added routes:',
+        '  + /team (public)',
+        '',
+        'Removed routes:',
+        '  - /legacy (protected)',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('should print the changes as JSON and Markdown', () => {
+    writeRouteMaps();
+
+    expect(JSON.parse(run(['diff', 'old.json', 'new.json', '--json']).stdout)).toEqual({
+      before: 'old.json',
+      after: 'new.json',
+      highRisk: 1,
+      warnings: 0,
+      newlyPublic: [
+        { path: '/beta', from: 'unclassified', highRisk: false },
+        { path: '/billing', from: 'protected', highRisk: true }
+      ],
+      newlyProtected: [{ path: '/pricing', from: 'public' }],
+      unclassified: [],
+      methods: [],
+      roles: [],
+      added: [{ path: '/team', status: 'public' }],
+      removed: [{ path: '/legacy', status: 'protected' }]
+    });
+
+    const markdown = run(['diff', 'old.json', 'new.json', '--markdown']).stdout;
+    expect(markdown).toContain('## Route protection changes');
+    expect(markdown).toContain("> [!WARNING]\n> 1 route changed from protected to public. Check that it doesn't need");
+    expect(markdown).toContain('| `/billing` | protected | ⚠️ **High** |');
+    expect(markdown).toContain(
+      '### Newly protected routes\n\n| Route | Before |\n| --- | --- |\n| `/pricing` | public |'
+    );
+    expect(markdown).toContain('### Removed routes\n\n| Route | Status |\n| --- | --- |\n| `/legacy` | protected |');
+  });
+
+  test('should flag methods that became public, widened roles and routes left to defaultProtected', () => {
+    const before = {
+      public: ['/'],
+      protected: ['/admin', '/api/items', '/reports', '/settings'],
+      roles: { '/admin': ['admin'], '/reports': ['admin', 'analyst'] },
+      methods: { '/api/items': { public: ['GET'], protected: ['DELETE', 'POST'] } }
+    };
+    const after = {
+      public: ['/'],
+      protected: ['/admin', '/api/items', '/reports'],
+      unclassified: ['/settings'],
+      roles: { '/reports': ['analyst'] },
+      methods: { '/api/items': { public: ['DELETE', 'GET'], protected: ['POST'] } }
+    };
+    fs.writeFileSync(path.join(TEST_DIR, 'old.json'), JSON.stringify(before));
+    fs.writeFileSync(path.join(TEST_DIR, 'new.json'), JSON.stringify(after));
+
+    const { status, stdout } = run(['diff', 'old.json', 'new.json', '--fail-on-risk']);
+
+    expect(status).toBe(1);
+    expect(stdout).toBe(
+      [
+        'Route changes between old.json and new.json:',
+        '',
+        "⚠️  1 route handler method changed from protected to public. Check that it doesn't need authentication.",
+        '⚠️  1 protected route lost required roles or accept new ones. Check that the users they now let in should have access.',
+        '⚠️  1 route or method changed from protected to unclassified, which is public with defaultProtected: false.',
+        '',
+        'Routes now decided by defaultProtected:',
+        '  ~ /settings (protected → unclassified)  ⚠️ public if defaultProtected is false',
+        '',
+        'Route handler methods with a new status:',
+        '  ~ DELETE /api/items (protected → public)  ⚠️ high risk',
+        '',
+        'Protected routes with new required roles:',
+        '  ~ /admin (roles admin → any)  ⚠️ high risk',
+        '  ~ /reports (roles admin, analyst → analyst)',
+        ''
+      ].join('\n')
+    );
+
+    const markdown = run(['diff', 'old.json', 'new.json', '--markdown']).stdout;
+    expect(markdown).toContain('| `/api/items` | DELETE | protected | public | ⚠️ **High** |');
+    expect(markdown).toContain('| `/admin` | admin | any | ⚠️ **High** |');
+    expect(markdown).toContain('| `/settings` | protected | ⚠️ Public if `defaultProtected` is false |');
+  });
+
+  test('should fail on high-risk changes with --fail-on-risk', () => {
+    writeRouteMaps();
+
+    expect(run(['diff', 'old.json', 'new.json', '--fail-on-risk']).status).toBe(1);
+    // Going back, /pricing changes from protected to public
+    expect(run(['diff', 'new.json', 'old.json', '--fail-on-risk']).stdout).toContain(
+      '~ /pricing (protected → public)  ⚠️ high risk'
+    );
+
+    const unchanged = run(['diff', 'old.json', 'old.json', '--fail-on-risk']);
+    expect(unchanged.status).toBe(0);
+    expect(unchanged.stdout).toContain('No route changes between old.json and old.json.');
+  });
+
+  test('should compare the route map committed at HEAD with the routes of the app', () => {
+    createPages(TEST_APP_DIR, [
+      ['(protected)', 'billing'],
+      ['(public)', 'about']
+    ]);
+    spawnSync('node', [path.resolve(__dirname, '../../scripts/generate-routes.js'), '--format', 'ts'], {
+      cwd: TEST_DIR
+    });
+    git('init', '-q');
+    git('add', '-A');
+    git('commit', '-qm', 'Add routes');
+
+    // Move billing out of the protected group without regenerating the route map
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'billing'));
+    fs.renameSync(
+      path.join(TEST_APP_DIR, '(protected)', 'billing', 'page.js'),
+      path.join(TEST_APP_DIR, '(public)', 'billing', 'page.js')
+    );
+    fs.rmSync(path.join(TEST_APP_DIR, '(protected)'), { recursive: true });
+
+    const { status, stdout } = run(['diff', '--format', 'ts', '--fail-on-risk']);
+
+    expect(status).toBe(1);
+    expect(stdout).toContain('Route changes between app/route-map.ts at HEAD and the routes of app:');
+    expect(stdout).toContain('~ /billing (protected → public)  ⚠️ high risk');
+
+    const missing = run(['diff', '--ref', 'HEAD~1', '--format', 'ts']);
+    expect(missing.status).toBe(1);
+    expect(missing.stderr).toContain('Could not read app/route-map.ts at HEAD~1');
+  });
+
+  test('should refuse compiled route tries', () => {
+    writeRouteMaps();
+    fs.writeFileSync(
+      path.join(TEST_DIR, 'route-trie.json'),
+      JSON.stringify({ format: 'route-trie', version: 1, root: {} })
+    );
+
+    const { status, stderr } = run(['diff', 'old.json', 'route-trie.json']);
+
+    expect(status).toBe(1);
+    expect(stderr).toContain("route-trie.json is a compiled route trie, which doesn't keep the route patterns");
+  });
+
+  test("should report files that can't be read on one line", () => {
+    writeRouteMaps();
+
+    const { status, stderr } = run(['diff', 'missing.json', 'new.json']);
+
+    expect(status).toBe(1);
+    expect(stderr.trim()).toBe('@tradecrush/next-route-guard: Could not read missing.json: no such file');
+  });
+});
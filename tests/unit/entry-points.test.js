@@ -0,0 +1,66 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { buildPackageBeforeTests } from './test-helpers';
+
+/**
+ * Test file for the entry points of next-route-guard
+ * Tests that the main entry point, which the middleware imports, stays free of the Node.js-only
+ * build-time tools, so bundling it for the Edge Runtime doesn't produce warnings
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the modules after building
+import * as routeGuard from '../../dist/index.js';
+import * as routeGuardBuild from '../../dist/build.js';
+
+const DIST_DIR = path.resolve(__dirname, '../../dist');
+const BUILD_TOOLS = [
+  'generateRouteMap',
+  'generateRouteMapAsync',
+  'watchRouteMap',
+  'withRouteGuard',
+  'loadRouteGuardConfig',
+  'findRouteGuardConfig',
+  'writeRouteMap',
+  'printDiagnostics',
+  'readNextConfig'
+];
+
+describe('Entry points', () => {
+  test('should export the build-time tools from the build entry point only', () => {
+    for (const name of BUILD_TOOLS) {
+      expect(routeGuardBuild[name], name).toBeTypeOf('function');
+      expect(routeGuard[name], name).toBeUndefined();
+    }
+
+    // Loading a config needs the file system and a dynamic import
+    expect(routeGuardBuild.ROUTE_GUARD_CONFIG_FILES).toContain('route-guard.config.js');
+    expect(routeGuard.ROUTE_GUARD_CONFIG_FILES).toBeUndefined();
+    expect(routeGuard.validateRouteGuardConfig).toBeUndefined();
+
+    expect(routeGuard.createRouteGuardMiddleware).toBeTypeOf('function');
+    expect(routeGuard.chain).toBeTypeOf('function');
+  });
+
+  test('should not use Node.js APIs in the main entry point', () => {
+    for (const file of ['index.js', 'index.mjs']) {
+      const source = fs.readFileSync(path.join(DIST_DIR, file), 'utf8');
+
+      expect(source, file).not.toMatch(/\bprocess\./);
+      expect(source, file).not.toMatch(/\brequire\((?!["']next\/server["'])/);
+      // Bundlers report a dynamic import as a critical dependency
+      expect(source, file).not.toMatch(/\bimport\(/);
+    }
+  });
+
+  test('should list both entry points in the package exports', () => {
+    const { exports } = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../package.json'), 'utf8'));
+
+    expect(exports['.'].require.default).toBe('./dist/index.js');
+    expect(exports['./build'].require.default).toBe('./dist/build.js');
+    expect(exports['./build'].import.default).toBe('./dist/build.mjs');
+  });
+});
@@ -0,0 +1,231 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { buildPackageBeforeTests, setupTestEnvironment, createPages } from './test-helpers';
+
+/**
+ * Test file for explainPath and the explain command of next-route-guard
+ * Tests that the explanation reports the excludeUrls pattern, the walk through the route trie,
+ * the matched route with its group and source, and what decided the protection status
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/index.js';
+import * as routeGuardBuild from '../../dist/build.js';
+
+const TEST_DIR = path.resolve(__dirname, 'test-app-explain');
+const TEST_APP_DIR = path.join(TEST_DIR, 'app');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/next-route-guard.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_DIR);
+
+// Run the route inspection CLI in the test project and return its exit code and output
+function run(args) {
+  const result = spawnSync('node', [SCRIPT_PATH, ...args], { cwd: TEST_DIR, encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+const routeMap = {
+  public: ['/', '/docs/[version]', '/files/[...path]', '/shop/[[...filters]]', '/api/webhooks'],
+  protected: ['/docs/[version]/[...slug]', '/files/[...path]/edit', '/admin/users'],
+  roles: { '/admin/users': ['admin'] },
+  methods: { '/api/webhooks': { public: ['POST'], protected: ['DELETE'] } }
+};
+
+describe('explainPath', () => {
+  test('should report the walk through static, dynamic and catch-all segments', () => {
+    expect(routeGuard.explainPath('/docs/v2/admin/settings', routeMap)).toEqual({
+      path: '/docs/v2/admin/settings',
+      method: 'GET',
+      protected: true,
+      decidedBy: 'route',
+      steps: [
+        { kind: 'static', segments: ['docs'] },
+        { kind: 'dynamic', segments: ['v2'] },
+        { kind: 'catch-all', segments: ['admin', 'settings'] }
+      ],
+      route: '/docs/[version]/[...slug]',
+      status: 'protected'
+    });
+  });
+
+  test('should report rest segments after a catch-all and optional catch-alls', () => {
+    const edit = routeGuard.explainPath('/files/a/b/edit', routeMap);
+    expect(edit.steps).toEqual([
+      { kind: 'static', segments: ['files'] },
+      { kind: 'catch-all', segments: ['a', 'b'] },
+      { kind: 'rest', segments: ['edit'] }
+    ]);
+    expect(edit).toMatchObject({ route: '/files/[...path]/edit', status: 'protected', protected: true });
+
+    const shop = routeGuard.explainPath('/shop', routeMap);
+    expect(shop.steps).toEqual([
+      { kind: 'static', segments: ['shop'] },
+      { kind: 'optional-catch-all', segments: [] }
+    ]);
+    expect(shop).toMatchObject({ route: '/shop/[[...filters]]', status: 'public', protected: false });
+  });
+
+  test('should fall back to defaultProtected when no route matches', () => {
+    const explanation = routeGuard.explainPath('/admin/settings', routeMap);
+    expect(explanation).toEqual({
+      path: '/admin/settings',
+      method: 'GET',
+      protected: true,
+      decidedBy: 'default',
+      steps: [
+        { kind: 'static', segments: ['admin'] },
+        { kind: 'unmatched', segments: ['settings'] }
+      ]
+    });
+
+    // Directories without a page aren't routes
+    const admin = routeGuard.explainPath('/admin', routeMap, { defaultProtected: false });
+    expect(admin).toMatchObject({ protected: false, decidedBy: 'default' });
+    expect(admin.route).toBeUndefined();
+    expect(admin.steps.at(-1)).toEqual({ kind: 'unmatched', segments: [] });
+  });
+
+  test('should report the excludeUrls pattern that matched', () => {
+    expect(routeGuard.explainPath('/api/users', routeMap)).toMatchObject({
+      protected: false,
+      decidedBy: 'excluded',
+      excludedBy: '/api/(.*)',
+      steps: []
+    });
+    expect(routeGuard.explainPath('/health', routeMap, { excludeUrls: ['/status', /^\/health$/] })).toMatchObject({
+      decidedBy: 'excluded',
+      excludedBy: '/^\\/health$/'
+    });
+  });
+
+  test('should report per-method protection, roles and preflight requests', () => {
+    const options = { excludeUrls: [] };
+    expect(routeGuard.explainPath('/api/webhooks', routeMap, { ...options, method: 'post' })).toMatchObject({
+      method: 'POST',
+      protected: false,
+      decidedBy: 'method',
+      route: '/api/webhooks'
+    });
+    expect(routeGuard.explainPath('/api/webhooks', routeMap, { ...options, method: 'DELETE' })).toMatchObject({
+      protected: true,
+      decidedBy: 'method'
+    });
+    expect(routeGuard.explainPath('/admin/users', routeMap)).toMatchObject({ roles: ['admin'], decidedBy: 'route' });
+    expect(routeGuard.explainPath('/admin/users', routeMap, { method: 'OPTIONS' })).toMatchObject({
+      protected: false,
+      decidedBy: 'preflight'
+    });
+  });
+
+  test('should report the locale segment with and without a locale prefix', () => {
+    const localized = { public: ['/[locale]/about'], protected: ['/[locale]/dashboard'] };
+    const options = { locales: ['en', 'de'] };
+
+    expect(routeGuard.explainPath('/de/dashboard', localized, options)).toMatchObject({
+      locale: 'de',
+      protected: true,
+      steps: [
+        { kind: 'locale', segments: ['de'] },
+        { kind: 'static', segments: ['dashboard'] }
+      ],
+      route: '/[locale]/dashboard'
+    });
+    expect(routeGuard.explainPath('/about', localized, options)).toMatchObject({
+      protected: false,
+      steps: [
+        { kind: 'locale', segments: [] },
+        { kind: 'static', segments: ['about'] }
+      ],
+      route: '/[locale]/about'
+    });
+  });
+
+  test('should pick the route with the deciding status when dynamic segments collide', () => {
+    const colliding = { public: ['/posts/[slug]'], protected: ['/posts/[id]'] };
+    expect(routeGuard.explainPath('/posts/1', colliding)).toMatchObject({ route: '/posts/[id]', protected: true });
+  });
+
+  test('should remove the basePath and explain compiled route tries', () => {
+    const trie = routeGuard.compileRouteTrie({ ...routeMap, basePath: '/portal' });
+
+    expect(routeGuard.explainPath('/portal/docs/v2/admin', trie)).toMatchObject({
+      path: '/docs/v2/admin',
+      protected: true,
+      route: '/docs/[param]/[...slug]',
+      status: 'protected'
+    });
+  });
+
+  test('should report the group and source file of version 2 route maps', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'docs', '[version]'],
+      ['(protected)', 'docs', '[version]', '[...slug]']
+    ]);
+    const { routeMap: v2 } = routeGuardBuild.generateRouteMap(TEST_APP_DIR, undefined, undefined, {
+      version: 2,
+      rootDir: TEST_DIR
+    });
+
+    expect(routeGuard.explainPath('/docs/v2/admin', v2)).toMatchObject({
+      route: '/docs/[version]/[...slug]',
+      group: '(protected)',
+      source: 'app/(protected)/docs/[version]/[...slug]/page.js'
+    });
+  });
+});
+
+describe('next-route-guard explain', () => {
+  test('should print the steps, the route and the decision', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'docs', '[version]'],
+      ['(protected)', 'docs', '[version]', '[...slug]']
+    ]);
+
+    const { status, stdout } = run(['explain', 'https://example.com/docs/v2/admin?tab=1']);
+
+    expect(status).toBe(0);
+    expect(stdout).toContain('GET /docs/v2/admin is protected');
+    expect(stdout).toContain('excludeUrls: no pattern matches (/api/(.*))');
+    expect(stdout).toContain('"docs" → static segment');
+    expect(stdout).toContain('"v2" → dynamic segment');
+    expect(stdout).toContain('"admin" → catch-all segment');
+    expect(stdout).toContain('Route: /docs/[version]/[...slug] (protected)');
+    expect(stdout).toContain('Group: (protected)');
+    expect(stdout).toContain('Source: app/(protected)/docs/[version]/[...slug]/page.js');
+    expect(stdout).toContain('Decided by the route: it is protected.');
+  });
+
+  test('should use the middleware options of route-guard.config unless they are given', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    fs.writeFileSync(
+      path.join(TEST_DIR, 'route-guard.config.json'),
+      JSON.stringify({ defaultProtected: false, excludeUrls: ['/health'] })
+    );
+
+    const unmatched = run(['explain', '/pricing']);
+    expect(unmatched.stdout).toContain('GET /pricing is public');
+    expect(unmatched.stdout).toContain('"pricing" → no route matches');
+    expect(unmatched.stdout).toContain('defaultProtected (false) applies');
+
+    expect(run(['explain', '/health']).stdout).toContain('Excluded by the excludeUrls pattern /health');
+    expect(run(['explain', '/health', '--exclude-urls', '']).stdout).toContain('GET /health is public');
+
+    const json = run(['explain', '/pricing', '--default-protected', 'true', '--json']);
+    expect(JSON.parse(json.stdout)).toMatchObject({ protected: true, decidedBy: 'default' });
+  });
+
+  test('should fail for unknown commands and missing URLs', () => {
+    const unknown = run(['inspect']);
+    expect(unknown.status).toBe(1);
+    expect(unknown.stderr).toContain('Unknown command "inspect", expected one of:');
+    expect(unknown.stderr).toContain('explain');
+    expect(run(['explain']).status).toBe(1);
+    expect(run(['--help']).stdout).toContain('explain                Explain why a URL is public or protected');
+  });
+});
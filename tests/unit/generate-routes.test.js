@@ -107,7 +107,6 @@ describe('Basic route testing', () => {
 
       // Check protected routes
       const expectedProtectedRoutes = [
-        '/', // Root route is protected by default since it's not in a (public) group
         '/dashboard',
         '/users/[id]',
         '/docs/[[...catchAll]]',
@@ -124,6 +123,9 @@ describe('Basic route testing', () => {
         expect(routeMap.protected).toContain(route);
       }
 
+      // Root route is outside any group, so it's left to the runtime default (protected by default)
+      expect(routeMap.unclassified).toEqual(['/']);
+
       // Verify route counts
       expect(routeMap.public.length).toBe(expectedPublicRoutes.length);
       expect(routeMap.protected.length).toBe(expectedProtectedRoutes.length);
@@ -0,0 +1,182 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import {
+  buildPackageBeforeTests,
+  setupTestEnvironment,
+  setupNextResponseMocks,
+  createPageFile,
+  MockNextRequest
+} from './test-helpers';
+import { NextResponse } from 'next/server';
+
+/**
+ * Test file for localized apps in next-route-guard
+ * Tests the locales option of the middleware: optional locale prefixes when matching routes
+ * under app/[locale], excluded URLs and the locale of the default login redirect
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/index.js';
+import * as routeGuardBuild from '../../dist/build.js';
+
+const TEST_DIR = path.resolve(__dirname, 'test-app-locales');
+const TEST_APP_DIR = path.join(TEST_DIR, 'app');
+const LOCALES = ['en', 'de', 'fr'];
+
+// Initialize the test environment
+setupTestEnvironment(TEST_DIR);
+
+// Set up Next.js response mocks
+setupNextResponseMocks();
+
+// Generate the route map of a localized app
+function generateLocalizedRouteMap() {
+  for (const segments of [
+    ['[locale]', '(public)'],
+    ['[locale]', '(public)', 'login'],
+    ['[locale]', '(protected)', 'dashboard'],
+    ['[locale]', '(protected)', 'projects', '[id]'],
+    ['[locale]', 'changelog']
+  ]) {
+    fs.mkdirSync(path.join(TEST_APP_DIR, ...segments), { recursive: true });
+    createPageFile(path.join(TEST_APP_DIR, ...segments));
+  }
+
+  // A route handler outside of the locale segment
+  fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'api', 'health'), { recursive: true });
+  fs.writeFileSync(path.join(TEST_APP_DIR, '(public)', 'api', 'health', 'route.ts'), 'export async function GET() {}');
+
+  return routeGuardBuild.generateRouteMap(TEST_APP_DIR).routeMap;
+}
+
+// Run a request through the middleware and describe the outcome
+async function getOutcome(routeMap, pathname, options = {}) {
+  const middleware = routeGuard.createRouteGuardMiddleware({
+    isAuthenticated: () => false,
+    onUnauthenticated: (req) => NextResponse.redirect(new URL('/login', req.url)),
+    routeMap,
+    locales: LOCALES,
+    excludeUrls: [],
+    ...options
+  });
+
+  const response = await middleware(new MockNextRequest(pathname));
+  return response.status === 307 ? 'login' : 'next';
+}
+
+describe('Locales', () => {
+  test('should match routes under app/[locale] with and without a locale prefix', async () => {
+    const routeMap = generateLocalizedRouteMap();
+    expect(routeMap.protected).toContain('/[locale]/dashboard');
+
+    const expected = {
+      '/': 'next',
+      '/de': 'next',
+      '/login': 'next',
+      '/de/login': 'next',
+      '/de/login/': 'next',
+      '/dashboard': 'login',
+      '/de/dashboard': 'login',
+      '/fr/dashboard/': 'login',
+      '/projects/42': 'login',
+      '/en/projects/42': 'login',
+      '/api/health': 'next'
+    };
+
+    for (const [pathname, outcome] of Object.entries(expected)) {
+      expect(await getOutcome(routeMap, pathname), pathname).toBe(outcome);
+    }
+  });
+
+  test('should not mistake unprefixed paths for the locale segment', async () => {
+    const routeMap = generateLocalizedRouteMap();
+
+    // Without locales, "/pricing" matches the public home page at /[locale]
+    expect(await getOutcome(routeMap, '/pricing', { locales: undefined })).toBe('next');
+
+    // With locales, it is an unknown route, and unclassified routes follow the default
+    for (const defaultProtected of [true, false]) {
+      const outcome = defaultProtected ? 'login' : 'next';
+      expect(await getOutcome(routeMap, '/pricing', { defaultProtected })).toBe(outcome);
+      expect(await getOutcome(routeMap, '/changelog', { defaultProtected })).toBe(outcome);
+      expect(await getOutcome(routeMap, '/de/changelog', { defaultProtected })).toBe(outcome);
+    }
+  });
+
+  test('should not let a root optional catch-all win over localized routes', async () => {
+    for (const segments of [
+      ['(public)', '[[...slug]]'],
+      ['[locale]', '(protected)', 'dashboard']
+    ]) {
+      fs.mkdirSync(path.join(TEST_APP_DIR, ...segments), { recursive: true });
+      createPageFile(path.join(TEST_APP_DIR, ...segments));
+    }
+    const { routeMap } = routeGuardBuild.generateRouteMap(TEST_APP_DIR);
+    expect(routeMap.public).toEqual(['/[[...slug]]']);
+
+    for (const pathname of ['/dashboard', '/de/dashboard']) {
+      expect(await getOutcome(routeMap, pathname, { locales: undefined }), pathname).toBe('login');
+      expect(await getOutcome(routeMap, pathname), pathname).toBe('login');
+      expect(routeGuard.explainPath(pathname, routeMap, { locales: LOCALES }).protected, pathname).toBe(true);
+    }
+
+    // Other paths still fall through to the catch-all
+    expect(await getOutcome(routeMap, '/docs/intro')).toBe('next');
+    expect(await getOutcome(routeMap, '/de/docs/intro')).toBe('next');
+  });
+
+  test('should match a root dynamic segment that is not the locale segment', async () => {
+    const routeMap = { public: ['/[slug]'], protected: ['/account'] };
+
+    expect(await getOutcome(routeMap, '/foo')).toBe('next');
+    expect(await getOutcome(routeMap, '/de/foo')).toBe('next');
+    expect(await getOutcome(routeMap, '/account')).toBe('login');
+  });
+
+  test('should strip the locale prefix for route maps without a locale segment', async () => {
+    const routeMap = { public: ['/', '/about'], protected: ['/account'] };
+
+    expect(await getOutcome(routeMap, '/de')).toBe('next');
+    expect(await getOutcome(routeMap, '/fr/about')).toBe('next');
+    expect(await getOutcome(routeMap, '/fr/account')).toBe('login');
+    expect(await getOutcome(routeMap, '/account')).toBe('login');
+  });
+
+  test('should match the same way with a compiled route trie', async () => {
+    const routeMap = generateLocalizedRouteMap();
+    const compiled = JSON.parse(JSON.stringify(routeGuard.compileRouteTrie(routeMap)));
+
+    for (const pathname of ['/', '/de', '/login', '/dashboard', '/de/dashboard', '/pricing', '/api/health']) {
+      expect(await getOutcome(compiled, pathname), pathname).toBe(await getOutcome(routeMap, pathname));
+    }
+  });
+
+  test('should match excluded URLs with or without the locale prefix', async () => {
+    const routeMap = generateLocalizedRouteMap();
+
+    expect(await getOutcome(routeMap, '/de/dashboard', { excludeUrls: ['/dashboard'] })).toBe('next');
+    expect(await getOutcome(routeMap, '/dashboard', { excludeUrls: ['/de/dashboard'] })).toBe('login');
+  });
+
+  test('should redirect to the login page in the locale of the request by default', async () => {
+    const routeMap = generateLocalizedRouteMap();
+    const middleware = routeGuard.createRouteGuardMiddleware({
+      isAuthenticated: () => false,
+      routeMap,
+      locales: LOCALES
+    });
+
+    await middleware(new MockNextRequest('/de/projects/42'));
+    await middleware(new MockNextRequest('/dashboard'));
+
+    const [[localized], [unprefixed]] = NextResponse.redirect.mock.calls;
+    expect(localized.pathname).toBe('/de/login');
+    expect(localized.searchParams.get('from')).toBe('/de/projects/42');
+    expect(unprefixed.pathname).toBe('/login');
+    expect(unprefixed.searchParams.get('from')).toBe('/dashboard');
+  });
+});
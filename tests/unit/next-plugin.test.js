@@ -0,0 +1,412 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter, once } from 'events';
+import { spawn } from 'child_process';
+import { buildPackageBeforeTests, setupTestEnvironment, createPages } from './test-helpers';
+
+/**
+ * Test file for the next.config plugin and the route map watcher in next-route-guard
+ * Tests that withRouteGuard generates the route map for `next build` with the settings of the
+ * wrapped config, starts the watcher for `next dev`, and that watchRouteMap follows changes
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/build.js';
+
+const TEST_DIR = path.resolve(__dirname, 'test-app-next-plugin');
+const TEST_APP_DIR = path.join(TEST_DIR, 'app');
+const ROUTE_MAP_FILE = path.join(TEST_APP_DIR, 'route-map.json');
+const PLUGIN_PHASE_ENV = '__NEXT_ROUTE_GUARD_PLUGIN_PHASE';
+const WATCH_SCRIPT_PATH = path.resolve(__dirname, '../../scripts/watch-routes.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_DIR);
+
+beforeEach(() => {
+  // Every test loads the config as a fresh Next.js process would
+  delete process.env[PLUGIN_PHASE_ENV];
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+// Read a generated route map file
+function readRouteMap(file = ROUTE_MAP_FILE) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Wait until a condition holds, checking it every 50ms
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for the condition');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+describe('withRouteGuard', () => {
+  test('should generate the route map for next build with the settings of the wrapped config', async () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'about'],
+      ['(protected)', 'dashboard']
+    ]);
+    fs.writeFileSync(path.join(TEST_APP_DIR, '(public)', 'about', 'page.mdx'), '# About');
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'docs'));
+    fs.writeFileSync(path.join(TEST_APP_DIR, '(public)', 'docs', 'page.mdx'), '# Docs');
+
+    const nextConfig = { basePath: '/portal', trailingSlash: true, pageExtensions: ['mdx', 'js'], distDir: 'build' };
+    const config = await routeGuard.withRouteGuard(nextConfig, { rootDir: TEST_DIR })('phase-production-build', {
+      defaultConfig: {}
+    });
+
+    expect(config).toBe(nextConfig);
+    expect(readRouteMap()).toMatchObject({
+      public: ['/about', '/docs'],
+      protected: ['/dashboard'],
+      basePath: '/portal',
+      trailingSlash: true
+    });
+    expect(fs.existsSync(path.join(TEST_DIR, 'build', 'cache', 'route-guard', 'scan-cache.json'))).toBe(true);
+  });
+
+  test('should resolve config functions and pass on the phase', async () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'about'],
+      ['(admin)', 'users']
+    ]);
+    const configFunction = vi.fn(async (phase) => ({ env: { PHASE: phase } }));
+
+    const config = await routeGuard.withRouteGuard(configFunction, {
+      rootDir: TEST_DIR,
+      protectedPatterns: ['(admin)'],
+      output: 'generated/route-trie.json',
+      format: 'trie'
+    })('phase-production-build', { defaultConfig: {} });
+
+    expect(config).toEqual({ env: { PHASE: 'phase-production-build' } });
+    expect(configFunction).toHaveBeenCalledWith('phase-production-build', { defaultConfig: {} });
+    const trie = readRouteMap(path.join(TEST_DIR, 'generated', 'route-trie.json'));
+    expect(trie.format).toBe('route-trie');
+    expect(trie.root.c.users.s).toBe(1);
+  });
+
+  test('should only generate the route map once per build', async () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    const plugin = routeGuard.withRouteGuard({}, { rootDir: TEST_DIR });
+
+    await plugin('phase-production-build', { defaultConfig: {} });
+    fs.rmSync(ROUTE_MAP_FILE);
+
+    // Worker processes inherit the environment of the build process
+    await plugin('phase-production-build', { defaultConfig: {} });
+    expect(fs.existsSync(ROUTE_MAP_FILE)).toBe(false);
+  });
+
+  test('should not generate the route map in other phases', async () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    const plugin = routeGuard.withRouteGuard({}, { rootDir: TEST_DIR });
+
+    for (const phase of ['phase-production-server', 'phase-export', 'phase-test', 'phase-info']) {
+      await plugin(phase, { defaultConfig: {} });
+    }
+
+    expect(fs.existsSync(ROUTE_MAP_FILE)).toBe(false);
+    expect(process.env[PLUGIN_PHASE_ENV]).toBeUndefined();
+  });
+
+  test('should fail the build if the route map has errors in strict mode', async () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'settings'],
+      ['(protected)', 'settings']
+    ]);
+
+    const build = (guardOptions) =>
+      routeGuard.withRouteGuard({}, { rootDir: TEST_DIR, ...guardOptions })('phase-production-build', {
+        defaultConfig: {}
+      });
+
+    await expect(build({ strict: true })).rejects.toThrow(/Errors found in strict mode/);
+    expect(fs.existsSync(ROUTE_MAP_FILE)).toBe(false);
+
+    delete process.env[PLUGIN_PHASE_ENV];
+    await build({ strict: false });
+    expect(readRouteMap().protected).toEqual(['/settings']);
+  });
+
+  test('should take its defaults from route-guard.config and override them with its own options', async () => {
+    createPages(TEST_APP_DIR, [
+      ['(marketing)', 'pricing'],
+      ['(members)', 'account'],
+      ['(protected)', 'dashboard']
+    ]);
+    fs.writeFileSync(
+      path.join(TEST_DIR, 'route-guard.config.json'),
+      JSON.stringify({
+        appDir: 'app',
+        output: 'generated/routes.json',
+        publicPatterns: ['(marketing)'],
+        protectedPatterns: ['(protected)'],
+        defaultProtected: false
+      })
+    );
+
+    await routeGuard.withRouteGuard({}, { rootDir: TEST_DIR, protectedPatterns: ['(members)'] })(
+      'phase-production-build',
+      { defaultConfig: {} }
+    );
+
+    expect(readRouteMap(path.join(TEST_DIR, 'generated', 'routes.json'))).toMatchObject({
+      public: ['/pricing'],
+      protected: ['/account'],
+      unclassified: ['/dashboard'],
+      middleware: { defaultProtected: false }
+    });
+  });
+
+  test('should fail for an invalid route-guard.config', async () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    fs.writeFileSync(path.join(TEST_DIR, 'route-guard.config.json'), JSON.stringify({ protected: ['(members)'] }));
+
+    await expect(
+      routeGuard.withRouteGuard({}, { rootDir: TEST_DIR })('phase-production-build', { defaultConfig: {} })
+    ).rejects.toThrow(/Invalid route-guard\.config\.json:\n {2}- Unknown option "protected"/);
+  });
+
+  test('should generate the route map when the dev server starts', async () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+
+    await routeGuard.withRouteGuard({}, { rootDir: TEST_DIR, cache: false })('phase-development-server', {
+      defaultConfig: {}
+    });
+
+    expect(readRouteMap().public).toEqual(['/about']);
+    expect(process.env[PLUGIN_PHASE_ENV]).toBe('phase-development-server');
+  });
+});
+
+describe('watchRouteMap', () => {
+  test('should update the route map when routes change', async () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    const onGenerate = vi.fn();
+
+    const watcher = routeGuard.watchRouteMap({
+      appDir: TEST_APP_DIR,
+      outputFile: ROUTE_MAP_FILE,
+      log: () => {},
+      onGenerate
+    });
+
+    try {
+      expect(readRouteMap().public).toEqual(['/about']);
+      expect(onGenerate).toHaveBeenCalledTimes(1);
+
+      // Give the watcher time to start before changing the routes
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      createPages(TEST_APP_DIR, [['(protected)', 'dashboard']]);
+
+      await waitFor(() => readRouteMap().protected.length > 0);
+      expect(readRouteMap().protected).toEqual(['/dashboard']);
+      expect(onGenerate.mock.calls.at(-1)[0].routeMap.protected).toEqual(['/dashboard']);
+    } finally {
+      await watcher.close();
+    }
+  });
+
+  test('should ignore layouts, which do not change the route map', async () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    const messages = [];
+    const onGenerate = vi.fn();
+
+    const watcher = routeGuard.watchRouteMap({
+      appDir: TEST_APP_DIR,
+      outputFile: ROUTE_MAP_FILE,
+      log: (message) => messages.push(message),
+      onGenerate
+    });
+
+    try {
+      await once(watcher, 'ready');
+      fs.writeFileSync(
+        path.join(TEST_APP_DIR, '(public)', 'about', 'layout.js'),
+        'export default function Layout({ children }) { return children }'
+      );
+      createPages(TEST_APP_DIR, [['(protected)', 'dashboard']]);
+
+      await waitFor(() => onGenerate.mock.calls.length > 1);
+      expect(messages.filter((message) => message.includes('File added'))).toEqual([
+        expect.stringMatching(/dashboard[/\\]page\.js$/)
+      ]);
+    } finally {
+      await watcher.close();
+    }
+  });
+
+  test('should only rewrite the route map when it changes and list the changed routes', async () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'about'],
+      ['(public)', 'billing']
+    ]);
+    const messages = [];
+    const onGenerate = vi.fn();
+    // The watcher started by the dev server test keeps writing the default route map file
+    const outputFile = path.join(TEST_DIR, 'generated', 'route-map.json');
+    const options = {
+      appDir: TEST_APP_DIR,
+      outputFile,
+      generateOptions: { version: 2 },
+      log: (message) => messages.push(message),
+      onGenerate
+    };
+
+    // Write the route map, then watch it again with the file in place
+    await routeGuard.watchRouteMap({ ...options, persistent: false }).close();
+    const { mtimeMs, size } = fs.statSync(outputFile);
+    messages.length = 0;
+
+    const watcher = routeGuard.watchRouteMap(options);
+
+    try {
+      expect(messages).toContain(
+        '@tradecrush/next-route-guard: Routes unchanged, the route map file was not rewritten.'
+      );
+      expect(onGenerate).toHaveBeenCalledTimes(2);
+
+      // Give the watcher time to start before changing the app
+      await new Promise((resolve) => setTimeout(resolve, 500));
+
+      // Components and directories without pages don't change the route map
+      fs.mkdirSync(path.join(TEST_APP_DIR, 'components'));
+      fs.writeFileSync(path.join(TEST_APP_DIR, 'components', 'Button.tsx'), 'export const Button = () => null;');
+      fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'drafts'));
+      fs.rmSync(path.join(TEST_APP_DIR, 'components'), { recursive: true });
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+
+      expect(fs.statSync(outputFile)).toMatchObject({ mtimeMs, size });
+      expect(onGenerate).toHaveBeenCalledTimes(2);
+
+      // Move billing to the protected group and add a page
+      fs.rmSync(path.join(TEST_APP_DIR, '(public)', 'billing'), { recursive: true });
+      createPages(TEST_APP_DIR, [
+        ['(protected)', 'billing'],
+        ['(protected)', 'settings']
+      ]);
+
+      await waitFor(() => onGenerate.mock.calls.length === 3);
+      expect(readRouteMap(outputFile).routes.map(({ path: route, status }) => `${route} ${status}`)).toEqual([
+        '/about public',
+        '/billing protected',
+        '/settings protected'
+      ]);
+      expect(messages).toEqual(
+        expect.arrayContaining([
+          '1 added, 0 removed, 1 reclassified:',
+          '  + /settings (protected)',
+          '  ~ /billing (public → protected)'
+        ])
+      );
+
+      // The temporary file was renamed to the route map file
+      expect(fs.readdirSync(path.dirname(outputFile)).filter((file) => file.endsWith('.tmp'))).toEqual([]);
+    } finally {
+      await watcher.close();
+    }
+  });
+
+  test('should emit ready, change and error events until it is closed', async () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    const outputFile = path.join(TEST_DIR, 'generated', 'route-map.json');
+
+    const watcher = routeGuard.watchRouteMap({ appDir: TEST_APP_DIR, outputFile, log: () => {} });
+    const changes = [];
+    const errors = [];
+    watcher.on('change', (update) => changes.push(update));
+    watcher.on('error', (error) => errors.push(error));
+
+    try {
+      expect(watcher).toBeInstanceOf(EventEmitter);
+      expect(watcher.routeMap.public).toEqual(['/about']);
+
+      const [readyRouteMap] = await once(watcher, 'ready');
+      expect(readyRouteMap).toBe(watcher.routeMap);
+
+      createPages(TEST_APP_DIR, [['(protected)', 'dashboard']]);
+      await waitFor(() => changes.length === 1);
+      expect(changes[0].routeMap).toBe(watcher.routeMap);
+      expect(changes[0].diff).toEqual({
+        added: [{ path: '/dashboard', status: 'protected' }],
+        removed: [],
+        reclassified: []
+      });
+      expect(changes[0].diagnostics).toEqual([]);
+
+      // A directory in place of the route map file can't be replaced
+      fs.rmSync(outputFile);
+      fs.mkdirSync(path.join(outputFile, 'blocked'), { recursive: true });
+      createPages(TEST_APP_DIR, [['(protected)', 'settings']]);
+      await waitFor(() => errors.length === 1);
+      expect(errors[0]).toBeInstanceOf(Error);
+      expect(changes).toHaveLength(1);
+      fs.rmSync(outputFile, { recursive: true });
+    } finally {
+      await watcher.close();
+    }
+
+    // No updates after closing
+    createPages(TEST_APP_DIR, [['(protected)', 'billing']]);
+    await new Promise((resolve) => setTimeout(resolve, 600));
+    expect(fs.existsSync(outputFile)).toBe(false);
+    expect(changes).toHaveLength(1);
+  });
+
+  test('should close on SIGINT and SIGTERM with handleSignals', async () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    const listenerCounts = () => ['SIGINT', 'SIGTERM'].map((signal) => process.listenerCount(signal));
+    const initialCounts = listenerCounts();
+    const options = { appDir: TEST_APP_DIR, outputFile: ROUTE_MAP_FILE, persistent: false, log: () => {} };
+
+    // Signals are left alone by default
+    const unhandled = routeGuard.watchRouteMap(options);
+    expect(listenerCounts()).toEqual(initialCounts);
+    await unhandled.close();
+
+    const watcher = routeGuard.watchRouteMap({ ...options, handleSignals: true });
+    expect(listenerCounts()).toEqual(initialCounts.map((count) => count + 1));
+
+    // Keep the signal from ending the test process
+    const kill = vi.spyOn(process, 'kill').mockImplementation(() => true);
+    const close = vi.spyOn(watcher, 'close');
+    try {
+      process.emit('SIGTERM', 'SIGTERM');
+      expect(close).toHaveBeenCalledTimes(1);
+      await close.mock.results[0].value;
+      expect(listenerCounts()).toEqual(initialCounts);
+    } finally {
+      kill.mockRestore();
+      await watcher.close();
+    }
+  });
+
+  test('should stop next-route-guard-watch on SIGTERM', async () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    const child = spawn('node', [WATCH_SCRIPT_PATH, '--app-dir', TEST_APP_DIR, '--output', ROUTE_MAP_FILE], {
+      cwd: TEST_DIR
+    });
+    const exited = once(child, 'exit');
+    let output = '';
+    child.stdout.on('data', (data) => (output += data));
+
+    try {
+      await waitFor(() => output.includes('Watching for route changes'), 10000);
+      expect(readRouteMap().public).toEqual(['/about']);
+
+      child.kill('SIGTERM');
+      const [code, signal] = await exited;
+      expect({ code, signal }).toEqual({ code: null, signal: 'SIGTERM' });
+    } finally {
+      if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+    }
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { buildPackageBeforeTests, setupTestEnvironment } from './test-helpers';
+
+/**
+ * Test file for page extensions and project layout detection in next-route-guard
+ * Tests pageExtensions from options and next.config, MDX pages, and app/ vs src/app/ detection
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/build.js';
+
+const TEST_PROJECT_DIR = path.resolve(__dirname, 'test-app-page-extensions');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/generate-routes.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_PROJECT_DIR);
+
+// Helper to create a file in the test project
+function createFile(relativePath, source = 'export default function Page() { return null }') {
+  const filePath = path.join(TEST_PROJECT_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, source);
+}
+
+describe('Page extensions', () => {
+  test('should only pick up pages with the configured extensions', () => {
+    createFile('app/(public)/docs/page.mdx', '# Docs');
+    createFile('app/(public)/guide/page.md', '# Guide');
+    createFile('app/(protected)/dashboard/page.tsx');
+    createFile('app/(protected)/legacy/page.js');
+
+    const { routeMap } = routeGuard.generateRouteMap(path.join(TEST_PROJECT_DIR, 'app'), ['(public)'], ['(protected)'], {
+      pageExtensions: ['tsx', 'mdx']
+    });
+
+    expect(routeMap.public).toEqual(['/docs']);
+    expect(routeMap.protected).toEqual(['/dashboard']);
+  });
+
+  test('should use the Next.js default extensions when none are configured', () => {
+    createFile('app/(public)/docs/page.mdx', '# Docs');
+    createFile('app/(protected)/dashboard/page.tsx');
+    createFile('app/(protected)/legacy/page.js');
+
+    const { routeMap } = routeGuard.generateRouteMap(path.join(TEST_PROJECT_DIR, 'app'));
+
+    expect(routeMap.public).toEqual([]);
+    expect(routeMap.protected).toEqual(['/dashboard', '/legacy']);
+  });
+
+  test('should support extensions containing dots in the pages directory', () => {
+    createFile('app/.gitkeep', '');
+    createFile('pages/about.page.tsx');
+    createFile('pages/blog/index.page.tsx');
+    createFile('pages/blog/helpers.ts', 'export const x = 1;');
+
+    const { routeMap } = routeGuard.generateRouteMap(path.join(TEST_PROJECT_DIR, 'app'), ['(public)'], ['(protected)'], {
+      pagesDir: path.join(TEST_PROJECT_DIR, 'pages'),
+      pageExtensions: ['page.tsx']
+    });
+
+    expect(routeMap.unclassified).toEqual(['/about', '/blog']);
+  });
+});
+
+describe('next.config and project layout detection', () => {
+  test('should read pageExtensions from next.config files', () => {
+    createFile(
+      'next.config.ts',
+      `import type { NextConfig } from 'next';
+const nextConfig: NextConfig = {
+  pageExtensions: ['js', 'jsx', "md", \`mdx\`, 'ts', 'tsx'],
+};
+export default nextConfig;`
+    );
+
+    const settings = routeGuard.readNextConfig(TEST_PROJECT_DIR);
+
+    expect(settings.configFile).toBe(path.join(TEST_PROJECT_DIR, 'next.config.ts'));
+    expect(settings.pageExtensions).toEqual(['js', 'jsx', 'md', 'mdx', 'ts', 'tsx']);
+  });
+
+  test('should return no settings when there is no next.config', () => {
+    expect(routeGuard.readNextConfig(TEST_PROJECT_DIR)).toEqual({});
+  });
+
+  test('should detect app/ and src/app/ directories', () => {
+    createFile('src/app/page.tsx');
+    expect(routeGuard.findAppDir(TEST_PROJECT_DIR)).toBe(path.join(TEST_PROJECT_DIR, 'src', 'app'));
+    expect(routeGuard.findPagesDir(TEST_PROJECT_DIR)).toBeUndefined();
+
+    createFile('app/page.tsx');
+    expect(routeGuard.findAppDir(TEST_PROJECT_DIR)).toBe(path.join(TEST_PROJECT_DIR, 'app'));
+  });
+
+  test('should use src/app and next.config pageExtensions in the CLI', () => {
+    createFile('next.config.mjs', `export default { pageExtensions: ['tsx', 'mdx'] };`);
+    createFile('src/app/(public)/docs/page.mdx', '# Docs');
+    createFile('src/app/(protected)/dashboard/page.tsx');
+
+    execSync(`node ${SCRIPT_PATH}`, { cwd: TEST_PROJECT_DIR, encoding: 'utf8' });
+
+    // The route map is written to the detected app directory by default
+    const outputFile = path.join(TEST_PROJECT_DIR, 'src', 'app', 'route-map.json');
+    const routeMap = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+
+    expect(routeMap.public).toEqual(['/docs']);
+    expect(routeMap.protected).toEqual(['/dashboard']);
+  });
+});
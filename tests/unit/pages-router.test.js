@@ -0,0 +1,118 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { buildPackageBeforeTests, setupTestEnvironment, createPageFile } from './test-helpers';
+
+/**
+ * Test file for Pages Router support in next-route-guard
+ * Tests file-based routes from the pages directory, special file exclusion,
+ * path-prefix and per-file protection, and merging with the app directory
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+const TEST_DIR = path.resolve(__dirname, 'test-app-pages-router');
+const TEST_APP_DIR = path.join(TEST_DIR, 'app');
+const TEST_PAGES_DIR = path.join(TEST_DIR, 'pages');
+const TEST_OUTPUT_FILE = path.join(TEST_DIR, 'route-map.json');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/generate-routes.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_DIR);
+
+// Helper to create a file in the pages directory
+function createPagesFile(relativePath, source = 'export default function Page() { return null }') {
+  const filePath = path.join(TEST_PAGES_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, source);
+}
+
+// Run the generate-routes script with the pages directory
+function runGenerateRoutesWithPages(extraArgs = '') {
+  execSync(
+    `node ${SCRIPT_PATH} --app-dir "${TEST_APP_DIR}" --pages-dir "${TEST_PAGES_DIR}" --output "${TEST_OUTPUT_FILE}" ${extraArgs}`,
+    { encoding: 'utf8' }
+  );
+  return JSON.parse(fs.readFileSync(TEST_OUTPUT_FILE, 'utf8'));
+}
+
+describe('Pages Router support', () => {
+  test('should map pages directory files to routes', () => {
+    fs.mkdirSync(TEST_APP_DIR, { recursive: true });
+    createPagesFile('index.tsx');
+    createPagesFile('about.tsx');
+    createPagesFile('blog/index.js');
+    createPagesFile('blog/[slug].tsx');
+    createPagesFile('docs/[[...slug]].tsx');
+    createPagesFile('api/users/[id].ts', 'export default function handler(req, res) {}');
+
+    const routeMap = runGenerateRoutesWithPages();
+    const allRoutes = [...routeMap.public, ...routeMap.protected, ...(routeMap.unclassified || [])].sort();
+
+    expect(allRoutes).toEqual(['/', '/about', '/api/users/[id]', '/blog', '/blog/[slug]', '/docs/[[...slug]]']);
+  });
+
+  test('should skip _app, _document and _error', () => {
+    fs.mkdirSync(TEST_APP_DIR, { recursive: true });
+    createPagesFile('_app.tsx');
+    createPagesFile('_document.tsx');
+    createPagesFile('_error.tsx');
+    createPagesFile('404.tsx');
+
+    const routeMap = runGenerateRoutesWithPages();
+
+    expect(routeMap.unclassified).toEqual(['/404']);
+  });
+
+  test('should use the longest matching path prefix and leave other pages unclassified', () => {
+    fs.mkdirSync(TEST_APP_DIR, { recursive: true });
+    createPagesFile('account.tsx');
+    createPagesFile('docs/index.tsx');
+    createPagesFile('docs/guide.tsx');
+    createPagesFile('docs/internal/roadmap.tsx');
+    createPagesFile('docsearch.tsx');
+
+    const routeMap = runGenerateRoutesWithPages('--public-paths /docs --protected-paths /docs/internal');
+
+    expect(routeMap.public).toEqual(['/docs', '/docs/guide']);
+    expect(routeMap.protected).toEqual(['/docs/internal/roadmap']);
+    // Prefixes only match whole segments, so /docsearch isn't covered by /docs
+    expect(routeMap.unclassified).toEqual(['/account', '/docsearch']);
+  });
+
+  test('should let a tag at the top of the file override the path prefixes', () => {
+    fs.mkdirSync(TEST_APP_DIR, { recursive: true });
+    createPagesFile('pricing.tsx', '// @public\nexport default function Pricing() { return null }');
+    createPagesFile(
+      'docs/billing.tsx',
+      '/**\n * Billing docs are only for customers\n * @protected\n */\nexport default function Billing() { return null }'
+    );
+    // Tags after the first line of code are ignored
+    createPagesFile(
+      'settings.tsx',
+      'import x from "y";\n// @public\nexport default function Settings() { return null }'
+    );
+
+    const routeMap = runGenerateRoutesWithPages('--public-paths /docs');
+
+    expect(routeMap.public).toEqual(['/pricing']);
+    expect(routeMap.protected).toEqual(['/docs/billing']);
+    expect(routeMap.unclassified).toEqual(['/settings']);
+  });
+
+  test('should merge pages directory routes with the app directory routes', () => {
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'login'), { recursive: true });
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(protected)', 'dashboard'), { recursive: true });
+    createPageFile(path.join(TEST_APP_DIR, '(public)', 'login'));
+    createPageFile(path.join(TEST_APP_DIR, '(protected)', 'dashboard'));
+    createPagesFile('blog/[slug].tsx');
+    createPagesFile('profile.tsx');
+
+    const routeMap = runGenerateRoutesWithPages('--public-paths /blog --protected-paths /profile');
+
+    expect(routeMap.public).toEqual(['/blog/[slug]', '/login']);
+    expect(routeMap.protected).toEqual(['/dashboard', '/profile']);
+  });
+});
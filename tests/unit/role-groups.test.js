@@ -0,0 +1,176 @@
+import { describe, test, expect, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { NextResponse } from 'next/server';
+import {
+  buildPackageBeforeTests,
+  setupTestEnvironment,
+  setupNextResponseMocks,
+  MockNextRequest,
+  createPageFile,
+  runGenerateRoutes
+} from './test-helpers';
+
+/**
+ * Test file for role-based route groups in next-route-guard
+ * Tests that (role-*) and (roles:*) groups produce required roles in the route map
+ * and that the middleware enforces them with getUserRoles / onForbidden
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/index.js';
+
+const TEST_APP_DIR = path.resolve(__dirname, 'test-app-role-groups');
+const TEST_OUTPUT_FILE = path.resolve(TEST_APP_DIR, 'route-map.json');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_APP_DIR);
+
+// Set up Next.js response mocks
+setupNextResponseMocks();
+
+// Create test app structure with role groups
+function createRoleTestAppStructure() {
+  const dirs = [
+    ['(public)', 'about'],
+    ['(protected)', 'dashboard'],
+    ['(role-admin)', 'admin'],
+    ['(role-admin)', 'admin', 'users', '[id]'],
+    ['(roles:admin,billing)', 'billing'],
+    ['(protected)', 'reports', '(role-analyst)', 'sales'],
+    ['(role-admin)', 'status', '(public)', 'health']
+  ];
+
+  for (const segments of dirs) {
+    fs.mkdirSync(path.join(TEST_APP_DIR, ...segments), { recursive: true });
+    createPageFile(path.join(TEST_APP_DIR, ...segments));
+  }
+}
+
+describe('Role-based route groups', () => {
+  test('should record required roles for routes inside role groups', () => {
+    createRoleTestAppStructure();
+
+    const routeMap = runGenerateRoutes(TEST_APP_DIR, TEST_OUTPUT_FILE);
+
+    // Role-restricted routes are protected
+    expect(routeMap.protected).toContain('/admin');
+    expect(routeMap.protected).toContain('/admin/users/[id]');
+    expect(routeMap.protected).toContain('/billing');
+
+    expect(routeMap.roles).toEqual({
+      '/admin': ['admin'],
+      '/admin/users/[id]': ['admin'],
+      '/billing': ['admin', 'billing'],
+      '/reports/sales': ['analyst']
+    });
+
+    // Routes without role groups have no role entry
+    expect(routeMap.protected).toContain('/dashboard');
+    expect(routeMap.roles['/dashboard']).toBeUndefined();
+  });
+
+  test('should prioritize the innermost group over outer role groups', () => {
+    createRoleTestAppStructure();
+
+    const routeMap = runGenerateRoutes(TEST_APP_DIR, TEST_OUTPUT_FILE);
+
+    // (role-admin)/status/(public)/health is public due to innermost group prioritization
+    expect(routeMap.public).toContain('/status/health');
+    expect(routeMap.roles['/status/health']).toBeUndefined();
+  });
+
+  test('should omit the roles field when no role groups are used', () => {
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(protected)', 'dashboard'), { recursive: true });
+    createPageFile(path.join(TEST_APP_DIR, '(protected)', 'dashboard'));
+
+    const routeMap = runGenerateRoutes(TEST_APP_DIR, TEST_OUTPUT_FILE);
+
+    expect(routeMap.roles).toBeUndefined();
+  });
+});
+
+describe('Role enforcement in middleware', () => {
+  const routeMap = {
+    public: ['/about'],
+    protected: ['/dashboard', '/admin', '/admin/[...path]', '/billing'],
+    roles: {
+      '/admin': ['admin'],
+      '/admin/[...path]': ['admin'],
+      '/billing': ['admin', 'billing']
+    }
+  };
+
+  function createMiddleware(userRoles, extraOptions = {}) {
+    return routeGuard.createRouteGuardMiddleware({
+      routeMap,
+      isAuthenticated: () => userRoles !== null,
+      getUserRoles: () => userRoles || [],
+      onUnauthenticated: (req) => NextResponse.redirect(new URL('/login', req.url)),
+      ...extraOptions
+    });
+  }
+
+  test('should allow users holding a required role', async () => {
+    const middleware = createMiddleware(['admin']);
+
+    for (const url of ['/admin', '/admin/users/42', '/billing']) {
+      const response = await middleware(new MockNextRequest(url));
+      expect(response.type).toBe('next');
+    }
+  });
+
+  test('should accept any one of the listed roles', async () => {
+    const middleware = createMiddleware(['billing']);
+
+    const response = await middleware(new MockNextRequest('/billing'));
+    expect(response.type).toBe('next');
+  });
+
+  test('should respond with 403 when an authenticated user lacks the role', async () => {
+    const middleware = createMiddleware(['billing']);
+
+    const response = await middleware(new MockNextRequest('/admin/users/42'));
+    expect(response.status).toBe(403);
+  });
+
+  test('should redirect unauthenticated users before checking roles', async () => {
+    const getUserRoles = vi.fn(() => []);
+    const middleware = createMiddleware(null, { getUserRoles });
+
+    const response = await middleware(new MockNextRequest('/admin'));
+    expect(response.headers.get('location')).toContain('/login');
+    expect(getUserRoles).not.toHaveBeenCalled();
+  });
+
+  test('should not look up roles for protected routes without role requirements', async () => {
+    const getUserRoles = vi.fn(() => []);
+    const middleware = createMiddleware([], { getUserRoles });
+
+    const response = await middleware(new MockNextRequest('/dashboard'));
+    expect(response.type).toBe('next');
+    expect(getUserRoles).not.toHaveBeenCalled();
+  });
+
+  test('should call a custom onForbidden handler', async () => {
+    const onForbidden = vi.fn(() => NextResponse.json({ error: 'Forbidden' }, { status: 403 }));
+    const middleware = createMiddleware(['viewer'], { onForbidden });
+
+    const response = await middleware(new MockNextRequest('/admin'));
+    expect(onForbidden).toHaveBeenCalledTimes(1);
+    expect(response.json()).toEqual({ error: 'Forbidden' });
+  });
+
+  test('should treat role-restricted routes as forbidden when getUserRoles is not provided', async () => {
+    const middleware = routeGuard.createRouteGuardMiddleware({
+      routeMap,
+      isAuthenticated: () => true
+    });
+
+    const response = await middleware(new MockNextRequest('/admin'));
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import {
+  buildPackageBeforeTests,
+  setupTestEnvironment,
+  setupNextResponseMocks,
+  testRouteProtection,
+  createPages
+} from './test-helpers';
+
+/**
+ * Test file for route conflict detection in next-route-guard
+ * Tests that URLs claimed by both public and protected groups (or by dynamic segments
+ * with different param names) resolve to the most restrictive status and are reported,
+ * and that --strict makes the generator fail on conflicts
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/index.js';
+import * as routeGuardBuild from '../../dist/build.js';
+
+const TEST_APP_DIR = path.resolve(__dirname, 'test-app-route-conflicts');
+const TEST_OUTPUT_FILE = path.resolve(TEST_APP_DIR, 'route-map.json');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/generate-routes.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_APP_DIR);
+
+// Set up Next.js response mocks
+setupNextResponseMocks();
+
+// Run the generate-routes script and return its exit code and output
+function runGenerateRoutesScript(extraArgs = []) {
+  return spawnSync('node', [SCRIPT_PATH, '--app-dir', TEST_APP_DIR, '--output', TEST_OUTPUT_FILE, ...extraArgs], {
+    encoding: 'utf8'
+  });
+}
+
+describe('Route conflicts', () => {
+  test('should make a route claimed by public and protected groups protected', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'settings'],
+      ['(protected)', 'settings'],
+      ['(public)', 'about']
+    ]);
+
+    const { routeMap, conflicts } = routeGuardBuild.generateRouteMap(TEST_APP_DIR);
+
+    expect(routeMap.public).toEqual(['/about']);
+    expect(routeMap.protected).toEqual(['/settings']);
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].route).toBe('/settings');
+    expect(conflicts[0].resolvedStatus).toBe('protected');
+    expect(conflicts[0].reason).toContain('protected and public');
+    expect(conflicts[0].claims.map((claim) => [path.relative(TEST_APP_DIR, claim.file), claim.status]).sort()).toEqual([
+      [path.join('(protected)', 'settings', 'page.js'), 'protected'],
+      [path.join('(public)', 'settings', 'page.js'), 'public']
+    ]);
+  });
+
+  test('should detect dynamic segments with different param names at the same level', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'blog', '[slug]'],
+      ['(protected)', 'blog', '[id]']
+    ]);
+
+    const { routeMap, conflicts } = routeGuardBuild.generateRouteMap(TEST_APP_DIR);
+
+    expect(routeMap.public).toEqual([]);
+    expect(routeMap.protected).toEqual(['/blog/[id]', '/blog/[slug]']);
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].resolvedStatus).toBe('protected');
+    expect(conflicts[0].reason).toContain('/blog/[slug]');
+    expect(conflicts[0].reason).toContain('/blog/[id]');
+  });
+
+  test('should rank unclassified routes above public ones', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'pricing'], ['pricing']]);
+
+    const { routeMap, conflicts } = routeGuardBuild.generateRouteMap(TEST_APP_DIR);
+
+    expect(routeMap.public).toEqual([]);
+    expect(routeMap.unclassified).toEqual(['/pricing']);
+    expect(conflicts[0].resolvedStatus).toBe('unclassified');
+  });
+
+  test('should not report routes produced several times with the same status', () => {
+    createPages(TEST_APP_DIR, [
+      ['(protected)', 'dashboard'],
+      ['(protected)', 'dashboard', '@stats']
+    ]);
+
+    const { conflicts } = routeGuardBuild.generateRouteMap(TEST_APP_DIR);
+
+    expect(conflicts).toEqual([]);
+  });
+
+  test('should give a root slot default the status of the page it renders in', () => {
+    createPages(TEST_APP_DIR, [['(public)']]);
+    fs.mkdirSync(path.join(TEST_APP_DIR, '@modal'), { recursive: true });
+    fs.writeFileSync(
+      path.join(TEST_APP_DIR, '@modal', 'default.tsx'),
+      `export default function Default() { return null }`
+    );
+
+    const { routeMap, conflicts, diagnostics } = routeGuardBuild.generateRouteMap(TEST_APP_DIR);
+
+    expect(routeMap.public).toEqual(['/']);
+    expect(routeMap.unclassified).toBeUndefined();
+    expect(conflicts).toEqual([]);
+    expect(diagnostics.filter((diagnostic) => diagnostic.severity !== 'info')).toEqual([]);
+
+    const result = runGenerateRoutesScript(['--strict']);
+    expect(result.status).toBe(0);
+  });
+
+  test('should warn about slots in a group with another status than their page', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'feed'],
+      ['(protected)', 'feed', '@panel']
+    ]);
+
+    const { routeMap, conflicts, diagnostics } = routeGuardBuild.generateRouteMap(TEST_APP_DIR);
+
+    expect(routeMap.public).toEqual(['/feed']);
+    expect(routeMap.protected).toEqual([]);
+    expect(conflicts).toEqual([]);
+    expect(diagnostics).toContainEqual(
+      expect.objectContaining({
+        severity: 'warning',
+        code: 'secondary-route-status',
+        file: expect.stringContaining('@panel')
+      })
+    );
+  });
+
+  test('should keep the most restrictive status for paths listed in several buckets at runtime', async () => {
+    const routeMap = {
+      public: ['/settings', '/blog/[slug]'],
+      protected: ['/settings', '/blog/[id]']
+    };
+
+    expect(await testRouteProtection('/settings', routeMap, routeGuard)).toBe(true);
+    expect(await testRouteProtection('/blog/hello', routeMap, routeGuard)).toBe(true);
+  });
+
+  test('should print conflicts and still write the route map by default', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'settings'],
+      ['(protected)', 'settings']
+    ]);
+
+    const result = runGenerateRoutesScript();
+
+    expect(result.status).toBe(0);
+    expect(result.stderr).toContain('[route-conflict]');
+    expect(JSON.parse(fs.readFileSync(TEST_OUTPUT_FILE, 'utf8')).protected).toEqual(['/settings']);
+  });
+
+  test('should exit with a non-zero code in strict mode', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'settings'],
+      ['(protected)', 'settings']
+    ]);
+
+    const result = runGenerateRoutesScript(['--strict']);
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('strict mode');
+    expect(fs.existsSync(TEST_OUTPUT_FILE)).toBe(false);
+  });
+
+  test('should succeed in strict mode without conflicts', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'about'],
+      ['(protected)', 'dashboard']
+    ]);
+
+    const result = runGenerateRoutesScript(['--strict']);
+
+    expect(result.status).toBe(0);
+    expect(fs.existsSync(TEST_OUTPUT_FILE)).toBe(true);
+  });
+});
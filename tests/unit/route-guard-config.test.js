@@ -0,0 +1,185 @@
+import { describe, test, expect, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { buildPackageBeforeTests, setupTestEnvironment, createPages } from './test-helpers';
+
+/**
+ * Test file for route-guard.config in next-route-guard
+ * Tests the validation of the config, how the CLI tools combine it with their flags, and the
+ * middleware warnings for options that differ from the ones recorded in the route map
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/index.js';
+import * as routeGuardBuild from '../../dist/build.js';
+
+const TEST_DIR = path.resolve(__dirname, 'test-app-route-guard-config');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/generate-routes.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_DIR);
+
+// Run the generator CLI in the test project
+function generate(args = '') {
+  return execSync(`node ${SCRIPT_PATH} --no-cache ${args}`, { cwd: TEST_DIR, stdio: 'pipe', encoding: 'utf8' });
+}
+
+// Read a file of the test project as JSON
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(TEST_DIR, file), 'utf8'));
+}
+
+describe('validateRouteGuardConfig', () => {
+  test('should accept valid configs', () => {
+    expect(routeGuardBuild.validateRouteGuardConfig({})).toEqual([]);
+    expect(
+      routeGuardBuild.validateRouteGuardConfig({
+        appDir: 'src/app',
+        output: 'src/route-map.json',
+        publicPatterns: ['(public)', /^\(marketing-.+\)$/],
+        protectedPatterns: ['(protected)'],
+        defaultProtected: false,
+        excludeUrls: ['/api/(.*)', /^\/health$/]
+      })
+    ).toEqual([]);
+    expect(routeGuardBuild.validateRouteGuardConfig({ output: undefined })).toEqual([]);
+  });
+
+  test('should report every invalid and unknown option', () => {
+    expect(
+      routeGuardBuild.validateRouteGuardConfig({
+        appDir: '',
+        protected: ['(protected)'],
+        publicPatterns: '(public)',
+        excludeUrls: ['/api/(.*)', 42],
+        defaultProtected: 'yes'
+      })
+    ).toEqual([
+      '"appDir" must be a non-empty string, got ""',
+      'Unknown option "protected", expected one of: appDir, output, publicPatterns, protectedPatterns, defaultProtected, excludeUrls',
+      '"publicPatterns" must be an array of strings and regular expressions, got "(public)"',
+      '"excludeUrls[1]" must be a string or a regular expression, got 42',
+      '"defaultProtected" must be true or false, got "yes"'
+    ]);
+
+    expect(routeGuardBuild.validateRouteGuardConfig([])).toEqual(['The config must be an object, got an array']);
+    expect(routeGuardBuild.validateRouteGuardConfig(undefined)).toEqual([
+      'The config must be an object, got undefined'
+    ]);
+  });
+});
+
+describe('CLI with route-guard.config', () => {
+  test('should take its defaults from route-guard.config.json and let flags override them', () => {
+    createPages(path.join(TEST_DIR, 'web'), [
+      ['(open)', 'about'],
+      ['(private)', 'dashboard'],
+      ['(admin)', 'users']
+    ]);
+    fs.writeFileSync(
+      path.join(TEST_DIR, 'route-guard.config.json'),
+      JSON.stringify({
+        appDir: 'web',
+        output: 'generated/route-map.json',
+        publicPatterns: ['(open)'],
+        protectedPatterns: ['(private)'],
+        defaultProtected: false,
+        excludeUrls: ['/api/(.*)', '/health']
+      })
+    );
+
+    expect(generate()).toContain('Using route-guard.config.json');
+    expect(readJson('generated/route-map.json')).toMatchObject({
+      public: ['/about'],
+      protected: ['/dashboard'],
+      unclassified: ['/users'],
+      middleware: { defaultProtected: false, excludeUrls: ['/api/(.*)', '/health'] }
+    });
+
+    generate('--protected "(private),(admin)" --output other/route-map.json --map-version 2');
+    const v2 = readJson('other/route-map.json');
+    expect(v2.options.middleware).toEqual({ defaultProtected: false, excludeUrls: ['/api/(.*)', '/health'] });
+    expect(routeGuard.normalizeRouteMap(v2).protected).toEqual(['/dashboard', '/users']);
+  });
+
+  test('should import JavaScript configs with regular expressions', () => {
+    createPages(path.join(TEST_DIR, 'app'), [
+      ['(marketing-home)', 'pricing'],
+      ['(protected)', 'settings']
+    ]);
+    fs.writeFileSync(
+      path.join(TEST_DIR, 'route-guard.config.mjs'),
+      'export default { publicPatterns: [/^\\(marketing-.+\\)$/], excludeUrls: [/^\\/health$/] };'
+    );
+
+    generate();
+
+    expect(readJson('app/route-map.json')).toMatchObject({
+      public: ['/pricing'],
+      protected: ['/settings'],
+      middleware: { excludeUrls: ['/^\\/health$/'] }
+    });
+  });
+
+  test('should exit with the validation errors of an invalid config', () => {
+    createPages(path.join(TEST_DIR, 'app'), [['(public)', 'about']]);
+    fs.writeFileSync(
+      path.join(TEST_DIR, 'route-guard.config.js'),
+      "module.exports = { protected: ['(protected)'], defaultProtected: 'no' };"
+    );
+
+    let stderr = '';
+    try {
+      generate();
+    } catch (error) {
+      stderr = error.stderr;
+    }
+
+    expect(stderr).toContain('Invalid route-guard.config.js');
+    expect(stderr).toContain('Unknown option "protected"');
+    expect(stderr).toContain('"defaultProtected" must be true or false, got "no"');
+    expect(fs.existsSync(path.join(TEST_DIR, 'app', 'route-map.json'))).toBe(false);
+  });
+});
+
+describe('Middleware options recorded in the route map', () => {
+  const routeMap = {
+    public: ['/'],
+    protected: ['/dashboard'],
+    middleware: { defaultProtected: false, excludeUrls: ['/api/(.*)', '/^\\/health$/'] }
+  };
+
+  // Create a middleware and return the warnings printed while doing so
+  function getWarnings(map, options = {}) {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      routeGuard.createRouteGuardMiddleware({ isAuthenticated: () => true, routeMap: map, ...options });
+      return warn.mock.calls.map(([message]) => message);
+    } finally {
+      warn.mockRestore();
+    }
+  }
+
+  test('should not warn when the options match', () => {
+    expect(getWarnings(routeMap, { defaultProtected: false, excludeUrls: [/^\/health$/, '/api/(.*)'] })).toEqual([]);
+    expect(getWarnings({ public: ['/'], protected: [] })).toEqual([]);
+  });
+
+  test('should warn about options that differ from route-guard.config', () => {
+    expect(getWarnings(routeMap)).toEqual([
+      '@tradecrush/next-route-guard: The middleware uses defaultProtected: true, but route-guard.config sets false.',
+      '@tradecrush/next-route-guard: The middleware uses excludeUrls: [/api/(.*)], but route-guard.config sets [/^\\/health$/, /api/(.*)].'
+    ]);
+  });
+
+  test('should carry the options over to a compiled route trie', () => {
+    const compiled = JSON.parse(JSON.stringify(routeGuard.compileRouteTrie(routeMap)));
+
+    expect(compiled.middleware).toEqual(routeMap.middleware);
+    expect(getWarnings(compiled, { excludeUrls: routeMap.middleware.excludeUrls })).toHaveLength(1);
+  });
+});
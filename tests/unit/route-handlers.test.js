@@ -0,0 +1,187 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { NextResponse } from 'next/server';
+import {
+  buildPackageBeforeTests,
+  setupTestEnvironment,
+  setupNextResponseMocks,
+  MockNextRequest,
+  runGenerateRoutes
+} from './test-helpers';
+
+/**
+ * Test file for route handler (route.ts) support in next-route-guard
+ * Tests static detection of exported HTTP methods, method-level protection tags
+ * and per-method decisions in the middleware
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/index.js';
+
+const TEST_APP_DIR = path.resolve(__dirname, 'test-app-route-handlers');
+const TEST_OUTPUT_FILE = path.resolve(TEST_APP_DIR, 'route-map.json');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_APP_DIR);
+
+// Set up Next.js response mocks
+setupNextResponseMocks();
+
+// Helper to create a route handler file
+function createRouteFile(segments, source, extension = 'ts') {
+  const dirPath = path.join(TEST_APP_DIR, ...segments);
+  fs.mkdirSync(dirPath, { recursive: true });
+  fs.writeFileSync(path.join(dirPath, `route.${extension}`), source);
+}
+
+describe('Route handler detection', () => {
+  test('should include route handlers and their exported methods in the route map', () => {
+    createRouteFile(
+      ['(protected)', 'api', 'posts'],
+      `
+import { NextResponse } from 'next/server';
+
+/** @public */
+export async function GET() {
+  return NextResponse.json([]);
+}
+
+export async function POST() {
+  return NextResponse.json({});
+}
+
+// Deleting posts is only allowed for logged in users
+export const DELETE = async () => NextResponse.json({});
+`
+    );
+    createRouteFile(
+      ['(public)', 'api', 'health'],
+      `
+export function GET() {
+  return new Response('ok');
+}
+`,
+      'js'
+    );
+
+    const routeMap = runGenerateRoutes(TEST_APP_DIR, TEST_OUTPUT_FILE);
+
+    expect(routeMap.protected).toContain('/api/posts');
+    expect(routeMap.public).toContain('/api/health');
+    expect(routeMap.methods).toEqual({
+      '/api/health': { public: ['GET'], protected: [] },
+      '/api/posts': { public: ['GET'], protected: ['POST', 'DELETE'] }
+    });
+  });
+
+  test('should detect methods exported through export lists and destructuring', () => {
+    createRouteFile(
+      ['(public)', 'api', 'auth', '[...nextauth]'],
+      `
+import { handlers } from '@/auth';
+export const { GET, POST } = handlers;
+`
+    );
+    createRouteFile(
+      ['(protected)', 'api', 'items', '[id]'],
+      `
+function handleGet() {}
+function handlePut() {}
+export { handleGet as GET, handlePut as PUT };
+`
+    );
+
+    const routeMap = runGenerateRoutes(TEST_APP_DIR, TEST_OUTPUT_FILE);
+
+    expect(routeMap.methods['/api/auth/[...nextauth]']).toEqual({ public: ['GET', 'POST'], protected: [] });
+    expect(routeMap.methods['/api/items/[id]']).toEqual({ public: [], protected: ['GET', 'PUT'] });
+  });
+
+  test('should honour @protected tags in public groups', () => {
+    createRouteFile(
+      ['(public)', 'api', 'comments'],
+      `
+export async function GET() {}
+
+/**
+ * Create a comment
+ * @protected
+ */
+export async function POST() {}
+`
+    );
+
+    const routeMap = runGenerateRoutes(TEST_APP_DIR, TEST_OUTPUT_FILE);
+
+    expect(routeMap.public).toContain('/api/comments');
+    expect(routeMap.methods['/api/comments']).toEqual({ public: ['GET'], protected: ['POST'] });
+  });
+
+  test('should omit the methods field when there are no route handlers', () => {
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'about'), { recursive: true });
+    fs.writeFileSync(path.join(TEST_APP_DIR, '(public)', 'about', 'page.js'), 'export default function Page() {}');
+
+    const routeMap = runGenerateRoutes(TEST_APP_DIR, TEST_OUTPUT_FILE);
+
+    expect(routeMap.methods).toBeUndefined();
+  });
+});
+
+describe('Per-method protection in middleware', () => {
+  const routeMap = {
+    public: ['/about', '/api/health'],
+    protected: ['/api/posts', '/api/posts/[id]', '/dashboard'],
+    methods: {
+      '/api/health': { public: ['GET'], protected: [] },
+      '/api/posts': { public: ['GET'], protected: ['POST'] },
+      '/api/posts/[id]': { public: ['GET', 'HEAD'], protected: ['PATCH', 'DELETE'] }
+    }
+  };
+
+  const middleware = routeGuard.createRouteGuardMiddleware({
+    routeMap,
+    isAuthenticated: () => false,
+    onUnauthenticated: (req) => NextResponse.redirect(new URL('/login', req.url)),
+    excludeUrls: []
+  });
+
+  async function isProtected(pathname, method) {
+    const response = await middleware(new MockNextRequest(pathname, {}, {}, method));
+    return response.status === 307;
+  }
+
+  test('should decide protection based on the request method', async () => {
+    expect(await isProtected('/api/posts', 'GET')).toBe(false);
+    expect(await isProtected('/api/posts', 'POST')).toBe(true);
+    expect(await isProtected('/api/posts/42', 'GET')).toBe(false);
+    expect(await isProtected('/api/posts/42', 'PATCH')).toBe(true);
+    expect(await isProtected('/api/posts/42', 'DELETE')).toBe(true);
+  });
+
+  test('should fall back to the route status for methods without a rule', async () => {
+    // PUT isn't exported by the handler, so the protected route status applies
+    expect(await isProtected('/api/posts', 'PUT')).toBe(true);
+    expect(await isProtected('/api/health', 'POST')).toBe(false);
+  });
+
+  test('should use the GET rule for HEAD requests when HEAD is not exported', async () => {
+    expect(await isProtected('/api/posts', 'HEAD')).toBe(false);
+  });
+
+  test('should always let OPTIONS preflight requests through', async () => {
+    for (const pathname of ['/api/posts', '/dashboard', '/unknown']) {
+      const response = await middleware(new MockNextRequest(pathname, {}, {}, 'OPTIONS'));
+      expect(response.type).toBe('next');
+    }
+  });
+
+  test('should leave page routes unaffected by the request method', async () => {
+    expect(await isProtected('/dashboard', 'GET')).toBe(true);
+    expect(await isProtected('/dashboard', 'POST')).toBe(true);
+    expect(await isProtected('/about', 'POST')).toBe(false);
+  });
+});
@@ -0,0 +1,214 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { execSync, spawnSync } from 'child_process';
+import {
+  buildPackageBeforeTests,
+  setupTestEnvironment,
+  setupNextResponseMocks,
+  testRouteProtection,
+  createPages
+} from './test-helpers';
+
+/**
+ * Test file for the versioned (v2) route map format in next-route-guard
+ * Tests the provenance recorded for every route, the content hash, and that the
+ * middleware accepts both formats and rejects unsupported versions
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/index.js';
+import * as routeGuardBuild from '../../dist/build.js';
+
+const TEST_DIR = path.resolve(__dirname, 'test-app-route-map-v2');
+const TEST_APP_DIR = path.join(TEST_DIR, 'app');
+const TEST_PAGES_DIR = path.join(TEST_DIR, 'pages');
+const TEST_OUTPUT_FILE = path.join(TEST_DIR, 'route-map.json');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/generate-routes.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_DIR);
+
+// Set up Next.js response mocks
+setupNextResponseMocks();
+
+// Generate a v2 route map for the test app
+function generateV2(options = {}) {
+  return routeGuardBuild.generateRouteMap(TEST_APP_DIR, ['(public)'], ['(protected)'], {
+    version: 2,
+    rootDir: TEST_DIR,
+    ...options
+  });
+}
+
+describe('Route map v2', () => {
+  test('should record the source file, deciding group and kind of every route', () => {
+    createPages(TEST_APP_DIR, [
+      [],
+      ['(public)', 'blog', '[slug]'],
+      ['(protected)', 'docs', '[...path]'],
+      ['(protected)', 'shop', '[[...filters]]'],
+      ['(role-admin)', 'admin']
+    ]);
+
+    const { routeMap } = generateV2();
+
+    expect(routeMap.version).toBe(2);
+    expect(routeMap.routes).toEqual([
+      { path: '/', status: 'unclassified', kind: 'static', source: 'app/page.js' },
+      {
+        path: '/admin',
+        status: 'protected',
+        kind: 'static',
+        source: 'app/(role-admin)/admin/page.js',
+        group: '(role-admin)',
+        roles: ['admin']
+      },
+      {
+        path: '/blog/[slug]',
+        status: 'public',
+        kind: 'dynamic',
+        source: 'app/(public)/blog/[slug]/page.js',
+        group: '(public)'
+      },
+      {
+        path: '/docs/[...path]',
+        status: 'protected',
+        kind: 'catch-all',
+        source: 'app/(protected)/docs/[...path]/page.js',
+        group: '(protected)'
+      },
+      {
+        path: '/shop/[[...filters]]',
+        status: 'protected',
+        kind: 'optional-catch-all',
+        source: 'app/(protected)/shop/[[...filters]]/page.js',
+        group: '(protected)'
+      }
+    ]);
+  });
+
+  test('should record the generator options, timestamp and hash', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+
+    const { routeMap } = routeGuardBuild.generateRouteMap(
+      TEST_APP_DIR,
+      ['(public-*)', /^\(public\)$/],
+      ['(protected)'],
+      {
+        version: 2,
+        rootDir: TEST_DIR
+      }
+    );
+
+    expect(routeMap.options).toEqual({
+      appDir: 'app',
+      publicPatterns: ['(public-*)', '/^\\(public\\)$/'],
+      protectedPatterns: ['(protected)'],
+      pageExtensions: ['tsx', 'ts', 'jsx', 'js']
+    });
+    expect(new Date(routeMap.generatedAt).toISOString()).toBe(routeMap.generatedAt);
+    expect(routeMap.hash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('should only change the hash when the routes change', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+
+    const first = generateV2().routeMap;
+    const second = generateV2().routeMap;
+    expect(second.hash).toBe(first.hash);
+
+    createPages(TEST_APP_DIR, [['(protected)', 'dashboard']]);
+    expect(generateV2().routeMap.hash).not.toBe(first.hash);
+  });
+
+  test('should record tags and path prefixes as the deciding group of Pages Router routes', () => {
+    fs.mkdirSync(TEST_APP_DIR, { recursive: true });
+    fs.mkdirSync(path.join(TEST_PAGES_DIR, 'docs'), { recursive: true });
+    fs.writeFileSync(path.join(TEST_PAGES_DIR, 'pricing.tsx'), '// @public\nexport default function Page() {}');
+    fs.writeFileSync(path.join(TEST_PAGES_DIR, 'docs', 'index.tsx'), 'export default function Page() {}');
+
+    const { routeMap } = generateV2({ pagesDir: TEST_PAGES_DIR, publicPaths: ['/docs'] });
+
+    expect(routeMap.routes).toEqual([
+      { path: '/docs', status: 'public', kind: 'static', source: 'pages/docs/index.tsx', group: '/docs' },
+      { path: '/pricing', status: 'public', kind: 'static', source: 'pages/pricing.tsx', group: '@public' }
+    ]);
+    expect(routeMap.options.pagesDir).toBe('pages');
+    expect(routeMap.options.publicPaths).toEqual(['/docs']);
+  });
+
+  test('should write a v2 map from the CLI with --map-version 2', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+
+    execSync(`node ${SCRIPT_PATH} --app-dir app --output route-map.json --map-version 2`, {
+      cwd: TEST_DIR,
+      encoding: 'utf8'
+    });
+    const routeMap = JSON.parse(fs.readFileSync(TEST_OUTPUT_FILE, 'utf8'));
+
+    expect(routeMap.version).toBe(2);
+    expect(routeMap.routes[0].source).toBe('app/(public)/about/page.js');
+  });
+
+  test('should reject unsupported values of --map-version', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+
+    for (const version of ['3', 'abc']) {
+      const result = spawnSync(
+        'node',
+        [SCRIPT_PATH, '--app-dir', 'app', '--output', 'route-map.json', '--map-version', version],
+        { cwd: TEST_DIR, encoding: 'utf8' }
+      );
+
+      expect(result.status, version).toBe(1);
+      expect(result.stderr, version).toContain(`Unknown route map version "${version}", expected one of: 1, 2`);
+    }
+    expect(fs.existsSync(TEST_OUTPUT_FILE)).toBe(false);
+  });
+});
+
+describe('Route map versions in the middleware', () => {
+  const v2RouteMap = {
+    version: 2,
+    generatedAt: '2024-01-01T00:00:00.000Z',
+    hash: '0'.repeat(64),
+    options: { appDir: 'app', publicPatterns: ['(public)'], protectedPatterns: ['(protected)'], pageExtensions: [] },
+    routes: [
+      { path: '/about', status: 'public', kind: 'static', source: 'app/(public)/about/page.tsx', group: '(public)' },
+      {
+        path: '/dashboard/[...path]',
+        status: 'protected',
+        kind: 'catch-all',
+        source: 'app/(protected)/dashboard/[...path]/page.tsx',
+        group: '(protected)'
+      },
+      { path: '/settings', status: 'unclassified', kind: 'static', source: 'app/settings/page.tsx' }
+    ]
+  };
+
+  test('should protect routes from a v2 map like the equivalent v1 map', async () => {
+    expect(await testRouteProtection('/about', v2RouteMap, routeGuard)).toBe(false);
+    expect(await testRouteProtection('/dashboard/reports/2024', v2RouteMap, routeGuard)).toBe(true);
+    expect(await testRouteProtection('/settings', v2RouteMap, routeGuard)).toBe(true);
+  });
+
+  test('should convert v2 maps to the original format', () => {
+    expect(routeGuard.normalizeRouteMap(v2RouteMap)).toEqual({
+      public: ['/about'],
+      protected: ['/dashboard/[...path]'],
+      unclassified: ['/settings']
+    });
+  });
+
+  test('should reject unsupported versions and malformed maps', () => {
+    const create = (routeMap) => routeGuard.createRouteGuardMiddleware({ routeMap, isAuthenticated: () => true });
+
+    expect(() => create({ ...v2RouteMap, version: 3 })).toThrow('Unsupported route map version 3');
+    expect(() => create({ version: 2 })).toThrow('expected a "routes" array');
+    expect(() => create({ public: [] })).toThrow('expected "public" and "protected" arrays');
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { buildPackageBeforeTests, setupTestEnvironment, createPages } from './test-helpers';
+
+/**
+ * Test file for createRouteReport and the report command of next-route-guard
+ * Tests the protection of every route with the middleware options, the summary counts and the
+ * self-contained HTML and Markdown reports
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/index.js';
+import * as routeGuardBuild from '../../dist/build.js';
+
+const TEST_DIR = path.resolve(__dirname, 'test-app-route-report');
+const TEST_APP_DIR = path.join(TEST_DIR, 'app');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/next-route-guard.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_DIR);
+
+// Run the route inspection CLI in the test project and return its exit code and output
+function run(args) {
+  const result = spawnSync('node', [SCRIPT_PATH, ...args], { cwd: TEST_DIR, encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+// Create an app with public, protected, role, unclassified and API routes
+function createApp() {
+  createPages(TEST_APP_DIR, [
+    ['(public)', 'about'],
+    ['(protected)', 'dashboard'],
+    ['(protected)', '(role-admin)', 'admin'],
+    ['beta'],
+    ['api', 'health']
+  ]);
+  fs.mkdirSync(path.join(TEST_APP_DIR, '(protected)', 'api', 'orders'), { recursive: true });
+  fs.writeFileSync(
+    path.join(TEST_APP_DIR, '(protected)', 'api', 'orders', 'route.js'),
+    '/** @public */\nexport async function GET() {}\nexport async function POST() {}\n'
+  );
+}
+
+describe('createRouteReport', () => {
+  test('should report whether every route needs authentication and what decided it', () => {
+    createApp();
+    const { routeMap } = routeGuardBuild.generateRouteMap(TEST_APP_DIR, undefined, undefined, { version: 2 });
+
+    const report = routeGuard.createRouteReport(routeMap, { excludeRoutes: ['/api/health'] });
+
+    expect(report.defaultProtected).toBe(true);
+    expect(report.excludeRoutes).toEqual(['/api/health']);
+    expect(report.summary).toEqual({
+      total: 6,
+      protected: 2,
+      public: 1,
+      unclassified: 1,
+      perMethod: 1,
+      excluded: 1,
+      authenticationRequired: 3
+    });
+    expect(
+      report.routes.map(({ path: route, protected: isProtected, decidedBy }) => [route, isProtected, decidedBy])
+    ).toEqual([
+      ['/about', false, 'route'],
+      ['/admin', true, 'route'],
+      ['/api/health', false, 'excluded'],
+      ['/api/orders', false, 'method'],
+      ['/beta', true, 'default'],
+      ['/dashboard', true, 'route']
+    ]);
+
+    const [, admin, health, orders] = report.routes;
+    expect(admin).toMatchObject({
+      group: '(role-admin)',
+      roles: ['admin'],
+      source: expect.stringMatching(/app\/\(protected\)\/\(role-admin\)\/admin\/page\.js$/)
+    });
+    expect(health).toMatchObject({ status: 'unclassified', excludedBy: '/api/health' });
+    expect(orders.methods).toEqual({ public: ['GET'], protected: ['POST'] });
+  });
+
+  test('should apply defaultProtected and the default excludeUrls', () => {
+    createApp();
+    const { routeMap } = routeGuardBuild.generateRouteMap(TEST_APP_DIR, undefined, undefined, { version: 2 });
+
+    const report = routeGuard.createRouteReport(routeMap, { defaultProtected: false });
+
+    expect(report.excludeRoutes).toEqual(['/api/(.*)']);
+    expect(report.summary).toMatchObject({ unclassified: 1, excluded: 2, authenticationRequired: 2 });
+    expect(report.routes.find(({ path: route }) => route === '/beta')).toMatchObject({
+      protected: false,
+      decidedBy: 'default'
+    });
+  });
+
+  test('should report route handlers whose methods are protected differently from the route', () => {
+    const handlers = {
+      '(public)/webhooks': '/** @protected */\nexport async function POST() {}\n',
+      '(protected)/feed': '/** @public */\nexport async function GET() {}\n',
+      status: '/** @protected */\nexport async function DELETE() {}\nexport async function GET() {}\n'
+    };
+    for (const [dir, source] of Object.entries(handlers)) {
+      fs.mkdirSync(path.join(TEST_APP_DIR, dir), { recursive: true });
+      fs.writeFileSync(path.join(TEST_APP_DIR, dir, 'route.js'), source);
+    }
+    const { routeMap } = routeGuardBuild.generateRouteMap(TEST_APP_DIR, undefined, undefined, { version: 2 });
+
+    for (const defaultProtected of [true, false]) {
+      const report = routeGuard.createRouteReport(routeMap, { defaultProtected, excludeRoutes: [] });
+
+      expect(
+        report.routes.map(({ path: route, protected: isProtected, decidedBy }) => [route, isProtected, decidedBy])
+      ).toEqual([
+        ['/feed', false, 'method'],
+        // Untagged methods of unclassified routes follow defaultProtected
+        ['/status', defaultProtected, defaultProtected ? 'default' : 'method'],
+        ['/webhooks', true, 'method']
+      ]);
+      expect(report.summary).toMatchObject({
+        perMethod: defaultProtected ? 2 : 3,
+        authenticationRequired: defaultProtected ? 2 : 1
+      });
+    }
+  });
+
+  test('should match excludeRoutes against route patterns', () => {
+    createApp();
+    const { routeMap } = routeGuardBuild.generateRouteMap(TEST_APP_DIR, undefined, undefined, { version: 2 });
+
+    const excluded = (excludeRoutes) =>
+      routeGuard
+        .createRouteReport(routeMap, { excludeRoutes })
+        .routes.filter(({ decidedBy }) => decidedBy === 'excluded')
+        .map(({ path: route }) => route);
+
+    expect(excluded(['/api/(.*)'])).toEqual(['/api/health', '/api/orders']);
+    expect(excluded([/^\/(admin|beta)$/])).toEqual(['/admin', '/beta']);
+  });
+});
+
+describe('next-route-guard report', () => {
+  test('should print a Markdown report grouped by status', () => {
+    createApp();
+
+    const { status, stdout } = run(['report', '--exclude-urls', '/api/health']);
+
+    expect(status).toBe(0);
+    expect(stdout).toContain('# Route Protection Report');
+    expect(stdout).toContain('| Requiring authentication | 3 |');
+    expect(stdout).toContain('| Route handlers with per-method protection | 1 |');
+    expect(stdout).toContain('- excludeUrls (matched against route patterns): `/api/health`');
+    expect(stdout).toContain('## Protected routes (2)');
+    expect(stdout).toContain('## Route handlers with per-method protection (1)');
+    expect(stdout).toContain('| `/admin` | (role-admin) | app/(protected)/(role-admin)/admin/page.js | Roles: admin |');
+    expect(stdout).toContain(
+      '| `/api/orders` | (protected) | app/(protected)/api/orders/route.js | Public methods: GET<br>Protected methods: POST |'
+    );
+    expect(stdout).toContain(
+      '## Unclassified routes (1)\n\nRoutes outside of any public or protected group. The defaultProtected option (true) makes them protected.'
+    );
+    expect(stdout).toContain('| `/beta` | defaultProtected: true | app/beta/page.js |  |');
+    expect(stdout).toContain('| `/api/health` | excludeUrls: /api/health | app/api/health/page.js |  |');
+  });
+
+  test('should write a self-contained HTML report', () => {
+    createApp();
+
+    const { status, stdout } = run(['report', 'reports/routes.html', '--default-protected', 'false']);
+
+    expect(status).toBe(0);
+    expect(stdout).toContain('Route report written to reports/routes.html (6 routes, 2 require authentication)');
+
+    const html = fs.readFileSync(path.join(TEST_DIR, 'reports', 'routes.html'), 'utf8');
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<tr><th>Unclassified (public by default)</th><td>1</td></tr>');
+    expect(html).toContain('<td><code>/admin</code></td>\n          <td>(role-admin)</td>');
+    expect(html).toContain('<h2>Excluded routes (2)</h2>');
+
+    // Nothing is loaded from the network when the report is opened
+    expect(html).not.toMatch(/<script|<link|src=|https?:\/\//);
+  });
+
+  test('should print the report as JSON', () => {
+    createApp();
+
+    const report = JSON.parse(run(['report', '--json']).stdout);
+
+    expect(report.summary.total).toBe(6);
+    expect(report.routes[0]).toEqual({
+      path: '/about',
+      status: 'public',
+      protected: false,
+      decidedBy: 'route',
+      source: 'app/(public)/about/page.js',
+      group: '(public)'
+    });
+  });
+});
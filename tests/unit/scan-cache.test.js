@@ -0,0 +1,172 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { buildPackageBeforeTests, setupTestEnvironment, createPages } from './test-helpers';
+
+/**
+ * Test file for the persistent scan cache in next-route-guard
+ * Tests that route maps generated with the cache match the ones generated without it,
+ * that unchanged directories and files are taken from the cache, and the --no-cache option
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/build.js';
+
+const TEST_DIR = path.resolve(__dirname, 'test-app-scan-cache');
+const TEST_APP_DIR = path.join(TEST_DIR, 'app');
+const CACHE_DIR = path.join(TEST_DIR, '.next', 'cache', 'route-guard');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/generate-routes.js');
+const INSPECT_SCRIPT_PATH = path.resolve(__dirname, '../../scripts/next-route-guard.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_DIR);
+
+// Create a route handler with a protected POST method
+function createRouteHandler(segments, tag = '@protected') {
+  fs.mkdirSync(path.join(TEST_APP_DIR, ...segments), { recursive: true });
+  fs.writeFileSync(
+    path.join(TEST_APP_DIR, ...segments, 'route.ts'),
+    `export async function GET() {}\n/** ${tag} */\nexport async function POST() {}`
+  );
+}
+
+// Modification time set by backdate, far enough in the past for the cache to trust it
+const BACKDATED_TIME = new Date(Date.now() - 60_000);
+
+// Reset the modification time of a file or directory, hiding changes from the cache
+function backdate(...segments) {
+  fs.utimesSync(path.join(TEST_APP_DIR, ...segments), BACKDATED_TIME, BACKDATED_TIME);
+}
+
+// Backdate every directory and file in the app directory
+function backdateAll(dirPath = TEST_APP_DIR) {
+  for (const item of fs.readdirSync(dirPath)) {
+    const itemPath = path.join(dirPath, item);
+    if (fs.statSync(itemPath).isDirectory()) backdateAll(itemPath);
+    backdate(path.relative(TEST_APP_DIR, itemPath));
+  }
+  backdate();
+}
+
+const generators = {
+  sync: (...args) => routeGuard.generateRouteMap(TEST_APP_DIR, ...args),
+  async: (...args) => routeGuard.generateRouteMapAsync(TEST_APP_DIR, ...args)
+};
+
+describe.each(Object.keys(generators))('Scan cache (%s)', (name) => {
+  const generate = generators[name];
+
+  // Generate the route map with and without the cache and check that they agree
+  async function generateBoth(publicPatterns, protectedPatterns, options = {}) {
+    const uncached = await generate(publicPatterns, protectedPatterns, options);
+    const cached = await generate(publicPatterns, protectedPatterns, { ...options, cacheDir: CACHE_DIR });
+    expect(cached).toEqual(uncached);
+    return cached;
+  }
+
+  test('should produce the same result with and without the cache', async () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'about'],
+      ['(public)', 'blog', '[slug]'],
+      ['(protected)', 'dashboard'],
+      ['(marketing)']
+    ]);
+    createRouteHandler(['(public)', 'api', 'items']);
+
+    // Cold and warm cache
+    await generateBoth();
+    const { routeMap } = await generateBoth();
+    expect(routeMap.methods['/api/items']).toEqual({ public: ['GET'], protected: ['POST'] });
+    expect(fs.existsSync(path.join(CACHE_DIR, 'scan-cache.json'))).toBe(true);
+
+    // Added, removed, renamed and modified entries
+    createPages(TEST_APP_DIR, [['(protected)', 'settings']]);
+    fs.rmSync(path.join(TEST_APP_DIR, '(public)', 'blog'), { recursive: true });
+    fs.renameSync(path.join(TEST_APP_DIR, '(marketing)'), path.join(TEST_APP_DIR, '(public)', 'pricing'));
+    createRouteHandler(['(public)', 'api', 'items'], '@public');
+
+    const { routeMap: updated } = await generateBoth();
+    expect(updated.public).toEqual(['/about', '/api/items', '/pricing']);
+    expect(updated.protected).toEqual(['/dashboard', '/settings']);
+    expect(updated.methods['/api/items']).toEqual({ public: ['GET', 'POST'], protected: [] });
+  });
+
+  test('should reuse directories and files that have not changed', async () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    createRouteHandler(['(public)', 'api', 'items']);
+    backdateAll();
+    await generate(undefined, undefined, { cacheDir: CACHE_DIR });
+
+    // Changes that keep the modification time are only visible without the cache
+    createPages(TEST_APP_DIR, [['(public)', 'about', 'team']]);
+    backdate('(public)', 'about');
+    createRouteHandler(['(public)', 'api', 'items'], '@public   ');
+    backdate('(public)', 'api', 'items', 'route.ts');
+
+    const cached = await generate(undefined, undefined, { cacheDir: CACHE_DIR });
+    expect(cached.routeMap.public).toEqual(['/about', '/api/items']);
+    expect(cached.routeMap.methods['/api/items']).toEqual({ public: ['GET'], protected: ['POST'] });
+
+    const uncached = await generate();
+    expect(uncached.routeMap.public).toEqual(['/about', '/about/team', '/api/items']);
+    expect(uncached.routeMap.methods['/api/items']).toEqual({ public: ['GET', 'POST'], protected: [] });
+  });
+
+  test('should not reuse the cache when the options change', async () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    backdateAll();
+    await generate(undefined, undefined, { cacheDir: CACHE_DIR });
+
+    createPages(TEST_APP_DIR, [['(public)', 'about', 'team']]);
+    backdate('(public)', 'about');
+
+    const { routeMap } = await generateBoth(['(public)'], ['(protected)', '(admin)']);
+    expect(routeMap.public).toEqual(['/about', '/about/team']);
+  });
+
+  test('should ignore an invalid cache file', async () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(path.join(CACHE_DIR, 'scan-cache.json'), '{"version":1,');
+
+    const { routeMap } = await generateBoth();
+    expect(routeMap.public).toEqual(['/about']);
+  });
+});
+
+describe('CLI scan cache', () => {
+  test('should keep the cache in .next/cache/route-guard unless --no-cache is passed', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+    backdateAll();
+
+    const run = (args = '') => {
+      execSync(`node ${SCRIPT_PATH} --app-dir app ${args}`, { cwd: TEST_DIR, stdio: 'pipe' });
+      return JSON.parse(fs.readFileSync(path.join(TEST_APP_DIR, 'route-map.json'), 'utf8'));
+    };
+
+    run('--no-cache');
+    expect(fs.existsSync(CACHE_DIR)).toBe(false);
+
+    run();
+    expect(fs.existsSync(path.join(CACHE_DIR, 'scan-cache.json'))).toBe(true);
+
+    createPages(TEST_APP_DIR, [['(public)', 'about', 'team']]);
+    backdate('(public)', 'about');
+
+    expect(run().public).toEqual(['/about']);
+    expect(run('--no-cache').public).toEqual(['/about', '/about/team']);
+  });
+
+  test('should not write the cache from the inspection commands', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+
+    for (const command of ['explain /about', 'tree', 'report --json']) {
+      execSync(`node ${INSPECT_SCRIPT_PATH} ${command}`, { cwd: TEST_DIR, stdio: 'pipe' });
+      expect(fs.existsSync(path.join(TEST_DIR, '.next')), command).toBe(false);
+    }
+  });
+});
@@ -81,7 +81,8 @@ export function setupTestEnvironment(testDir = null) {
 
 // Create a mock NextRequest class for testing
 export class MockNextRequest {
-  constructor(pathname, headers = {}, cookies = {}) {
+  constructor(pathname, headers = {}, cookies = {}, method = 'GET') {
+    this.method = method;
     this.nextUrl = {
       pathname,
       clone: function () {
@@ -167,6 +168,14 @@ export function createPageFile(dirPath, extension = 'js') {
   );
 }
 
+// Create a page file in each of the given directories inside a base directory, e.g. [['(public)', 'about']]
+export function createPages(baseDir, dirs) {
+  for (const segments of dirs) {
+    fs.mkdirSync(path.join(baseDir, ...segments), { recursive: true });
+    createPageFile(path.join(baseDir, ...segments));
+  }
+}
+
 // Run the generate-routes script
 export function runGenerateRoutes(testAppDir, testOutputFile) {
   const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/generate-routes.js');
@@ -188,7 +197,7 @@ export function runGenerateRoutes(testAppDir, testOutputFile) {
     console.log('Attempting direct route map generation as fallback...');
     try {
       // Generate route map using the built-in function from the project
-      const { generateRouteMap } = require('../../dist/index.js');
+      const { generateRouteMap } = require('../../dist/build.js');
       const { routeMap } = generateRouteMap(testAppDir, ['(public)'], ['(protected)']);
 
       // Write to output file
@@ -234,7 +243,7 @@ export function runGenerateRoutesWithCustomPatterns(testAppDir, testOutputFile,
     console.log('Attempting direct route map generation as fallback...');
     try {
       // Generate route map using the built-in function from the project
-      const { generateRouteMap } = require('../../dist/index.js');
+      const { generateRouteMap } = require('../../dist/build.js');
       const { routeMap } = generateRouteMap(
         testAppDir,
         publicPatterns ? publicPatterns.split(',') : ['(public)'],
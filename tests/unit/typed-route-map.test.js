@@ -0,0 +1,146 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { buildPackageBeforeTests, setupTestEnvironment, createPages } from './test-helpers';
+
+/**
+ * Test file for the typed route map module in next-route-guard
+ * Tests the generated route-map.ts (route unions, href builder), that the compiler
+ * rejects unknown routes and missing params, and the --format option of the CLI
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/build.js';
+
+const TEST_DIR = path.resolve(__dirname, 'test-app-typed-route-map');
+const TEST_APP_DIR = path.join(TEST_DIR, 'app');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/generate-routes.js');
+const TSC_PATH = path.resolve(__dirname, '../../node_modules/typescript/bin/tsc');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_DIR);
+
+// Generate the typed module for a test app with public, protected and unclassified routes
+function writeRouteMapModule(options = {}) {
+  createPages(TEST_APP_DIR, [
+    [],
+    ['(public)', 'blog', '[slug]'],
+    ['(protected)', 'dashboard'],
+    ['(protected)', 'docs', '[...path]'],
+    ['(protected)', 'shop', '[[...filters]]'],
+    ['(protected)', 'teams', '[teamId]', 'members', '[memberId]']
+  ]);
+
+  const { routeMap } = routeGuard.generateRouteMap(TEST_APP_DIR, ['(public)'], ['(protected)'], options);
+  const moduleFile = path.join(TEST_DIR, 'route-map.ts');
+  fs.writeFileSync(moduleFile, routeGuard.createRouteMapModule(routeMap));
+  return moduleFile;
+}
+
+describe('Typed route map module', () => {
+  test('should export the route map as const and unions of the routes', () => {
+    const source = fs.readFileSync(writeRouteMapModule(), 'utf8');
+
+    expect(source).toContain('export const routeMap = {');
+    expect(source).toContain('} as const;');
+    expect(source).toContain('export type PublicRoute = "/blog/[slug]";');
+    expect(source).toContain(
+      'export type ProtectedRoute = "/dashboard" | "/docs/[...path]" | "/shop/[[...filters]]" | "/teams/[teamId]/members/[memberId]";'
+    );
+    expect(source).toContain('export type UnclassifiedRoute = "/";');
+    expect(source).toContain('export type AppRoute = PublicRoute | ProtectedRoute | UnclassifiedRoute;');
+  });
+
+  test('should use never for a status without routes', () => {
+    const source = routeGuard.createRouteMapModule({ public: ['/'], protected: [] });
+
+    expect(source).toContain('export type ProtectedRoute = never;');
+    expect(source).toContain('export type UnclassifiedRoute = never;');
+  });
+
+  test('should generate the same unions for a v2 route map', () => {
+    const source = fs.readFileSync(writeRouteMapModule({ version: 2, rootDir: TEST_DIR }), 'utf8');
+
+    expect(source).toContain('"version": 2');
+    expect(source).toContain('export type PublicRoute = "/blog/[slug]";');
+    expect(source).toContain('export type UnclassifiedRoute = "/";');
+  });
+
+  test('should build URLs by filling in dynamic segments', async () => {
+    const { href, routeMap } = await import(writeRouteMapModule());
+
+    expect(routeMap.public).toEqual(['/blog/[slug]']);
+    expect(href('/')).toBe('/');
+    expect(href('/dashboard')).toBe('/dashboard');
+    expect(href('/blog/[slug]', { slug: 'hello world' })).toBe('/blog/hello%20world');
+    expect(href('/docs/[...path]', { path: ['guides', 'set up'] })).toBe('/docs/guides/set%20up');
+    expect(href('/shop/[[...filters]]')).toBe('/shop');
+    expect(href('/shop/[[...filters]]', { filters: ['shoes', '42'] })).toBe('/shop/shoes/42');
+    expect(href('/teams/[teamId]/members/[memberId]', { teamId: 't1', memberId: 'm/2' })).toBe(
+      '/teams/t1/members/m%2F2'
+    );
+    expect(() => href('/blog/[slug]', {})).toThrow('Missing param "slug" for route /blog/[slug]');
+    expect(() => href('/docs/[...path]', { path: [] })).toThrow('Missing param "path"');
+  });
+
+  test('should reject unknown routes and wrong params at compile time', () => {
+    writeRouteMapModule();
+    fs.writeFileSync(
+      path.join(TEST_DIR, 'usage.ts'),
+      `import { href, type AppRoute, type ProtectedRoute, type RouteParams } from './route-map';
+
+const home: AppRoute = '/';
+const dashboard: ProtectedRoute = '/dashboard';
+const params: RouteParams<'/teams/[teamId]/members/[memberId]'> = { teamId: 't1', memberId: 'm1' };
+
+href('/shop/[[...filters]]');
+href('/docs/[...path]', { path: ['a', 'b'] });
+
+// @ts-expect-error unknown route
+href('/unknown');
+// @ts-expect-error missing params
+href('/blog/[slug]');
+// @ts-expect-error catch-all params are arrays
+href('/docs/[...path]', { path: 'a' });
+// @ts-expect-error public routes aren't protected
+const blog: ProtectedRoute = '/blog/[slug]';
+
+export { home, dashboard, params, blog };
+`
+    );
+
+    // Throws with the compiler errors if the types don't match the expectations above
+    execSync(`node ${TSC_PATH} --noEmit --strict --target es2022 --module esnext --moduleResolution bundler usage.ts`, {
+      cwd: TEST_DIR,
+      stdio: 'pipe'
+    });
+  });
+
+  test('should write a typed module with --format ts or a .ts output file', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+
+    execSync(`node ${SCRIPT_PATH} --app-dir ${TEST_APP_DIR} --format ts`, { cwd: TEST_DIR, stdio: 'pipe' });
+    const defaultOutput = fs.readFileSync(path.join(TEST_APP_DIR, 'route-map.ts'), 'utf8');
+    expect(defaultOutput).toContain('export type PublicRoute = "/about";');
+
+    const outputFile = path.join(TEST_DIR, 'lib', 'routes.ts');
+    execSync(`node ${SCRIPT_PATH} --app-dir ${TEST_APP_DIR} --output ${outputFile}`, { cwd: TEST_DIR, stdio: 'pipe' });
+    expect(fs.readFileSync(outputFile, 'utf8')).toBe(defaultOutput);
+
+    // JSON stays the default
+    execSync(`node ${SCRIPT_PATH} --app-dir ${TEST_APP_DIR}`, { cwd: TEST_DIR, stdio: 'pipe' });
+    expect(JSON.parse(fs.readFileSync(path.join(TEST_APP_DIR, 'route-map.json'), 'utf8')).public).toEqual(['/about']);
+  });
+
+  test('should reject an unknown output format', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+
+    expect(() =>
+      execSync(`node ${SCRIPT_PATH} --app-dir ${TEST_APP_DIR} --format yaml`, { cwd: TEST_DIR, stdio: 'pipe' })
+    ).toThrow(/Unknown output format "yaml"/);
+  });
+});
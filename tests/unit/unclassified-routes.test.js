@@ -0,0 +1,103 @@
+import { describe, test, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { NextResponse } from 'next/server';
+import {
+  buildPackageBeforeTests,
+  setupTestEnvironment,
+  setupNextResponseMocks,
+  MockNextRequest,
+  createPageFile,
+  runGenerateRoutes,
+  testRouteProtection
+} from './test-helpers';
+
+/**
+ * Test file for unclassified routes in next-route-guard
+ * Tests that routes outside any public/protected group are left to the runtime
+ * defaultProtected option, and that two-bucket route maps keep working
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/index.js';
+
+const TEST_APP_DIR = path.resolve(__dirname, 'test-app-unclassified');
+const TEST_OUTPUT_FILE = path.resolve(TEST_APP_DIR, 'route-map.json');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_APP_DIR);
+
+// Set up Next.js response mocks
+setupNextResponseMocks();
+
+// Create an app with grouped and ungrouped routes
+function createUnclassifiedTestAppStructure() {
+  const dirs = [[], ['(public)', 'about'], ['(protected)', 'dashboard'], ['settings'], ['blog', '[slug]']];
+
+  for (const segments of dirs) {
+    fs.mkdirSync(path.join(TEST_APP_DIR, ...segments), { recursive: true });
+    createPageFile(path.join(TEST_APP_DIR, ...segments));
+  }
+}
+
+describe('Unclassified routes', () => {
+  test('should list routes outside any group as unclassified', () => {
+    createUnclassifiedTestAppStructure();
+
+    const routeMap = runGenerateRoutes(TEST_APP_DIR, TEST_OUTPUT_FILE);
+
+    expect(routeMap.public).toEqual(['/about']);
+    expect(routeMap.protected).toEqual(['/dashboard']);
+    expect(routeMap.unclassified).toEqual(['/', '/blog/[slug]', '/settings']);
+  });
+
+  test('should omit the unclassified field when every route is in a group', () => {
+    fs.mkdirSync(path.join(TEST_APP_DIR, '(public)', 'about'), { recursive: true });
+    createPageFile(path.join(TEST_APP_DIR, '(public)', 'about'));
+
+    const routeMap = runGenerateRoutes(TEST_APP_DIR, TEST_OUTPUT_FILE);
+
+    expect(routeMap).toEqual({ public: ['/about'], protected: [] });
+  });
+
+  test('should let defaultProtected decide for unclassified routes', async () => {
+    const routeMap = {
+      public: ['/about'],
+      protected: ['/dashboard'],
+      unclassified: ['/settings', '/blog/[slug]']
+    };
+
+    const isProtected = async (url, defaultProtected) => {
+      const middleware = routeGuard.createRouteGuardMiddleware({
+        routeMap,
+        isAuthenticated: () => false,
+        onUnauthenticated: (req) => NextResponse.redirect(new URL('/login', req.url)),
+        defaultProtected
+      });
+
+      const response = await middleware(new MockNextRequest(url));
+      return response.status === 307;
+    };
+
+    // Explicitly classified routes ignore the default
+    expect(await isProtected('/about', true)).toBe(false);
+    expect(await isProtected('/dashboard', false)).toBe(true);
+
+    // Unclassified routes follow the default
+    expect(await isProtected('/settings', true)).toBe(true);
+    expect(await isProtected('/settings', false)).toBe(false);
+    expect(await isProtected('/blog/hello', true)).toBe(true);
+    expect(await isProtected('/blog/hello', false)).toBe(false);
+  });
+
+  test('should keep loading two-bucket route maps', async () => {
+    const routeMap = { public: ['/about'], protected: ['/dashboard'] };
+
+    expect(await testRouteProtection('/about', routeMap, routeGuard)).toBe(false);
+    expect(await testRouteProtection('/dashboard', routeMap, routeGuard)).toBe(true);
+    expect(await testRouteProtection('/unknown', routeMap, routeGuard)).toBe(true);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, test, expect } from 'vitest';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { buildPackageBeforeTests, setupTestEnvironment, createPages } from './test-helpers';
+
+/**
+ * Test file for visualizeTrie and the tree command of next-route-guard
+ * Tests the text, JSON, Mermaid and DOT output of the route trie and the prefix and status filters
+ */
+
+// Build the package before running tests
+buildPackageBeforeTests();
+
+// Import the module after building
+import * as routeGuard from '../../dist/index.js';
+
+const TEST_DIR = path.resolve(__dirname, 'test-app-visualize-trie');
+const TEST_APP_DIR = path.join(TEST_DIR, 'app');
+const SCRIPT_PATH = path.resolve(__dirname, '../../scripts/next-route-guard.js');
+
+// Initialize the test environment
+setupTestEnvironment(TEST_DIR);
+
+// Run the route inspection CLI in the test project and return its exit code and output
+function run(args) {
+  const result = spawnSync('node', [SCRIPT_PATH, ...args], { cwd: TEST_DIR, encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+const routeMap = {
+  public: ['/', '/account/profile', '/docs/[version]', '/shop/[[...filters]]'],
+  protected: ['/account/settings', '/account/billing/[id]', '/docs/[version]/[...slug]'],
+  unclassified: ['/beta'],
+  roles: { '/account/settings': ['admin'] }
+};
+
+describe('visualizeTrie', () => {
+  test('should render the trie as a box-drawing tree', () => {
+    expect(routeGuard.visualizeTrie(routeMap)).toBe(
+      [
+        'Root (🔓 Public)',
+        '├── account (❓ Default)',
+        '│   ├── profile (🔓 Public)',
+        '│   ├── settings (🔒 Protected)',
+        '│   └── billing (❓ Default)',
+        '│       └── [param] (🔒 Protected)',
+        '├── docs (❓ Default)',
+        '│   └── [param] (🔓 Public)',
+        '│       └── [...slug] (🔒 Protected)',
+        '├── shop (❓ Default)',
+        '│   └── [[...slug]] (optional) (🔓 Public)',
+        '└── beta (❓ Default)',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('should filter by subtree prefix and status', () => {
+    expect(routeGuard.visualizeTrie(routeMap, { prefix: '/account', status: 'public' })).toBe(
+      ['/account (❓ Default)', '└── profile (🔓 Public)', ''].join('\n')
+    );
+
+    expect(routeGuard.visualizeTrie(routeMap, { status: ['protected'] })).toBe(
+      [
+        'Root (🔓 Public)',
+        '├── account (❓ Default)',
+        '│   ├── settings (🔒 Protected)',
+        '│   └── billing (❓ Default)',
+        '│       └── [param] (🔒 Protected)',
+        '└── docs (❓ Default)',
+        '    └── [param] (🔓 Public)',
+        '        └── [...slug] (🔒 Protected)',
+        ''
+      ].join('\n')
+    );
+
+    expect(() => routeGuard.visualizeTrie(routeMap, { prefix: '/missing' })).toThrow(
+      'The route trie has no routes under /missing'
+    );
+  });
+
+  test('should render the trie as JSON', () => {
+    const tree = JSON.parse(routeGuard.visualizeTrie(routeMap, { format: 'json', prefix: '/docs/[version]' }));
+
+    expect(tree).toEqual({
+      segment: '[param]',
+      path: '/docs/[param]',
+      status: 'public',
+      children: [{ segment: '[...slug]', path: '/docs/[param]/[...slug]', status: 'protected', children: [] }]
+    });
+
+    const account = JSON.parse(routeGuard.visualizeTrie(routeMap, { format: 'json', prefix: '/account' }));
+    expect(account.children[1]).toEqual({
+      segment: 'settings',
+      path: '/account/settings',
+      status: 'protected',
+      roles: ['admin'],
+      children: []
+    });
+  });
+
+  test('should render the trie as Mermaid and DOT diagrams', () => {
+    const mermaid = routeGuard.visualizeTrie(routeMap, { format: 'mermaid', prefix: '/docs' });
+    expect(mermaid).toBe(
+      [
+        'flowchart TD',
+        '  n0["/docs (❓ Default)"]',
+        '  n1["[param] (🔓 Public)"]',
+        '  n0 --> n1',
+        '  n2["[...slug] (🔒 Protected)"]',
+        '  n1 --> n2',
+        '  classDef protectedRoute fill:#fde2e1',
+        '  class n2 protectedRoute',
+        '  classDef publicRoute fill:#e3f6e5',
+        '  class n1 publicRoute',
+        '  classDef defaultRoute fill:#eeeeee',
+        '  class n0 defaultRoute',
+        ''
+      ].join('\n')
+    );
+
+    const dot = routeGuard.visualizeTrie(routeGuard.compileRouteTrie(routeMap), { format: 'dot', prefix: '/docs' });
+    expect(dot).toBe(
+      [
+        'digraph routes {',
+        '  node [shape=box, style="rounded,filled"];',
+        '  n0 [label="/docs (❓ Default)", fillcolor="#eeeeee"];',
+        '  n1 [label="[param] (🔓 Public)", fillcolor="#e3f6e5"];',
+        '  n0 -> n1;',
+        '  n2 [label="[...slug] (🔒 Protected)", fillcolor="#fde2e1"];',
+        '  n1 -> n2;',
+        '}',
+        ''
+      ].join('\n')
+    );
+  });
+});
+
+describe('next-route-guard tree', () => {
+  test('should print the route trie of the app in the requested format', () => {
+    createPages(TEST_APP_DIR, [
+      ['(public)', 'account', 'profile'],
+      ['(protected)', 'account', 'settings']
+    ]);
+
+    expect(run(['tree']).stdout).toContain('    └── settings (🔒 Protected)');
+    expect(run(['tree', '--prefix', '/account', '--status', 'public']).stdout).toBe(
+      ['/account (❓ Default)', '└── profile (🔓 Public)', ''].join('\n')
+    );
+    expect(run(['tree', '--format', 'dot']).stdout).toContain('digraph routes {');
+    expect(JSON.parse(run(['tree', '--json']).stdout).children[0].path).toBe('/account');
+  });
+
+  test('should fail for unknown formats, statuses and prefixes', () => {
+    createPages(TEST_APP_DIR, [['(public)', 'about']]);
+
+    expect(run(['tree', '--format', 'svg']).stderr).toContain(
+      'Unknown tree format "svg", expected one of: text, json, mermaid, dot'
+    );
+    expect(run(['tree', '--status', 'private']).stderr).toContain('Unknown status "private"');
+
+    const missing = run(['tree', '--prefix', '/missing']);
+    expect(missing.status).toBe(1);
+    expect(missing.stderr).toContain('The route trie has no routes under /missing');
+  });
+});
@@ -6,6 +6,8 @@ export default defineConfig({
     environment: 'node',
     include: ['./tests/unit/**/*.test.js'],
     exclude: ['**/node_modules/**', '**/dist/**'],
-    testTimeout: 20000
+    testTimeout: 20000,
+    // Every test file builds the package first, with declarations for both entry points
+    hookTimeout: 30000
   }
 });